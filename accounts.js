@@ -0,0 +1,248 @@
+// accounts.js - User accounts, passwords and signed session tokens
+// An account owns the WhatsApp sessions (one per number) it added, each of
+// which belongs to one of its workspaces (see workspaces.js). Tokens are
+// "<base64url payload>.<base64url HMAC-SHA256>" and carry the account ID, an
+// expiry and the account's tokenVersion, so logging out everywhere is just a
+// version bump.
+const crypto = require('crypto');
+const { promisify } = require('util');
+const storage = require('./storage');
+
+const scrypt = promisify(crypto.scrypt);
+
+const TOKEN_TTL_MS = (parseFloat(process.env.AUTH_TOKEN_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_SESSIONS_PER_ACCOUNT = parseInt(process.env.MAX_SESSIONS_PER_ACCOUNT, 10) || 10;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const accountStore = storage.collection('accounts');
+// sessionId -> { sessionId, accountId, workspaceId }, so ownership checks
+// don't scan every account
+const ownerStore = storage.collection('session-owners');
+const authStore = storage.collection('auth');
+
+function accountError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// AUTH_TOKEN_SECRET wins; otherwise a random secret is generated once and kept
+// in storage so tokens survive restarts
+let tokenSecret = process.env.AUTH_TOKEN_SECRET;
+function getTokenSecret() {
+  if (!tokenSecret) {
+    const stored = authStore.get('token-secret');
+    tokenSecret = stored ? stored.secret : crypto.randomBytes(32).toString('hex');
+    if (!stored) authStore.set('token-secret', { secret: tokenSecret });
+  }
+  return tokenSecret;
+}
+
+function accountIdForEmail(email) {
+  return crypto.createHash('sha256').update(email).digest('hex').substring(0, 16);
+}
+
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+  const derived = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+}
+
+async function checkPassword(password, stored) {
+  const [, salt, expected] = stored.split('$');
+  const actual = (await hashPassword(password, salt)).split('$')[2];
+  return crypto.timingSafeEqual(Buffer.from(actual, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+// The stored account without its password hash
+function publicAccount(account) {
+  const { passwordHash, tokenVersion, ...rest } = account;
+  return rest;
+}
+
+function signToken(account) {
+  const payload = Buffer.from(JSON.stringify({
+    sub: account.id,
+    ver: account.tokenVersion,
+    exp: Date.now() + TOKEN_TTL_MS
+  })).toString('base64url');
+  const signature = crypto.createHmac('sha256', getTokenSecret()).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
+
+// Resolves a token to its (public) account, or null when it's invalid or expired
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = crypto.createHmac('sha256', getTokenSecret()).update(payload).digest('base64url');
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+    return null;
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!claims.exp || claims.exp < Date.now()) return null;
+
+  const account = accountStore.get(claims.sub);
+  if (!account || account.tokenVersion !== claims.ver) return null;
+
+  return publicAccount(account);
+}
+
+async function register({ email, password, name } = {}) {
+  const normalizedEmail = String(email || '').trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(normalizedEmail)) {
+    throw accountError('A valid email address is required');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw accountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const id = accountIdForEmail(normalizedEmail);
+  if (accountStore.get(id)) {
+    throw accountError('An account with this email already exists', 409);
+  }
+
+  const account = {
+    id,
+    email: normalizedEmail,
+    name: name || null,
+    passwordHash: await hashPassword(password),
+    tokenVersion: 1,
+    sessions: [],
+    createdAt: new Date().toISOString()
+  };
+
+  accountStore.set(id, account);
+  console.log(`👤 Account created: ${normalizedEmail}`);
+  return { account: publicAccount(account), token: signToken(account) };
+}
+
+async function login({ email, password } = {}) {
+  const account = accountStore.get(accountIdForEmail(String(email || '').trim().toLowerCase()));
+
+  // Same answer for unknown emails and wrong passwords
+  if (!account || typeof password !== 'string' || !(await checkPassword(password, account.passwordHash))) {
+    throw accountError('Invalid email or password', 401);
+  }
+
+  return { account: publicAccount(account), token: signToken(account) };
+}
+
+// Invalidates every token issued for the account so far
+function logoutEverywhere(accountId) {
+  const account = accountStore.get(accountId);
+  if (!account) throw accountError('Account not found', 404);
+
+  account.tokenVersion += 1;
+  accountStore.set(accountId, account);
+}
+
+function getAccount(accountId) {
+  const account = accountStore.get(accountId);
+  return account ? publicAccount(account) : null;
+}
+
+// The (public) account registered with an email address, or null
+function findAccountByEmail(email) {
+  const account = accountStore.get(accountIdForEmail(String(email || '').trim().toLowerCase()));
+  return account ? publicAccount(account) : null;
+}
+
+// Adds a WhatsApp number (session) to the account, in one of its workspaces,
+// and returns its entry. workspaces.addSession() checks role and quota first.
+function addSession(accountId, { label, workspaceId = null } = {}) {
+  const account = accountStore.get(accountId);
+  if (!account) throw accountError('Account not found', 404);
+
+  if (account.sessions.length >= MAX_SESSIONS_PER_ACCOUNT) {
+    throw accountError(`An account can have at most ${MAX_SESSIONS_PER_ACCOUNT} WhatsApp numbers`);
+  }
+
+  const entry = {
+    id: crypto.randomBytes(8).toString('hex'),
+    label: label ? String(label).substring(0, 100) : `Number ${account.sessions.length + 1}`,
+    createdAt: new Date().toISOString()
+  };
+
+  account.sessions.push(entry);
+  accountStore.set(accountId, account);
+  ownerStore.set(entry.id, { sessionId: entry.id, accountId, workspaceId });
+  console.log(`📱 Session ${entry.id} added to account ${account.email}`);
+  return entry;
+}
+
+function removeSession(accountId, sessionId) {
+  const account = accountStore.get(accountId);
+  if (!account || !account.sessions.some((entry) => entry.id === sessionId)) {
+    throw accountError('Session not found', 404);
+  }
+
+  account.sessions = account.sessions.filter((entry) => entry.id !== sessionId);
+  accountStore.set(accountId, account);
+  ownerStore.delete(sessionId);
+}
+
+// Account ID that added the session and keeps its entry, or null for unowned
+// (legacy/API) sessions. The session belongs to its workspace, whose owner
+// workspaces.sessionOwnership() gives.
+function getSessionOwner(sessionId) {
+  const owner = ownerStore.get(sessionId);
+  return owner ? owner.accountId : null;
+}
+
+// The { id, label, createdAt } entry of an owned session
+function getSessionEntry(sessionId) {
+  const ownerId = getSessionOwner(sessionId);
+  const account = ownerId && accountStore.get(ownerId);
+  return account ? account.sessions.find((entry) => entry.id === sessionId) || null : null;
+}
+
+// Workspace the session belongs to; null for sessions added before workspaces
+function getSessionWorkspace(sessionId) {
+  const owner = ownerStore.get(sessionId);
+  return owner ? owner.workspaceId || null : null;
+}
+
+function setSessionWorkspace(sessionId, workspaceId) {
+  const owner = ownerStore.get(sessionId);
+  if (!owner) throw accountError('Session not found', 404);
+  ownerStore.set(sessionId, { ...owner, sessionId, workspaceId });
+}
+
+// Every { sessionId, accountId, workspaceId } ownership record
+function listSessionOwners() {
+  return ownerStore.list();
+}
+
+// Entries of every session in a workspace, whoever added them
+function listWorkspaceSessions(workspaceId) {
+  return ownerStore.list({ workspaceId })
+    .map((owner) => getSessionEntry(owner.sessionId))
+    .filter(Boolean);
+}
+
+module.exports = {
+  register,
+  login,
+  logoutEverywhere,
+  verifyToken,
+  getAccount,
+  findAccountByEmail,
+  addSession,
+  removeSession,
+  getSessionOwner,
+  getSessionEntry,
+  getSessionWorkspace,
+  setSessionWorkspace,
+  listSessionOwners,
+  listWorkspaceSessions
+};
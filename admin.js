@@ -0,0 +1,185 @@
+// admin.js - Operator API (/admin/api) behind the admin console (/admin)
+// Only operators get in: accounts whose email is listed in ADMIN_EMAILS (with
+// their usual sign-in token) and API keys given the "admin" scope explicitly
+// ("*" doesn't include it) and not limited to certain sessions, such as
+// API_ADMIN_KEY. Both are sent as "Authorization: Bearer <token>".
+//
+// Operators see every session this process runs, and can log one out, restart
+// its browser, pause or resume its sending and read its recent errors. They
+// also set workspace quotas and read what each workspace used, for billing.
+// Each action is written to the audit log, whether it worked or not.
+const express = require('express');
+const accounts = require('./accounts');
+const apiKeys = require('./api-keys');
+const { tokenFromRequest } = require('./client-auth');
+const workspaces = require('./workspaces');
+const { usageReport, usageByWorkspace } = require('./usage');
+const { recordAudit, listAudit } = require('./audit-log');
+const { getRecentErrors, addContext } = require('./logger');
+
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+const MAX_REASON_LENGTH = 500;
+
+function adminError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// The operator making the request, as { type, id, name }, or null
+function adminFromRequest(req) {
+  const token = tokenFromRequest(req) || req.headers['x-api-key'];
+  if (!token) return null;
+
+  const account = accounts.verifyToken(token);
+  if (account) {
+    return ADMIN_EMAILS.includes(account.email.toLowerCase())
+      ? { type: 'account', id: account.id, name: account.email }
+      : null;
+  }
+
+  const apiKey = apiKeys.verifyApiKey(token);
+  if (apiKey && apiKey.scopes.includes('admin') && !apiKey.sessionIds) {
+    return { type: 'api-key', id: apiKey.id, name: apiKey.name };
+  }
+  return null;
+}
+
+// listSessions() describes every session this process knows for operators;
+// describeSession(id) does the same for one, or returns null when it doesn't exist.
+// restartSession(id) and setSendingPaused(id, pause | null) return once the
+// change has been made, not when the browser is back.
+function createAdminRouter({ listSessions, describeSession, logoutSession, restartSession, setSendingPaused }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    req.admin = adminFromRequest(req);
+    if (!req.admin) {
+      const signedIn = !!(tokenFromRequest(req) || req.headers['x-api-key']);
+      return next(signedIn
+        ? adminError('Only operators can use the admin API', 403, 'forbidden')
+        : adminError('Sign in as an operator to use the admin API', 401, 'unauthorized'));
+    }
+    addContext({ admin: req.admin.name });
+    next();
+  });
+
+  function requireSession() {
+    return (req, res, next) => {
+      const session = describeSession(req.params.sessionId);
+      if (!session) {
+        return next(adminError('Session not found', 404, 'session-not-found'));
+      }
+      req.session = session;
+      addContext({ sessionId: req.params.sessionId });
+      next();
+    };
+  }
+
+  // Runs an operator action and writes it to the audit log, whatever the outcome
+  async function audited(req, action, details, run) {
+    const entry = { actor: req.admin, action, sessionId: req.params.sessionId || null, details, requestId: req.requestId };
+    try {
+      const result = await run();
+      recordAudit(entry);
+      return result;
+    } catch (error) {
+      recordAudit({ ...entry, outcome: 'failed', error: error.message });
+      throw error;
+    }
+  }
+
+  router.get('/me', (req, res) => {
+    res.json({ admin: req.admin });
+  });
+
+  router.get('/sessions', (req, res) => {
+    res.json({ sessions: listSessions() });
+  });
+
+  router.get('/sessions/:sessionId', requireSession(), (req, res) => {
+    res.json({
+      session: req.session,
+      recentErrors: getRecentErrors(req.params.sessionId),
+      audit: listAudit({ sessionId: req.params.sessionId, limit: 20 })
+    });
+  });
+
+  router.get('/sessions/:sessionId/errors', requireSession(), (req, res) => {
+    res.json({ errors: getRecentErrors(req.params.sessionId) });
+  });
+
+  router.post('/sessions/:sessionId/logout', requireSession(), async (req, res) => {
+    await audited(req, 'session.logout', null, () => logoutSession(req.params.sessionId));
+    res.json({ success: true });
+  });
+
+  // The browser takes a while to come back; poll the session for its state
+  router.post('/sessions/:sessionId/restart', requireSession(), async (req, res) => {
+    await audited(req, 'session.restart', null, () => restartSession(req.params.sessionId));
+    res.status(202).json({ session: describeSession(req.params.sessionId) });
+  });
+
+  router.post('/sessions/:sessionId/pause', requireSession(), async (req, res) => {
+    const reason = typeof (req.body || {}).reason === 'string' ? req.body.reason.trim().slice(0, MAX_REASON_LENGTH) : null;
+    const pause = { at: new Date().toISOString(), by: req.admin.name, reason: reason || null };
+
+    await audited(req, 'sending.pause', { reason: pause.reason }, () => setSendingPaused(req.params.sessionId, pause));
+    res.json({ session: describeSession(req.params.sessionId) });
+  });
+
+  router.post('/sessions/:sessionId/resume', requireSession(), async (req, res) => {
+    await audited(req, 'sending.resume', null, () => setSendingPaused(req.params.sessionId, null));
+    res.json({ session: describeSession(req.params.sessionId) });
+  });
+
+  router.get('/workspaces', (req, res) => {
+    res.json({ workspaces: workspaces.listAllWorkspaces() });
+  });
+
+  // { numbers, messagesPerDay, storageMb }, each a whole number or null for unlimited
+  router.put('/workspaces/:workspaceId/quotas', async (req, res) => {
+    const quotas = req.body || {};
+    const workspace = await audited(req, 'workspace.quotas', { workspaceId: req.params.workspaceId, quotas }, () => (
+      workspaces.setQuotas(req.params.workspaceId, quotas)
+    ));
+    res.json({ workspace });
+  });
+
+  // Per day for one workspace, or totals per workspace (?from=&to=, YYYY-MM-DD)
+  router.get('/workspaces/:workspaceId/usage', (req, res) => {
+    if (!workspaces.getWorkspace(req.params.workspaceId)) {
+      throw adminError('Workspace not found', 404, 'workspace-not-found');
+    }
+    res.json({ usage: usageReport(req.params.workspaceId, req.query) });
+  });
+
+  router.get('/usage', (req, res) => {
+    res.json({ usage: usageByWorkspace(req.query) });
+  });
+
+  router.get('/audit', (req, res) => {
+    const { sessionId, actorId, action, limit } = req.query;
+    res.json({ entries: listAudit({ sessionId, actorId, action, limit }) });
+  });
+
+  router.use((req, res, next) => {
+    next(adminError(`No such endpoint: ${req.method} ${req.originalUrl}`, 404, 'not-found'));
+  });
+
+  router.use((error, req, res, next) => {
+    const status = error.status || 500;
+    if (status >= 500) {
+      console.error('❌ Admin API error:', error);
+    }
+    res.status(status).json({ error: error.message, code: error.code || (status >= 500 ? 'internal-error' : 'invalid-request') });
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter, adminFromRequest, ADMIN_EMAILS };
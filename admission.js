@@ -0,0 +1,343 @@
+// admission.js - Admission control for WhatsApp browsers
+// Every session runs its own Chromium, and starting them without limit ends
+// with the whole server out of memory. A new browser starts only while fewer
+// than MAX_BROWSERS run, enough memory is free (MIN_FREE_MEMORY_MB, plus
+// BROWSER_MEMORY_MB for each browser still starting up) and, if MAX_CPU_LOAD
+// is set, the load average per core is below it. Otherwise the session waits
+// in line and its client hears its position.
+//
+// When the server is full, the least recently used idle session (no activity
+// for EVICT_IDLE_MINUTES) is closed to make room. Its login is kept, so it
+// comes back without a QR scan. Chromium processes left behind by crashed
+// sessions are found through /proc and killed.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAX_BROWSERS = parseInt(process.env.MAX_BROWSERS, 10) || 10;
+const MIN_FREE_MEMORY_MB = parseInt(process.env.MIN_FREE_MEMORY_MB, 10) || 512;
+const BROWSER_MEMORY_MB = parseInt(process.env.BROWSER_MEMORY_MB, 10) || 300;
+// Load average per core above which no new browser starts (not checked unless set)
+const MAX_CPU_LOAD = parseFloat(process.env.MAX_CPU_LOAD) || null;
+const EVICT_IDLE_MS = (parseFloat(process.env.EVICT_IDLE_MINUTES) || 10) * 60 * 1000;
+const EVICTION_ENABLED = process.env.EVICT_IDLE_SESSIONS !== 'false';
+const QUEUE_TIMEOUT_MS = (parseFloat(process.env.QUEUE_TIMEOUT_SECONDS) || 300) * 1000;
+const MAX_QUEUE_LENGTH = parseInt(process.env.MAX_QUEUE_LENGTH, 10) || 50;
+const REAP_ENABLED = process.env.REAP_ORPHANED_BROWSERS !== 'false';
+// A browser takes about this long to reach its working memory size
+const STARTUP_GRACE_MS = 60 * 1000;
+const CHECK_INTERVAL_MS = 5 * 1000;
+const REAP_INTERVAL_MS = 60 * 1000;
+
+function admissionError(message, status = 503, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function readNumber(file) {
+  try {
+    const value = fs.readFileSync(file, 'utf8').trim();
+    return /^\d+$/.test(value) ? Number(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Memory that can still be used, in MB: MemAvailable (which, unlike
+// os.freemem(), counts reclaimable cache), capped by the container's cgroup limit
+function availableMemoryMb() {
+  let available = os.freemem();
+  try {
+    const match = /MemAvailable:\s+(\d+) kB/.exec(fs.readFileSync('/proc/meminfo', 'utf8'));
+    if (match) available = Number(match[1]) * 1024;
+  } catch (error) {
+    // Not Linux
+  }
+
+  const limit = readNumber('/sys/fs/cgroup/memory.max') ?? readNumber('/sys/fs/cgroup/memory/memory.limit_in_bytes');
+  const usage = readNumber('/sys/fs/cgroup/memory.current') ?? readNumber('/sys/fs/cgroup/memory/memory.usage_in_bytes');
+  if (limit && usage !== null && limit < os.totalmem()) {
+    // Page cache the kernel can drop doesn't count as used
+    let reclaimable = 0;
+    try {
+      const match = /^inactive_file (\d+)$/m.exec(fs.readFileSync('/sys/fs/cgroup/memory.stat', 'utf8'));
+      if (match) reclaimable = Number(match[1]);
+    } catch (error) {
+      // cgroup v1
+    }
+    available = Math.min(available, limit - usage + reclaimable);
+  }
+
+  return Math.floor(available / 1024 / 1024);
+}
+
+// The parent PID, from /proc/<pid>/stat ("pid (comm) state ppid ..."; comm may contain spaces)
+function parentOf(pid) {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    return Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+  } catch (error) {
+    return null;
+  }
+}
+
+// Resident memory of one process in kB, from /proc/<pid>/status
+function residentKb(pid) {
+  try {
+    const match = /^VmRSS:\s+(\d+) kB$/m.exec(fs.readFileSync(`/proc/${pid}/status`, 'utf8'));
+    return match ? Number(match[1]) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function commandOf(pid) {
+  try {
+    return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').split('\0').filter(Boolean);
+  } catch (error) {
+    return [];
+  }
+}
+
+// browserRoot holds each session's browser profile (<root>/<sessionId>/browser-profile).
+// evictionCandidates() lists the sessions that could be closed, as
+// { sessionId, lastActivity }; evictSession(sessionId) closes one.
+function createAdmission({ browserRoot, isActive, evictionCandidates, evictSession }) {
+  const running = new Map(); // sessionId -> time its browser slot was granted
+  const queue = []; // { sessionId, resolve, reject, onQueued, enqueuedAt, position, reason, timer }
+  let pumping = false;
+
+  function startingCount(now = Date.now()) {
+    return Array.from(running.values()).filter((grantedAt) => now - grantedAt < STARTUP_GRACE_MS).length;
+  }
+
+  // Why a new browser can't start right now, or null
+  function blockedReason() {
+    if (running.size >= MAX_BROWSERS) return 'max-browsers';
+    if (availableMemoryMb() < MIN_FREE_MEMORY_MB + startingCount() * BROWSER_MEMORY_MB) return 'memory';
+    if (MAX_CPU_LOAD && os.loadavg()[0] / os.cpus().length > MAX_CPU_LOAD) return 'cpu';
+    return null;
+  }
+
+  function grant(sessionId) {
+    running.set(sessionId, Date.now());
+  }
+
+  function removeFromQueue(entry, error) {
+    const index = queue.indexOf(entry);
+    if (index === -1) return;
+    queue.splice(index, 1);
+    clearTimeout(entry.timer);
+    if (error) entry.reject(error);
+  }
+
+  // Closes the least recently used idle session; true when one was closed
+  async function evictIdle() {
+    if (!EVICTION_ENABLED) return false;
+
+    const now = Date.now();
+    const candidate = evictionCandidates()
+      .filter(({ sessionId, lastActivity }) => running.has(sessionId) && now - lastActivity >= EVICT_IDLE_MS)
+      .sort((a, b) => a.lastActivity - b.lastActivity)[0];
+    if (!candidate) return false;
+
+    console.log(`♻️ Evicting idle session ${candidate.sessionId} to make room`);
+    await evictSession(candidate.sessionId);
+    running.delete(candidate.sessionId);
+    return true;
+  }
+
+  // Tells every waiting client its place in line when it changed
+  function notifyPositions(reason) {
+    queue.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position === position && entry.reason === reason) return;
+      entry.position = position;
+      entry.reason = reason;
+      try {
+        entry.onQueued({ position, queueLength: queue.length, reason });
+      } catch (error) {
+        console.error(`❌ Queue update for ${entry.sessionId} failed:`, error);
+      }
+    });
+  }
+
+  // Starts as many waiting sessions as the limits allow, evicting idle ones if needed
+  async function pump() {
+    if (pumping) return;
+    pumping = true;
+
+    try {
+      // Slots of sessions that went away without releasing them
+      Array.from(running.keys())
+        .filter((sessionId) => !isActive(sessionId))
+        .forEach((sessionId) => running.delete(sessionId));
+
+      let reason = null;
+      let evictedForMemory = false;
+      while (queue.length > 0) {
+        reason = blockedReason();
+        if (!reason) {
+          const entry = queue[0];
+          removeFromQueue(entry);
+          grant(entry.sessionId);
+          entry.resolve();
+          continue;
+        }
+
+        // Freed memory shows up a little later, so one eviction per check for it
+        if (reason === 'cpu' || (reason === 'memory' && evictedForMemory)) break;
+        if (!await evictIdle()) break;
+        evictedForMemory = reason === 'memory';
+      }
+
+      notifyPositions(reason);
+    } catch (error) {
+      console.error('❌ Admission check failed:', error);
+    } finally {
+      pumping = false;
+    }
+  }
+
+  // Resolves once the session may start its browser. onQueued({ position,
+  // queueLength, reason }) is called while it waits, whenever its position changes.
+  function acquire(sessionId, { onQueued = () => {} } = {}) {
+    if (running.has(sessionId)) return Promise.resolve();
+    if (queue.some((entry) => entry.sessionId === sessionId)) {
+      return Promise.reject(admissionError('This session is already waiting for a slot', 409, 'already-queued'));
+    }
+
+    if (queue.length === 0 && !blockedReason()) {
+      grant(sessionId);
+      return Promise.resolve();
+    }
+    if (queue.length >= MAX_QUEUE_LENGTH) {
+      return Promise.reject(admissionError('The server is at capacity, try again later', 503, 'queue-full'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { sessionId, resolve, reject, onQueued, enqueuedAt: Date.now(), position: null, reason: null };
+      entry.timer = setTimeout(() => {
+        removeFromQueue(entry, admissionError('No slot became free in time, try again later', 503, 'queue-timeout'));
+      }, QUEUE_TIMEOUT_MS);
+      queue.push(entry);
+      console.log(`⏳ Session ${sessionId} queued for a browser (position ${queue.length})`);
+      pump();
+    });
+  }
+
+  // The session's browser closed, or it stopped waiting for one
+  function release(sessionId) {
+    const entry = queue.find((queued) => queued.sessionId === sessionId);
+    if (entry) {
+      removeFromQueue(entry, admissionError('Stopped waiting for a slot', 409, 'cancelled'));
+    }
+
+    if (running.delete(sessionId) || entry) {
+      pump();
+    }
+  }
+
+  function queuePosition(sessionId) {
+    const index = queue.findIndex((entry) => entry.sessionId === sessionId);
+    if (index === -1) return null;
+    return { position: index + 1, queueLength: queue.length, reason: queue[index].reason };
+  }
+
+  // Top-level Chromium processes (not their renderer/GPU helpers, which have
+  // --type=) running one of our session profiles
+  function findBrowsers() {
+    let pids;
+    try {
+      pids = fs.readdirSync('/proc').filter((name) => /^\d+$/.test(name));
+    } catch (error) {
+      return [];
+    }
+
+    const marker = `--user-data-dir=${browserRoot}${path.sep}`;
+    return pids.flatMap((pid) => {
+      const args = commandOf(pid);
+      const dirArg = args.find((arg) => arg.startsWith(marker));
+      if (!dirArg || args.some((arg) => arg.startsWith('--type='))) return [];
+
+      const sessionId = dirArg.slice(marker.length).split(path.sep)[0];
+      return [{ pid: Number(pid), parentPid: parentOf(pid), sessionId }];
+    });
+  }
+
+  // A browser is orphaned when it's ours but its session no longer holds a
+  // slot, or when the server that started it is gone (it was handed to init).
+  // Browsers started by another live server process (cluster workers) are left alone.
+  function reapOrphans() {
+    if (!REAP_ENABLED) return 0;
+
+    const orphans = findBrowsers().filter(({ parentPid, sessionId }) => {
+      if (parentPid === process.pid) return !running.has(sessionId);
+      return !commandOf(parentPid).some((arg) => path.basename(arg).startsWith('node'));
+    });
+
+    orphans.forEach(({ pid, sessionId }) => {
+      try {
+        process.kill(pid, 'SIGKILL');
+        console.log(`🧟 Killed orphaned Chromium ${pid} (session ${sessionId})`);
+      } catch (error) {
+        console.log(`⚠️ Could not kill orphaned Chromium ${pid}: ${error.message}`);
+      }
+    });
+    return orphans.length;
+  }
+
+  // Chromium instances running one of our profiles, whoever started them
+  function browserProcesses() {
+    return findBrowsers().length;
+  }
+
+  // sessionId -> { pid, processes, memoryMb } for every running browser,
+  // counting the renderer and GPU processes it started
+  function browserUsage() {
+    const children = new Map(); // pid -> child pids
+    try {
+      fs.readdirSync('/proc').filter((name) => /^\d+$/.test(name)).forEach((name) => {
+        const parent = parentOf(name);
+        if (!children.has(parent)) children.set(parent, []);
+        children.get(parent).push(Number(name));
+      });
+    } catch (error) {
+      return new Map();
+    }
+
+    const usage = new Map();
+    findBrowsers().forEach(({ pid, sessionId }) => {
+      const tree = [pid];
+      for (let index = 0; index < tree.length; index++) {
+        tree.push(...(children.get(tree[index]) || []));
+      }
+      const rssKb = tree.reduce((sum, treePid) => sum + (residentKb(treePid) || 0), 0);
+      usage.set(sessionId, { pid, processes: tree.length, memoryMb: Math.round(rssKb / 1024) });
+    });
+    return usage;
+  }
+
+  function stats() {
+    return {
+      running: running.size,
+      maxBrowsers: MAX_BROWSERS,
+      queued: queue.length,
+      availableMemoryMb: availableMemoryMb(),
+      minFreeMemoryMb: MIN_FREE_MEMORY_MB,
+      blockedBy: blockedReason()
+    };
+  }
+
+  function start() {
+    reapOrphans();
+    setInterval(pump, CHECK_INTERVAL_MS).unref();
+    setInterval(reapOrphans, REAP_INTERVAL_MS).unref();
+  }
+
+  return { acquire, release, queuePosition, reapOrphans, browserProcesses, browserUsage, stats, start };
+}
+
+module.exports = { createAdmission };
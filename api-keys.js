@@ -0,0 +1,223 @@
+// api-keys.js - API keys for the /api/v1 REST API
+// Keys look like "wbm_<id>_<secret>". Only a SHA-256 hash of the full key is
+// stored, so a key is shown exactly once, when it is created. Each key has a
+// list of scopes and can optionally be limited to certain session IDs.
+//
+// A key belongs to a workspace (one client organisation) and only reaches
+// that workspace's numbers, plus the headless sessions it started itself.
+// Keys outside any workspace only reach the sessions they started. Only
+// "admin" keys reach every tenant's sessions.
+//
+// "*" grants every scope except "admin", which is only ever given explicitly.
+// API_ADMIN_KEY (env) is accepted as a key with every scope including admin,
+// which is how the first real keys get created. A key can only create keys
+// that are no wider than itself, in its own workspace; only admin keys pick
+// the workspace of the keys they create.
+const crypto = require('crypto');
+const storage = require('./storage');
+const workspaces = require('./workspaces');
+const { getSessionRecord } = require('./session-registry');
+
+const API_SCOPES = [
+  'sessions:read',
+  'sessions:write',
+  'messages:read',
+  'messages:send',
+  'campaigns:read',
+  'campaigns:write',
+  'groups:read',
+  'groups:manage',
+  'reports:read',
+  'webhooks:manage',
+  'keys:manage',
+  // The operator API (/admin/api), see admin.js
+  'admin'
+];
+// Not covered by "*"
+const OPERATOR_SCOPES = ['admin'];
+
+const KEY_PREFIX = 'wbm';
+// Don't rewrite the key file on every request just to bump lastUsedAt
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const keyStore = storage.collection('api-keys');
+
+function apiKeyError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// The stored record without its hash
+function publicKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+// The workspace a key created by creator belongs to
+function workspaceForNewKey(workspaceId, scopes, creator) {
+  if (workspaceId === undefined || workspaceId === null) {
+    return creator.workspaceId || null;
+  }
+  if (creator.workspaceId) {
+    if (workspaceId !== creator.workspaceId) {
+      throw apiKeyError('This key belongs to a workspace, and so do the keys it creates', 403);
+    }
+    return workspaceId;
+  }
+  if (!hasScope(creator, 'admin')) {
+    throw apiKeyError('Only admin keys can create keys for a workspace', 403);
+  }
+  if (scopes.includes('admin')) {
+    throw apiKeyError('Admin keys reach every workspace and can\'t belong to one');
+  }
+  if (typeof workspaceId !== 'string' || !workspaces.getWorkspace(workspaceId)) {
+    throw apiKeyError('Workspace not found', 404);
+  }
+  return workspaceId;
+}
+
+// creator is the key creating this one; the new key gets no scope and no
+// session the creator doesn't have itself, and the creator's workspace
+function createApiKey({ name, scopes, sessionIds, workspaceId } = {}, creator) {
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    throw apiKeyError('Key name is required (max 100 characters)');
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw apiKeyError(`Scopes must be a non-empty array of: ${API_SCOPES.join(', ')}, or "*"`);
+  }
+
+  const unknown = scopes.filter((scope) => scope !== '*' && !API_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw apiKeyError(`Unknown scope(s): ${unknown.join(', ')}`);
+  }
+  if (sessionIds !== undefined && sessionIds !== null && !Array.isArray(sessionIds)) {
+    throw apiKeyError('sessionIds must be an array');
+  }
+
+  const wider = scopes.filter((scope) => (scope === '*' ? !creator.scopes.includes('*') : !hasScope(creator, scope)));
+  if (wider.length > 0) {
+    throw apiKeyError(`This key can't grant scope(s) it doesn't have: ${wider.join(', ')}`, 403);
+  }
+  if (creator.sessionIds) {
+    const outside = (sessionIds || []).map(String).filter((sessionId) => !creator.sessionIds.includes(sessionId));
+    if (!sessionIds || outside.length > 0) {
+      throw apiKeyError(`This key is limited to sessions ${creator.sessionIds.join(', ')}, and so are the keys it creates`, 403);
+    }
+  }
+  const keyWorkspaceId = workspaceForNewKey(workspaceId, scopes, creator);
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const key = `${KEY_PREFIX}_${id}_${crypto.randomBytes(24).toString('base64url')}`;
+
+  const record = {
+    id,
+    name,
+    scopes: [...new Set(scopes)],
+    sessionIds: sessionIds ? sessionIds.map(String) : null,
+    workspaceId: keyWorkspaceId,
+    createdBy: creator.id,
+    hash: hashKey(key),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  keyStore.set(id, record);
+  console.log(`🔑 API key "${name}" created (${id})`);
+  return { key, apiKey: publicKey(record) };
+}
+
+// Resolves a raw key to its record, or null when it's unknown or revoked
+function verifyApiKey(key) {
+  if (!key || typeof key !== 'string') return null;
+
+  const adminKey = process.env.API_ADMIN_KEY;
+  if (adminKey && safeEqual(hashKey(key), hashKey(adminKey))) {
+    return { id: 'admin', name: 'API_ADMIN_KEY', scopes: ['*', 'admin'], sessionIds: null, workspaceId: null };
+  }
+
+  const [prefix, id] = key.split('_');
+  if (prefix !== KEY_PREFIX || !id) return null;
+
+  const record = keyStore.get(id);
+  if (!record || record.revokedAt || !safeEqual(hashKey(key), record.hash)) return null;
+
+  if (!record.lastUsedAt || Date.now() - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+    record.lastUsedAt = new Date().toISOString();
+    keyStore.set(id, record);
+  }
+
+  return publicKey(record);
+}
+
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes(scope) || (apiKey.scopes.includes('*') && !OPERATOR_SCOPES.includes(scope));
+}
+
+// Whether the key's sessionIds (if any) include this session ID
+function allowsSessionId(apiKey, sessionId) {
+  return !apiKey.sessionIds || apiKey.sessionIds.includes(sessionId);
+}
+
+// Whether the key may use an existing session (see the top of this file)
+function canAccessSession(apiKey, sessionId) {
+  if (!allowsSessionId(apiKey, sessionId)) return false;
+  if (hasScope(apiKey, 'admin')) return true;
+
+  const workspaceId = workspaces.sessionWorkspaceId(sessionId);
+  if (workspaceId) return workspaceId === apiKey.workspaceId;
+
+  const record = getSessionRecord(sessionId);
+  return !!record && record.apiKeyId === apiKey.id;
+}
+
+// Admin keys manage every key; others the keys of their workspace, or
+// outside one, themselves and the keys they created
+function managesKey(apiKey, record) {
+  if (hasScope(apiKey, 'admin')) return true;
+  if (apiKey.workspaceId) return record.workspaceId === apiKey.workspaceId;
+  return record.id === apiKey.id || record.createdBy === apiKey.id;
+}
+
+function listApiKeys(apiKey) {
+  return keyStore.list()
+    .filter((record) => managesKey(apiKey, record))
+    .map(publicKey)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+function revokeApiKey(id, apiKey) {
+  const record = keyStore.get(id);
+  if (!record || !managesKey(apiKey, record)) {
+    throw apiKeyError('API key not found', 404);
+  }
+
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    keyStore.set(id, record);
+    console.log(`🔒 API key "${record.name}" revoked (${id})`);
+  }
+  return publicKey(record);
+}
+
+module.exports = {
+  API_SCOPES,
+  createApiKey,
+  verifyApiKey,
+  hasScope,
+  allowsSessionId,
+  canAccessSession,
+  listApiKeys,
+  revokeApiKey
+};
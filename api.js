@@ -0,0 +1,380 @@
+// api.js - Versioned REST API (/api/v1) for headless integrations
+// Every request needs an API key, sent as "Authorization: Bearer <key>" or
+// "X-API-Key: <key>". Errors always have the same shape:
+//   { error: 'message', code: 'machine-readable-code', details? }
+const express = require('express');
+const { renderTemplate } = require('./templates');
+const { prepareMedia } = require('./media');
+const apiKeys = require('./api-keys');
+const accounts = require('./accounts');
+const workspaces = require('./workspaces');
+const { getSessionRecord, listSessionRecords } = require('./session-registry');
+const { sendExport } = require('./reports');
+const { addContext } = require('./logger');
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{3,64}$/;
+
+// Codes for errors from shared modules that only set a status
+const DEFAULT_CODES = { 401: 'unauthorized', 403: 'forbidden', 404: 'not-found', 409: 'conflict' };
+
+function apiError(status, code, message, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.details = details;
+  return error;
+}
+
+// Maps errors thrown by the shared send/campaign code onto HTTP statuses
+function statusForError(error) {
+  if (error.status) return error.status;
+  if (error.code === 'throttled') return 429;
+  if (error.code === 'suppressed') return 403;
+  if (['media-invalid', 'template-invalid', 'invalid-phone'].includes(error.code)) return 400;
+  return 500;
+}
+
+function createApiRouter({
+  activeSessions,
+  initializingSessions,
+  admission,
+  connectionMonitor,
+  startSession,
+  parseLoginOptions,
+  sendMessage,
+  logoutSession,
+  campaignEngine,
+  campaignActions,
+  messageTracker,
+  webhooks,
+  scheduler,
+  groups,
+  reports
+}) {
+  const router = express.Router();
+
+  function sessionState(sessionId) {
+    const session = activeSessions.get(sessionId);
+    const record = getSessionRecord(sessionId);
+    if (record?.state === 'needs-qr' && !session?.qr) return 'needs-qr';
+    if (!session) return record ? 'disconnected' : 'not-found';
+    if (session.client) {
+      const connection = connectionMonitor.getState(sessionId);
+      return !connection || connection.state === 'connected' ? 'ready' : connection.state;
+    }
+    if (session.qr) return 'qr';
+    if (session.pairingCode) return 'pairing-code';
+    if (admission.queuePosition(sessionId)) return 'queued';
+    return initializingSessions.has(sessionId) ? 'initializing' : 'disconnected';
+  }
+
+  function describeSession(sessionId) {
+    const session = activeSessions.get(sessionId);
+    return {
+      id: sessionId,
+      state: sessionState(sessionId),
+      headless: !!(session ? session.headless : getSessionRecord(sessionId)?.headless),
+      loginMethod: session?.loginMethod || null,
+      connection: session ? connectionMonitor.getState(sessionId) : null,
+      lastActivity: session ? new Date(session.lastActivity).toISOString() : null,
+      queue: admission.queuePosition(sessionId)
+    };
+  }
+
+  function requireScope(scope) {
+    return (req, res, next) => {
+      if (!apiKeys.hasScope(req.apiKey, scope)) {
+        return next(apiError(403, 'forbidden', `This API key is missing the "${scope}" scope`));
+      }
+      next();
+    };
+  }
+
+  // Session routes also check that the key may use this particular session
+  function requireSession({ connected = false } = {}) {
+    return (req, res, next) => {
+      const { sessionId } = req.params;
+
+      // Saved sessions that aren't running still exist (e.g. waiting for a new QR scan)
+      if (!apiKeys.canAccessSession(req.apiKey, sessionId) || (!activeSessions.has(sessionId) && !getSessionRecord(sessionId))) {
+        return next(apiError(404, 'session-not-found', 'Session not found'));
+      }
+      if (connected && !activeSessions.get(sessionId)?.client) {
+        return next(apiError(409, 'session-not-ready', 'WhatsApp is not connected for this session', { state: sessionState(sessionId) }));
+      }
+      addContext({ sessionId });
+      next();
+    };
+  }
+
+  router.use((req, res, next) => {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.headers['x-api-key'];
+
+    req.apiKey = apiKeys.verifyApiKey(key);
+    if (!req.apiKey) {
+      return next(apiError(401, 'unauthorized', 'A valid API key is required'));
+    }
+    next();
+  });
+
+  // Sessions
+  router.get('/sessions', requireScope('sessions:read'), (req, res) => {
+    const sessionIds = new Set([...activeSessions.keys(), ...listSessionRecords().map((record) => record.id)]);
+    const sessions = Array.from(sessionIds)
+      .filter((sessionId) => apiKeys.canAccessSession(req.apiKey, sessionId))
+      .map(describeSession);
+    res.json({ sessions });
+  });
+
+  // Starts a WhatsApp client without a browser tab. Scanning can take minutes,
+  // so this returns straight away - poll /status and /qr until it's ready.
+  // With phoneNumber (loginMethod "pairing-code") poll /pairing-code instead.
+  router.post('/sessions', requireScope('sessions:write'), (req, res) => {
+    const sessionId = (req.body || {}).sessionId;
+    const login = parseLoginOptions(req.body || {});
+
+    if (!sessionId || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw apiError(400, 'invalid-session-id', 'sessionId must be 3-64 letters, digits, "-" or "_"');
+    }
+    if (!apiKeys.allowsSessionId(req.apiKey, sessionId)) {
+      throw apiError(403, 'forbidden', 'This API key cannot use that session ID');
+    }
+    if (activeSessions.has(sessionId) || initializingSessions.has(sessionId)) {
+      throw apiError(409, 'session-exists', 'Session already exists', describeSession(sessionId));
+    }
+    // A stopped session keeps its WhatsApp login; only the key that created it
+    // may start it again, and never one that belongs to an account
+    const record = getSessionRecord(sessionId);
+    if ((record || accounts.getSessionOwner(sessionId)) && (!record || record.apiKeyId !== req.apiKey.id)) {
+      throw apiError(409, 'session-exists', 'That session ID is taken');
+    }
+
+    startSession(sessionId, null, { headless: true, apiKeyId: req.apiKey.id, ...login }).catch((error) => {
+      console.error(`❌ API session ${sessionId} failed to start:`, error.message);
+    });
+
+    res.status(202).json({ session: describeSession(sessionId) });
+  });
+
+  router.get('/sessions/:sessionId', requireScope('sessions:read'), requireSession(), (req, res) => {
+    res.json({ session: describeSession(req.params.sessionId) });
+  });
+
+  router.get('/sessions/:sessionId/status', requireScope('sessions:read'), requireSession(), (req, res) => {
+    res.json(describeSession(req.params.sessionId));
+  });
+
+  router.get('/sessions/:sessionId/qr', requireScope('sessions:read'), requireSession(), (req, res) => {
+    const session = activeSessions.get(req.params.sessionId);
+
+    if (!session?.qr) {
+      throw apiError(409, 'qr-unavailable', 'No QR code to scan right now', { state: sessionState(req.params.sessionId) });
+    }
+    res.json({ qr: session.qr });
+  });
+
+  // Entered on the phone under Linked devices > Link with phone number instead
+  router.get('/sessions/:sessionId/pairing-code', requireScope('sessions:read'), requireSession(), (req, res) => {
+    const session = activeSessions.get(req.params.sessionId);
+
+    if (!session?.pairingCode) {
+      throw apiError(409, 'pairing-code-unavailable', 'No pairing code to enter right now', { state: sessionState(req.params.sessionId) });
+    }
+    res.json({ pairingCode: session.pairingCode });
+  });
+
+  router.delete('/sessions/:sessionId', requireScope('sessions:write'), requireSession(), async (req, res) => {
+    await logoutSession(req.params.sessionId);
+    res.json({ success: true });
+  });
+
+  // Messages
+  router.post('/sessions/:sessionId/messages', requireScope('messages:send'), requireSession({ connected: true }), async (req, res) => {
+    const { phone, message: template = '', variables, timezone, media: mediaPayload } = req.body || {};
+
+    if (!phone) {
+      throw apiError(400, 'invalid-request', 'Phone number is required');
+    }
+
+    const text = renderTemplate(template, { ...variables, phone });
+    const media = mediaPayload
+      ? prepareMedia(mediaPayload, { canUseFile: (file) => workspaces.canUseMedia(req.params.sessionId, file) })
+      : null;
+    const result = await sendMessage(req.params.sessionId, phone, text, { timezone, media });
+
+    res.status(201).json({ success: true, to: phone, messageId: result.messageId });
+  });
+
+  router.get('/sessions/:sessionId/messages', requireScope('messages:read'), requireSession(), (req, res) => {
+    res.json({ messages: messageTracker.listMessages(req.params.sessionId, { campaignId: req.query.campaignId }) });
+  });
+
+  router.get('/sessions/:sessionId/messages/:messageId', requireScope('messages:read'), requireSession(), (req, res) => {
+    const record = messageTracker.getMessage(req.params.sessionId, req.params.messageId);
+
+    if (!record) {
+      throw apiError(404, 'message-not-found', 'Message not found');
+    }
+    res.json({ message: record });
+  });
+
+  // Scheduled messages
+  router.get('/sessions/:sessionId/scheduled-messages', requireScope('messages:read'), requireSession(), (req, res) => {
+    res.json({ jobs: scheduler.listJobs(req.params.sessionId, { status: req.query.status }) });
+  });
+
+  router.post('/sessions/:sessionId/scheduled-messages', requireScope('messages:send'), requireSession(), (req, res) => {
+    res.status(201).json({ job: scheduler.createJob(req.params.sessionId, req.body || {}) });
+  });
+
+  router.get('/sessions/:sessionId/scheduled-messages/:jobId', requireScope('messages:read'), requireSession(), (req, res) => {
+    res.json({ job: scheduler.getJob(req.params.sessionId, req.params.jobId) });
+  });
+
+  router.post('/sessions/:sessionId/scheduled-messages/:jobId', requireScope('messages:send'), requireSession(), (req, res) => {
+    res.json({ job: scheduler.updateJob(req.params.sessionId, req.params.jobId, req.body || {}) });
+  });
+
+  router.delete('/sessions/:sessionId/scheduled-messages/:jobId', requireScope('messages:send'), requireSession(), (req, res) => {
+    res.json({ job: scheduler.cancelJob(req.params.sessionId, req.params.jobId) });
+  });
+
+  // Groups
+  router.get('/sessions/:sessionId/groups', requireScope('groups:read'), requireSession({ connected: true }), async (req, res) => {
+    res.json({ groups: await groups.listGroups(req.params.sessionId) });
+  });
+
+  router.post('/sessions/:sessionId/groups', requireScope('groups:manage'), requireSession({ connected: true }), async (req, res) => {
+    res.status(201).json(await groups.createGroup(req.params.sessionId, req.body || {}));
+  });
+
+  router.get('/sessions/:sessionId/groups/:groupId/participants', requireScope('groups:read'), requireSession({ connected: true }), async (req, res) => {
+    res.json({ participants: await groups.getParticipants(req.params.sessionId, req.params.groupId) });
+  });
+
+  router.post('/sessions/:sessionId/groups/:groupId/participants', requireScope('groups:manage'), requireSession({ connected: true }), async (req, res) => {
+    res.json(await groups.addParticipants(req.params.sessionId, req.params.groupId, req.body || {}));
+  });
+
+  router.post('/sessions/:sessionId/groups/:groupId/participants/remove', requireScope('groups:manage'), requireSession({ connected: true }), async (req, res) => {
+    res.json(await groups.removeParticipants(req.params.sessionId, req.params.groupId, req.body || {}));
+  });
+
+  router.post('/sessions/:sessionId/groups/:groupId/export', requireScope('groups:read'), requireSession({ connected: true }), async (req, res) => {
+    res.status(201).json(await groups.exportMembers(req.params.sessionId, req.params.groupId, req.body || {}));
+  });
+
+  // Campaigns
+  router.post('/sessions/:sessionId/campaigns', requireScope('campaigns:write'), requireSession(), (req, res) => {
+    // Senders must be sessions this key can use, of the same workspace (or none)
+    const workspaceId = workspaces.sessionWorkspaceId(req.params.sessionId);
+    const result = campaignEngine.createCampaign(req.params.sessionId, req.body || {}, {
+      canUseSender: (senderId) => apiKeys.canAccessSession(req.apiKey, senderId)
+        && (activeSessions.has(senderId) || !!getSessionRecord(senderId))
+        && workspaces.sessionWorkspaceId(senderId) === workspaceId
+    });
+
+    if (result.dryRun) {
+      return res.json({ preview: result });
+    }
+    res.status(201).json({ campaign: result });
+  });
+
+  router.get('/sessions/:sessionId/campaigns', requireScope('campaigns:read'), requireSession(), (req, res) => {
+    res.json({ campaigns: campaignEngine.listCampaigns(req.params.sessionId) });
+  });
+
+  router.get('/sessions/:sessionId/campaigns/:campaignId', requireScope('campaigns:read'), requireSession(), (req, res) => {
+    res.json({ campaign: campaignEngine.getCampaign(req.params.sessionId, req.params.campaignId) });
+  });
+
+  router.post('/sessions/:sessionId/campaigns/:campaignId/:action', requireScope('campaigns:write'), requireSession(), (req, res) => {
+    const action = campaignActions[req.params.action];
+
+    if (!action) {
+      throw apiError(404, 'unknown-action', `Unknown campaign action: ${req.params.action}`);
+    }
+    res.json({ campaign: action(req.params.sessionId, req.params.campaignId) });
+  });
+
+  // Reports
+  router.get('/sessions/:sessionId/reports', requireScope('reports:read'), requireSession(), (req, res) => {
+    res.json({ report: reports.rangeReport(req.params.sessionId, req.query) });
+  });
+
+  router.get('/sessions/:sessionId/reports/export', requireScope('reports:read'), requireSession(), (req, res) => {
+    sendExport(res, reports.exportRange(req.params.sessionId, req.query));
+  });
+
+  router.get('/sessions/:sessionId/reports/campaigns/:campaignId', requireScope('reports:read'), requireSession(), (req, res) => {
+    res.json({ report: reports.campaignReport(req.params.sessionId, req.params.campaignId, req.query) });
+  });
+
+  router.get('/sessions/:sessionId/reports/campaigns/:campaignId/export', requireScope('reports:read'), requireSession(), (req, res) => {
+    sendExport(res, reports.exportCampaign(req.params.sessionId, req.params.campaignId, req.query));
+  });
+
+  // Webhooks
+  router.get('/sessions/:sessionId/webhooks', requireScope('webhooks:manage'), requireSession(), (req, res) => {
+    res.json({ webhooks: webhooks.listWebhooks(req.params.sessionId) });
+  });
+
+  router.post('/sessions/:sessionId/webhooks', requireScope('webhooks:manage'), requireSession(), async (req, res) => {
+    res.status(201).json({ webhook: await webhooks.registerWebhook(req.params.sessionId, req.body || {}) });
+  });
+
+  router.delete('/sessions/:sessionId/webhooks/:webhookId', requireScope('webhooks:manage'), requireSession(), (req, res) => {
+    webhooks.deleteWebhook(req.params.sessionId, req.params.webhookId);
+    res.json({ success: true });
+  });
+
+  router.get('/sessions/:sessionId/webhook-deliveries', requireScope('webhooks:manage'), requireSession(), (req, res) => {
+    res.json({ deliveries: webhooks.listDeliveries(req.params.sessionId, req.query) });
+  });
+
+  router.get('/sessions/:sessionId/webhook-deliveries/:deliveryId', requireScope('webhooks:manage'), requireSession(), (req, res) => {
+    res.json({ delivery: webhooks.getDelivery(req.params.sessionId, req.params.deliveryId) });
+  });
+
+  router.post('/sessions/:sessionId/webhook-deliveries/:deliveryId/replay', requireScope('webhooks:manage'), requireSession(), (req, res) => {
+    res.status(201).json({ delivery: webhooks.replayDelivery(req.params.sessionId, req.params.deliveryId) });
+  });
+
+  // API key management
+  router.get('/keys', requireScope('keys:manage'), (req, res) => {
+    res.json({ keys: apiKeys.listApiKeys(req.apiKey), scopes: apiKeys.API_SCOPES });
+  });
+
+  router.post('/keys', requireScope('keys:manage'), (req, res) => {
+    const { key, apiKey } = apiKeys.createApiKey(req.body || {}, req.apiKey);
+    res.status(201).json({ key, apiKey });
+  });
+
+  router.delete('/keys/:keyId', requireScope('keys:manage'), (req, res) => {
+    res.json({ apiKey: apiKeys.revokeApiKey(req.params.keyId, req.apiKey) });
+  });
+
+  router.use((req, res, next) => {
+    next(apiError(404, 'not-found', `No such endpoint: ${req.method} ${req.originalUrl}`));
+  });
+
+  router.use((error, req, res, next) => {
+    const status = statusForError(error);
+
+    if (status >= 500) {
+      console.error('❌ API error:', error);
+    }
+
+    res.status(status).json({
+      error: error.message,
+      code: error.code || DEFAULT_CODES[status] || (status >= 500 ? 'internal-error' : 'invalid-request'),
+      details: error.details,
+      retryAt: error.retryAt ? new Date(error.retryAt).toISOString() : undefined
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
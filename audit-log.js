@@ -0,0 +1,42 @@
+// audit-log.js - Record of what operators did, written by the admin API
+// Entries live in storage (shared by every process of a cluster) and are never
+// changed once written. Failed actions are recorded too, with their error.
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const auditStore = storage.collection('audit-log');
+
+// actor is { type, id, name }; sessionId and details are optional
+function recordAudit({ actor, action, sessionId = null, details = null, outcome = 'ok', error = null, requestId = null }) {
+  const entry = {
+    id: uuidv4(),
+    at: new Date().toISOString(),
+    actor,
+    action,
+    sessionId,
+    details,
+    outcome,
+    error,
+    requestId
+  };
+
+  auditStore.set(entry.id, entry);
+  console.log(`📝 Audit: ${actor.name} ${action}${sessionId ? ` on ${sessionId}` : ''} (${outcome})`);
+  return entry;
+}
+
+// Newest first
+function listAudit({ sessionId, actorId, action, limit = DEFAULT_LIMIT } = {}) {
+  const max = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  return auditStore.list(sessionId ? { sessionId } : undefined)
+    .filter((entry) => !actorId || entry.actor.id === actorId)
+    .filter((entry) => !action || entry.action === action)
+    .sort((a, b) => b.at.localeCompare(a.at))
+    .slice(0, max);
+}
+
+module.exports = { recordAudit, listAudit };
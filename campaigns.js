@@ -0,0 +1,673 @@
+// campaigns.js - Server-side bulk campaign engine
+// Campaigns are persisted so a closed tab or a restart doesn't lose the
+// queue. Each recipient is its own document, so recording a send writes one
+// small row rather than the whole list. Each campaign is worked through by
+// its own loop; the gap between messages comes from the pacer inside sendMessage.
+//
+// A campaign belongs to the number that created it, where it is listed and
+// reported. It can send from several numbers (senders) of the same workspace
+// and use the workspace's contact lists. Recipients are spread over the
+// senders round-robin or by weight, each number keeps
+// its own pacing limits, and numbers that are disconnected, at their cap or
+// failing are skipped so the rest of the list goes out through the others.
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { compileTemplate, renderForRecipients } = require('./templates');
+const { prepareMedia } = require('./media');
+const { normalizePhone, chatTypeOf, isNonUserChatId } = require('./phone');
+const { getContactList } = require('./contacts');
+
+const SESSION_WAIT_MS = 5000;
+const MAX_RECIPIENTS = 10000;
+const DISTRIBUTIONS = ['round-robin', 'weighted'];
+const MAX_SENDERS = 20;
+const MAX_SENDER_WEIGHT = 100;
+// A sender that fails this many sends in a row sits out for a while
+const SENDER_MAX_FAILURES = 3;
+const SENDER_COOLDOWN_MS = 10 * 60 * 1000;
+
+function campaignError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function templateFields(recipient) {
+  return { ...recipient.variables, phone: recipient.phone };
+}
+
+// Renders every recipient up front so missing variables are reported before anything is sent
+function previewMessages(template, recipients) {
+  try {
+    return renderForRecipients(template, recipients.map(templateFields));
+  } catch (error) {
+    throw campaignError(error.message);
+  }
+}
+
+// Normalizes every number to E.164 digits and drops duplicates; all invalid
+// numbers are reported together instead of failing on the first one
+function normalizeRecipients(recipients, defaultCountryCode) {
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    throw campaignError('Recipients must be a non-empty array');
+  }
+  if (recipients.length > MAX_RECIPIENTS) {
+    throw campaignError(`A campaign can have at most ${MAX_RECIPIENTS} recipients`);
+  }
+
+  const seen = new Set();
+  const invalid = [];
+  const normalized = [];
+
+  recipients.forEach((entry, index) => {
+    const { phone, ...variables } = typeof entry === 'string' ? { phone: entry } : (entry || {});
+
+    // Groups, broadcast lists and channels are addressed by their chat ID as-is
+    const { digits, error } = isNonUserChatId(phone)
+      ? (chatTypeOf(String(phone).trim()) ? { digits: String(phone).trim() } : { error: 'Invalid chat ID' })
+      : normalizePhone(phone, defaultCountryCode);
+
+    if (error) {
+      invalid.push({ index, phone: phone === undefined ? null : phone, reason: error });
+      return;
+    }
+    if (seen.has(digits)) return;
+    seen.add(digits);
+
+    normalized.push({
+      phone: digits,
+      variables,
+      status: 'pending',
+      error: null,
+      deferredUntil: null,
+      sentAt: null
+    });
+  });
+
+  if (invalid.length > 0) {
+    throw campaignError(`${invalid.length} recipient(s) have invalid phone numbers`, 400, { invalid });
+  }
+
+  return normalized;
+}
+
+// [{ sessionId, weight }] from session IDs or { sessionId, weight } entries.
+// canUseSender decides which sessions this campaign may send from.
+function normalizeSenders(senders, distribution, canUseSender) {
+  if (!DISTRIBUTIONS.includes(distribution)) {
+    throw campaignError(`distribution must be one of: ${DISTRIBUTIONS.join(', ')}`);
+  }
+  if (!Array.isArray(senders) || senders.length === 0) {
+    throw campaignError('senders must be a non-empty array of session IDs');
+  }
+  if (senders.length > MAX_SENDERS) {
+    throw campaignError(`A campaign can send from at most ${MAX_SENDERS} numbers`);
+  }
+
+  const normalized = new Map();
+  senders.forEach((entry) => {
+    const { sessionId, weight = 1 } = typeof entry === 'string' ? { sessionId: entry } : (entry || {});
+    if (!sessionId || typeof sessionId !== 'string' || !canUseSender(sessionId)) {
+      throw campaignError(`Unknown sender: ${sessionId}`, 400, { sender: sessionId || null });
+    }
+    if (distribution === 'weighted' && !(Number.isInteger(weight) && weight >= 1 && weight <= MAX_SENDER_WEIGHT)) {
+      throw campaignError(`Sender weights must be whole numbers from 1 to ${MAX_SENDER_WEIGHT}`, 400, { sender: sessionId });
+    }
+    normalized.set(sessionId, { sessionId, weight: distribution === 'weighted' ? weight : 1 });
+  });
+
+  return Array.from(normalized.values());
+}
+
+// Smooth weighted round-robin (as in nginx): each sender gets its share of
+// the weight, interleaved rather than in blocks. With equal weights it's
+// plain round-robin. Only the senders passed in (the available ones) compete.
+function createRotation() {
+  const current = new Map();
+
+  return function next(candidates) {
+    const total = candidates.reduce((sum, sender) => sum + sender.weight, 0);
+    let best = null;
+    candidates.forEach((sender) => {
+      current.set(sender.sessionId, (current.get(sender.sessionId) || 0) + sender.weight);
+      if (!best || current.get(sender.sessionId) > current.get(best.sessionId)) best = sender;
+    });
+    current.set(best.sessionId, current.get(best.sessionId) - total);
+    return best;
+  };
+}
+
+// Campaigns from before multi-number sending use their own session
+function sendersOf(campaign) {
+  return campaign.senders || [{ sessionId: campaign.sessionId, weight: 1 }];
+}
+
+// senderState(sessionId) says whether a sender can send right now:
+// "ready", "not-connected" or "other-worker"
+function summarizeSenders(campaign, senderState) {
+  if (!campaign.senders) return null;
+
+  return campaign.senders.map(({ sessionId, weight }) => {
+    const sent = campaign.recipients.filter((r) => r.sentBy === sessionId && r.status === 'sent').length;
+    const failed = campaign.recipients.filter((r) => r.sentBy === sessionId && r.status === 'failed').length;
+    return { sessionId, weight, state: senderState(sessionId), sent, failed };
+  });
+}
+
+function summarize(campaign, senderState) {
+  const counts = { total: campaign.recipients.length, pending: 0, sent: 0, failed: 0, skipped: 0, suppressed: 0, cancelled: 0 };
+  let delivered = 0;
+  let read = 0;
+  let replied = 0;
+  campaign.recipients.forEach((recipient) => {
+    counts[recipient.status] += 1;
+    if (recipient.deliveredAt) delivered += 1;
+    if (recipient.readAt) read += 1;
+    if (recipient.repliedAt) replied += 1;
+  });
+
+  return {
+    id: campaign.id,
+    sessionId: campaign.sessionId,
+    name: campaign.name,
+    mediaType: campaign.media ? campaign.media.type : null,
+    distribution: campaign.distribution || null,
+    senders: summarizeSenders(campaign, senderState),
+    status: campaign.status,
+    createdAt: campaign.createdAt,
+    updatedAt: campaign.updatedAt,
+    completedAt: campaign.completedAt,
+    ...counts,
+    delivered,
+    read,
+    replied,
+    deliveryRate: counts.sent ? delivered / counts.sent : 0,
+    readRate: counts.sent ? read / counts.sent : 0,
+    replyRate: counts.sent ? replied / counts.sent : 0
+  };
+}
+
+// canUseSender(sessionId, senderSessionId) says whether a campaign of
+// sessionId may send from senderSessionId (e.g. both belong to one account)
+// reserveStorage(sessionId, bytes, file) is asked before base64 media is saved
+// to MEDIA_PATH, and may refuse it; canUseMedia(sessionId, file) says whether
+// a campaign may reference a file already there. runsElsewhere(sessionId) is true for a
+// number whose browser another cluster worker runs: it can't send from here.
+function createCampaignEngine({
+  sendMessage,
+  sendToSession,
+  isSessionReady,
+  checkNumber,
+  canUseSender = (sessionId, senderId) => sessionId === senderId,
+  reserveStorage = null,
+  canUseMedia = null,
+  runsElsewhere = () => false
+}) {
+  const store = storage.collection('campaigns');
+  // "<campaignId>:<phone>" -> { campaignId, position, ...recipient }
+  const recipientStore = storage.collection('campaign-recipients');
+  const campaigns = new Map();
+  const runningLoops = new Set();
+
+  function saveRecipient(campaign, recipient, position = campaign.recipients.indexOf(recipient)) {
+    recipientStore.set(`${campaign.id}:${recipient.phone}`, { campaignId: campaign.id, position, ...recipient });
+  }
+
+  // A stored campaign with its recipients (stored: the campaign's recipient
+  // rows, if already read). Campaigns saved with the recipients inside
+  // are split up on the way.
+  function hydrate(campaign, stored = recipientStore.list({ campaignId: campaign.id })) {
+    if (campaign.recipients) {
+      campaign.recipients.forEach((recipient, position) => saveRecipient(campaign, recipient, position));
+      save(campaign);
+      return campaign;
+    }
+
+    campaign.recipients = stored
+      .sort((a, b) => a.position - b.position)
+      .map(({ campaignId: _campaignId, position: _position, ...recipient }) => recipient);
+    return campaign;
+  }
+
+  // Every campaign, with all recipient rows read in one go
+  function loadAll() {
+    const rowsByCampaign = new Map();
+    recipientStore.list().forEach((row) => {
+      if (!rowsByCampaign.has(row.campaignId)) rowsByCampaign.set(row.campaignId, []);
+      rowsByCampaign.get(row.campaignId).push(row);
+    });
+    store.list().forEach((campaign) => campaigns.set(campaign.id, hydrate(campaign, rowsByCampaign.get(campaign.id) || [])));
+  }
+
+  loadAll();
+
+  function senderState(sessionId) {
+    if (runsElsewhere(sessionId)) return 'other-worker';
+    return isSessionReady(sessionId) ? 'ready' : 'not-connected';
+  }
+
+  function describe(campaign) {
+    return summarize(campaign, senderState);
+  }
+
+  // The campaign without its recipients - those are saved one by one
+  function save(campaign) {
+    campaign.updatedAt = new Date().toISOString();
+    const { recipients: _recipients, ...stored } = campaign;
+    store.set(campaign.id, stored);
+  }
+
+  function emitStatus(campaign) {
+    sendToSession(campaign.sessionId, {
+      type: 'campaign-status',
+      campaign: describe(campaign),
+      sessionId: campaign.sessionId
+    });
+  }
+
+  function getOwnedCampaign(sessionId, campaignId) {
+    const campaign = campaigns.get(campaignId);
+    if (!campaign || campaign.sessionId !== sessionId) {
+      throw campaignError('Campaign not found', 404);
+    }
+    return campaign;
+  }
+
+  function recordResult(campaign, recipient) {
+    saveRecipient(campaign, recipient);
+    save(campaign);
+
+    const { sent, failed, skipped, total } = describe(campaign);
+    sendToSession(campaign.sessionId, {
+      type: 'campaign-progress',
+      campaignId: campaign.id,
+      to: recipient.phone,
+      status: recipient.status,
+      error: recipient.error,
+      sentBy: recipient.sentBy || null,
+      sent,
+      failed,
+      skipped,
+      total,
+      sessionId: campaign.sessionId
+    });
+  }
+
+  // Sleep in short steps so pause/cancel take effect while we wait
+  async function waitWhileRunning(campaignId, until) {
+    while (Date.now() < until) {
+      const campaign = campaigns.get(campaignId);
+      if (!campaign || campaign.status !== 'running') return;
+      await sleep(Math.min(until - Date.now(), SESSION_WAIT_MS));
+    }
+  }
+
+  async function runCampaign(campaignId) {
+    console.log(`📣 Campaign ${campaignId} started`);
+
+    // Per-sender state for this run: { throttledUntil, failures, failingUntil }
+    const senderHealth = new Map();
+    const nextSender = createRotation();
+
+    function healthOf(sessionId) {
+      if (!senderHealth.has(sessionId)) {
+        senderHealth.set(sessionId, { throttledUntil: 0, failures: 0, failingUntil: 0 });
+      }
+      return senderHealth.get(sessionId);
+    }
+
+    while (true) {
+      const campaign = campaigns.get(campaignId);
+      if (!campaign || campaign.status !== 'running') return;
+
+      const pending = campaign.recipients.filter((r) => r.status === 'pending');
+      if (pending.length === 0) {
+        campaign.status = 'completed';
+        campaign.completedAt = new Date().toISOString();
+        save(campaign);
+        emitStatus(campaign);
+        console.log(`🏁 Campaign ${campaignId} completed`);
+        return;
+      }
+
+      // Recipients in quiet hours are deferred; skip ahead to someone we can message now
+      const now = Date.now();
+      const recipient = pending.find((r) => !r.deferredUntil || Date.parse(r.deferredUntil) <= now);
+      if (!recipient) {
+        await waitWhileRunning(campaignId, Math.min(...pending.map((r) => Date.parse(r.deferredUntil))));
+        continue;
+      }
+
+      // Hold the queue (instead of failing everyone) while no number can send:
+      // all disconnected, at their hourly/daily cap or sitting out failures
+      const senders = sendersOf(campaign);
+      const available = senders.filter(({ sessionId }) => {
+        const health = healthOf(sessionId);
+        return isSessionReady(sessionId) && health.throttledUntil <= now && health.failingUntil <= now;
+      });
+      if (available.length === 0) {
+        const resumeAt = Math.min(...senders.map(({ sessionId }) => {
+          const health = healthOf(sessionId);
+          return Math.max(health.throttledUntil, health.failingUntil);
+        }));
+        await waitWhileRunning(campaignId, Math.max(resumeAt, now + SESSION_WAIT_MS));
+        continue;
+      }
+      // A recipient whose send failed on one number is retried on another
+      const others = available.filter(({ sessionId }) => sessionId !== recipient.retriedFrom);
+      const sender = nextSender(others.length > 0 ? others : available).sessionId;
+      const health = healthOf(sender);
+
+      // Numbers confirmed as not on WhatsApp are skipped; "unknown" still gets a send attempt
+      if (campaign.skipUnregistered && !isNonUserChatId(recipient.phone)) {
+        const check = await checkNumber(sender, recipient.phone);
+        if (check.status === 'unreachable') {
+          recipient.status = 'skipped';
+          recipient.error = check.reason || 'Number is not on WhatsApp';
+          recordResult(campaign, recipient);
+          continue;
+        }
+      }
+
+      try {
+        const text = compileTemplate(campaign.message).render(templateFields(recipient)).text;
+        const result = await sendMessage(sender, recipient.phone, text, {
+          timezone: recipient.variables.timezone,
+          media: campaign.media,
+          campaignId: campaign.id
+        });
+        recipient.status = 'sent';
+        recipient.messageId = result.messageId;
+        recipient.sentAt = new Date().toISOString();
+        recipient.deferredUntil = null;
+        health.failures = 0;
+      } catch (error) {
+        if (error.code === 'throttled') {
+          // Quiet hours only affect this recipient; hourly/daily caps hold the number
+          if (error.reason === 'quiet-hours') {
+            recipient.deferredUntil = new Date(error.retryAt).toISOString();
+            saveRecipient(campaign, recipient);
+          } else {
+            health.throttledUntil = error.retryAt;
+          }
+          continue;
+        }
+
+        // With other numbers to fall back on, one that keeps failing sits out
+        if (error.code !== 'suppressed' && senders.length > 1) {
+          health.failures += 1;
+          if (health.failures >= SENDER_MAX_FAILURES) {
+            health.failures = 0;
+            health.failingUntil = Date.now() + SENDER_COOLDOWN_MS;
+            console.log(`🔀 Campaign ${campaignId}: ${sender} keeps failing, moving its recipients to the other numbers`);
+            sendToSession(campaign.sessionId, {
+              type: 'campaign-sender-failing',
+              campaignId: campaign.id,
+              sender,
+              retryAt: new Date(health.failingUntil).toISOString(),
+              sessionId: campaign.sessionId
+            });
+          }
+
+          if (!recipient.retriedFrom) {
+            recipient.retriedFrom = sender;
+            saveRecipient(campaign, recipient);
+            continue;
+          }
+        }
+
+        // Opted-out numbers are counted separately from real failures
+        recipient.status = error.code === 'suppressed' ? 'suppressed' : 'failed';
+        recipient.error = error.message;
+        recipient.failedAt = new Date().toISOString();
+      }
+
+      recipient.sentBy = sender;
+
+      // If the campaign was cancelled mid-send we still record this result;
+      // the status check at the top of the loop stops it afterwards
+      recordResult(campaign, recipient);
+    }
+  }
+
+  function startLoop(campaignId) {
+    if (runningLoops.has(campaignId)) return;
+
+    runningLoops.add(campaignId);
+    runCampaign(campaignId)
+      .catch((error) => {
+        console.error(`❌ Campaign ${campaignId} crashed:`, error);
+      })
+      .finally(() => {
+        runningLoops.delete(campaignId);
+      });
+  }
+
+  // With dryRun the rendered messages are returned and nothing is queued.
+  // When media is attached the rendered message becomes its caption.
+  // Recipients come either inline or from a saved contact list (listName).
+  // skipUnregistered checks each number against WhatsApp right before sending it.
+  // senders spreads the sends over several numbers (default: this session only),
+  // by distribution 'round-robin' or 'weighted' ({ sessionId, weight } entries).
+  // options.canUseSender replaces the engine's check of which senders are allowed.
+  function createCampaign(sessionId, {
+    name,
+    message = '',
+    recipients,
+    listName,
+    defaultCountryCode,
+    media,
+    skipUnregistered = false,
+    senders,
+    distribution = 'round-robin',
+    dryRun
+  } = {}, options = {}) {
+    if (typeof message !== 'string' || (!message && !media)) {
+      throw campaignError('Campaign message template is required');
+    }
+
+    const senderCheck = options.canUseSender || ((senderId) => canUseSender(sessionId, senderId));
+    const normalizedSenders = senders === undefined || senders === null
+      ? null
+      : normalizeSenders(senders, distribution, senderCheck);
+    // Sends only go out from this process, so a sender on another worker
+    // would never get its share
+    const remote = (normalizedSenders || []).filter((sender) => runsElsewhere(sender.sessionId));
+    if (remote.length > 0) {
+      throw campaignError(
+        `Senders on another server can't send for this campaign: ${remote.map((sender) => sender.sessionId).join(', ')}`,
+        409,
+        { senders: remote.map((sender) => sender.sessionId) }
+      );
+    }
+
+    let preparedMedia = null;
+    if (media) {
+      try {
+        preparedMedia = prepareMedia(media, {
+          persist: !dryRun,
+          reserveStorage: reserveStorage && ((bytes, file) => reserveStorage(sessionId, bytes, file)),
+          canUseFile: canUseMedia && ((file) => canUseMedia(sessionId, file))
+        });
+      } catch (error) {
+        if (error.code === 'quota-exceeded') throw error;
+        throw campaignError(error.message);
+      }
+    }
+
+    const source = listName ? getContactList(sessionId, listName).contacts : recipients;
+    const normalized = normalizeRecipients(source, defaultCountryCode);
+    const preview = previewMessages(message, normalized);
+
+    if (dryRun) {
+      return { dryRun: true, ...preview };
+    }
+
+    if (preview.errors.length > 0) {
+      throw campaignError(
+        `${preview.errors.length} recipient(s) are missing template variables`,
+        400,
+        { errors: preview.errors }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const campaign = {
+      id: uuidv4(),
+      sessionId,
+      name: name || (listName ? `${listName} ${now}` : `Campaign ${now}`),
+      listName: listName || null,
+      skipUnregistered: !!skipUnregistered,
+      senders: normalizedSenders,
+      distribution: normalizedSenders ? distribution : null,
+      message,
+      media: preparedMedia,
+      recipients: normalized,
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    campaigns.set(campaign.id, campaign);
+    campaign.recipients.forEach((recipient, position) => saveRecipient(campaign, recipient, position));
+    save(campaign);
+    emitStatus(campaign);
+    startLoop(campaign.id);
+
+    return describe(campaign);
+  }
+
+  function pauseCampaign(sessionId, campaignId) {
+    const campaign = getOwnedCampaign(sessionId, campaignId);
+    if (campaign.status !== 'running') {
+      throw campaignError(`Cannot pause a ${campaign.status} campaign`);
+    }
+
+    campaign.status = 'paused';
+    save(campaign);
+    emitStatus(campaign);
+    return describe(campaign);
+  }
+
+  function resumeCampaign(sessionId, campaignId) {
+    const campaign = getOwnedCampaign(sessionId, campaignId);
+    if (campaign.status !== 'paused') {
+      throw campaignError(`Cannot resume a ${campaign.status} campaign`);
+    }
+
+    campaign.status = 'running';
+    save(campaign);
+    emitStatus(campaign);
+    startLoop(campaign.id);
+    return describe(campaign);
+  }
+
+  function cancelCampaign(sessionId, campaignId) {
+    const campaign = getOwnedCampaign(sessionId, campaignId);
+    if (campaign.status === 'cancelled' || campaign.status === 'completed') {
+      throw campaignError(`Campaign is already ${campaign.status}`);
+    }
+
+    campaign.status = 'cancelled';
+    campaign.completedAt = new Date().toISOString();
+    campaign.recipients.forEach((recipient, position) => {
+      if (recipient.status !== 'pending') return;
+      recipient.status = 'cancelled';
+      saveRecipient(campaign, recipient, position);
+    });
+    save(campaign);
+    emitStatus(campaign);
+    return describe(campaign);
+  }
+
+  function getCampaign(sessionId, campaignId) {
+    const campaign = getOwnedCampaign(sessionId, campaignId);
+    return { ...describe(campaign), message: campaign.message, recipients: campaign.recipients };
+  }
+
+  function listCampaigns(sessionId) {
+    return Array.from(campaigns.values())
+      .filter((campaign) => campaign.sessionId === sessionId)
+      .map(describe);
+  }
+
+  // Called by the message tracker when a campaign message is delivered, read or replied to
+  function handleMessageStatus(record) {
+    const campaign = campaigns.get(record.campaignId);
+    if (!campaign) return;
+
+    const recipient = campaign.recipients.find((r) => r.messageId === record.id);
+    if (!recipient) return;
+
+    recipient.deliveredAt = record.deliveredAt;
+    recipient.readAt = record.readAt;
+    recipient.repliedAt = record.repliedAt || null;
+    if (record.status === 'failed') {
+      recipient.status = 'failed';
+      recipient.error = 'WhatsApp reported the message as failed';
+    }
+    saveRecipient(campaign, recipient);
+  }
+
+  // Media files of campaigns that may still send, read from storage so
+  // campaigns of other cluster workers count too
+  function referencedMedia() {
+    return store.list()
+      .filter((campaign) => ['running', 'paused'].includes(campaign.status) && campaign.media && campaign.media.file)
+      .map((campaign) => campaign.media.file);
+  }
+
+  // Also true for the other numbers a running campaign sends from
+  function hasRunningCampaign(sessionId) {
+    for (const campaign of campaigns.values()) {
+      if (campaign.status !== 'running') continue;
+      if (campaign.sessionId === sessionId || sendersOf(campaign).some((sender) => sender.sessionId === sessionId)) return true;
+    }
+    return false;
+  }
+
+  // Pick up campaigns that were running when the server stopped (in a
+  // cluster, only those of the sessions this worker owns)
+  function resumeInterrupted(shouldResume = () => true) {
+    campaigns.forEach((campaign) => {
+      if (campaign.status === 'running' && shouldResume(campaign.sessionId)) {
+        console.log(`♻️ Resuming interrupted campaign: ${campaign.id}`);
+        startLoop(campaign.id);
+      }
+    });
+  }
+
+  // Re-reads a session's campaigns from storage - used when a session moves
+  // here from another worker, whose changes this process hasn't seen. Known
+  // campaigns are updated in place so a waiting loop picks up the fresh state.
+  function loadSession(sessionId) {
+    store.list({ sessionId }).forEach((stored) => {
+      const existing = campaigns.get(stored.id);
+      if (existing) Object.assign(existing, hydrate(stored));
+      else campaigns.set(stored.id, hydrate(stored));
+    });
+    resumeInterrupted((id) => id === sessionId);
+  }
+
+  return {
+    createCampaign,
+    pauseCampaign,
+    resumeCampaign,
+    cancelCampaign,
+    getCampaign,
+    listCampaigns,
+    handleMessageStatus,
+    hasRunningCampaign,
+    referencedMedia,
+    resumeInterrupted,
+    loadSession
+  };
+}
+
+module.exports = { createCampaignEngine };
@@ -0,0 +1,83 @@
+// client-auth.js - Who is connecting, and which session they mean
+// Shared by the server and the cluster gateway, so both accept the same
+// tokens and resolve a WebSocket "init" to the same session ID.
+const crypto = require('crypto');
+const accounts = require('./accounts');
+const workspaces = require('./workspaces');
+
+// Fingerprint-identified sessions (no account) are off unless explicitly enabled
+const LEGACY_FINGERPRINT_SESSIONS = process.env.ALLOW_FINGERPRINT_SESSIONS === 'true';
+
+// Bearer token from the Authorization header
+function tokenFromRequest(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+}
+
+// Browsers can't set headers on a WebSocket handshake, so it may carry the
+// token as ?token= instead. Plain HTTP requests never do: URLs end up in
+// logs, history and Referer headers.
+function tokenFromHandshake(req) {
+  return tokenFromRequest(req) || new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+// WebSocket handshake - rejects bad tokens outright, and missing ones unless
+// fingerprint sessions are enabled
+function verifyWebSocketClient(info, done) {
+  const token = tokenFromHandshake(info.req);
+  const account = accounts.verifyToken(token);
+
+  if (token && !account) {
+    return done(false, 401, 'Invalid or expired token');
+  }
+  if (!account && !LEGACY_FINGERPRINT_SESSIONS) {
+    return done(false, 401, 'Authentication required');
+  }
+
+  info.req.account = account;
+  done(true);
+}
+
+// Legacy: generate session ID from browser fingerprint (ALLOW_FINGERPRINT_SESSIONS=true)
+function generateSessionId(fingerprint) {
+  return crypto
+    .createHash('sha256')
+    .update(fingerprint)
+    .digest('hex')
+    .substring(0, 16);
+}
+
+// Which session an init message connects to. Signed-in accounts pick one of
+// their workspaces' numbers by sessionId (default: the first one, created in
+// their personal workspace if needed); legacy clients get a session derived
+// from their fingerprint.
+function resolveInitSession(accountId, message) {
+  if (accountId) {
+    if (message.sessionId) {
+      if (!workspaces.sessionRole(accountId, message.sessionId)) {
+        throw new Error('Session not found');
+      }
+      return message.sessionId;
+    }
+
+    const entry = workspaces.accessibleSessions(accountId)[0] || workspaces.addSession(accountId, { label: message.label });
+    return entry.id;
+  }
+
+  if (!message.fingerprint) {
+    throw new Error('Fingerprint is required');
+  }
+
+  const sessionId = generateSessionId(message.fingerprint);
+  if (accounts.getSessionOwner(sessionId)) {
+    throw new Error('Session not found');
+  }
+  return sessionId;
+}
+
+module.exports = {
+  LEGACY_FINGERPRINT_SESSIONS,
+  tokenFromRequest,
+  verifyWebSocketClient,
+  resolveInitSession
+};
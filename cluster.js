@@ -0,0 +1,193 @@
+// cluster.js - Session sharding across worker processes
+// In cluster mode a gateway (gateway.js) holds every HTTP and WebSocket
+// connection and forwards it to the worker that owns the session. A worker is
+// a normal server.js process started with CLUSTER_WORKER_ID. Workers and
+// session assignments are kept in shared storage, so the gateway and every
+// worker on the machine see the same picture.
+//
+// Workers report a heartbeat with their capacity and the sessions (browsers)
+// they run. A new session goes to the live worker with the most free slots and
+// stays there until that worker dies; then the gateway moves it to another one.
+// A worker that finds one of its sessions assigned elsewhere (it was presumed
+// dead, e.g. stalled past the timeout) closes its copy, so a session never runs
+// in two browsers at once.
+const crypto = require('crypto');
+const storage = require('./storage');
+
+const WORKER_ID = process.env.CLUSTER_WORKER_ID || null;
+const HEARTBEAT_MS = 5 * 1000;
+const WORKER_TIMEOUT_MS = (parseFloat(process.env.WORKER_TIMEOUT_SECONDS) || 30) * 1000;
+// Defaults to the worker's browser limit (MAX_BROWSERS, see admission.js)
+const WORKER_MAX_SESSIONS = parseInt(process.env.WORKER_MAX_SESSIONS, 10) || parseInt(process.env.MAX_BROWSERS, 10) || 5;
+// Internal gateway -> worker calls carry this in X-Cluster-Secret
+const CLUSTER_SECRET = process.env.CLUSTER_SECRET || null;
+
+const workerStore = storage.collection('workers');
+// sessionId -> { sessionId, workerId, assignedAt }
+const assignmentStore = storage.collection('session-assignments');
+
+function clusterError(message, status = 503) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Whether a request comes from the gateway (compared in constant time)
+function hasClusterSecret(req) {
+  const given = Buffer.from(String(req.headers['x-cluster-secret'] || ''));
+  const expected = Buffer.from(CLUSTER_SECRET || '');
+  return !!CLUSTER_SECRET && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function isAlive(worker, now = Date.now()) {
+  return !!worker && !worker.stoppedAt && now - Date.parse(worker.heartbeatAt) < WORKER_TIMEOUT_MS;
+}
+
+function getWorker(workerId) {
+  return workerStore.get(workerId);
+}
+
+function listWorkers() {
+  const now = Date.now();
+  return workerStore.list()
+    .map((worker) => ({ ...worker, alive: isAlive(worker, now) }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+// A graceful stop, so the gateway doesn't wait for the heartbeat to time out
+function markWorkerStopped(workerId) {
+  const worker = workerStore.get(workerId);
+  if (worker) {
+    workerStore.set(workerId, { ...worker, stoppedAt: new Date().toISOString() });
+  }
+}
+
+function getAssignment(sessionId) {
+  return assignmentStore.get(sessionId);
+}
+
+function listAssignments(workerId) {
+  return assignmentStore.list(workerId ? { workerId } : undefined);
+}
+
+function assignSession(sessionId, workerId) {
+  return assignmentStore.set(sessionId, { sessionId, workerId, assignedAt: new Date().toISOString() });
+}
+
+function releaseSession(sessionId) {
+  assignmentStore.delete(sessionId);
+}
+
+// Browsers the worker runs, plus sessions sent its way since its last heartbeat
+function workerLoad(worker) {
+  const pending = listAssignments(worker.id)
+    .filter((assignment) => !worker.sessions.includes(assignment.sessionId))
+    .filter((assignment) => Date.parse(assignment.assignedAt) > Date.parse(worker.heartbeatAt))
+    .length;
+  return worker.sessions.length + pending;
+}
+
+// The live worker with the most free capacity. A worker that already runs one
+// of the siblings (the account's other numbers) wins if it has room, so a
+// multi-number campaign finds all its senders in the same process.
+function pickWorker(siblings = []) {
+  const candidates = listWorkers()
+    .filter((worker) => worker.alive)
+    .map((worker) => ({ worker, free: worker.capacity - workerLoad(worker) }))
+    .filter((candidate) => candidate.free > 0)
+    .sort((a, b) => b.free - a.free || a.worker.id.localeCompare(b.worker.id));
+
+  if (candidates.length === 0) {
+    throw clusterError('All workers are at capacity, try again later');
+  }
+
+  const siblingWorkers = new Set(siblings.map((sessionId) => getAssignment(sessionId)?.workerId).filter(Boolean));
+  const preferred = candidates.find((candidate) => siblingWorkers.has(candidate.worker.id));
+  return (preferred || candidates[0]).worker;
+}
+
+// The live worker that owns the session. With assign, a session that has no
+// owner (or whose owner died) is given one: assigned is true and
+// previousWorkerId is set when it moved. siblings are passed on to pickWorker.
+function routeSession(sessionId, { assign = true, siblings = [] } = {}) {
+  const assignment = getAssignment(sessionId);
+  const owner = assignment && getWorker(assignment.workerId);
+
+  if (isAlive(owner)) {
+    return { worker: owner, assigned: false, previousWorkerId: null };
+  }
+  if (!assign) {
+    return { worker: null, assigned: false, previousWorkerId: null };
+  }
+
+  const worker = pickWorker(siblings);
+  assignSession(sessionId, worker.id);
+  return { worker, assigned: true, previousWorkerId: assignment ? assignment.workerId : null };
+}
+
+// Worker side: true when this process should run the session's browser and
+// background work. Outside a cluster every session is ours.
+function ownsSession(sessionId) {
+  if (!WORKER_ID) return true;
+  const assignment = getAssignment(sessionId);
+  return !!assignment && assignment.workerId === WORKER_ID;
+}
+
+// Worker side: a session started here without going through the gateway
+function claimSession(sessionId) {
+  if (WORKER_ID && !getAssignment(sessionId)) {
+    assignSession(sessionId, WORKER_ID);
+  }
+}
+
+// Worker side: reports this worker every few seconds and hands back sessions
+// that were moved away from it
+function startHeartbeat({ url, listSessions, onSessionLost }) {
+  const startedAt = new Date().toISOString();
+
+  function beat() {
+    const sessions = listSessions();
+    workerStore.set(WORKER_ID, {
+      id: WORKER_ID,
+      url,
+      pid: process.pid,
+      capacity: WORKER_MAX_SESSIONS,
+      sessions,
+      startedAt,
+      heartbeatAt: new Date().toISOString(),
+      stoppedAt: null
+    });
+
+    sessions.forEach((sessionId) => {
+      const assignment = getAssignment(sessionId);
+      if (assignment && assignment.workerId !== WORKER_ID) {
+        onSessionLost(sessionId, assignment.workerId);
+      }
+    });
+  }
+
+  beat();
+  setInterval(beat, HEARTBEAT_MS).unref();
+  console.log(`🧩 Cluster worker ${WORKER_ID} (capacity ${WORKER_MAX_SESSIONS}) at ${url}`);
+}
+
+module.exports = {
+  WORKER_ID,
+  WORKER_TIMEOUT_MS,
+  HEARTBEAT_MS,
+  CLUSTER_SECRET,
+  hasClusterSecret,
+  isAlive,
+  getWorker,
+  listWorkers,
+  markWorkerStopped,
+  getAssignment,
+  listAssignments,
+  assignSession,
+  releaseSession,
+  workerLoad,
+  routeSession,
+  ownsSession,
+  claimSession,
+  startHeartbeat
+};
@@ -0,0 +1,350 @@
+// connection-monitor.js - Live connection state of every WhatsApp session
+// Without this a dead session only shows up when a send fails. The monitor
+// follows each connected client's socket state and stream, reports every
+// change, and recovers what it can:
+//   - CONFLICT (WhatsApp Web opened somewhere else): takes the session back,
+//     at most MAX_TAKEOVERS times in a row, so two servers don't fight over a number
+//   - the browser crashed: relaunches it from its saved profile, with backoff
+//   - the phone is offline: nothing to do but wait; sends pause meanwhile
+// A number that was unlinked (UNPAIRED) can't come back by itself and needs a
+// new QR scan. Blocked numbers (TOS_BLOCK etc.) are reported and left alone.
+const TAKEOVER_ON_CONFLICT = process.env.TAKEOVER_ON_CONFLICT !== 'false';
+const MAX_TAKEOVERS = 3;
+const TAKEOVER_WINDOW_MS = 10 * 60 * 1000;
+// Gives the other tab a moment, in case the user is switching on purpose
+const TAKEOVER_DELAY_MS = 5 * 1000;
+const MAX_RELAUNCHES = parseInt(process.env.MAX_RELAUNCH_ATTEMPTS, 10) || 5;
+const RELAUNCH_BASE_MS = 5 * 1000;
+const RELAUNCH_MAX_MS = 5 * 60 * 1000;
+// A browser that stayed up this long crashed for a new reason; backoff starts over
+const RELAUNCH_STABLE_MS = 10 * 60 * 1000;
+// How long a send waits for a disconnected session before giving up
+const SEND_PAUSE_MS = (parseFloat(process.env.SEND_PAUSE_SECONDS) || 60) * 1000;
+
+// Reported states: connected (the only one that sends), connecting,
+// disconnected, conflict, unpaired, blocked and browser-crashed.
+// States that never recover by waiting
+const FINAL_STATES = ['unpaired', 'blocked'];
+
+function monitorError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+// wppconnect SocketState -> our state (UNLAUNCHED and unknown values change nothing)
+function stateForSocket(waState) {
+  switch (waState) {
+    case 'CONNECTED': return 'connected';
+    case 'OPENING':
+    case 'PAIRING': return 'connecting';
+    // The phone stopped answering
+    case 'TIMEOUT': return 'disconnected';
+    case 'CONFLICT': return 'conflict';
+    case 'UNPAIRED':
+    case 'UNPAIRED_IDLE': return 'unpaired';
+    case 'TOS_BLOCK':
+    case 'SMB_TOS_BLOCK':
+    case 'PROXYBLOCK':
+    case 'DEPRECATED_VERSION': return 'blocked';
+    default: return null;
+  }
+}
+
+// The socket state wins unless it says connected; then the stream decides
+// (DISCONNECTED while the phone or network is down, RESUMING on the way back)
+function combinedState(entry) {
+  const fromSocket = stateForSocket(entry.waState);
+  if (fromSocket && fromSocket !== 'connected') return fromSocket;
+  if (entry.stream === 'DISCONNECTED') return 'disconnected';
+  if (entry.stream === 'RESUMING') return 'connecting';
+  return 'connected';
+}
+
+// onChange(sessionId, change) hears every state change. relaunch(sessionId)
+// closes a crashed session and starts it again; it rejects when that failed,
+// with code relaunch-cancelled when trying again is pointless (e.g. the login is gone).
+// markUnpaired(sessionId) handles a number that has to be linked again.
+function createConnectionMonitor({ onChange, relaunch, markUnpaired }) {
+  // sessionId -> { client, listeners, state, waState, stream, since, connectedAt,
+  //   relaunches, relaunchTimer, takeovers, takeoverTimer, waiters }
+  const entries = new Map();
+
+  function entryFor(sessionId) {
+    if (!entries.has(sessionId)) {
+      entries.set(sessionId, {
+        client: null,
+        listeners: [],
+        state: null,
+        waState: null,
+        stream: null,
+        since: null,
+        connectedAt: null,
+        relaunches: 0,
+        relaunchTimer: null,
+        takeovers: [],
+        takeoverTimer: null,
+        waiters: []
+      });
+    }
+    return entries.get(sessionId);
+  }
+
+  function settleWaiters(entry, error) {
+    const waiters = entry.waiters;
+    entry.waiters = [];
+    waiters.forEach((waiter) => {
+      clearTimeout(waiter.timer);
+      if (error) waiter.reject(error);
+      else waiter.resolve();
+    });
+  }
+
+  function setState(sessionId, state, details = {}) {
+    const entry = entryFor(sessionId);
+    const previousState = entry.state;
+    if (state === previousState && !details.force) return;
+
+    entry.state = state;
+    entry.since = new Date().toISOString();
+    if (state === 'connected') {
+      entry.connectedAt = Date.now();
+      settleWaiters(entry);
+    } else if (FINAL_STATES.includes(state)) {
+      settleWaiters(entry, monitorError(`WhatsApp is ${state} for this session`, 503, 'session-disconnected'));
+    }
+
+    console.log(`📶 Session ${sessionId}: ${previousState || 'new'} -> ${state}${details.reason ? ` (${details.reason})` : ''}`);
+    try {
+      onChange(sessionId, {
+        state,
+        previousState,
+        waState: entry.waState,
+        stream: entry.stream,
+        since: entry.since,
+        reason: details.reason || null,
+        recovering: !!details.recovering,
+        attempt: details.attempt || null,
+        retryAt: details.retryAt || null
+      });
+    } catch (error) {
+      console.error(`❌ Connection state update for ${sessionId} failed:`, error);
+    }
+  }
+
+  function removeListeners(entry) {
+    entry.listeners.forEach((listener) => {
+      try {
+        listener.dispose();
+      } catch (error) {
+        // The page is already gone
+      }
+    });
+    entry.listeners = [];
+    clearTimeout(entry.takeoverTimer);
+    entry.takeoverTimer = null;
+  }
+
+  function handleConflict(sessionId, entry) {
+    const now = Date.now();
+    entry.takeovers = entry.takeovers.filter((at) => now - at < TAKEOVER_WINDOW_MS);
+
+    if (!TAKEOVER_ON_CONFLICT || entry.takeovers.length >= MAX_TAKEOVERS) {
+      setState(sessionId, 'conflict', {
+        reason: TAKEOVER_ON_CONFLICT ? 'WhatsApp keeps being opened elsewhere, not taking it back again' : 'WhatsApp was opened elsewhere'
+      });
+      return;
+    }
+
+    entry.takeovers.push(now);
+    setState(sessionId, 'conflict', { reason: 'WhatsApp was opened elsewhere, taking it back', recovering: true });
+
+    clearTimeout(entry.takeoverTimer);
+    const { client } = entry;
+    entry.takeoverTimer = setTimeout(() => {
+      entry.takeoverTimer = null;
+      if (entry.client !== client) return;
+      console.log(`🔁 Taking session ${sessionId} back from the other WhatsApp Web tab`);
+      // Success shows up as a CONNECTED state change
+      client.useHere().catch((error) => {
+        console.log(`⚠️ Takeover for ${sessionId} failed: ${error.message}`);
+      });
+    }, TAKEOVER_DELAY_MS);
+  }
+
+  function handleSocketState(sessionId, client, waState) {
+    const entry = entries.get(sessionId);
+    if (!entry || entry.client !== client) return;
+
+    entry.waState = waState;
+    if (waState === 'CONFLICT') {
+      handleConflict(sessionId, entry);
+      return;
+    }
+
+    const state = combinedState(entry);
+    if (state === 'unpaired') {
+      handleUnpaired(sessionId);
+      return;
+    }
+    setState(sessionId, state, { reason: `WhatsApp state ${waState}` });
+  }
+
+  function handleStream(sessionId, client, stream) {
+    const entry = entries.get(sessionId);
+    if (!entry || entry.client !== client) return;
+
+    entry.stream = stream;
+    // A conflict or unlink is reported by the socket state, not the stream
+    if (['conflict', ...FINAL_STATES].includes(entry.state)) return;
+    setState(sessionId, combinedState(entry), { reason: `WhatsApp stream ${stream}` });
+  }
+
+  function handleUnpaired(sessionId) {
+    const entry = entries.get(sessionId);
+    if (!entry || !entry.client) return;
+
+    removeListeners(entry);
+    entry.client = null;
+    setState(sessionId, 'unpaired', { reason: 'The device was unlinked from the phone' });
+
+    Promise.resolve()
+      .then(() => markUnpaired(sessionId))
+      .catch((error) => console.error(`❌ Error handling unlinked session ${sessionId}:`, error));
+  }
+
+  function scheduleRelaunch(sessionId, reason) {
+    const entry = entryFor(sessionId);
+
+    if (entry.connectedAt && Date.now() - entry.connectedAt >= RELAUNCH_STABLE_MS) {
+      entry.relaunches = 0;
+    }
+    if (entry.relaunches >= MAX_RELAUNCHES) {
+      console.log(`⚠️ Giving up on session ${sessionId} after ${entry.relaunches} relaunches`);
+      entry.relaunches = 0;
+      setState(sessionId, 'disconnected', { reason: `${reason}; gave up relaunching`, force: true });
+      settleWaiters(entry, monitorError('WhatsApp could not be relaunched for this session', 503, 'session-disconnected'));
+      return;
+    }
+
+    entry.relaunches += 1;
+    const delay = Math.min(RELAUNCH_BASE_MS * 2 ** (entry.relaunches - 1), RELAUNCH_MAX_MS);
+    setState(sessionId, 'browser-crashed', {
+      reason,
+      recovering: true,
+      attempt: entry.relaunches,
+      retryAt: new Date(Date.now() + delay).toISOString(),
+      force: true
+    });
+
+    clearTimeout(entry.relaunchTimer);
+    entry.relaunchTimer = setTimeout(async () => {
+      entry.relaunchTimer = null;
+      console.log(`🔁 Relaunching session ${sessionId} (attempt ${entry.relaunches})`);
+      try {
+        // Connecting again attaches the new client, which reports connected
+        await relaunch(sessionId);
+      } catch (error) {
+        console.log(`⚠️ Relaunch of ${sessionId} failed: ${error.message}`);
+        if (error.code !== 'relaunch-cancelled') {
+          scheduleRelaunch(sessionId, `Relaunch failed: ${error.message}`);
+        }
+      }
+    }, delay);
+  }
+
+  // Starts watching a session's client once it's logged in
+  function attach(sessionId, client) {
+    const entry = entryFor(sessionId);
+    removeListeners(entry);
+
+    entry.client = client;
+    entry.waState = null;
+    entry.stream = null;
+    entry.listeners = [
+      client.onStateChange((waState) => handleSocketState(sessionId, client, waState)),
+      client.onStreamChange((stream) => handleStream(sessionId, client, stream))
+    ].filter((listener) => listener && typeof listener.dispose === 'function');
+
+    setState(sessionId, 'connected', { reason: 'Logged in' });
+  }
+
+  // Stops watching (the session is being closed on purpose). Crash backoff
+  // is remembered, so a relaunch loop still slows down.
+  function detach(sessionId) {
+    const entry = entries.get(sessionId);
+    if (!entry) return;
+
+    removeListeners(entry);
+    clearTimeout(entry.relaunchTimer);
+    entry.relaunchTimer = null;
+    entry.client = null;
+  }
+
+  // Logged out: nothing about the session is worth keeping
+  function forget(sessionId) {
+    const entry = entries.get(sessionId);
+    if (!entry) return;
+
+    detach(sessionId);
+    settleWaiters(entry, monitorError('The session was logged out', 409, 'session-disconnected'));
+    entries.delete(sessionId);
+  }
+
+  // wppconnect statusFind values that mean the connection is gone
+  function handleStatus(sessionId, status) {
+    const entry = entries.get(sessionId);
+    if (!entry || !entry.client) return;
+
+    if (status === 'browserClose' || status === 'serverClose') {
+      removeListeners(entry);
+      entry.client = null;
+      scheduleRelaunch(sessionId, 'The browser closed unexpectedly');
+    } else if (status === 'desconnectedMobile') {
+      handleUnpaired(sessionId);
+    }
+  }
+
+  function isConnected(sessionId) {
+    const entry = entries.get(sessionId);
+    return !!entry && !!entry.client && entry.state === 'connected';
+  }
+
+  function getState(sessionId) {
+    const entry = entries.get(sessionId);
+    if (!entry || !entry.state) return null;
+    return {
+      state: entry.state,
+      waState: entry.waState,
+      stream: entry.stream,
+      since: entry.since,
+      recovering: !!entry.relaunchTimer || !!entry.takeoverTimer
+    };
+  }
+
+  // Resolves once the session can send again; rejects after SEND_PAUSE_MS or
+  // straight away when it won't come back by itself. Sessions the monitor
+  // doesn't know yet resolve at once.
+  function waitUntilConnected(sessionId, timeoutMs = SEND_PAUSE_MS) {
+    const entry = entries.get(sessionId);
+    if (!entry || !entry.state || entry.state === 'connected') return Promise.resolve();
+    if (FINAL_STATES.includes(entry.state)) {
+      return Promise.reject(monitorError(`WhatsApp is ${entry.state} for this session`, 503, 'session-disconnected'));
+    }
+
+    console.log(`⏸️ Send for ${sessionId} waiting for WhatsApp to reconnect (${entry.state})`);
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        entry.waiters = entry.waiters.filter((other) => other !== waiter);
+        reject(monitorError(`WhatsApp is ${entry.state} for this session, try again later`, 503, 'session-disconnected'));
+      }, timeoutMs);
+      entry.waiters.push(waiter);
+    });
+  }
+
+  return { attach, detach, forget, handleStatus, isConnected, getState, waitUntilConnected };
+}
+
+module.exports = { createConnectionMonitor };
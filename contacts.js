@@ -0,0 +1,371 @@
+// contacts.js - Contact list import (CSV, XLSX, vCard) and saved lists
+// Imported numbers are normalized to E.164, de-duplicated, and saved as named
+// lists that campaigns can reference with { listName }. Lists belong to the
+// workspace, so a list imported on one of its numbers is there for all of
+// them; sessions outside a workspace keep lists of their own.
+const path = require('path');
+const ExcelJS = require('exceljs');
+const storage = require('./storage');
+const workspaces = require('./workspaces');
+const { normalizePhone } = require('./phone');
+
+const MAX_CONTACTS_PER_LIST = 50000;
+
+// Header names (after normalizeKey) that hold the phone number
+const PHONE_COLUMNS = ['phone', 'phone_number', 'phonenumber', 'mobile', 'mobile_number', 'msisdn', 'number', 'tel', 'telephone', 'whatsapp', 'cell'];
+
+// "<ownerId>:<name>" -> { ownerId, name, contacts, createdAt, updatedAt }, ownerId
+// being the workspace ID (or the session ID outside a workspace)
+const listStore = storage.collection('contact-lists');
+// Sessions whose lists from before workspaces were already moved (see adoptSessionLists)
+const adoptedSessions = new Set();
+
+function contactsError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// "First Name" -> "first_name" so columns can be used as {{first_name}}
+function normalizeKey(key) {
+  return String(key)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\w]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+function detectFormat(filename, format) {
+  if (format) return format.toLowerCase();
+
+  const ext = path.extname(filename || '').toLowerCase();
+  if (ext === '.csv' || ext === '.txt') return 'csv';
+  if (ext === '.xlsx') return 'xlsx';
+  if (ext === '.xls') return 'xls';
+  if (ext === '.vcf' || ext === '.vcard') return 'vcard';
+  return null;
+}
+
+// RFC 4180 style parsing: quoted fields, escaped quotes, newlines inside quotes
+function parseCsvRows(text) {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map((candidate) => ({ candidate, count: firstLine.split(candidate).length }))
+    .sort((a, b) => b.count - a.count)[0].candidate;
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+async function parseXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw contactsError('Could not read the spreadsheet - is it a valid .xlsx file?');
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  // A cell's text is its value as typed, so long phone numbers don't turn
+  // into 2.547E+11 (formulas give their result, links their text)
+  const rows = [];
+  sheet.eachRow((row) => {
+    const cells = [];
+    for (let column = 1; column <= sheet.columnCount; column++) {
+      cells.push(row.getCell(column).text);
+    }
+    rows.push(cells);
+  });
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+// Turns [header, ...rows] into objects keyed by normalized header names
+function rowsToRecords(rows) {
+  if (rows.length === 0) return [];
+
+  const headers = rows[0].map(normalizeKey);
+  const hasPhoneHeader = headers.some((header) => PHONE_COLUMNS.includes(header));
+
+  // Header-less file: treat the first column as the phone number
+  if (!hasPhoneHeader) {
+    return rows.map((cells) => ({ phone: String(cells[0]), name: cells[1] === undefined ? '' : String(cells[1]) }));
+  }
+
+  return rows.slice(1).map((cells) => {
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) record[header] = cells[index] === undefined ? '' : String(cells[index]).trim();
+    });
+    return record;
+  });
+}
+
+function parseVcard(text) {
+  // Unfold continuation lines (RFC 6350 3.2)
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const records = [];
+  let card = null;
+
+  lines.forEach((line) => {
+    const upper = line.toUpperCase();
+
+    if (upper.startsWith('BEGIN:VCARD')) {
+      card = { phones: [] };
+    } else if (upper.startsWith('END:VCARD')) {
+      if (card) {
+        // Prefer a mobile number when the card has several
+        const phone = (card.phones.find((p) => p.mobile) || card.phones[0] || {}).value;
+        records.push({ phone, name: card.name, email: card.email, organization: card.organization });
+      }
+      card = null;
+    } else if (card) {
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const [property, ...params] = line.slice(0, separator).split(';');
+      const value = line.slice(separator + 1).trim();
+
+      switch (property.toUpperCase().replace(/^ITEM\d+\./, '')) {
+        case 'FN':
+          card.name = value;
+          break;
+        case 'N':
+          card.name = card.name || value.split(';').filter(Boolean).reverse().join(' ');
+          break;
+        case 'TEL':
+          card.phones.push({ value, mobile: /CELL|MOBILE|WHATSAPP/i.test(params.join(';')) });
+          break;
+        case 'EMAIL':
+          card.email = card.email || value;
+          break;
+        case 'ORG':
+          card.organization = value.replace(/;+$/, '');
+          break;
+        default:
+          break;
+      }
+    }
+  });
+
+  return records;
+}
+
+// Parses an uploaded file into plain records ({ phone, name, ...columns })
+async function parseContactFile(buffer, { filename, format } = {}) {
+  const detected = detectFormat(filename, format);
+
+  switch (detected) {
+    case 'csv':
+      return rowsToRecords(parseCsvRows(buffer.toString('utf8')));
+    case 'xlsx':
+      return rowsToRecords(await parseXlsxRows(buffer));
+    case 'xls':
+      throw contactsError('Old .xls spreadsheets are not supported - save the file as .xlsx or .csv');
+    case 'vcard':
+    case 'vcf':
+      return parseVcard(buffer.toString('utf8'));
+    default:
+      throw contactsError('Unsupported contact file - upload a .csv, .xlsx or .vcf file');
+  }
+}
+
+// Normalizes and de-duplicates records, returning the clean contacts and a report
+function normalizeContacts(records, { defaultCountryCode } = {}) {
+  const contacts = [];
+  const seen = new Set();
+  const invalid = [];
+  let duplicates = 0;
+
+  records.forEach((record, index) => {
+    const phoneKey = Object.keys(record).find((key) => PHONE_COLUMNS.includes(normalizeKey(key)));
+    const rawPhone = phoneKey ? record[phoneKey] : undefined;
+    const { digits, error } = normalizePhone(rawPhone, defaultCountryCode);
+
+    if (error) {
+      invalid.push({ row: index + 1, value: rawPhone === undefined ? null : String(rawPhone), reason: error });
+      return;
+    }
+
+    if (seen.has(digits)) {
+      duplicates += 1;
+      return;
+    }
+
+    const fields = {};
+    Object.keys(record).forEach((key) => {
+      const value = record[key];
+      if (key !== phoneKey && value !== undefined && value !== null && String(value).trim() !== '') {
+        fields[normalizeKey(key)] = String(value).trim();
+      }
+    });
+
+    const contact = { ...fields, phone: digits };
+    seen.add(digits);
+    contacts.push(contact);
+  });
+
+  return {
+    contacts,
+    report: {
+      total: records.length,
+      imported: contacts.length,
+      duplicates,
+      invalid
+    }
+  };
+}
+
+function listId(ownerId, name) {
+  return `${ownerId}:${name}`;
+}
+
+// Lists saved before workspaces owned them are keyed by session. They move to
+// the session's workspace the first time it uses its lists; a name the
+// workspace already has gets the session ID added. Returns the owner ID.
+function adoptSessionLists(sessionId) {
+  const ownerId = workspaces.sessionWorkspaceId(sessionId) || sessionId;
+  if (adoptedSessions.has(sessionId)) return ownerId;
+
+  listStore.list({ sessionId })
+    .filter((list) => !list.ownerId)
+    .forEach(({ sessionId: _sessionId, ...list }) => {
+      const name = ownerId !== sessionId && listStore.get(listId(ownerId, list.name))
+        ? `${list.name} (${sessionId})`
+        : list.name;
+      listStore.set(listId(ownerId, name), { ...list, ownerId, name });
+      if (listId(ownerId, name) !== listId(sessionId, list.name)) {
+        listStore.delete(listId(sessionId, list.name));
+      }
+    });
+  adoptedSessions.add(sessionId);
+  return ownerId;
+}
+
+function summarizeList(list) {
+  return {
+    name: list.name,
+    count: list.contacts.length,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+}
+
+// mode 'replace' overwrites the list, 'append' merges and de-duplicates
+function saveContactList(sessionId, name, contacts, { mode = 'replace' } = {}) {
+  if (!name || typeof name !== 'string' || name.length > 100) {
+    throw contactsError('List name is required (max 100 characters)');
+  }
+
+  const ownerId = adoptSessionLists(sessionId);
+  const existing = listStore.get(listId(ownerId, name));
+  const now = new Date().toISOString();
+  let merged = contacts;
+
+  if (existing && mode === 'append') {
+    const known = new Set(existing.contacts.map((contact) => contact.phone));
+    merged = existing.contacts.concat(contacts.filter((contact) => !known.has(contact.phone)));
+  }
+
+  if (merged.length > MAX_CONTACTS_PER_LIST) {
+    throw contactsError(`A contact list can have at most ${MAX_CONTACTS_PER_LIST} contacts`);
+  }
+
+  const list = {
+    ownerId,
+    name,
+    contacts: merged,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now
+  };
+
+  listStore.set(listId(ownerId, name), list);
+  console.log(`📇 Saved contact list "${name}" for ${ownerId} (${merged.length} contacts)`);
+  return summarizeList(list);
+}
+
+// Full import pipeline: parse -> normalize -> save, returning the validation report
+async function importContacts(sessionId, { name, buffer, filename, format, records, defaultCountryCode, mode }) {
+  if (!buffer && !Array.isArray(records)) {
+    throw contactsError('Upload a contact file or provide a contacts array');
+  }
+
+  const parsed = records || await parseContactFile(buffer, { filename, format });
+  const { contacts, report } = normalizeContacts(parsed, { defaultCountryCode });
+
+  if (contacts.length === 0) {
+    const error = contactsError('No valid contacts found in the import');
+    error.details = { report };
+    throw error;
+  }
+
+  const list = saveContactList(sessionId, name, contacts, { mode });
+  return { list, report };
+}
+
+// The named list of the session's workspace (or of the session itself)
+function getContactList(sessionId, name) {
+  const ownerId = adoptSessionLists(sessionId);
+  const list = listStore.get(listId(ownerId, name));
+  if (!list || list.ownerId !== ownerId) {
+    throw contactsError(`Contact list not found: ${name}`, 404);
+  }
+  return list;
+}
+
+function listContactLists(sessionId) {
+  return listStore.list({ ownerId: adoptSessionLists(sessionId) }).map(summarizeList);
+}
+
+function deleteContactList(sessionId, name) {
+  const { ownerId } = getContactList(sessionId, name);
+  listStore.delete(listId(ownerId, name));
+}
+
+module.exports = {
+  parseContactFile,
+  normalizeContacts,
+  importContacts,
+  saveContactList,
+  getContactList,
+  listContactLists,
+  deleteContactList
+};
@@ -0,0 +1,223 @@
+// cron.js - Cron expressions and timezone-aware date math for the scheduler
+// Standard 5-field syntax: "minute hour day-of-month month day-of-week", with
+// *, lists (1,15), ranges (1-5), steps (*/15, 9-17/2), month/day names
+// (jan, mon) and the @hourly/@daily/@weekly/@monthly/@yearly shortcuts.
+// As in Vixie cron, when both day fields are restricted a day matching either
+// one fires, and a job at a fixed hour runs once when the clocks go back
+// (hourly and wildcard-hour jobs run in both passes). A time the clocks skip
+// going forward doesn't happen that day.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+// Enough hourly steps to cover Feb 29 schedules (leap years) with room to spare
+const MAX_SEARCH_STEPS = 5 * 366 * 24 + 24 * 60;
+
+function cronError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  error.code = 'cron-invalid';
+  return error;
+}
+
+function parseValue(value, field) {
+  const name = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  if (name !== -1) {
+    return field.min === 1 ? name + 1 : name;
+  }
+
+  if (!/^\d+$/.test(value)) {
+    throw cronError(`Invalid ${field.name} value: "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw cronError(`${field.name} must be between ${field.min} and ${field.max}, got ${number}`);
+  }
+  return number;
+}
+
+function parseField(expression, field) {
+  const values = new Set();
+
+  expression.split(',').forEach((part) => {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw cronError(`Invalid step in ${field.name}: "${part}"`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map((value) => parseValue(value, field));
+      if (start > end) {
+        throw cronError(`Invalid ${field.name} range: "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+}
+
+function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw cronError('Cron expression is required');
+  }
+
+  const source = ALIASES[expression.trim().toLowerCase()] || expression.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) {
+    throw cronError('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is Sunday too
+  if (weekdays.has(7)) {
+    weekdays.delete(7);
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    daysRestricted: parts[2] !== '*',
+    weekdaysRestricted: parts[4] !== '*'
+  };
+}
+
+const formatters = new Map();
+
+// Wall-clock parts of a date in the given timezone
+function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function offsetAt(timestamp, timezone) {
+  const p = zonedParts(new Date(timestamp), timezone);
+  const wallClock = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  return wallClock - Math.floor(timestamp / MINUTE_MS) * MINUTE_MS;
+}
+
+// Wall-clock time in a timezone -> Date (a time inside a DST gap shifts by the gap)
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timezone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = offsetAt(guess, timezone);
+  const candidate = guess - offset;
+  const corrected = offsetAt(candidate, timezone);
+  return new Date(corrected === offset ? candidate : guess - corrected);
+}
+
+// ISO timestamps with an offset are absolute; "2025-03-01T09:00" is read as
+// wall-clock time in the given timezone
+function parseDateTime(value, timezone) {
+  if (typeof value !== 'string' && !(value instanceof Date)) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+  const local = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec(value.trim());
+  if (local) {
+    const [, year, month, day, hour, minute] = local.map(Number);
+    return zonedTimeToUtc({ year, month, day, hour, minute }, timezone);
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// True during the second pass through a wall-clock hour after the clocks go back
+function isRepeatedTime(timestamp, timezone) {
+  const shift = offsetAt(timestamp - 3 * HOUR_MS, timezone) - offsetAt(timestamp, timezone);
+  if (shift <= 0) return false;
+
+  const earlier = zonedParts(new Date(timestamp - shift), timezone);
+  const current = zonedParts(new Date(timestamp), timezone);
+  return earlier.day === current.day && earlier.hour === current.hour && earlier.minute === current.minute;
+}
+
+function dayMatches(cron, parts) {
+  const dayOk = cron.days.has(parts.day);
+  const weekdayOk = cron.weekdays.has(parts.weekday);
+
+  if (cron.daysRestricted && cron.weekdaysRestricted) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
+
+// First time strictly after `after` that matches, or null if none within ~5 years
+function nextCronRun(expression, timezone, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let timestamp = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+    const parts = zonedParts(new Date(timestamp), timezone);
+
+    // Skip whole hours while the day or hour is wrong; hour steps stay correct across DST changes
+    if (!cron.months.has(parts.month) || !dayMatches(cron, parts) || !cron.hours.has(parts.hour)) {
+      timestamp += (60 - parts.minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(parts.minute) || (cron.hours.size < 24 && isRepeatedTime(timestamp, timezone))) {
+      timestamp += MINUTE_MS;
+    } else {
+      return new Date(timestamp);
+    }
+  }
+
+  return null;
+}
+
+module.exports = { parseCron, nextCronRun, parseDateTime };
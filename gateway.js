@@ -0,0 +1,565 @@
+// gateway.js - Cluster entry point (npm run start:cluster)
+// Starts GATEWAY_WORKERS copies of server.js on WORKER_BASE_PORT, WORKER_BASE_PORT + 1, ...
+// and serves every HTTP and WebSocket client on PORT, forwarding each request to
+// the worker that owns its session (see cluster.js). Workers started elsewhere
+// with CLUSTER_WORKER_ID, the same CLUSTER_SECRET and the same storage join too.
+//
+// When a worker dies, its sessions move to the remaining workers: those that
+// were connected reconnect from their saved browser profile (no new QR scan),
+// and open WebSocket clients are reconnected to the new owner.
+const crypto = require('crypto');
+const { install: installLogger, requestContext } = require('./logger');
+
+installLogger();
+
+// Shared with the workers we start, so they accept our internal calls
+process.env.CLUSTER_SECRET = process.env.CLUSTER_SECRET || crypto.randomBytes(32).toString('hex');
+
+const http = require('http');
+const path = require('path');
+const { fork } = require('child_process');
+const express = require('express');
+const WebSocket = require('ws');
+const storage = require('./storage');
+const cluster = require('./cluster');
+const accounts = require('./accounts');
+const workspaces = require('./workspaces');
+const { getSessionRecord, listSessionRecords } = require('./session-registry');
+const { verifyWebSocketClient, resolveInitSession } = require('./client-auth');
+const { adminFromRequest } = require('./admin');
+const metrics = require('./metrics');
+
+const PORT = process.env.PORT || 3000;
+const WORKER_COUNT = Number.isNaN(parseInt(process.env.GATEWAY_WORKERS, 10)) ? 2 : parseInt(process.env.GATEWAY_WORKERS, 10);
+const WORKER_BASE_PORT = parseInt(process.env.WORKER_BASE_PORT, 10) || Number(PORT) + 1;
+const RESPAWN_DELAY_MS = 5 * 1000;
+const SHUTDOWN_TIMEOUT_MS = 30 * 1000;
+const STATUS_TIMEOUT_MS = 3 * 1000;
+// Open WebSocket clients wait this long for their session's new worker
+const RECONNECT_GIVE_UP_MS = cluster.WORKER_TIMEOUT_MS * 2;
+// How long a restart waits for every local worker before restoring sessions
+const BOOT_WAIT_MS = cluster.WORKER_TIMEOUT_MS;
+const MAX_PENDING_FRAMES = 100;
+const RUNNING_STATES = ['connecting', 'connected'];
+
+if (storage.STORAGE_DRIVER === 'memory') {
+  console.error('❌ The cluster needs storage shared between processes; use STORAGE_DRIVER=sqlite or json');
+  process.exit(1);
+}
+
+const children = new Map(); // workerId -> child process
+const startedAt = Date.now();
+let stopping = false;
+let restoredOnBoot = process.env.RESTORE_SESSIONS === 'false';
+let nextWorker = 0;
+
+function gatewayError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Worker processes
+
+function spawnWorker(index) {
+  const workerId = `worker-${index}`;
+  const port = WORKER_BASE_PORT + index - 1;
+
+  const child = fork(path.join(__dirname, 'server.js'), [], {
+    env: {
+      ...process.env,
+      CLUSTER_WORKER_ID: workerId,
+      PORT: String(port),
+      WORKER_URL: `http://127.0.0.1:${port}`
+    }
+  });
+  children.set(workerId, child);
+
+  child.on('exit', (code, signal) => {
+    children.delete(workerId);
+
+    if (stopping) {
+      if (children.size === 0) shutdown();
+      return;
+    }
+
+    console.log(`💥 Worker ${workerId} exited (${signal || code}), restarting in ${RESPAWN_DELAY_MS / 1000}s`);
+    cluster.markWorkerStopped(workerId);
+    failOver();
+    setTimeout(() => {
+      if (!stopping) spawnWorker(index);
+    }, RESPAWN_DELAY_MS);
+  });
+}
+
+function liveWorkers() {
+  return cluster.listWorkers().filter((worker) => worker.alive);
+}
+
+// Any live worker, in turn, for requests that aren't tied to a session
+function anyWorker() {
+  const workers = liveWorkers();
+  if (workers.length === 0) {
+    throw gatewayError('No workers are running, try again shortly', 503);
+  }
+  nextWorker = (nextWorker + 1) % workers.length;
+  return workers[nextWorker];
+}
+
+// Tells the new owner to load the session's campaigns, jobs and webhook
+// retries and reconnect its browser if it was running
+async function adopt(worker, sessionId) {
+  try {
+    const response = await fetch(`${worker.url}/internal/sessions/${encodeURIComponent(sessionId)}/adopt`, {
+      method: 'POST',
+      headers: { 'X-Cluster-Secret': cluster.CLUSTER_SECRET },
+      signal: AbortSignal.timeout(STATUS_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      console.log(`⚠️ Worker ${worker.id} refused session ${sessionId}: HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not hand session ${sessionId} to ${worker.id}: ${error.message}`);
+  }
+}
+
+// The workspace's other numbers, kept on one worker where possible
+function siblingsOf(sessionId) {
+  const workspaceId = workspaces.sessionWorkspaceId(sessionId);
+  return workspaceId
+    ? accounts.listWorkspaceSessions(workspaceId).map((entry) => entry.id).filter((id) => id !== sessionId)
+    : [];
+}
+
+// The worker for a session, assigning one (and handing the session over) if needed
+function ownerOf(sessionId) {
+  const { worker, assigned, previousWorkerId } = cluster.routeSession(sessionId, { siblings: siblingsOf(sessionId) });
+  if (assigned) {
+    console.log(previousWorkerId
+      ? `🔀 Session ${sessionId} moved from ${previousWorkerId} to ${worker.id}`
+      : `🧩 Session ${sessionId} assigned to ${worker.id}`);
+    adopt(worker, sessionId);
+  }
+  return worker;
+}
+
+// Sessions that exist get a sticky owner; for anything else any worker gives
+// the usual 404, and assigning one would only take a slot
+function workerForSession(sessionId) {
+  const known = cluster.getAssignment(sessionId) || getSessionRecord(sessionId) || accounts.getSessionOwner(sessionId);
+  return known ? ownerOf(sessionId) : anyWorker();
+}
+
+// Moves the sessions of dead workers to live ones. Sessions that stay put
+// because every worker is full are retried on the next check.
+function failOver() {
+  if (stopping || liveWorkers().length === 0) return;
+
+  const workers = new Map(cluster.listWorkers().map((worker) => [worker.id, worker]));
+  const orphaned = cluster.listAssignments().filter((assignment) => !workers.get(assignment.workerId)?.alive);
+
+  for (const assignment of orphaned) {
+    try {
+      ownerOf(assignment.sessionId);
+    } catch (error) {
+      console.log(`⚠️ Session ${assignment.sessionId} is waiting for a free worker: ${error.message}`);
+      break;
+    }
+  }
+}
+
+// After a full restart, spreads the sessions that were connected over the
+// workers (they restore them like a single server does on boot). Waits until
+// every local worker is up so the first one doesn't get them all.
+function restoreOnBoot() {
+  if (restoredOnBoot) return;
+  const ready = liveWorkers().length >= WORKER_COUNT || Date.now() - startedAt > BOOT_WAIT_MS;
+  if (!ready || liveWorkers().length === 0) return;
+  restoredOnBoot = true;
+
+  const records = listSessionRecords()
+    .filter((record) => RUNNING_STATES.includes(record.state) && !cluster.getAssignment(record.id));
+  if (records.length > 0) {
+    console.log(`♻️ Spreading ${records.length} saved session(s) over the workers...`);
+  }
+
+  for (const record of records) {
+    try {
+      ownerOf(record.id);
+    } catch (error) {
+      console.log(`⚠️ Not restoring ${record.id}: ${error.message}`);
+    }
+  }
+}
+
+// HTTP
+
+const app = express();
+const server = http.createServer(app);
+
+// The request ID goes on to the worker, so both sides log the same one
+app.use(requestContext());
+
+function forward(req, res, worker, body) {
+  const target = new URL(req.originalUrl, worker.url);
+  const upstream = http.request(target, {
+    method: req.method,
+    headers: { ...req.headers, host: target.host }
+  }, (upstreamRes) => {
+    res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+    upstreamRes.pipe(res);
+  });
+
+  upstream.on('error', (error) => {
+    console.log(`⚠️ Worker ${worker.id} did not answer ${req.method} ${req.path}: ${error.message}`);
+    if (res.headersSent) {
+      res.destroy();
+    } else {
+      res.status(502).json({ error: 'The worker for this request is unavailable, try again shortly' });
+    }
+  });
+
+  if (body) {
+    upstream.end(body);
+  } else {
+    req.pipe(upstream);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+metrics.gauge('wa_cluster_workers', 'Workers known to the gateway', () => {
+  const workers = cluster.listWorkers();
+  return [
+    { labels: { state: 'alive' }, value: workers.filter((worker) => worker.alive).length },
+    { labels: { state: 'dead' }, value: workers.filter((worker) => !worker.alive).length }
+  ];
+});
+
+app.get('/health', (req, res) => {
+  const workers = cluster.listWorkers();
+  res.json({
+    status: 'ok',
+    role: 'gateway',
+    timestamp: new Date().toISOString(),
+    workers: workers.length,
+    liveWorkers: workers.filter((worker) => worker.alive).length,
+    storage: { driver: storage.STORAGE_DRIVER, schemaVersion: storage.schemaVersion }
+  });
+});
+
+// GETs a path from every live worker (as the caller), skipping those that don't answer
+async function fromEveryWorker(req, urlPath) {
+  const headers = {
+    ...(req.headers.authorization ? { authorization: req.headers.authorization } : {}),
+    ...(req.headers['x-api-key'] ? { 'x-api-key': req.headers['x-api-key'] } : {})
+  };
+  const results = await Promise.all(liveWorkers().map(async (worker) => {
+    try {
+      const response = await fetch(`${worker.url}${urlPath}`, { headers, signal: AbortSignal.timeout(STATUS_TIMEOUT_MS) });
+      return response.ok ? { worker: worker.id, body: await response.json() } : null;
+    } catch (error) {
+      return null;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+// An account's numbers as each worker sees them; the live state of a number
+// comes from the worker that runs it
+function mergeNumbers(lists) {
+  const merged = new Map();
+  lists.forEach(({ worker, numbers }) => {
+    (numbers || []).forEach((number) => {
+      const owner = cluster.getAssignment(number.id)?.workerId || null;
+      if (!merged.has(number.id) || owner === worker) {
+        merged.set(number.id, { ...number, worker: owner });
+      }
+    });
+  });
+  return Array.from(merged.values());
+}
+
+app.get('/auth/sessions', async (req, res) => {
+  const answers = await fromEveryWorker(req, '/auth/sessions');
+  if (answers.length === 0) {
+    // Nobody answered as the caller (e.g. a bad token): let one worker explain
+    return forward(req, res, anyWorker());
+  }
+  res.json({ sessions: mergeNumbers(answers.map(({ worker, body }) => ({ worker, numbers: body.sessions }))) });
+});
+
+app.get('/workspaces/:workspaceId/sessions', async (req, res) => {
+  const answers = await fromEveryWorker(req, `/workspaces/${encodeURIComponent(req.params.workspaceId)}/sessions`);
+  if (answers.length === 0) {
+    return forward(req, res, anyWorker());
+  }
+  res.json({ sessions: mergeNumbers(answers.map(({ worker, body }) => ({ worker, numbers: body.sessions }))) });
+});
+
+// Every live worker's metrics and the gateway's own, each sample labelled
+// with the process it came from
+app.get('/metrics', async (req, res) => {
+  if (!metrics.canScrape(req)) {
+    return res.status(401).json({ error: 'A valid metrics token is required' });
+  }
+
+  const headers = metrics.METRICS_TOKEN ? { authorization: `Bearer ${metrics.METRICS_TOKEN}` } : {};
+  const expositions = await Promise.all(liveWorkers().map(async (worker) => {
+    try {
+      const response = await fetch(`${worker.url}/metrics`, { headers, signal: AbortSignal.timeout(STATUS_TIMEOUT_MS) });
+      return response.ok ? metrics.relabel(await response.text(), { worker: worker.id }) : null;
+    } catch (error) {
+      return null;
+    }
+  }));
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metrics.mergeExpositions([metrics.relabel(metrics.render(), { worker: 'gateway' }), ...expositions.filter(Boolean)]));
+});
+
+// Every worker's /status, plus (for operators) the worker list with its load
+app.get('/status', async (req, res) => {
+  const isAdmin = !!adminFromRequest(req);
+  const workers = cluster.listWorkers();
+  const answered = (await fromEveryWorker(req, '/status')).map(({ body }) => body);
+  const numbers = answered.some((status) => status.numbers)
+    ? mergeNumbers(answered.map((status) => ({ worker: status.worker, numbers: status.numbers })))
+    : null;
+
+  res.json({
+    ...(isAdmin ? { activeSessions: answered.flatMap((status) => (status.activeSessions || []).map((session) => ({ ...session, worker: status.worker }))) } : {}),
+    totalSessions: answered.reduce((sum, status) => sum + status.totalSessions, 0),
+    initializingSessions: answered.reduce((sum, status) => sum + status.initializingSessions, 0),
+    ...(numbers ? { numbers } : {}),
+    ...(isAdmin ? { workers: workers.map(({ id, url, pid, capacity, sessions, alive, heartbeatAt, startedAt: workerStartedAt }) => ({
+      id,
+      url,
+      pid,
+      alive,
+      capacity,
+      sessions: sessions.length,
+      assigned: cluster.listAssignments(id).length,
+      startedAt: workerStartedAt,
+      heartbeatAt
+    })) } : {})
+  });
+});
+
+// Operators see the sessions of every worker; the rest of the admin API goes
+// to the worker running the session (or any worker)
+app.get('/admin/api/sessions', async (req, res) => {
+  if (!adminFromRequest(req)) {
+    return forward(req, res, anyWorker());
+  }
+  const answers = await fromEveryWorker(req, '/admin/api/sessions');
+  res.json({
+    sessions: answers.flatMap(({ worker, body }) => body.sessions.map((session) => ({ ...session, worker })))
+  });
+});
+
+app.use('/internal', (req, res) => {
+  res.status(404).json({ error: 'Not found' });
+});
+
+// The API creates sessions from a JSON body, so it has to be read to route it
+app.post('/api/v1/sessions', async (req, res) => {
+  const body = await readBody(req);
+  let sessionId = null;
+  try {
+    sessionId = JSON.parse(body.toString() || '{}').sessionId;
+  } catch (error) {
+    // Not JSON: any worker answers with the API's usual 400
+  }
+
+  const worker = typeof sessionId === 'string' && sessionId ? ownerOf(sessionId) : anyWorker();
+  forward(req, res, worker, body);
+});
+
+app.use((req, res) => {
+  const match = /^\/(?:api\/v1\/|admin\/api\/)?sessions\/([^/]+)/.exec(req.path)
+    || (req.method === 'DELETE' && /^\/auth\/sessions\/([^/]+)/.exec(req.path));
+  const sessionId = match ? decodeURIComponent(match[1]) : null;
+
+  forward(req, res, sessionId ? workerForSession(sessionId) : anyWorker());
+});
+
+app.use((error, req, res, next) => {
+  res.status(error.status || 500).json({ error: error.message });
+});
+
+// WebSocket
+
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
+
+// Sends the client to its session's worker once it says which session it wants
+// (init), and reconnects it to the new owner if that worker goes away
+wss.on('connection', (ws, req) => {
+  const accountId = req.account ? req.account.id : null;
+  const pending = []; // frames that arrive while no worker is connected
+  let sessionId = null;
+  let initFrame = null;
+  let upstream = null;
+  let lostAt = null;
+  let retries = 0;
+  let closed = false;
+
+  function sendError(message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        message
+      }));
+    }
+  }
+
+  function connectUpstream() {
+    let worker;
+    try {
+      worker = ownerOf(sessionId);
+    } catch (error) {
+      if (lostAt) return reconnectLater();
+      sendError(error.message);
+      ws.close(1013, 'No worker available');
+      return;
+    }
+
+    const headers = req.headers.authorization ? { authorization: req.headers.authorization } : {};
+    const socket = new WebSocket(new URL(req.url, worker.url.replace(/^http/, 'ws')), { headers });
+    upstream = socket;
+
+    socket.on('open', () => {
+      if (lostAt) console.log(`🔀 WebSocket for ${sessionId} reconnected to ${worker.id}`);
+      lostAt = null;
+      retries = 0;
+      socket.send(initFrame);
+      pending.splice(0).forEach(([data, isBinary]) => socket.send(data, { binary: isBinary }));
+    });
+
+    socket.on('message', (data, isBinary) => {
+      if (ws.readyState === WebSocket.OPEN) ws.send(data, { binary: isBinary });
+    });
+
+    // 1006 (the worker died) and 1012 (the session moved) mean "find the new
+    // owner"; any other close is the worker's answer and goes to the client
+    socket.on('close', (code, reason) => {
+      if (closed || upstream !== socket) return;
+      upstream = null;
+
+      if (code === 1006 || code === 1012) {
+        lostAt = lostAt || Date.now();
+        reconnectLater();
+      } else {
+        ws.close(code === 1005 ? 1000 : code, reason);
+      }
+    });
+
+    socket.on('error', (error) => {
+      console.log(`⚠️ Upstream WebSocket for ${sessionId} on ${worker.id}: ${error.message}`);
+    });
+  }
+
+  // Backs off until failover has given the session a live owner
+  function reconnectLater() {
+    if (closed) return;
+    if (Date.now() - lostAt > RECONNECT_GIVE_UP_MS) {
+      sendError('Lost the connection to WhatsApp, please reconnect');
+      ws.close(1011, 'Worker unavailable');
+      return;
+    }
+
+    const delay = Math.min(1000 * 2 ** retries, 10 * 1000);
+    retries += 1;
+    setTimeout(() => {
+      if (!closed) connectUpstream();
+    }, delay);
+  }
+
+  ws.on('message', (data, isBinary) => {
+    if (initFrame) {
+      if (upstream && upstream.readyState === WebSocket.OPEN) {
+        upstream.send(data, { binary: isBinary });
+      } else if (pending.length < MAX_PENDING_FRAMES) {
+        pending.push([data, isBinary]);
+      }
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      sendError(error.message);
+      return;
+    }
+    if (message.type !== 'init') {
+      sendError('Session not initialized');
+      return;
+    }
+
+    try {
+      sessionId = resolveInitSession(accountId, message);
+      // A new account session was just created here; the worker must get the same one
+      initFrame = JSON.stringify(accountId ? { ...message, sessionId } : message);
+      connectUpstream();
+    } catch (error) {
+      sendError(error.message);
+    }
+  });
+
+  ws.on('close', () => {
+    closed = true;
+    if (upstream) upstream.close();
+  });
+
+  ws.on('error', (error) => {
+    console.error(`❌ WebSocket error for session ${sessionId}:`, error);
+  });
+});
+
+// Start
+
+function shutdown() {
+  storage.close();
+  console.log('✅ Gateway closed');
+  process.exit(0);
+}
+
+server.listen(PORT, () => {
+  console.log('='.repeat(50));
+  console.log(`🚪 Gateway listening on port ${PORT}`);
+  console.log(`🧩 Starting ${WORKER_COUNT} worker(s) from port ${WORKER_BASE_PORT}`);
+  console.log(`💾 Storage: ${storage.STORAGE_DRIVER}`);
+  console.log('='.repeat(50));
+
+  for (let index = 1; index <= WORKER_COUNT; index += 1) {
+    spawnWorker(index);
+  }
+
+  setInterval(() => {
+    failOver();
+    restoreOnBoot();
+  }, cluster.HEARTBEAT_MS).unref();
+});
+
+// Workers shut down on their own (keeping their sessions' state), then the gateway exits
+process.on('SIGINT', () => {
+  if (stopping) return;
+  stopping = true;
+  console.log('\n🛑 Shutting down the cluster...');
+
+  if (children.size === 0) shutdown();
+  children.forEach((child) => child.kill('SIGINT'));
+
+  setTimeout(() => {
+    children.forEach((child) => child.kill('SIGKILL'));
+    shutdown();
+  }, SHUTDOWN_TIMEOUT_MS).unref();
+});
@@ -0,0 +1,233 @@
+// groups.js - WhatsApp group listing and management
+// Lists the connected account's groups and members, exports members as a
+// contact list, creates groups and adds/removes participants (from numbers or
+// an imported contact list). Sending to a group goes through sendMessage with
+// the group's "...@g.us" chat ID.
+const { normalizePhone, chatTypeOf } = require('./phone');
+const { getContactList, saveContactList } = require('./contacts');
+
+// WhatsApp rejects large participant changes, so they go in small batches
+const PARTICIPANT_BATCH_SIZE = 20;
+const BATCH_DELAY_MS = 2000;
+const MAX_PARTICIPANTS = 1024;
+
+function groupError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Accepts "1203630...@g.us" or the bare "1203630..." / "2547...-1612..." ID
+function toGroupId(groupId) {
+  const value = String(groupId || '').trim();
+  const chatId = /^\d+(-\d+)?$/.test(value) ? `${value}@g.us` : value;
+
+  if (chatTypeOf(chatId) !== 'group') {
+    throw groupError(`Invalid group ID "${groupId}"`);
+  }
+  return chatId;
+}
+
+function serialized(id) {
+  return typeof id === 'string' ? id : id?._serialized || null;
+}
+
+function createGroupManager({ getClient }) {
+  function requireClient(sessionId) {
+    const client = getClient(sessionId);
+    if (!client) {
+      throw groupError('WhatsApp is not connected for this session', 409);
+    }
+    return client;
+  }
+
+  // Numbers from { phones } and/or { listName }, normalized and de-duplicated
+  function resolvePhones(sessionId, { phones, listName, defaultCountryCode } = {}) {
+    const raw = [
+      ...(Array.isArray(phones) ? phones : []),
+      ...(listName ? getContactList(sessionId, listName).contacts.map((contact) => contact.phone) : [])
+    ];
+    if (raw.length === 0) {
+      throw groupError('Give "phones" or a contact "listName"');
+    }
+
+    const digits = new Set();
+    const invalid = [];
+    raw.forEach((phone) => {
+      const result = normalizePhone(phone, defaultCountryCode);
+      if (result.error) {
+        invalid.push({ phone, reason: result.error });
+      } else {
+        digits.add(result.digits);
+      }
+    });
+
+    if (digits.size > MAX_PARTICIPANTS) {
+      throw groupError(`A group can have at most ${MAX_PARTICIPANTS} participants`);
+    }
+    return { phones: Array.from(digits), invalid };
+  }
+
+  async function listGroups(sessionId) {
+    const client = requireClient(sessionId);
+    const chats = await client.listChats({ onlyGroups: true });
+
+    return chats.map((chat) => ({
+      id: serialized(chat.id),
+      name: chat.name || chat.formattedTitle || chat.contact?.name || null,
+      participantCount: chat.groupMetadata?.participants?.length ?? null,
+      isReadOnly: !!chat.isReadOnly,
+      unreadCount: chat.unreadCount || 0
+    }));
+  }
+
+  async function getParticipants(sessionId, groupId) {
+    const client = requireClient(sessionId);
+    const chatId = toGroupId(groupId);
+
+    const [members, admins] = await Promise.all([
+      client.getGroupMembers(chatId),
+      client.getGroupAdmins(chatId).catch(() => [])
+    ]);
+    const adminIds = new Set(admins.map(serialized));
+
+    return members.map((member) => {
+      const id = serialized(member.id);
+      return {
+        id,
+        // Members hidden behind a linked ID (…@lid) have no visible number
+        phone: id && id.endsWith('@c.us') ? id.replace('@c.us', '') : null,
+        name: member.name || member.pushname || member.formattedName || null,
+        isAdmin: adminIds.has(id),
+        isMyContact: !!member.isMyContact
+      };
+    });
+  }
+
+  // Saves the members with a visible number as a contact list usable by campaigns
+  async function exportMembers(sessionId, groupId, { listName, mode = 'replace' } = {}) {
+    const participants = await getParticipants(sessionId, groupId);
+    const chatId = toGroupId(groupId);
+
+    const contacts = participants
+      .filter((participant) => participant.phone)
+      .map((participant) => ({
+        phone: participant.phone,
+        ...(participant.name ? { name: participant.name } : {}),
+        group: chatId
+      }));
+
+    if (contacts.length === 0) {
+      throw groupError('No members with a visible phone number to export');
+    }
+
+    const list = saveContactList(sessionId, listName || `group-${chatId.split('@')[0]}`, contacts, { mode });
+    return {
+      list,
+      exported: contacts.length,
+      hidden: participants.length - contacts.length
+    };
+  }
+
+  // wppconnect answers per participant with an HTTP-like code (200 = done)
+  function collectResults(phones, response, results) {
+    phones.forEach((phone) => {
+      const entry = response && response[`${phone}@c.us`];
+      const code = entry ? Number(entry.code) : 200;
+      results.push({
+        phone,
+        status: code === 200 ? 'ok' : 'failed',
+        code,
+        message: entry?.message || null,
+        inviteCode: entry?.invite_code || null
+      });
+    });
+  }
+
+  async function inBatches(phones, run) {
+    for (let i = 0; i < phones.length; i += PARTICIPANT_BATCH_SIZE) {
+      if (i > 0) await sleep(BATCH_DELAY_MS);
+      await run(phones.slice(i, i + PARTICIPANT_BATCH_SIZE));
+    }
+  }
+
+  async function createGroup(sessionId, { name, ...participantsInput } = {}) {
+    const client = requireClient(sessionId);
+    if (!name || typeof name !== 'string' || name.length > 100) {
+      throw groupError('Group name is required (max 100 characters)');
+    }
+
+    const { phones, invalid } = resolvePhones(sessionId, participantsInput);
+    if (phones.length === 0) {
+      throw groupError('No valid participant numbers', 400, { invalid });
+    }
+
+    // Create with the first batch, then add the rest like any other addition
+    const [first, rest] = [phones.slice(0, PARTICIPANT_BATCH_SIZE), phones.slice(PARTICIPANT_BATCH_SIZE)];
+    const created = await client.createGroup(name, first.map((phone) => `${phone}@c.us`));
+    const groupId = serialized(created.gid);
+
+    const results = [];
+    collectResults(first, created.participants, results);
+    if (rest.length > 0) {
+      await sleep(BATCH_DELAY_MS);
+      await inBatches(rest, async (batch) => {
+        collectResults(batch, await client.addParticipant(groupId, batch.map((phone) => `${phone}@c.us`)), results);
+      });
+    }
+
+    console.log(`👥 Group "${name}" created for ${sessionId}: ${groupId}`);
+    return { groupId, name, results, invalid };
+  }
+
+  async function addParticipants(sessionId, groupId, input = {}) {
+    const client = requireClient(sessionId);
+    const chatId = toGroupId(groupId);
+    const { phones, invalid } = resolvePhones(sessionId, input);
+
+    const results = [];
+    await inBatches(phones, async (batch) => {
+      try {
+        collectResults(batch, await client.addParticipant(chatId, batch.map((phone) => `${phone}@c.us`)), results);
+      } catch (error) {
+        batch.forEach((phone) => results.push({ phone, status: 'failed', code: null, message: error.message }));
+      }
+    });
+
+    return { groupId: chatId, results, invalid };
+  }
+
+  async function removeParticipants(sessionId, groupId, input = {}) {
+    const client = requireClient(sessionId);
+    const chatId = toGroupId(groupId);
+    const { phones, invalid } = resolvePhones(sessionId, input);
+
+    const results = [];
+    await inBatches(phones, async (batch) => {
+      try {
+        await client.removeParticipant(chatId, batch.map((phone) => `${phone}@c.us`));
+        batch.forEach((phone) => results.push({ phone, status: 'ok', code: 200, message: null }));
+      } catch (error) {
+        batch.forEach((phone) => results.push({ phone, status: 'failed', code: null, message: error.message }));
+      }
+    });
+
+    return { groupId: chatId, results, invalid };
+  }
+
+  return {
+    listGroups,
+    getParticipants,
+    exportMembers,
+    createGroup,
+    addParticipants,
+    removeParticipants
+  };
+}
+
+module.exports = { createGroupManager };
@@ -0,0 +1,336 @@
+// inbox.js - Inbound messages, per-session inbox and auto-responder rules
+//
+// Rule types:
+//   keyword       { keywords: ['price', 'cost'], match: 'exact' | 'contains' }
+//   regex         { pattern: '^order\\s+\\d+$', flags: 'i' }
+//   first-contact fires the first time a number ever messages this session
+//
+// Each rule has its own per-contact cooldown, and auto-replies never go to
+// groups, broadcasts or our own messages, so two bots can't ping-pong.
+//
+// Regex patterns run on every inbound message, so ones that can backtrack
+// for ages (nested repetition like (a+)+, backreferences) are refused, and
+// only the start of a long message is matched.
+//
+// Each inbound message is stored as its own record, and the oldest beyond
+// INBOX_LIMIT per session are trimmed every TRIM_EVERY messages. Inboxes
+// saved as one document per session are split up the first time they're used.
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { compileTemplate } = require('./templates');
+
+const INBOX_LIMIT = 2000;
+const TRIM_EVERY = 100;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+const MAX_RULES = 50;
+const MAX_PATTERN_LENGTH = 200;
+const MAX_MATCH_LENGTH = 1000;
+const QUANTIFIER = /^(?:[*+?]|\{\d+(?:,\d*)?\})\??/;
+
+const RULE_TYPES = ['keyword', 'regex', 'first-contact'];
+
+function inboxError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// True for patterns with a backreference, or with a repeated group that
+// itself repeats or alternates - (a+)+, (\w*\s)*, (a|ab)* - the shapes that
+// make a backtracking engine take exponential time
+function isUnsafePattern(pattern) {
+  // Per open group (the first entry is the whole pattern): does it contain
+  // a quantifier or an alternative?
+  const groups = [false];
+  let inClass = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      if (!inClass && /[1-9k]/.test(pattern[i + 1] || '')) return true;
+      i += 1;
+    } else if (inClass) {
+      if (char === ']') inClass = false;
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+      // Skip the (?: (?= (?! (?<= (?<! (?<name> prefix, which isn't a quantifier
+      const prefix = /^\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/.exec(pattern.slice(i + 1));
+      if (prefix) i += prefix[0].length;
+    } else if (char === ')') {
+      const inner = groups.length > 1 ? groups.pop() : false;
+      const quantifier = QUANTIFIER.exec(pattern.slice(i + 1));
+      if (quantifier) {
+        if (inner && !quantifier[0].startsWith('?')) return true;
+        i += quantifier[0].length;
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || inner || !!quantifier;
+    } else if (char === '|') {
+      groups[groups.length - 1] = true;
+    } else {
+      const quantifier = QUANTIFIER.exec(pattern.slice(i));
+      if (quantifier) {
+        groups[groups.length - 1] = true;
+        i += quantifier[0].length - 1;
+      }
+    }
+  }
+  return false;
+}
+
+function validateRule(input) {
+  const rule = {
+    id: input.id || uuidv4(),
+    name: input.name || null,
+    type: input.type,
+    keywords: undefined,
+    match: undefined,
+    pattern: undefined,
+    flags: undefined,
+    reply: input.reply,
+    cooldownMinutes: input.cooldownMinutes === undefined ? DEFAULT_COOLDOWN_MINUTES : Number(input.cooldownMinutes),
+    enabled: input.enabled !== false
+  };
+
+  if (!RULE_TYPES.includes(rule.type)) {
+    throw inboxError(`Rule type must be one of: ${RULE_TYPES.join(', ')}`);
+  }
+  if (!rule.reply || typeof rule.reply !== 'string') {
+    throw inboxError('Rule reply text is required');
+  }
+  if (!Number.isFinite(rule.cooldownMinutes) || rule.cooldownMinutes < 0) {
+    throw inboxError('Rule cooldownMinutes must be a non-negative number');
+  }
+
+  // Fail on a bad reply template now rather than on the first inbound message
+  try {
+    compileTemplate(rule.reply);
+  } catch (error) {
+    throw inboxError(`Invalid reply template: ${error.message}`);
+  }
+
+  if (rule.type === 'keyword') {
+    const keywords = Array.isArray(input.keywords) ? input.keywords : [input.keywords];
+    rule.keywords = keywords.filter((k) => typeof k === 'string' && k.trim()).map((k) => k.trim().toLowerCase());
+    rule.match = input.match === 'contains' ? 'contains' : 'exact';
+    if (rule.keywords.length === 0) {
+      throw inboxError('Keyword rules need at least one keyword');
+    }
+  }
+
+  if (rule.type === 'regex') {
+    if (typeof input.pattern !== 'string' || !input.pattern || input.pattern.length > MAX_PATTERN_LENGTH) {
+      throw inboxError(`Regex rules need a pattern of at most ${MAX_PATTERN_LENGTH} characters`);
+    }
+    rule.flags = typeof input.flags === 'string' ? input.flags.replace(/[^imsu]/g, '') : 'i';
+    try {
+      new RegExp(input.pattern, rule.flags);
+    } catch (error) {
+      throw inboxError(`Invalid regex: ${error.message}`);
+    }
+    if (isUnsafePattern(input.pattern)) {
+      throw inboxError('Regex patterns cannot use backreferences or repeat a group that repeats or alternates, like (a+)+ or (a|b)*');
+    }
+    rule.pattern = input.pattern;
+  }
+
+  return rule;
+}
+
+function ruleMatches(rule, text, isFirstContact) {
+  const body = (text || '').trim();
+
+  switch (rule.type) {
+    case 'first-contact':
+      return isFirstContact;
+    case 'keyword': {
+      const lower = body.toLowerCase();
+      return rule.match === 'contains'
+        ? rule.keywords.some((keyword) => lower.includes(keyword))
+        : rule.keywords.includes(lower);
+    }
+    case 'regex':
+      // Rules saved before patterns were checked may still be unsafe
+      return !isUnsafePattern(rule.pattern) && new RegExp(rule.pattern, rule.flags).test(body.slice(0, MAX_MATCH_LENGTH));
+    default:
+      return false;
+  }
+}
+
+// handleKeywords(sessionId, entry) may claim a message (e.g. STOP) by resolving
+// to true, in which case no auto-reply rule runs for it
+function createInbox({ onIncoming, sendReply, handleKeywords }) {
+  // "<sessionId>:<messageId>" -> { sessionId, ...entry }
+  const messageStore = storage.collection('inbox-messages');
+  const rulesStore = storage.collection('auto-reply-rules');
+  // "<sessionId>:<chatId>" -> { sessionId, chatId, firstSeenAt, lastReplies: { [ruleId]: iso } }
+  const chatStore = storage.collection('inbox-chats');
+  // Earlier layout: one document per session holding every message or chat
+  const legacyInboxStore = storage.collection('inbox');
+  const legacyContactStore = storage.collection('inbox-contacts');
+  const adoptedSessions = new Set();
+  // Messages stored per session since its inbox was last trimmed
+  const sinceTrim = new Map();
+
+  function getRules(sessionId) {
+    return (rulesStore.get(sessionId) || { rules: [] }).rules;
+  }
+
+  function setRules(sessionId, rules) {
+    if (!Array.isArray(rules)) {
+      throw inboxError('Rules must be an array');
+    }
+    if (rules.length > MAX_RULES) {
+      throw inboxError(`At most ${MAX_RULES} auto-reply rules are allowed`);
+    }
+
+    const validated = rules.map(validateRule);
+    rulesStore.set(sessionId, { rules: validated });
+    console.log(`🤖 ${validated.length} auto-reply rule(s) saved for ${sessionId}`);
+    return validated;
+  }
+
+  function deleteRule(sessionId, ruleId) {
+    const rules = getRules(sessionId);
+    if (!rules.some((rule) => rule.id === ruleId)) {
+      throw inboxError('Rule not found', 404);
+    }
+    rulesStore.set(sessionId, { rules: rules.filter((rule) => rule.id !== ruleId) });
+  }
+
+  function saveMessage(sessionId, entry) {
+    messageStore.set(`${sessionId}:${entry.id}`, { sessionId, ...entry });
+  }
+
+  // Oldest first, as they were received
+  function storedMessages(filter) {
+    return messageStore.list(filter)
+      .sort((a, b) => Date.parse(a.receivedAt) - Date.parse(b.receivedAt))
+      .map(({ sessionId: _sessionId, ...entry }) => entry);
+  }
+
+  // Keeps the newest INBOX_LIMIT messages of a session
+  function trim(sessionId) {
+    sinceTrim.set(sessionId, 0);
+    const messages = storedMessages({ sessionId });
+    messages.slice(0, Math.max(messages.length - INBOX_LIMIT, 0)).forEach((entry) => {
+      messageStore.delete(`${sessionId}:${entry.id}`);
+    });
+  }
+
+  // Splits a session's inbox and chats saved as single documents into records
+  function adoptLegacy(sessionId) {
+    if (adoptedSessions.has(sessionId)) return;
+    adoptedSessions.add(sessionId);
+
+    const inbox = legacyInboxStore.get(sessionId);
+    if (inbox) {
+      inbox.messages.forEach((entry) => saveMessage(sessionId, { ...entry, id: entry.id || uuidv4() }));
+      legacyInboxStore.delete(sessionId);
+      trim(sessionId);
+    }
+
+    const legacyContacts = legacyContactStore.get(sessionId);
+    if (legacyContacts) {
+      Object.entries(legacyContacts.contacts).forEach(([chatId, chat]) => {
+        chatStore.set(`${sessionId}:${chatId}`, { sessionId, chatId, ...chat });
+      });
+      legacyContactStore.delete(sessionId);
+    }
+
+    if (inbox || legacyContacts) {
+      console.log(`📥 Moved the stored inbox of ${sessionId} to one record per message`);
+    }
+  }
+
+  function getInbox(sessionId, { limit = 100, from } = {}) {
+    adoptLegacy(sessionId);
+    return storedMessages(from ? { sessionId, from } : { sessionId })
+      .slice(-Math.min(Number(limit) || 100, INBOX_LIMIT))
+      .reverse();
+  }
+
+  async function runAutoReply(sessionId, entry, isFirstContact, chat) {
+    const now = Date.now();
+
+    const rule = getRules(sessionId).find((candidate) => {
+      if (!candidate.enabled || !ruleMatches(candidate, entry.body, isFirstContact)) return false;
+      const lastReply = chat.lastReplies[candidate.id];
+      return !lastReply || now - Date.parse(lastReply) >= candidate.cooldownMinutes * 60 * 1000;
+    });
+    if (!rule) return;
+
+    const { text, missing } = compileTemplate(rule.reply).render({
+      name: entry.name,
+      phone: entry.from,
+      message: entry.body
+    });
+    if (missing.length > 0) {
+      console.log(`⚠️ Auto-reply rule ${rule.id} skipped, missing: ${missing.join(', ')}`);
+      return;
+    }
+
+    // Mark the cooldown before sending so a burst of inbound messages gets one reply
+    chat.lastReplies[rule.id] = new Date(now).toISOString();
+    chatStore.set(`${sessionId}:${entry.chatId}`, chat);
+
+    try {
+      await sendReply(sessionId, entry.from, text, rule);
+    } catch (error) {
+      console.log(`⚠️ Auto-reply to ${entry.from} failed: ${error.message}`);
+    }
+  }
+
+  // Entry point for client.onMessage()
+  async function handleIncoming(sessionId, message) {
+    if (!message || message.fromMe || message.isStatus || message.from === 'status@broadcast') return null;
+
+    const chatId = message.chatId || message.from;
+    const isGroup = !!message.isGroupMsg || String(chatId).endsWith('@g.us');
+    const sender = message.sender || {};
+
+    const entry = {
+      id: (typeof message.id === 'string' ? message.id : message.id?._serialized) || uuidv4(),
+      chatId,
+      from: String(message.author || message.from).replace(/@c\.us$/, ''),
+      name: sender.pushname || sender.name || message.notifyName || null,
+      body: message.body || message.caption || '',
+      type: message.type,
+      isGroup,
+      receivedAt: message.t ? new Date(message.t * 1000).toISOString() : new Date().toISOString()
+    };
+
+    adoptLegacy(sessionId);
+    saveMessage(sessionId, entry);
+    sinceTrim.set(sessionId, (sinceTrim.get(sessionId) || 0) + 1);
+    if (sinceTrim.get(sessionId) >= TRIM_EVERY) {
+      trim(sessionId);
+    }
+
+    const chatKey = `${sessionId}:${chatId}`;
+    let chat = chatStore.get(chatKey);
+    const isFirstContact = !chat;
+    if (isFirstContact) {
+      chat = { sessionId, chatId, firstSeenAt: entry.receivedAt, lastReplies: {} };
+      chatStore.set(chatKey, chat);
+    }
+
+    onIncoming(sessionId, entry);
+
+    // Only 1:1 chats with a phone-number ID get keyword handling and automatic replies
+    if (!isGroup && String(chatId).endsWith('@c.us')) {
+      if (handleKeywords && await handleKeywords(sessionId, entry)) {
+        return entry;
+      }
+      await runAutoReply(sessionId, entry, isFirstContact, chat);
+    }
+
+    return entry;
+  }
+
+  return { handleIncoming, getInbox, getRules, setRules, deleteRule };
+}
+
+module.exports = { createInbox };
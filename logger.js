@@ -0,0 +1,203 @@
+// logger.js - Structured logging with correlation IDs and redaction
+// install() routes every console.log/info/warn/error/debug through here, so
+// the existing emoji log lines need no changes. Each line is written as one
+// JSON object (LOG_FORMAT=json, the default) or as readable text
+// (LOG_FORMAT=text), with its level, time and the IDs of the HTTP request,
+// WebSocket message and session it belongs to. LOG_LEVEL (debug, info, warn,
+// error; default info) drops anything less important.
+//
+// Phone numbers are masked everywhere (LOG_REDACT_PHONES=false to keep them)
+// and message text passed as a text/body/caption field is replaced by its
+// length (LOG_REDACT_MESSAGES=false to keep it).
+const util = require('util');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'text' ? 'text' : 'json';
+const REDACT_PHONES = process.env.LOG_REDACT_PHONES !== 'false';
+const REDACT_MESSAGES = process.env.LOG_REDACT_MESSAGES !== 'false';
+
+// Fields holding what someone wrote
+const MESSAGE_FIELDS = ['text', 'body', 'caption'];
+// 8-15 digits standing alone (optionally +, or part of a chat ID like 2547...@c.us)
+const PHONE_PATTERN = /(?<![\w.:/-])\+?\d{8,15}(?![\w.:/-]|@(?!c\.us|s\.whatsapp\.net|g\.us))/g;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+// Cluster workers tag their lines, as they share the gateway's output
+const WORKER_ID = process.env.CLUSTER_WORKER_ID || null;
+// Warnings and errors kept per session for the admin console
+const RECENT_ERRORS_PER_SESSION = 50;
+
+const context = new AsyncLocalStorage();
+const recentErrors = new Map(); // sessionId -> entries, oldest first
+const original = {
+  log: console.log.bind(console),
+  error: console.error.bind(console)
+};
+
+// Keeps the country code and the last two digits: 254*******78
+function maskPhone(value) {
+  const digits = String(value).replace(/\D/g, '');
+  if (digits.length < 6) return '*'.repeat(digits.length);
+  return `${String(value).startsWith('+') ? '+' : ''}${digits.slice(0, 3)}${'*'.repeat(digits.length - 5)}${digits.slice(-2)}`;
+}
+
+function redactText(text) {
+  return REDACT_PHONES ? text.replace(PHONE_PATTERN, (match) => maskPhone(match)) : text;
+}
+
+function redactFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, value]) => {
+    if (REDACT_MESSAGES && MESSAGE_FIELDS.includes(key) && typeof value === 'string') {
+      return [key, `[${value.length} chars]`];
+    }
+    if (typeof value === 'string') return [key, redactText(value)];
+    if (typeof value === 'number' && REDACT_PHONES && ['phone', 'to', 'from'].includes(key)) {
+      return [key, maskPhone(value)];
+    }
+    return [key, value];
+  }));
+}
+
+function describeError(error) {
+  return {
+    message: redactText(error.message || ''),
+    code: error.code,
+    stack: error.stack ? redactText(error.stack) : undefined
+  };
+}
+
+function rememberError(entry) {
+  const list = recentErrors.get(entry.sessionId) || [];
+  list.push({
+    time: entry.time,
+    level: entry.level,
+    msg: entry.msg,
+    code: entry.err ? entry.err.code : undefined,
+    requestId: entry.requestId
+  });
+  if (list.length > RECENT_ERRORS_PER_SESSION) list.shift();
+  recentErrors.set(entry.sessionId, list);
+}
+
+function write(level, message, fields = {}, error = null) {
+  const remember = LEVELS[level] >= LEVELS.warn;
+  if (LEVELS[level] < LEVELS[LOG_LEVEL] && !remember) return;
+
+  const ids = context.getStore() || {};
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    ...(WORKER_ID ? { worker: WORKER_ID } : {}),
+    msg: redactText(message),
+    ...redactFields({ ...ids, ...fields }),
+    ...(error ? { err: describeError(error) } : {})
+  };
+
+  if (remember && entry.sessionId) rememberError(entry);
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+
+  const print = LEVELS[level] >= LEVELS.warn ? original.error : original.log;
+
+  if (LOG_FORMAT === 'json') {
+    print(JSON.stringify(entry));
+    return;
+  }
+
+  const { time, level: _level, msg, err, ...rest } = entry;
+  const extras = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  print([time, level.toUpperCase(), msg, ...extras].join(' ') + (err && err.stack ? `\n${err.stack}` : ''));
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields, error) => write('error', message, fields, error)
+};
+
+// console.* -> logger. The first Error among the arguments becomes err.
+function consoleWriter(defaultLevel) {
+  return (...args) => {
+    const error = args.find((arg) => arg instanceof Error) || null;
+    const message = util.format(...args.map((arg) => (arg === error ? error.message : arg)));
+    // "⚠️ ..." lines printed with console.log are warnings
+    const level = defaultLevel === 'info' && message.trimStart().startsWith('⚠️') ? 'warn' : defaultLevel;
+    write(level, message, {}, error);
+  };
+}
+
+function install() {
+  console.log = consoleWriter('info');
+  console.info = consoleWriter('info');
+  console.debug = consoleWriter('debug');
+  console.warn = consoleWriter('warn');
+  console.error = consoleWriter('error');
+}
+
+// Runs fn with extra IDs (requestId, sessionId, ...) attached to every line it logs
+function runWithContext(fields, fn) {
+  return context.run({ ...(context.getStore() || {}), ...fields }, fn);
+}
+
+// Sets the IDs for the rest of the current callback and everything it awaits,
+// for event handlers where there is no function to wrap
+function enterContext(fields) {
+  context.enterWith({ ...fields });
+}
+
+// Adds IDs to the current context, e.g. the sessionId once a request has resolved it
+function addContext(fields) {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// The session's last warnings and errors, newest first
+function getRecentErrors(sessionId) {
+  return (recentErrors.get(sessionId) || []).slice().reverse();
+}
+
+function clearRecentErrors(sessionId) {
+  recentErrors.delete(sessionId);
+}
+
+function newRequestId() {
+  return crypto.randomUUID();
+}
+
+// Express middleware: a request ID per request (the caller's X-Request-Id if
+// it looks sane), sent back in the response and attached to its log lines.
+// It's also put on the request, so the gateway passes it on to the worker.
+function requestContext() {
+  return (req, res, next) => {
+    const given = req.headers['x-request-id'];
+    const requestId = given && REQUEST_ID_PATTERN.test(given) ? given : newRequestId();
+    req.requestId = requestId;
+    req.headers['x-request-id'] = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    runWithContext({ requestId }, () => {
+      res.on('finish', () => {
+        logger.debug(`${req.method} ${req.path} ${res.statusCode}`, { status: res.statusCode });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  logger,
+  install,
+  runWithContext,
+  enterContext,
+  addContext,
+  newRequestId,
+  requestContext,
+  getRecentErrors,
+  clearRecentErrors,
+  maskPhone,
+  redactText,
+  LOG_LEVEL,
+  LOG_FORMAT
+};
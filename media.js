@@ -0,0 +1,350 @@
+// media.js - Image, video, audio, document and location payloads
+// A media payload can carry base64 data (optionally a data: URI), a reference
+// to a file already uploaded into MEDIA_PATH, or coordinates for a location.
+// A file's first bytes must match its declared MIME type. Callers decide who
+// may reference which uploaded file (see prepareMedia's canUseFile).
+//
+// Files in MEDIA_PATH are deleted after MEDIA_RETENTION_DAYS (default 30)
+// unless an unfinished campaign or scheduled message still sends them.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_PATH } = require('./storage');
+
+const MEDIA_PATH = process.env.MEDIA_PATH || path.join(DATA_PATH, 'media');
+const MAX_CAPTION_LENGTH = 1024;
+const MB = 1024 * 1024;
+const RETENTION_MS = (parseFloat(process.env.MEDIA_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const SIGNATURE_BYTES = 512;
+
+// Limits follow what WhatsApp accepts for each message type
+const MEDIA_RULES = {
+  image: {
+    maxBytes: 5 * MB,
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp']
+  },
+  video: {
+    maxBytes: 16 * MB,
+    mimeTypes: ['video/mp4', 'video/3gpp']
+  },
+  audio: {
+    maxBytes: 16 * MB,
+    mimeTypes: ['audio/mpeg', 'audio/ogg', 'audio/aac', 'audio/mp4', 'audio/amr', 'audio/opus']
+  },
+  document: {
+    maxBytes: 100 * MB,
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'application/zip',
+      'text/plain',
+      'text/csv'
+    ]
+  }
+};
+
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(MEDIA_RULES).map((rule) => rule.maxBytes));
+
+const EXTENSION_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.3gp': 'video/3gpp',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.aac': 'audio/aac',
+  '.m4a': 'audio/mp4',
+  '.amr': 'audio/amr',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.zip': 'application/zip',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv'
+};
+
+const startsWith = (head, bytes, offset = 0) => head.subarray(offset, offset + bytes.length).equals(Buffer.from(bytes));
+const isZip = (head) => startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06]);
+// Word, Excel and PowerPoint before 2007 are OLE compound files
+const isOle = (head) => startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+const isIsoMedia = (head) => startsWith(head, Buffer.from('ftyp'), 4);
+const isOgg = (head) => startsWith(head, Buffer.from('OggS'));
+
+// How the start of a file of each MIME type looks
+const SIGNATURES = {
+  'image/jpeg': (head) => startsWith(head, [0xff, 0xd8, 0xff]),
+  'image/png': (head) => startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  'image/webp': (head) => startsWith(head, Buffer.from('RIFF')) && startsWith(head, Buffer.from('WEBP'), 8),
+  'video/mp4': isIsoMedia,
+  'video/3gpp': isIsoMedia,
+  'audio/mpeg': (head) => startsWith(head, Buffer.from('ID3')) || (head[0] === 0xff && (head[1] & 0xe0) === 0xe0),
+  'audio/ogg': isOgg,
+  'audio/opus': isOgg,
+  'audio/aac': (head) => startsWith(head, Buffer.from('ADIF')) || (head[0] === 0xff && (head[1] & 0xf6) === 0xf0),
+  'audio/mp4': isIsoMedia,
+  'audio/amr': (head) => startsWith(head, Buffer.from('#!AMR')),
+  'application/pdf': (head) => startsWith(head, Buffer.from('%PDF-')),
+  'application/msword': isOle,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': isZip,
+  'application/vnd.ms-excel': isOle,
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': isZip,
+  'application/vnd.ms-powerpoint': isOle,
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': isZip,
+  'application/zip': isZip,
+  // Text has no signature, but never contains NUL bytes
+  'text/plain': (head) => !head.includes(0),
+  'text/csv': (head) => !head.includes(0)
+};
+
+if (!fs.existsSync(MEDIA_PATH)) {
+  fs.mkdirSync(MEDIA_PATH, { recursive: true });
+}
+
+function mediaError(message) {
+  const error = new Error(message);
+  error.code = 'media-invalid';
+  return error;
+}
+
+function extensionFor(mimetype) {
+  return Object.keys(EXTENSION_MIME_TYPES).find((ext) => EXTENSION_MIME_TYPES[ext] === mimetype) || '';
+}
+
+function typeForMime(mimetype) {
+  return Object.keys(MEDIA_RULES).find((type) => MEDIA_RULES[type].mimeTypes.includes(mimetype)) || null;
+}
+
+// Only bare file names inside MEDIA_PATH are accepted, never arbitrary paths.
+// A file canUseFile refuses reads as missing, so names can't be probed.
+function resolveMediaFile(file, canUseFile = null) {
+  if (typeof file !== 'string' || !file || path.basename(file) !== file || file.startsWith('.')) {
+    throw mediaError('Invalid media file reference');
+  }
+
+  const filePath = path.join(MEDIA_PATH, file);
+  if (!fs.existsSync(filePath) || (canUseFile && !canUseFile(file))) {
+    throw mediaError(`Media file not found: ${file}`);
+  }
+  return filePath;
+}
+
+// The first bytes of a file in MEDIA_PATH
+function readHead(filePath) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(SIGNATURE_BYTES);
+    return head.subarray(0, fs.readSync(fd, head, 0, SIGNATURE_BYTES, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Deletes a file from MEDIA_PATH and returns the bytes freed
+function deleteMediaFile(file) {
+  const filePath = resolveMediaFile(file);
+  const { size } = fs.statSync(filePath);
+  fs.rmSync(filePath, { force: true });
+  return size;
+}
+
+// Deletes files older than MEDIA_RETENTION_DAYS, except those isInUse(file)
+// keeps. Returns the names of the deleted files.
+function sweepMedia(isInUse = () => false) {
+  const cutoff = Date.now() - RETENTION_MS;
+  const deleted = [];
+
+  fs.readdirSync(MEDIA_PATH, { withFileTypes: true })
+    .filter((entry) => entry.isFile() && !isInUse(entry.name))
+    .forEach((entry) => {
+      const filePath = path.join(MEDIA_PATH, entry.name);
+      try {
+        if (fs.statSync(filePath).mtimeMs >= cutoff) return;
+        fs.rmSync(filePath, { force: true });
+        deleted.push(entry.name);
+      } catch (error) {
+        console.error(`❌ Could not clean up media file ${entry.name}: ${error.message}`);
+      }
+    });
+
+  if (deleted.length > 0) {
+    console.log(`🧹 Deleted ${deleted.length} media file(s) past their retention`);
+  }
+  return deleted;
+}
+
+function decodeBase64(data) {
+  const match = /^data:([\w.+-]+\/[\w.+-]+);base64,(.*)$/s.exec(data);
+  const payload = match ? match[2] : data;
+
+  if (!/^[A-Za-z0-9+/\s]+={0,2}$/.test(payload)) {
+    throw mediaError('Media data is not valid base64');
+  }
+
+  return { buffer: Buffer.from(payload, 'base64'), mimetype: match ? match[1] : null };
+}
+
+function prepareLocation(payload) {
+  const latitude = Number(payload.latitude);
+  const longitude = Number(payload.longitude);
+
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw mediaError('Location latitude must be between -90 and 90');
+  }
+  if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw mediaError('Location longitude must be between -180 and 180');
+  }
+
+  return {
+    type: 'location',
+    latitude,
+    longitude,
+    name: payload.name || payload.title || undefined,
+    address: payload.address || undefined
+  };
+}
+
+// Saves raw bytes into MEDIA_PATH and returns the file reference.
+// reserveStorage(bytes, file) runs first and may throw to refuse the file.
+function saveMediaFile(buffer, mimetype, reserveStorage = null) {
+  const file = `${uuidv4()}${extensionFor(mimetype)}`;
+  if (reserveStorage) reserveStorage(buffer.length, file);
+  fs.writeFileSync(path.join(MEDIA_PATH, file), buffer);
+  return file;
+}
+
+// Validates a media payload and returns a descriptor sendMedia() understands.
+// With { persist: true } base64 data is written to MEDIA_PATH so long-lived
+// jobs (campaigns) store a file reference instead of the whole payload;
+// reserveStorage is then called as in saveMediaFile(). canUseFile(file) says
+// whether the sender may reference a file already in MEDIA_PATH.
+function prepareMedia(payload, { persist = false, reserveStorage = null, canUseFile = null } = {}) {
+  if (!payload || typeof payload !== 'object') {
+    throw mediaError('Media payload must be an object');
+  }
+
+  if (payload.type === 'location') {
+    return prepareLocation(payload);
+  }
+
+  if (payload.caption !== undefined && typeof payload.caption !== 'string') {
+    throw mediaError('Media caption must be a string');
+  }
+  if (payload.caption && payload.caption.length > MAX_CAPTION_LENGTH) {
+    throw mediaError(`Media caption cannot be longer than ${MAX_CAPTION_LENGTH} characters`);
+  }
+
+  let filePath = null;
+  let buffer = null;
+  let size;
+  let mimetype = payload.mimetype || null;
+
+  if (payload.file) {
+    filePath = resolveMediaFile(payload.file, canUseFile);
+    size = fs.statSync(filePath).size;
+  } else if (payload.base64) {
+    const decoded = decodeBase64(payload.base64);
+    buffer = decoded.buffer;
+    size = buffer.length;
+    mimetype = mimetype || decoded.mimetype;
+  } else {
+    throw mediaError('Media payload needs either base64 data or a file reference');
+  }
+
+  const filename = path.basename(payload.filename || (payload.file ? payload.file : 'file'));
+  mimetype = mimetype || EXTENSION_MIME_TYPES[path.extname(filename).toLowerCase()] || null;
+
+  if (!mimetype) {
+    throw mediaError('Could not determine the media MIME type');
+  }
+
+  const type = payload.type || typeForMime(mimetype);
+  const rule = MEDIA_RULES[type];
+
+  if (!rule) {
+    throw mediaError(`Unsupported media type: ${payload.type || mimetype}`);
+  }
+  if (!rule.mimeTypes.includes(mimetype)) {
+    throw mediaError(`MIME type ${mimetype} is not allowed for ${type} messages`);
+  }
+  if (size === 0) {
+    throw mediaError('Media file is empty');
+  }
+  if (size > rule.maxBytes) {
+    throw mediaError(`${type} files cannot be larger than ${rule.maxBytes / MB} MB`);
+  }
+  if (!SIGNATURES[mimetype](buffer ? buffer.subarray(0, SIGNATURE_BYTES) : readHead(filePath))) {
+    throw mediaError(`The file's contents are not ${mimetype}`);
+  }
+
+  if (buffer && persist) {
+    filePath = path.join(MEDIA_PATH, saveMediaFile(buffer, mimetype, reserveStorage));
+    buffer = null;
+  }
+
+  return {
+    type,
+    file: filePath ? path.basename(filePath) : undefined,
+    base64: buffer ? `data:${mimetype};base64,${buffer.toString('base64')}` : undefined,
+    filename,
+    mimetype,
+    size,
+    caption: payload.caption,
+    voiceNote: type === 'audio' && payload.voiceNote !== false
+  };
+}
+
+// Maps a prepared descriptor onto the wppconnect client's send methods
+async function sendMedia(client, chatId, media, caption) {
+  if (media.type === 'location') {
+    return client.sendLocation(chatId, {
+      lat: media.latitude,
+      lng: media.longitude,
+      name: media.name,
+      address: media.address
+    });
+  }
+
+  const source = media.file ? path.join(MEDIA_PATH, media.file) : media.base64;
+
+  if (media.type === 'image') {
+    return media.file
+      ? client.sendImage(chatId, source, media.filename, caption)
+      : client.sendImageFromBase64(chatId, source, media.filename, caption);
+  }
+
+  if (media.type === 'audio' && media.voiceNote) {
+    return media.file
+      ? client.sendPtt(chatId, source, media.filename, caption)
+      : client.sendPttFromBase64(chatId, source, media.filename, caption);
+  }
+
+  return client.sendFile(chatId, source, {
+    type: media.type,
+    filename: media.filename,
+    caption,
+    mimetype: media.mimetype
+  });
+}
+
+module.exports = {
+  prepareMedia,
+  sendMedia,
+  saveMediaFile,
+  deleteMediaFile,
+  sweepMedia,
+  MEDIA_PATH,
+  MEDIA_RULES,
+  MAX_UPLOAD_BYTES
+};
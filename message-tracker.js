@@ -0,0 +1,204 @@
+// message-tracker.js - Send log with delivery and read receipt tracking
+// Every send attempt is recorded with its rendered text and outcome. Successful
+// sends are stored under their WhatsApp message ID and moved through
+// sent -> delivered -> read (or failed) as the client reports acks; the first
+// reply from the recipient is attributed to the last message sent to them.
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+// wppconnect AckType values (anything negative is a failure)
+const ACK_STATUS = {
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'read' // PLAYED (voice notes) counts as read
+};
+
+// Higher rank wins, so a late "delivered" ack never downgrades a "read" message
+const STATUS_RANK = { pending: 0, sent: 1, delivered: 2, read: 3, failed: 4 };
+
+const EARLY_ACK_TTL_MS = 60 * 1000;
+const LIST_LIMIT = 500;
+// Replies later than this aren't counted as a response to our message
+const REPLY_WINDOW_MS = (parseFloat(process.env.REPLY_WINDOW_HOURS) || 72) * 60 * 60 * 1000;
+
+function statusForAck(ack) {
+  if (ack < 0) return 'failed';
+  return ACK_STATUS[ack] || 'pending';
+}
+
+// Message IDs come back either as strings or as { _serialized } objects
+function messageIdOf(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (value.id) return messageIdOf(value.id);
+  return value._serialized || null;
+}
+
+// When the attempt was made - older records only have sentAt
+function attemptedAtOf(record) {
+  return record.attemptedAt || record.sentAt || record.failedAt;
+}
+
+function createMessageTracker({ onStatusChange }) {
+  const store = storage.collection('messages');
+  // "<sessionId>:<phone>" -> { messageId } of the last message sent there, for reply attribution
+  const lastSentStore = storage.collection('last-sent');
+  // Acks can arrive before sendText() resolves; hold them until track() runs
+  const earlyAcks = new Map();
+
+  function applyStatus(record, status, ack) {
+    if (STATUS_RANK[status] <= STATUS_RANK[record.status]) return false;
+
+    const now = new Date().toISOString();
+    record.status = status;
+    record.ack = ack;
+    record.updatedAt = now;
+
+    if (status === 'delivered') record.deliveredAt = now;
+    if (status === 'read') {
+      record.readAt = now;
+      record.deliveredAt = record.deliveredAt || now;
+    }
+    if (status === 'failed') {
+      record.failedAt = now;
+      record.errorCode = 'ack-failed';
+      record.error = 'WhatsApp reported the message as failed';
+    }
+
+    return true;
+  }
+
+  function track(sessionId, result, { to, campaignId = null, text = null, mediaType = null } = {}) {
+    const messageId = messageIdOf(result);
+    if (!messageId) return null;
+
+    const now = new Date().toISOString();
+    const record = {
+      id: messageId,
+      sessionId,
+      to,
+      campaignId,
+      text,
+      mediaType,
+      result: 'sent',
+      status: 'sent',
+      ack: 1,
+      errorCode: null,
+      error: null,
+      attemptedAt: now,
+      sentAt: now,
+      deliveredAt: null,
+      readAt: null,
+      failedAt: null,
+      repliedAt: null,
+      updatedAt: now
+    };
+
+    const early = earlyAcks.get(messageId);
+    if (early) {
+      earlyAcks.delete(messageId);
+      applyStatus(record, statusForAck(early.ack), early.ack);
+    }
+
+    store.set(messageId, record);
+    lastSentStore.set(`${sessionId}:${to}`, { messageId });
+    return record;
+  }
+
+  // Sends that never reached WhatsApp (refused, opted out, client error) get a
+  // record of their own so reports can count them
+  function trackFailure(sessionId, { to, campaignId = null, text = null, mediaType = null, error } = {}) {
+    const now = new Date().toISOString();
+    const record = {
+      id: `failed-${uuidv4()}`,
+      sessionId,
+      to,
+      campaignId,
+      text,
+      mediaType,
+      result: error && error.code === 'suppressed' ? 'suppressed' : 'failed',
+      status: 'failed',
+      ack: null,
+      errorCode: (error && error.code) || null,
+      error: error ? error.message : null,
+      attemptedAt: now,
+      sentAt: null,
+      deliveredAt: null,
+      readAt: null,
+      failedAt: now,
+      repliedAt: null,
+      updatedAt: now
+    };
+
+    store.set(record.id, record);
+    return record;
+  }
+
+  // Marks the last message sent to this number as replied to; returns the
+  // updated record, or null when there's nothing recent to attribute it to
+  function handleReply(sessionId, { from, receivedAt } = {}) {
+    const last = lastSentStore.get(`${sessionId}:${from}`);
+    const record = last && store.get(last.messageId);
+    if (!record || record.repliedAt || record.sessionId !== sessionId) return null;
+
+    const repliedAt = receivedAt || new Date().toISOString();
+    if (Date.parse(repliedAt) - Date.parse(record.sentAt) > REPLY_WINDOW_MS) return null;
+
+    record.repliedAt = repliedAt;
+    record.updatedAt = new Date().toISOString();
+    store.set(record.id, record);
+    return record;
+  }
+
+  function handleAck(sessionId, ack) {
+    const messageId = messageIdOf(ack);
+    if (!messageId) return;
+
+    const record = store.get(messageId);
+
+    if (!record) {
+      earlyAcks.set(messageId, { ack: ack.ack, receivedAt: Date.now() });
+      return;
+    }
+    if (record.sessionId !== sessionId) return;
+
+    if (applyStatus(record, statusForAck(ack.ack), ack.ack)) {
+      store.set(messageId, record);
+      onStatusChange(record);
+    }
+  }
+
+  function getMessage(sessionId, messageId) {
+    const record = store.get(messageId);
+    return record && record.sessionId === sessionId ? record : null;
+  }
+
+  // Every record matching the filters, oldest first; from/to are Dates (to is exclusive)
+  function queryMessages(sessionId, { campaignId, from, to } = {}) {
+    return store.list(campaignId ? { sessionId, campaignId } : { sessionId })
+      .filter((record) => {
+        const time = Date.parse(attemptedAtOf(record));
+        return (!from || time >= from.getTime()) && (!to || time < to.getTime());
+      })
+      .sort((a, b) => attemptedAtOf(a).localeCompare(attemptedAtOf(b)));
+  }
+
+  function listMessages(sessionId, { campaignId } = {}) {
+    return queryMessages(sessionId, { campaignId })
+      .reverse()
+      .slice(0, LIST_LIMIT);
+  }
+
+  setInterval(() => {
+    const now = Date.now();
+    earlyAcks.forEach((entry, messageId) => {
+      if (now - entry.receivedAt > EARLY_ACK_TTL_MS) earlyAcks.delete(messageId);
+    });
+  }, EARLY_ACK_TTL_MS).unref();
+
+  return { track, trackFailure, handleAck, handleReply, getMessage, listMessages, queryMessages };
+}
+
+module.exports = { createMessageTracker, messageIdOf, attemptedAtOf };
@@ -0,0 +1,239 @@
+// metrics.js - Prometheus metrics, served as text (exposition format 0.0.4) on /metrics
+// Counters and histograms are updated where things happen. Gauges describe
+// the current state (sessions, browsers, queues) and are read when scraped.
+// Process metrics (memory, CPU, heap) are always included. Set METRICS_TOKEN
+// to require "Authorization: Bearer <token>" on the endpoint.
+const crypto = require('crypto');
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+const registry = new Map(); // name -> metric
+const startedAt = Date.now() / 1000;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+// Only the declared label names are kept, in declaration order
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map((name) => [name, labels[name] === undefined ? '' : labels[name]]));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map(); // label key -> { labels, value }
+
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, amount = 1) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = values.get(key) || { labels: picked, value: 0 };
+      entry.value += amount;
+      values.set(key, entry);
+    },
+    samples() {
+      return Array.from(values.values()).map(({ labels, value }) => ({ name, labels, value }));
+    }
+  });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const series = new Map(); // label key -> { labels, counts, sum, count }
+
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe(labels = {}, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const entry = series.get(key) || { labels: picked, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) entry.counts[index] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    // Returns a function that observes the seconds since it was started
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      };
+    },
+    samples() {
+      return Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] })),
+        { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+        { name: `${name}_sum`, labels, value: sum },
+        { name: `${name}_count`, labels, value: count }
+      ]);
+    }
+  });
+}
+
+// collect() returns a number, or a list of { labels, value }
+function gauge(name, help, collect) {
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    samples() {
+      const result = collect();
+      if (Array.isArray(result)) {
+        return result.map(({ labels = {}, value }) => ({ name, labels, value }));
+      }
+      return result === null || result === undefined ? [] : [{ name, labels: {}, value: result }];
+    }
+  });
+}
+
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use, in bytes', () => process.memoryUsage().heapUsed);
+gauge('nodejs_heap_total_bytes', 'V8 heap allocated, in bytes', () => process.memoryUsage().heapTotal);
+register({
+  name: 'process_cpu_seconds_total',
+  help: 'User and system CPU time spent, in seconds',
+  type: 'counter',
+  samples() {
+    const { user, system } = process.cpuUsage();
+    return [{ name: 'process_cpu_seconds_total', labels: {}, value: (user + system) / 1e6 }];
+  }
+});
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch, in seconds', () => Math.floor(startedAt));
+
+// Everything in the text exposition format. A collector that throws leaves
+// out its own metric, not the whole scrape.
+function render() {
+  const lines = [];
+  registry.forEach((metric) => {
+    let samples;
+    try {
+      samples = metric.samples();
+    } catch (error) {
+      console.error(`❌ Metric ${metric.name} failed:`, error);
+      return;
+    }
+
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    samples.forEach(({ name, labels, value }) => {
+      lines.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Adds labels (e.g. worker="w1") to every sample of an exposition
+function relabel(text, labels) {
+  const extra = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',');
+  return text.split('\n').map((line) => {
+    if (!line || line.startsWith('#')) return line;
+    const match = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(\{(.*)\})? (.*)$/.exec(line);
+    if (!match) return line;
+    const [, name, , existing, value] = match;
+    return `${name}{${existing ? `${extra},${existing}` : extra}} ${value}`;
+  }).join('\n');
+}
+
+// Several expositions as one, each metric family once with all its samples
+function mergeExpositions(texts) {
+  const families = new Map(); // name -> { help, type, samples }
+  let current = null;
+
+  texts.forEach((text) => {
+    text.split('\n').forEach((line) => {
+      const meta = /^# (HELP|TYPE) ([a-zA-Z_:][a-zA-Z0-9_:]*) ?(.*)$/.exec(line);
+      if (meta) {
+        const [, kind, name, rest] = meta;
+        if (!families.has(name)) families.set(name, { help: null, type: null, samples: [] });
+        current = families.get(name);
+        if (kind === 'HELP') current.help = current.help || rest;
+        else current.type = current.type || rest;
+      } else if (line && !line.startsWith('#') && current) {
+        current.samples.push(line);
+      }
+    });
+  });
+
+  const lines = [];
+  families.forEach(({ help, type, samples }, name) => {
+    if (help !== null) lines.push(`# HELP ${name} ${help}`);
+    if (type !== null) lines.push(`# TYPE ${name} ${type}`);
+    lines.push(...samples);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Whether a request may scrape (compared in constant time)
+function canScrape(req) {
+  if (!METRICS_TOKEN) return true;
+  const given = Buffer.from(String(req.headers.authorization || ''));
+  const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Express handler for GET /metrics
+function metricsHandler(req, res) {
+  if (!canScrape(req)) {
+    return res.status(401).json({ error: 'A valid metrics token is required' });
+  }
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(render());
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests served', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route'], [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+// Express middleware counting requests by route pattern (not the raw path,
+// which would make a series per session ID)
+function httpMetrics() {
+  return (req, res, next) => {
+    if (req.path === '/metrics') return next();
+
+    const done = httpDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      done({ route });
+    });
+    next();
+  };
+}
+
+module.exports = {
+  counter,
+  histogram,
+  gauge,
+  render,
+  relabel,
+  mergeExpositions,
+  metricsHandler,
+  canScrape,
+  httpMetrics,
+  METRICS_TOKEN
+};
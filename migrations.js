@@ -0,0 +1,104 @@
+// migrations.js - Versioned schema for the SQLite store
+// Migrations run in order on startup, each in its own transaction, and the
+// applied versions are recorded in schema_migrations. Never edit a migration
+// that has shipped - add a new one with the next version number.
+const fs = require('fs');
+const path = require('path');
+
+// Folders under DATA_PATH that aren't collections (uploaded media files)
+const NON_COLLECTION_DIRS = ['media'];
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'create-documents',
+    up(db) {
+      db.exec(`
+        CREATE TABLE documents (
+          collection TEXT NOT NULL,
+          id TEXT NOT NULL,
+          data TEXT NOT NULL,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (collection, id)
+        );
+        -- Most lookups are "everything for this session"
+        CREATE INDEX documents_session ON documents (collection, json_extract(data, '$.sessionId'));
+      `);
+    }
+  },
+  {
+    // Brings over what the file store (one JSON file per document) had saved
+    version: 2,
+    name: 'import-json-store',
+    up(db, { dataPath }) {
+      if (!fs.existsSync(dataPath)) return;
+
+      const insert = db.prepare('INSERT OR IGNORE INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)');
+      let imported = 0;
+
+      fs.readdirSync(dataPath, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && !NON_COLLECTION_DIRS.includes(entry.name))
+        .forEach((entry) => {
+          const dir = path.join(dataPath, entry.name);
+          fs.readdirSync(dir)
+            .filter((file) => file.endsWith('.json'))
+            .forEach((file) => {
+              const text = fs.readFileSync(path.join(dir, file), 'utf8');
+              try {
+                JSON.parse(text);
+              } catch (error) {
+                console.error(`❌ Skipping unreadable ${entry.name}/${file}: ${error.message}`);
+                return;
+              }
+              const id = decodeURIComponent(file.slice(0, -'.json'.length));
+              imported += insert.run(entry.name, id, text, new Date().toISOString()).changes;
+            });
+        });
+
+      if (imported > 0) {
+        console.log(`📦 Imported ${imported} document(s) from the JSON file store (the files are left in place)`);
+      }
+    }
+  },
+  {
+    // Campaign recipients are stored one document each, read per campaign
+    version: 3,
+    name: 'index-campaign-id',
+    up(db) {
+      db.exec("CREATE INDEX documents_campaign ON documents (collection, json_extract(data, '$.campaignId'))");
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// Applies every pending migration and returns the schema version
+function runMigrations(db, context) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const current = db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version || 0;
+  if (current > LATEST_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this server supports (${LATEST_VERSION}) - upgrade the server`);
+  }
+
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+  MIGRATIONS
+    .filter((migration) => migration.version > current)
+    .forEach((migration) => {
+      db.transaction(() => {
+        migration.up(db, context);
+        record.run(migration.version, migration.name, new Date().toISOString());
+      })();
+      console.log(`🗄️ Applied migration ${migration.version} (${migration.name})`);
+    });
+
+  return LATEST_VERSION;
+}
+
+module.exports = { runMigrations, LATEST_VERSION };
@@ -0,0 +1,93 @@
+// number-check.js - WhatsApp number existence pre-check
+// Looks numbers up through the connected client's checkNumberStatus() and
+// caches the answer per number, so repeated campaigns don't re-query WhatsApp.
+const storage = require('./storage');
+const { normalizePhone } = require('./phone');
+
+const CACHE_TTL_MS = (parseFloat(process.env.NUMBER_CHECK_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const LOOKUP_DELAY_MS = 300;
+const MAX_BATCH_SIZE = 500;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createNumberChecker({ getClient }) {
+  const cache = storage.collection('number-status');
+
+  function cached(digits) {
+    const entry = cache.get(digits);
+    if (!entry || Date.now() - Date.parse(entry.checkedAt) > CACHE_TTL_MS) return null;
+    return entry;
+  }
+
+  // Resolves to { phone, status: 'reachable' | 'unreachable' | 'unknown', ... }
+  async function checkNumber(sessionId, phone, { force = false } = {}) {
+    const { digits, error } = normalizePhone(phone);
+
+    if (error) {
+      return { phone, status: 'unreachable', reason: error, cached: false };
+    }
+
+    if (!force) {
+      const hit = cached(digits);
+      if (hit) return { ...hit, cached: true };
+    }
+
+    const client = getClient(sessionId);
+    if (!client) {
+      return { phone: digits, status: 'unknown', reason: 'WhatsApp not connected', cached: false };
+    }
+
+    try {
+      const profile = await client.checkNumberStatus(`${digits}@c.us`);
+      const exists = !!(profile && profile.numberExists && profile.canReceiveMessage !== false);
+
+      const entry = {
+        phone: digits,
+        status: exists ? 'reachable' : 'unreachable',
+        isBusiness: !!(profile && profile.isBusiness),
+        checkedAt: new Date().toISOString()
+      };
+      cache.set(digits, entry);
+      return { ...entry, cached: false };
+    } catch (lookupError) {
+      // Lookup failures aren't cached - the number may be fine
+      return { phone: digits, status: 'unknown', reason: lookupError.message || String(lookupError), cached: false };
+    }
+  }
+
+  async function checkNumbers(sessionId, phones, { force = false, onResult } = {}) {
+    if (!Array.isArray(phones) || phones.length === 0) {
+      throw new Error('Phones must be a non-empty array');
+    }
+    if (phones.length > MAX_BATCH_SIZE) {
+      throw new Error(`At most ${MAX_BATCH_SIZE} numbers can be checked at once`);
+    }
+
+    const results = [];
+    for (const phone of phones) {
+      const result = await checkNumber(sessionId, phone, { force });
+      results.push(result);
+      if (onResult) onResult(result, results.length, phones.length);
+
+      // Only live lookups need spacing out
+      if (!result.cached && result.status !== 'unknown') {
+        await sleep(LOOKUP_DELAY_MS);
+      }
+    }
+
+    const byStatus = (status) => results.filter((r) => r.status === status).map((r) => r.phone);
+
+    return {
+      reachable: byStatus('reachable'),
+      unreachable: byStatus('unreachable'),
+      unknown: byStatus('unknown'),
+      results
+    };
+  }
+
+  return { checkNumber, checkNumbers };
+}
+
+module.exports = { createNumberChecker };
@@ -0,0 +1,298 @@
+// pacing.js - Per-session send throttling (anti-ban pacing)
+// Every send goes through schedule(), which runs one message at a time per
+// session with a randomized gap, burst cool-downs, rolling hourly/daily caps
+// and quiet hours evaluated in the recipient's timezone. Only sends that
+// reached WhatsApp count towards the caps, failed ones included.
+const storage = require('./storage');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Nairobi';
+
+const PACING_PRESETS = {
+  safe: {
+    minDelayMs: 8000,
+    maxDelayMs: 20000,
+    burstSize: 10,
+    burstCooldownMs: 5 * 60 * 1000,
+    hourlyCap: 60,
+    dailyCap: 300,
+    quietHours: { start: '21:00', end: '08:00' }
+  },
+  balanced: {
+    minDelayMs: 4000,
+    maxDelayMs: 10000,
+    burstSize: 20,
+    burstCooldownMs: 2 * 60 * 1000,
+    hourlyCap: 150,
+    dailyCap: 800,
+    quietHours: { start: '21:00', end: '07:00' }
+  },
+  aggressive: {
+    minDelayMs: 1500,
+    maxDelayMs: 4000,
+    burstSize: 50,
+    burstCooldownMs: 60 * 1000,
+    hourlyCap: 400,
+    dailyCap: 2000,
+    quietHours: null
+  }
+};
+
+const DEFAULT_PRESET = PACING_PRESETS[process.env.PACING_PROFILE] ? process.env.PACING_PROFILE : 'balanced';
+
+// Best-effort timezone lookup by calling code, used when a recipient has none
+const CALLING_CODE_TIMEZONES = {
+  254: 'Africa/Nairobi',
+  255: 'Africa/Dar_es_Salaam',
+  256: 'Africa/Kampala',
+  250: 'Africa/Kigali',
+  251: 'Africa/Addis_Ababa',
+  234: 'Africa/Lagos',
+  233: 'Africa/Accra',
+  27: 'Africa/Johannesburg',
+  971: 'Asia/Dubai',
+  91: 'Asia/Kolkata',
+  44: 'Europe/London',
+  49: 'Europe/Berlin',
+  1: 'America/New_York'
+};
+
+const NUMERIC_FIELDS = ['minDelayMs', 'maxDelayMs', 'burstSize', 'burstCooldownMs', 'hourlyCap', 'dailyCap'];
+
+function throttleError(reason, retryAt, message) {
+  const error = new Error(message);
+  error.code = 'throttled';
+  error.reason = reason;
+  error.retryAt = retryAt;
+  return error;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseClock(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function minutesOfDay(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+  const hour = parseInt(parts.find((p) => p.type === 'hour').value, 10);
+  const minute = parseInt(parts.find((p) => p.type === 'minute').value, 10);
+  return hour * 60 + minute;
+}
+
+function timezoneForPhone(phone) {
+  // Group/broadcast IDs start with digits too, but they aren't calling codes
+  if (/@(g\.us|broadcast|newsletter)$/.test(String(phone))) return null;
+
+  const digits = String(phone).replace(/\D/g, '');
+  for (const length of [3, 2, 1]) {
+    const timezone = CALLING_CODE_TIMEZONES[digits.substring(0, length)];
+    if (timezone) return timezone;
+  }
+  return null;
+}
+
+// Returns how many ms remain until quiet hours end, or 0 when sending is allowed
+function quietHoursRemaining(quietHours, timezone, now) {
+  if (!quietHours) return 0;
+
+  const start = parseClock(quietHours.start);
+  const end = parseClock(quietHours.end);
+  const current = minutesOfDay(new Date(now), timezone);
+
+  // Windows like 21:00-08:00 wrap past midnight
+  const inQuietHours = start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+
+  if (!inQuietHours) return 0;
+
+  const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+  return minutesLeft * 60 * 1000;
+}
+
+function validateProfile(profile) {
+  NUMERIC_FIELDS.forEach((field) => {
+    if (!Number.isFinite(profile[field]) || profile[field] < 0) {
+      throw new Error(`Pacing ${field} must be a non-negative number`);
+    }
+  });
+
+  if (profile.minDelayMs > profile.maxDelayMs) {
+    throw new Error('Pacing minDelayMs cannot be greater than maxDelayMs');
+  }
+
+  if (profile.quietHours) {
+    if (parseClock(profile.quietHours.start) === null || parseClock(profile.quietHours.end) === null) {
+      throw new Error('Quiet hours must use HH:MM for start and end');
+    }
+  }
+
+  if (!isValidTimezone(profile.timezone)) {
+    throw new Error(`Unknown timezone: ${profile.timezone}`);
+  }
+}
+
+function createPacer({ onThrottled }) {
+  const store = storage.collection('pacing');
+  const sessions = new Map();
+
+  function getState(sessionId) {
+    if (!sessions.has(sessionId)) {
+      const saved = store.get(sessionId);
+      sessions.set(sessionId, {
+        profile: saved?.profile || { preset: DEFAULT_PRESET, ...PACING_PRESETS[DEFAULT_PRESET], timezone: DEFAULT_TIMEZONE },
+        sentAt: saved?.sentAt || [],
+        burstCount: 0,
+        nextSendAt: 0,
+        queue: Promise.resolve(),
+        pending: 0
+      });
+    }
+    return sessions.get(sessionId);
+  }
+
+  function persist(sessionId, state) {
+    store.set(sessionId, { profile: state.profile, sentAt: state.sentAt });
+  }
+
+  function getProfile(sessionId) {
+    return { ...getState(sessionId).profile };
+  }
+
+  // Accepts a preset name, or overrides on top of a preset ({ preset, ...fields })
+  function setProfile(sessionId, input) {
+    const state = getState(sessionId);
+    const overrides = typeof input === 'string' ? { preset: input } : { ...(input || {}) };
+    const preset = overrides.preset || state.profile.preset;
+
+    if (!PACING_PRESETS[preset]) {
+      throw new Error(`Unknown pacing preset: ${preset}`);
+    }
+
+    const base = overrides.preset ? { ...PACING_PRESETS[preset], timezone: state.profile.timezone } : state.profile;
+    const profile = { ...base, ...overrides, preset };
+    validateProfile(profile);
+
+    state.profile = profile;
+    persist(sessionId, state);
+    console.log(`🐢 Pacing profile for ${sessionId} set to ${preset}`);
+    return { ...profile };
+  }
+
+  function checkLimits(state, phone, timezone) {
+    const now = Date.now();
+    const { profile } = state;
+
+    state.sentAt = state.sentAt.filter((time) => now - time < DAY_MS);
+
+    if (profile.dailyCap && state.sentAt.length >= profile.dailyCap) {
+      throw throttleError('daily-cap', state.sentAt[0] + DAY_MS, `Daily limit of ${profile.dailyCap} messages reached`);
+    }
+
+    const lastHour = state.sentAt.filter((time) => now - time < HOUR_MS);
+    if (profile.hourlyCap && lastHour.length >= profile.hourlyCap) {
+      throw throttleError('hourly-cap', lastHour[0] + HOUR_MS, `Hourly limit of ${profile.hourlyCap} messages reached`);
+    }
+
+    const recipientTimezone = timezone && isValidTimezone(timezone)
+      ? timezone
+      : timezoneForPhone(phone) || profile.timezone;
+    const quietMs = quietHoursRemaining(profile.quietHours, recipientTimezone, now);
+    if (quietMs > 0) {
+      throw throttleError('quiet-hours', now + quietMs, `Quiet hours in ${recipientTimezone}`);
+    }
+  }
+
+  // Records a send that reached WhatsApp and picks the gap before the next one
+  function countSend(sessionId, state) {
+    const { profile } = state;
+    const now = Date.now();
+
+    state.sentAt.push(now);
+    state.burstCount += 1;
+
+    let gap = profile.minDelayMs + Math.random() * (profile.maxDelayMs - profile.minDelayMs);
+    if (profile.burstSize && state.burstCount >= profile.burstSize) {
+      gap += profile.burstCooldownMs;
+      state.burstCount = 0;
+    }
+    state.nextSendAt = now + gap;
+
+    persist(sessionId, state);
+  }
+
+  async function runPaced(sessionId, state, { phone, timezone }, send) {
+    const wait = state.nextSendAt - Date.now();
+    if (wait > 0) {
+      await sleep(wait);
+    }
+
+    checkLimits(state, phone, timezone);
+
+    // A send refused before it reached WhatsApp leaves the pacing untouched
+    let attempted = false;
+    try {
+      return await send(() => {
+        attempted = true;
+      });
+    } finally {
+      if (attempted) countSend(sessionId, state);
+    }
+  }
+
+  // Queue a send behind any in-flight send for this session. send(attempt)
+  // calls attempt() right before it hands the message to WhatsApp.
+  function schedule(sessionId, recipient, send) {
+    const state = getState(sessionId);
+
+    state.pending += 1;
+    const result = state.queue.then(() => runPaced(sessionId, state, recipient, send));
+    state.queue = result.catch(() => {});
+    result.catch(() => {}).then(() => {
+      state.pending -= 1;
+    });
+
+    return result.catch((error) => {
+      if (error.code === 'throttled') {
+        console.log(`🐢 Throttled ${sessionId}: ${error.reason} until ${new Date(error.retryAt).toISOString()}`);
+        onThrottled(sessionId, {
+          reason: error.reason,
+          message: error.message,
+          retryAt: new Date(error.retryAt).toISOString(),
+          to: recipient.phone
+        });
+      }
+      throw error;
+    });
+  }
+
+  // Sends waiting for their turn (or running), for one session or all of them
+  function queueLength(sessionId) {
+    if (sessionId) return sessions.get(sessionId)?.pending || 0;
+    return Array.from(sessions.values()).reduce((sum, state) => sum + state.pending, 0);
+  }
+
+  return { schedule, getProfile, setProfile, queueLength };
+}
+
+module.exports = { createPacer, PACING_PRESETS, DEFAULT_TIMEZONE, isValidTimezone };
@@ -0,0 +1,97 @@
+// phone.js - Phone number normalization to E.164
+// WhatsApp chat IDs are the full international number without "+", so
+// "0712 345 678", "+254 712-345-678" and "254712345678" must all become
+// 254712345678@c.us. Other chats are passed through by their own IDs:
+// groups and communities (...@g.us), broadcast lists (...@broadcast) and
+// channels (...@newsletter).
+
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '254').replace(/\D/g, '');
+
+const MIN_DIGITS = 8;
+const MAX_DIGITS = 15;
+
+const CHAT_ID_PATTERNS = {
+  group: /^\d+(-\d+)?@g\.us$/,
+  broadcast: /^\d+@broadcast$/,
+  newsletter: /^\d+@newsletter$/
+};
+
+// 'user', 'group', 'broadcast' or 'newsletter'; null for anything that isn't a valid chat ID
+function chatTypeOf(chatId) {
+  const value = String(chatId || '');
+  if (/^\d+@c\.us$/.test(value)) return 'user';
+  return Object.keys(CHAT_ID_PATTERNS).find((type) => CHAT_ID_PATTERNS[type].test(value)) || null;
+}
+
+// True for group/broadcast/channel IDs, which are never phone numbers
+function isNonUserChatId(value) {
+  return /@(g\.us|broadcast|newsletter)$/.test(String(value || '').trim());
+}
+
+// Returns { digits, e164 } or { error } - never throws, so importers can report bad rows
+function normalizePhone(raw, defaultCountryCode = DEFAULT_COUNTRY_CODE) {
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return { error: 'Phone number is empty' };
+  }
+
+  const countryCode = String(defaultCountryCode || DEFAULT_COUNTRY_CODE).replace(/\D/g, '');
+  let value = String(raw).trim().replace(/@c\.us$/, '');
+
+  if (/[a-z]/i.test(value.replace(/^tel:/i, ''))) {
+    return { error: 'Phone number contains letters' };
+  }
+
+  value = value.replace(/^tel:/i, '').replace(/[\s\-().\/]/g, '');
+
+  let digits;
+  if (value.startsWith('+')) {
+    digits = value.slice(1);
+  } else if (value.startsWith('00')) {
+    digits = value.slice(2);
+  } else if (value.startsWith('0')) {
+    // National format with trunk prefix, e.g. 0712345678
+    digits = countryCode + value.replace(/^0+/, '');
+  } else if (value.startsWith(countryCode) && value.length > countryCode.length + 6) {
+    digits = value;
+  } else if (value.length <= 10) {
+    // National number typed without the trunk 0, e.g. 712345678
+    digits = countryCode + value;
+  } else {
+    digits = value;
+  }
+
+  if (!/^\d+$/.test(digits)) {
+    return { error: 'Phone number contains invalid characters' };
+  }
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) {
+    return { error: `Phone number must have ${MIN_DIGITS}-${MAX_DIGITS} digits including the country code` };
+  }
+
+  return { digits, e164: `+${digits}` };
+}
+
+// Builds the WhatsApp chat ID for a phone number (or validates a group/broadcast/
+// channel ID), throwing on invalid input
+function toChatId(phone, defaultCountryCode) {
+  if (isNonUserChatId(phone)) {
+    const chatId = String(phone).trim();
+    if (!chatTypeOf(chatId)) {
+      const invalid = new Error(`Invalid chat ID "${phone}"`);
+      invalid.code = 'invalid-phone';
+      throw invalid;
+    }
+    return chatId;
+  }
+
+  const { digits, error } = normalizePhone(phone, defaultCountryCode);
+
+  if (error) {
+    const invalid = new Error(`Invalid phone number "${phone}": ${error}`);
+    invalid.code = 'invalid-phone';
+    throw invalid;
+  }
+
+  return `${digits}@c.us`;
+}
+
+module.exports = { normalizePhone, toChatId, chatTypeOf, isNonUserChatId, DEFAULT_COUNTRY_CODE };
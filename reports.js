@@ -0,0 +1,332 @@
+// reports.js - Campaign analytics and exportable reports
+// Built from the send log (message-tracker) and the campaigns themselves:
+// totals, success/failure rates, failure reasons, the sent -> delivered ->
+// read -> replied funnel and a per-day breakdown, exportable as CSV or JSON
+// per campaign or for a date range.
+const { parseDateTime } = require('./cron');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./pacing');
+const { attemptedAtOf } = require('./message-tracker');
+
+const DEFAULT_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+const EXPORT_FORMATS = ['csv', 'json'];
+const CSV_COLUMNS = [
+  'attemptedAt',
+  'campaignId',
+  'campaignName',
+  'to',
+  'outcome',
+  'ackStatus',
+  'errorCode',
+  'error',
+  'text',
+  'mediaType',
+  'messageId',
+  'sentAt',
+  'deliveredAt',
+  'readAt',
+  'repliedAt'
+];
+
+function reportError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function ratio(part, whole) {
+  return whole ? part / whole : 0;
+}
+
+// YYYY-MM-DD of a timestamp in the report's timezone
+function dayOf(iso, timezone) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(iso));
+}
+
+// "2025-03-01" covers that whole day in the timezone; anything else goes
+// through parseDateTime (local wall-clock time or a full ISO timestamp)
+function parseBound(value, timezone, { endOfDay = false } = {}) {
+  const dateOnly = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value).trim());
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + (endOfDay ? 1 : 0))).toISOString().substring(0, 10);
+    return parseDateTime(`${date}T00:00`, timezone);
+  }
+  return parseDateTime(value, timezone);
+}
+
+// Defaults to the last 7 days; "to" is exclusive
+function parseRange({ from, to, timezone } = {}) {
+  const zone = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(zone)) {
+    throw reportError(`Unknown timezone: ${zone}`);
+  }
+
+  const end = to ? parseBound(to, zone, { endOfDay: true }) : new Date();
+  if (!end) throw reportError(`Invalid "to" date: ${to}`);
+
+  const start = from ? parseBound(from, zone) : new Date(end.getTime() - DEFAULT_RANGE_MS);
+  if (!start) throw reportError(`Invalid "from" date: ${from}`);
+
+  if (start >= end) {
+    throw reportError('"from" must be before "to"');
+  }
+  return { from: start, to: end, timezone: zone };
+}
+
+function ackStatusOf(recipient) {
+  if (recipient.readAt) return 'read';
+  if (recipient.deliveredAt) return 'delivered';
+  return recipient.status === 'sent' ? 'sent' : null;
+}
+
+// One report row per send attempt from the send log
+function rowFromRecord(record, campaignNames) {
+  let outcome = 'sent';
+  if (record.result === 'suppressed') outcome = 'suppressed';
+  else if (record.status === 'failed') outcome = 'failed';
+
+  return {
+    attemptedAt: attemptedAtOf(record),
+    campaignId: record.campaignId || null,
+    campaignName: (record.campaignId && campaignNames.get(record.campaignId)) || null,
+    to: record.to,
+    outcome,
+    ackStatus: record.status,
+    errorCode: record.errorCode || null,
+    error: record.error || null,
+    text: record.text || null,
+    mediaType: record.mediaType || null,
+    messageId: record.sentAt ? record.id : null,
+    sentAt: record.sentAt || null,
+    deliveredAt: record.deliveredAt || null,
+    readAt: record.readAt || null,
+    repliedAt: record.repliedAt || null
+  };
+}
+
+// Campaign recipients with no send log entry (skipped, cancelled, pending, or
+// sent before the log existed)
+function rowFromRecipient(recipient, campaign) {
+  return {
+    attemptedAt: recipient.sentAt || recipient.failedAt || null,
+    campaignId: campaign.id,
+    campaignName: campaign.name,
+    to: recipient.phone,
+    outcome: recipient.status,
+    ackStatus: ackStatusOf(recipient),
+    errorCode: null,
+    error: recipient.error || null,
+    text: null,
+    mediaType: campaign.mediaType,
+    messageId: recipient.messageId || null,
+    sentAt: recipient.sentAt || null,
+    deliveredAt: recipient.deliveredAt || null,
+    readAt: recipient.readAt || null,
+    repliedAt: recipient.repliedAt || null
+  };
+}
+
+function summarizeRows(rows, timezone) {
+  const totals = {
+    recipients: rows.length,
+    attempted: 0,
+    sent: 0,
+    failed: 0,
+    suppressed: 0,
+    skipped: 0,
+    cancelled: 0,
+    pending: 0,
+    delivered: 0,
+    read: 0,
+    replied: 0
+  };
+  const reasons = new Map();
+  const days = new Map();
+
+  rows.forEach((row) => {
+    totals[row.outcome] = (totals[row.outcome] || 0) + 1;
+    const attempted = ['sent', 'failed', 'suppressed'].includes(row.outcome);
+    if (attempted) totals.attempted += 1;
+    if (row.deliveredAt) totals.delivered += 1;
+    if (row.readAt) totals.read += 1;
+    if (row.repliedAt) totals.replied += 1;
+
+    if (['failed', 'suppressed', 'skipped'].includes(row.outcome)) {
+      const reason = row.errorCode || row.error || 'unknown';
+      reasons.set(reason, (reasons.get(reason) || 0) + 1);
+    }
+
+    if (attempted && row.attemptedAt) {
+      const date = dayOf(row.attemptedAt, timezone);
+      const day = days.get(date) || { date, attempted: 0, sent: 0, failed: 0, delivered: 0, read: 0, replied: 0 };
+      day.attempted += 1;
+      if (row.outcome === 'sent') day.sent += 1;
+      else day.failed += 1;
+      if (row.deliveredAt) day.delivered += 1;
+      if (row.readAt) day.read += 1;
+      if (row.repliedAt) day.replied += 1;
+      days.set(date, day);
+    }
+  });
+
+  return {
+    totals,
+    rates: {
+      success: ratio(totals.sent, totals.attempted),
+      failure: ratio(totals.failed + totals.suppressed, totals.attempted),
+      delivery: ratio(totals.delivered, totals.sent),
+      read: ratio(totals.read, totals.sent),
+      reply: ratio(totals.replied, totals.sent)
+    },
+    // Each stage as a share of the messages sent
+    funnel: ['sent', 'delivered', 'read', 'replied'].map((stage) => ({
+      stage,
+      count: totals[stage],
+      rate: ratio(totals[stage], totals.sent)
+    })),
+    failureReasons: Array.from(reasons, ([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count),
+    daily: Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date))
+  };
+}
+
+// Spreadsheet apps run cells starting with = + - @ as formulas
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [CSV_COLUMNS.join(',')];
+  rows.forEach((row) => {
+    lines.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+function slug(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').substring(0, 50) || 'report';
+}
+
+// Writes an export as a file download
+function sendExport(res, { filename, contentType, body }) {
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(body);
+}
+
+function createReports({ messageTracker, campaignEngine }) {
+  function campaignNamesFor(sessionId) {
+    return new Map(campaignEngine.listCampaigns(sessionId).map((campaign) => [campaign.id, campaign.name]));
+  }
+
+  function campaignRows(sessionId, campaignId) {
+    const campaign = campaignEngine.getCampaign(sessionId, campaignId);
+    const names = new Map([[campaign.id, campaign.name]]);
+
+    // Recipients are unique per campaign, so the latest log entry per number is
+    // its result. Multi-number campaigns are logged under each sending number.
+    const sessionIds = campaign.senders ? campaign.senders.map((sender) => sender.sessionId) : [sessionId];
+    const logged = new Map();
+    sessionIds
+      .flatMap((id) => messageTracker.queryMessages(id, { campaignId }))
+      .sort((a, b) => attemptedAtOf(a).localeCompare(attemptedAtOf(b)))
+      .forEach((record) => {
+        logged.set(record.to, record);
+      });
+
+    const rows = campaign.recipients.map((recipient) => (
+      logged.has(recipient.phone)
+        ? rowFromRecord(logged.get(recipient.phone), names)
+        : rowFromRecipient(recipient, campaign)
+    ));
+    return { campaign, rows };
+  }
+
+  function buildCampaignReport(sessionId, campaignId, { timezone } = {}) {
+    const zone = timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(zone)) {
+      throw reportError(`Unknown timezone: ${zone}`);
+    }
+
+    const { campaign, rows } = campaignRows(sessionId, campaignId);
+    const { recipients, message, ...summary } = campaign;
+    const report = {
+      campaign: summary,
+      timezone: zone,
+      generatedAt: new Date().toISOString(),
+      ...summarizeRows(rows, zone)
+    };
+    return { report, rows };
+  }
+
+  // Everything sent in the range, with a per-campaign breakdown
+  function buildRangeReport(sessionId, query = {}) {
+    const range = parseRange(query);
+    const names = campaignNamesFor(sessionId);
+    const rows = messageTracker.queryMessages(sessionId, range).map((record) => rowFromRecord(record, names));
+
+    const byCampaign = new Map();
+    rows.forEach((row) => {
+      if (!byCampaign.has(row.campaignId)) byCampaign.set(row.campaignId, []);
+      byCampaign.get(row.campaignId).push(row);
+    });
+
+    const report = {
+      from: range.from.toISOString(),
+      to: range.to.toISOString(),
+      timezone: range.timezone,
+      generatedAt: new Date().toISOString(),
+      ...summarizeRows(rows, range.timezone),
+      campaigns: Array.from(byCampaign, ([campaignId, campaignRowList]) => {
+        const { totals, rates } = summarizeRows(campaignRowList, range.timezone);
+        return {
+          campaignId,
+          // Messages sent outside campaigns (direct, scheduled, auto-replies)
+          name: campaignId ? campaignRowList[0].campaignName : 'Direct messages',
+          totals,
+          rates
+        };
+      })
+    };
+    return { report, rows };
+  }
+
+  function exportFile(format, baseName, { report, rows }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw reportError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    }
+
+    return format === 'csv'
+      ? { filename: `${baseName}.csv`, contentType: 'text/csv; charset=utf-8', body: toCsv(rows) }
+      : { filename: `${baseName}.json`, contentType: 'application/json', body: JSON.stringify({ report, rows }, null, 2) };
+  }
+
+  function campaignReport(sessionId, campaignId, options) {
+    return buildCampaignReport(sessionId, campaignId, options).report;
+  }
+
+  function rangeReport(sessionId, query) {
+    return buildRangeReport(sessionId, query).report;
+  }
+
+  function exportCampaign(sessionId, campaignId, { format = 'csv', timezone } = {}) {
+    const built = buildCampaignReport(sessionId, campaignId, { timezone });
+    return exportFile(format, `campaign-${slug(built.report.campaign.name)}`, built);
+  }
+
+  function exportRange(sessionId, { format = 'csv', ...query } = {}) {
+    const built = buildRangeReport(sessionId, query);
+    const { from, to, timezone } = built.report;
+    // "to" is exclusive, so the file is named after the last day it covers
+    const lastDay = new Date(Date.parse(to) - 1).toISOString();
+    return exportFile(format, `report-${dayOf(from, timezone)}-to-${dayOf(lastDay, timezone)}`, built);
+  }
+
+  return { campaignReport, rangeReport, exportCampaign, exportRange };
+}
+
+module.exports = { createReports, sendExport };
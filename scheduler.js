@@ -0,0 +1,325 @@
+// scheduler.js - Scheduled and recurring messages
+// A job is either one-off ({ at: '2025-03-01T09:00' }) or recurring
+// ({ cron: '0 8 * * mon' }), evaluated in the job's timezone. Jobs are
+// persisted and fired through the normal sendMessage path, so pacing and
+// opt-outs apply to them too.
+//
+// missedPolicy decides what happens to a run that couldn't go out on time
+// (server down, session disconnected) for longer than the grace period:
+//   send-late  send it as soon as possible (recurring jobs catch up once)
+//   skip       record the run as skipped and wait for the next one
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+const { renderTemplate } = require('./templates');
+const { prepareMedia } = require('./media');
+const { normalizePhone } = require('./phone');
+const { parseCron, nextCronRun, parseDateTime } = require('./cron');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./pacing');
+
+const TICK_MS = 15 * 1000;
+const GRACE_MS = (parseFloat(process.env.SCHEDULER_GRACE_MINUTES) || 5) * 60 * 1000;
+const DEFAULT_MISSED_POLICY = process.env.SCHEDULER_MISSED_POLICY === 'skip' ? 'skip' : 'send-late';
+const MISSED_POLICIES = ['send-late', 'skip'];
+const MAX_JOBS_PER_SESSION = 500;
+const HISTORY_LIMIT = 20;
+
+function schedulerError(message, status = 400, details) {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+}
+
+// Validates a create/update payload merged over the existing job
+// mediaOptions are prepareMedia()'s, for saving base64 media to MEDIA_PATH
+function buildJob(input, existing = {}, mediaOptions = { persist: true }) {
+  const job = {
+    ...existing,
+    name: input.name !== undefined ? input.name : existing.name || null,
+    message: input.message !== undefined ? input.message : existing.message || '',
+    variables: input.variables !== undefined ? input.variables || {} : existing.variables || {},
+    timezone: input.timezone || existing.timezone || DEFAULT_TIMEZONE,
+    missedPolicy: input.missedPolicy || existing.missedPolicy || DEFAULT_MISSED_POLICY
+  };
+
+  if (!isValidTimezone(job.timezone)) {
+    throw schedulerError(`Unknown timezone: ${job.timezone}`);
+  }
+  if (!MISSED_POLICIES.includes(job.missedPolicy)) {
+    throw schedulerError(`missedPolicy must be one of: ${MISSED_POLICIES.join(', ')}`);
+  }
+
+  if (input.phone !== undefined || !existing.phone) {
+    const { digits, error } = normalizePhone(input.phone, input.defaultCountryCode);
+    if (error) {
+      throw schedulerError(`Invalid phone number "${input.phone}": ${error}`);
+    }
+    job.phone = digits;
+  }
+
+  // Exactly one of at/cron; an update may switch between them
+  if (input.at !== undefined || input.cron !== undefined) {
+    if ((input.at === undefined) === (input.cron === undefined)) {
+      throw schedulerError('Give either "at" (one-off) or "cron" (recurring), not both');
+    }
+    job.at = input.at !== undefined ? input.at : null;
+    job.cron = input.cron !== undefined ? input.cron : null;
+  }
+  if (!job.at && !job.cron) {
+    throw schedulerError('A schedule needs "at" (one-off) or "cron" (recurring)');
+  }
+  if (job.cron) {
+    parseCron(job.cron);
+  }
+
+  // Bad media and missing template variables fail now rather than at send time
+  try {
+    if (input.media !== undefined) {
+      job.media = input.media ? prepareMedia(input.media, mediaOptions) : null;
+    }
+    renderTemplate(job.message, { ...job.variables, phone: job.phone });
+  } catch (error) {
+    if (error.code === 'quota-exceeded') throw error;
+    throw schedulerError(error.message, 400, error.details);
+  }
+  if (!job.message && !job.media) {
+    throw schedulerError('A scheduled message needs text or media');
+  }
+
+  return job;
+}
+
+function firstRun(job, now = new Date()) {
+  if (job.cron) {
+    const next = nextCronRun(job.cron, job.timezone, now);
+    if (!next) throw schedulerError('Cron expression never matches a real date');
+    return next;
+  }
+
+  const at = parseDateTime(job.at, job.timezone);
+  if (!at) {
+    throw schedulerError('"at" must be a date-time like 2025-03-01T09:00 (job timezone) or a full ISO timestamp');
+  }
+  if (at.getTime() < now.getTime() - GRACE_MS) {
+    throw schedulerError('"at" is in the past');
+  }
+  return at;
+}
+
+// ownsSession limits the ticks to this worker's sessions in a cluster.
+// reserveStorage(sessionId, bytes, file) is asked before base64 media is saved
+// to MEDIA_PATH, and may refuse it; canUseMedia(sessionId, file) says whether
+// a job may reference a file already there.
+function createScheduler({
+  sendMessage,
+  isSessionReady,
+  onJobEvent,
+  ownsSession = () => true,
+  reserveStorage = null,
+  canUseMedia = null
+}) {
+  const store = storage.collection('scheduled-messages');
+  const jobs = new Map();
+  const firing = new Set();
+  let ticker = null;
+
+  store.list().forEach((job) => jobs.set(job.id, job));
+
+  function save(job) {
+    job.updatedAt = new Date().toISOString();
+    store.set(job.id, job);
+  }
+
+  function mediaOptions(sessionId) {
+    return {
+      persist: true,
+      reserveStorage: reserveStorage && ((bytes, file) => reserveStorage(sessionId, bytes, file)),
+      canUseFile: canUseMedia && ((file) => canUseMedia(sessionId, file))
+    };
+  }
+
+  function getOwnedJob(sessionId, jobId) {
+    const job = jobs.get(jobId);
+    if (!job || job.sessionId !== sessionId) {
+      throw schedulerError('Scheduled message not found', 404);
+    }
+    return job;
+  }
+
+  function createJob(sessionId, input = {}) {
+    const count = Array.from(jobs.values()).filter((job) => job.sessionId === sessionId && job.status === 'scheduled').length;
+    if (count >= MAX_JOBS_PER_SESSION) {
+      throw schedulerError(`At most ${MAX_JOBS_PER_SESSION} scheduled messages are allowed per session`);
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      sessionId,
+      ...buildJob({ media: null, ...input }, {}, mediaOptions(sessionId)),
+      status: 'scheduled',
+      nextRunAt: null,
+      lastRunAt: null,
+      runs: 0,
+      history: [],
+      createdAt: now,
+      updatedAt: now
+    };
+    job.nextRunAt = firstRun(job).toISOString();
+
+    jobs.set(job.id, job);
+    save(job);
+    console.log(`⏰ Scheduled message ${job.id} for ${sessionId}, next run ${job.nextRunAt}`);
+    return job;
+  }
+
+  function updateJob(sessionId, jobId, input = {}) {
+    const existing = getOwnedJob(sessionId, jobId);
+    if (existing.status !== 'scheduled') {
+      throw schedulerError(`Cannot edit a ${existing.status} scheduled message`, 409);
+    }
+    if (firing.has(jobId)) {
+      throw schedulerError('This message is being sent right now, try again in a moment', 409);
+    }
+
+    const job = buildJob(input, existing, mediaOptions(sessionId));
+    const scheduleChanged = input.at !== undefined || input.cron !== undefined || input.timezone !== undefined;
+    if (scheduleChanged) {
+      job.nextRunAt = firstRun(job).toISOString();
+    }
+
+    jobs.set(jobId, job);
+    save(job);
+    return job;
+  }
+
+  function cancelJob(sessionId, jobId) {
+    const job = getOwnedJob(sessionId, jobId);
+    if (job.status !== 'scheduled') {
+      throw schedulerError(`Scheduled message is already ${job.status}`, 409);
+    }
+
+    job.status = 'cancelled';
+    job.nextRunAt = null;
+    save(job);
+    return job;
+  }
+
+  function listJobs(sessionId, { status } = {}) {
+    return Array.from(jobs.values())
+      .filter((job) => job.sessionId === sessionId && (!status || job.status === status))
+      .sort((a, b) => (a.nextRunAt || a.updatedAt).localeCompare(b.nextRunAt || b.updatedAt));
+  }
+
+  // Whether the session still has messages to send; the server keeps such
+  // sessions open after their tab closes, since jobs only fire on a ready client
+  function hasPendingJobs(sessionId) {
+    return Array.from(jobs.values()).some((job) => job.sessionId === sessionId && job.status === 'scheduled' && job.nextRunAt);
+  }
+
+  // Media files of jobs still to run, read from storage so jobs of other
+  // cluster workers count too
+  function referencedMedia() {
+    return store.list({ status: 'scheduled' })
+      .filter((job) => job.media && job.media.file)
+      .map((job) => job.media.file);
+  }
+
+  // Records the outcome of one run and moves the job to its next occurrence
+  function finishRun(job, scheduledFor, result) {
+    job.history.push({ scheduledFor, ranAt: new Date().toISOString(), ...result });
+    if (job.history.length > HISTORY_LIMIT) {
+      job.history = job.history.slice(-HISTORY_LIMIT);
+    }
+    if (result.status === 'sent') {
+      job.runs += 1;
+      job.lastRunAt = new Date().toISOString();
+    }
+
+    if (job.cron) {
+      // After downtime a recurring job catches up once, not once per missed occurrence
+      const after = new Date(Math.max(Date.now(), Date.parse(scheduledFor)));
+      const next = nextCronRun(job.cron, job.timezone, after);
+      job.nextRunAt = next ? next.toISOString() : null;
+      if (!next) job.status = 'completed';
+    } else {
+      job.nextRunAt = null;
+      job.status = result.status === 'sent' ? 'completed' : result.status;
+    }
+
+    save(job);
+    onJobEvent(job.sessionId, {
+      type: `scheduled-message-${result.status}`,
+      job,
+      scheduledFor,
+      error: result.error || null
+    });
+  }
+
+  async function fire(job) {
+    const scheduledFor = job.nextRunAt;
+    const overdue = Date.now() - Date.parse(scheduledFor) > GRACE_MS;
+
+    if (overdue && job.missedPolicy === 'skip') {
+      finishRun(job, scheduledFor, { status: 'skipped', error: 'Missed while the server or session was down' });
+      return;
+    }
+
+    // send-late jobs wait for the session to come back
+    if (!isSessionReady(job.sessionId)) return;
+
+    firing.add(job.id);
+    try {
+      const text = renderTemplate(job.message, { ...job.variables, phone: job.phone });
+      const result = await sendMessage(job.sessionId, job.phone, text, {
+        timezone: job.variables.timezone,
+        media: job.media
+      });
+      finishRun(job, scheduledFor, { status: 'sent', messageId: result.messageId });
+    } catch (error) {
+      // Throttling is temporary - the next tick tries again (or skips once overdue)
+      if (error.code !== 'throttled') {
+        finishRun(job, scheduledFor, { status: 'failed', error: error.message });
+      }
+    } finally {
+      firing.delete(job.id);
+    }
+  }
+
+  function tick() {
+    const now = Date.now();
+    jobs.forEach((job) => {
+      if (job.status !== 'scheduled' || !job.nextRunAt || firing.has(job.id)) return;
+      if (Date.parse(job.nextRunAt) > now || !ownsSession(job.sessionId)) return;
+
+      fire(job).catch((error) => {
+        console.error(`❌ Scheduled message ${job.id} crashed:`, error);
+      });
+    });
+  }
+
+  function start() {
+    if (ticker) return;
+    ticker = setInterval(tick, TICK_MS);
+    tick();
+
+    const waiting = Array.from(jobs.values()).filter((job) => job.status === 'scheduled').length;
+    if (waiting > 0) {
+      console.log(`⏰ Scheduler started with ${waiting} scheduled message(s)`);
+    }
+  }
+
+  // Re-reads a session's jobs from storage after it moved here from another worker
+  function loadSession(sessionId) {
+    store.list({ sessionId }).forEach((stored) => {
+      if (firing.has(stored.id)) return;
+      const existing = jobs.get(stored.id);
+      if (existing) Object.assign(existing, stored);
+      else jobs.set(stored.id, stored);
+    });
+  }
+
+  return { createJob, updateJob, cancelJob, getJob: getOwnedJob, listJobs, hasPendingJobs, referencedMedia, start, loadSession };
+}
+
+module.exports = { createScheduler };
@@ -1,6 +1,9 @@
 // WhatsApp Message Sender Backend with WebSocket Support
 // Install required packages:
 // npm install @wppconnect-team/wppconnect express ws
+// Structured logging first, so every module's console output goes through it
+const { install: installLogger, logger, runWithContext, enterContext, addContext, newRequestId, requestContext, getRecentErrors, clearRecentErrors } = require('./logger');
+installLogger();
 const puppeteer = require('puppeteer');
 const wppconnect = require('@wppconnect-team/wppconnect');
 const express = require('express');
@@ -9,9 +12,17 @@ const WebSocket = require('ws');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { LEGACY_FINGERPRINT_SESSIONS, tokenFromRequest, verifyWebSocketClient, resolveInitSession } = require('./client-auth');
 
 // Configuration
 const PORT = process.env.PORT || 3000;
+
+// A restored session that asks for a QR has lost its login; give up after this
+const RESTORE_QR_TIMEOUT_MS = 60 * 1000;
+// A new pairing code replaces the last one whenever WhatsApp renews the QR;
+// clients are told to stop showing a code after this
+const PAIRING_CODE_TTL_MS = 60 * 1000;
+const LOGIN_METHODS = ['qr', 'pairing-code'];
 // ✅ Fly.io configuration
 const IS_FLYIO = process.env.FLY_APP_NAME !== undefined;
 
@@ -60,10 +71,40 @@ if (!fs.existsSync(TOKENS_PATH)) {
 // Initialize Express app and WebSocket server
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
 
 // Import keep-alive service
 const { keepAlive } = require('./keep-alive');
+const storage = require('./storage');
+const cluster = require('./cluster');
+const { createCampaignEngine } = require('./campaigns');
+const { createPacer, PACING_PRESETS } = require('./pacing');
+const { renderTemplate, renderForRecipients } = require('./templates');
+const { prepareMedia, sendMedia, deleteMediaFile, sweepMedia, MEDIA_PATH, MAX_UPLOAD_BYTES } = require('./media');
+const { toChatId, isNonUserChatId, normalizePhone } = require('./phone');
+const contacts = require('./contacts');
+const { createNumberChecker } = require('./number-check');
+const { createMessageTracker } = require('./message-tracker');
+const { createInbox } = require('./inbox');
+const { createSuppressionList } = require('./suppression');
+const { createApiRouter } = require('./api');
+const { createWebhooks } = require('./webhooks');
+const accounts = require('./accounts');
+const workspaces = require('./workspaces');
+const { recordUsage, usageReport } = require('./usage');
+const { getSessionRecord, saveSessionRecord, listSessionRecords, removeSessionRecord } = require('./session-registry');
+const { createScheduler } = require('./scheduler');
+const { createGroupManager } = require('./groups');
+const { createAdmission } = require('./admission');
+const { createConnectionMonitor } = require('./connection-monitor');
+const { createReports, sendExport } = require('./reports');
+const metrics = require('./metrics');
+const { createAdminRouter, adminFromRequest } = require('./admin');
+const multer = require('multer');
+
+// Request IDs for the logs, and request counts for /metrics
+app.use(requestContext());
+app.use(metrics.httpMetrics());
 
 // Add CORS for Vercel
 const allowedOrigins = [
@@ -78,8 +119,8 @@ app.use((req, res, next) => {
   if (allowedOrigins.includes(origin) || !origin) {
     res.setHeader('Access-Control-Allow-Origin', origin || '*');
   }
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key');
   
   if (req.method === 'OPTIONS') {
     return res.sendStatus(200);
@@ -87,13 +128,366 @@ app.use((req, res, next) => {
   next();
 });
 
-// Add JSON parsing
-app.use(express.json());
+// Add JSON parsing (raised limit so small base64 media fits; big files should use multipart)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '20mb' }));
+
+// Multipart uploads land straight in the media folder and are validated afterwards
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: MEDIA_PATH,
+    filename: (req, file, cb) => cb(null, `${crypto.randomUUID()}${path.extname(file.originalname).toLowerCase()}`)
+  }),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Contact files are parsed in memory and never written to disk
+const contactUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+});
+
+// Validate an uploaded file as media, removing it again if it's rejected
+function prepareUploadedMedia(file, fields) {
+  try {
+    return prepareMedia({
+      type: fields.type || undefined,
+      file: file.filename,
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      caption: fields.caption,
+      voiceNote: fields.voiceNote !== 'false'
+    });
+  } catch (error) {
+    fs.rmSync(file.path, { force: true });
+    throw error;
+  }
+}
+
+// How a new session links: scanning a QR (default) or entering a pairing code
+// on the phone ("Link with phone number instead"), which needs the number
+function parseLoginOptions({ loginMethod, phoneNumber, defaultCountryCode } = {}) {
+  const method = loginMethod || (phoneNumber ? 'pairing-code' : 'qr');
+  const loginError = (message, code) => Object.assign(new Error(message), { status: 400, code });
+
+  if (!LOGIN_METHODS.includes(method)) {
+    throw loginError(`loginMethod must be one of: ${LOGIN_METHODS.join(', ')}`, 'invalid-login-method');
+  }
+  if (method === 'qr') {
+    return { loginMethod: 'qr', phoneNumber: null };
+  }
+  if (!phoneNumber) {
+    throw loginError('phoneNumber is required to link with a pairing code', 'phone-required');
+  }
+
+  const { digits, error } = normalizePhone(phoneNumber, defaultCountryCode);
+  if (error) {
+    throw loginError(`Invalid phone number: ${error}`, 'invalid-phone');
+  }
+  return { loginMethod: 'pairing-code', phoneNumber: digits };
+}
 
 // Store active sessions
 const activeSessions = new Map();
 const initializingSessions = new Map(); // ✅ FIX 1: Changed from Set to Map to track timestamps
 
+// Anti-ban pacing shared by every send path
+const pacer = createPacer({
+  onThrottled: (sessionId, details) => {
+    sendToSession(sessionId, {
+      type: 'throttled',
+      ...details,
+      sessionId: sessionId
+    });
+  }
+});
+
+// Number existence lookups go through whichever client the session has connected
+const numberChecker = createNumberChecker({
+  getClient: (sessionId) => activeSessions.get(sessionId)?.client || null
+});
+
+// Delivery/read receipts for everything we send
+const messageTracker = createMessageTracker({
+  onStatusChange: (record) => {
+    sendToSession(record.sessionId, {
+      type: 'message-ack',
+      messageId: record.id,
+      to: record.to,
+      status: record.status,
+      ack: record.ack,
+      campaignId: record.campaignId,
+      sessionId: record.sessionId
+    });
+    campaignEngine.handleMessageStatus(record);
+  }
+});
+
+// Signed outbound webhooks - every session event is also offered to them
+const webhooks = createWebhooks();
+
+// Opt-out list - shared by all numbers of a workspace (others get their own)
+const suppressionList = createSuppressionList();
+
+// Inbound messages: stored per session, streamed to the frontend, auto-replied by rules
+const inbox = createInbox({
+  onIncoming: (sessionId, entry) => {
+    // A reply to something we sent counts towards that message's (and campaign's) reply rate
+    const replied = entry.isGroup ? null : messageTracker.handleReply(sessionId, entry);
+    if (replied) {
+      campaignEngine.handleMessageStatus(replied);
+    }
+
+    sendToSession(sessionId, {
+      type: 'incoming-message',
+      message: entry,
+      sessionId: sessionId
+    });
+  },
+  sendReply: async (sessionId, phone, text, rule) => {
+    const result = await sendMessage(sessionId, phone, text);
+    console.log(`🤖 Auto-reply (${rule.type}) sent to ${phone}`);
+    sendToSession(sessionId, {
+      type: 'auto-reply-sent',
+      to: phone,
+      ruleId: rule.id,
+      messageId: result.messageId,
+      sessionId: sessionId
+    });
+  },
+  handleKeywords: async (sessionId, entry) => {
+    const result = suppressionList.handleInbound(sessionId, entry.from, entry.body);
+    if (!result) return false;
+
+    sendToSession(sessionId, {
+      type: result.action,
+      phone: entry.from,
+      sessionId: sessionId
+    });
+
+    // The confirmation is the one message an opted-out number may still receive
+    if (result.reply) {
+      try {
+        await sendMessage(sessionId, entry.from, result.reply, { allowSuppressed: true });
+      } catch (error) {
+        console.log(`⚠️ Could not confirm ${result.action} to ${entry.from}: ${error.message}`);
+      }
+    }
+    return true;
+  }
+});
+
+// Base64 media that campaigns and scheduled messages save into MEDIA_PATH
+// counts towards the session's workspace storage, like an upload
+function reserveMediaStorage(sessionId, bytes, file) {
+  const workspaceId = workspaces.sessionWorkspaceId(sessionId);
+  if (workspaceId) workspaces.addStorage(workspaceId, bytes, file);
+}
+
+// A session only sends uploaded files of its own workspace
+function mediaAccess(sessionId) {
+  return { canUseFile: (file) => workspaces.canUseMedia(sessionId, file) };
+}
+
+// In a cluster, a number assigned to another worker has its browser there
+function runsElsewhere(sessionId) {
+  const assignment = cluster.WORKER_ID ? cluster.getAssignment(sessionId) : null;
+  return !!assignment && assignment.workerId !== cluster.WORKER_ID;
+}
+
+// Campaigns run on the server, independent of the browser tab that started them
+const campaignEngine = createCampaignEngine({
+  sendMessage,
+  sendToSession,
+  isSessionReady,
+  checkNumber: numberChecker.checkNumber,
+  // A campaign can also send from the other numbers of the same workspace
+  canUseSender: (sessionId, senderId) => sessionId === senderId || workspaces.sameWorkspace(sessionId, senderId),
+  reserveStorage: reserveMediaStorage,
+  canUseMedia: workspaces.canUseMedia,
+  runsElsewhere
+});
+
+// Scheduled one-off and recurring (cron) messages
+const scheduler = createScheduler({
+  sendMessage,
+  isSessionReady,
+  onJobEvent: (sessionId, event) => {
+    sendToSession(sessionId, { ...event, sessionId: sessionId });
+  },
+  ownsSession: cluster.ownsSession,
+  reserveStorage: reserveMediaStorage,
+  canUseMedia: workspaces.canUseMedia
+});
+
+// Campaign and date-range analytics over the send log
+const reports = createReports({ messageTracker, campaignEngine });
+
+// Group listing, member export and participant management
+const groups = createGroupManager({
+  getClient: (sessionId) => activeSessions.get(sessionId)?.client
+});
+
+// Running campaigns and scheduled messages need the WhatsApp client, so
+// sessions with either are kept open without their tab
+function hasPendingWork(sessionId) {
+  return campaignEngine.hasRunningCampaign(sessionId) || scheduler.hasPendingJobs(sessionId);
+}
+
+// Caps how many browsers run at once; extra sessions wait in line
+const admission = createAdmission({
+  browserRoot: TOKENS_BASE_PATH,
+  isActive: (sessionId) => activeSessions.has(sessionId),
+  // Idle browser sessions nobody depends on right now (API sessions and
+  // sessions with campaigns or scheduled messages are never evicted)
+  evictionCandidates: () => Array.from(activeSessions.entries())
+    .filter(([sessionId, session]) => session.client && !session.headless && !initializingSessions.has(sessionId))
+    .filter(([sessionId]) => !hasPendingWork(sessionId))
+    .map(([sessionId, session]) => ({ sessionId, lastActivity: session.lastActivity })),
+  evictSession: async (sessionId) => {
+    sendToSession(sessionId, {
+      type: 'evicted',
+      message: 'Disconnected after being idle to make room for other users - reconnect to continue',
+      sessionId: sessionId
+    });
+    await cleanupSession(sessionId);
+  }
+});
+
+// Follows each connected client and recovers from conflicts and browser crashes
+const connectionMonitor = createConnectionMonitor({
+  onChange: (sessionId, change) => {
+    sendToSession(sessionId, {
+      type: 'connection-state',
+      ...change,
+      sessionId: sessionId
+    });
+  },
+  relaunch: relaunchSession,
+  // The phone unlinked this device; the saved login is useless now
+  markUnpaired: async (sessionId) => {
+    saveSessionRecord(sessionId, { state: 'needs-qr' });
+    sendToSession(sessionId, {
+      type: 'needs-qr',
+      message: 'WhatsApp was unlinked from the phone - scan a new QR code',
+      sessionId: sessionId
+    });
+    await cleanupSession(sessionId);
+  }
+});
+
+// A client that is logged in, currently reachable and allowed to send
+function isSessionReady(sessionId) {
+  return !!activeSessions.get(sessionId)?.client && connectionMonitor.isConnected(sessionId) &&
+    !getSessionRecord(sessionId)?.sendingPaused;
+}
+
+// An operator stopped this session's sending (see admin.js)
+function sendingPausedError(sessionId) {
+  const { reason } = getSessionRecord(sessionId).sendingPaused;
+  const error = new Error(`Sending is paused for this session by an operator${reason ? `: ${reason}` : ''}`);
+  error.status = 409;
+  error.code = 'sending-paused';
+  return error;
+}
+
+// pause is { at, by, reason }, or null to resume. Campaigns and scheduled
+// messages wait while a session is paused; direct sends are refused.
+function setSendingPaused(sessionId, pause) {
+  saveSessionRecord(sessionId, { sendingPaused: pause });
+  console.log(pause ? `⏸️ Sending paused for ${sessionId} by ${pause.by}` : `▶️ Sending resumed for ${sessionId}`);
+  sendToSession(sessionId, pause
+    ? { type: 'sending-paused', ...pause, sessionId: sessionId }
+    : { type: 'sending-resumed', sessionId: sessionId });
+}
+
+// Metrics: message counts and send timings are updated by sendMessage, the
+// gauges are read on each scrape of /metrics
+const messagesSent = metrics.counter('wa_messages_sent_total', 'Messages accepted by WhatsApp', ['type']);
+const messagesFailed = metrics.counter('wa_messages_failed_total', 'Messages that could not be sent, by reason', ['reason']);
+const sendDuration = metrics.histogram('wa_send_duration_seconds', 'Time WhatsApp took to accept a message', ['type', 'outcome'], [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+const sendQueueWait = metrics.histogram('wa_send_queue_wait_seconds', 'Time a message waited for pacing or a reconnect before it was sent', ['type']);
+
+// This process's sessions: running, or saved and waiting for it
+function localSessionIds() {
+  return Array.from(new Set([
+    ...activeSessions.keys(),
+    ...listSessionRecords().filter((record) => cluster.ownsSession(record.id)).map((record) => record.id)
+  ]));
+}
+
+function sessionStateOf(sessionId) {
+  const session = activeSessions.get(sessionId);
+  if (session?.client) return connectionMonitor.getState(sessionId)?.state || 'connected';
+  if (session?.qr) return 'qr';
+  if (session?.pairingCode) return 'pairing-code';
+  if (session && admission.queuePosition(sessionId)) return 'queued';
+  if (session) return 'initializing';
+  return getSessionRecord(sessionId)?.state === 'needs-qr' ? 'needs-qr' : 'disconnected';
+}
+
+function sessionStateCounts() {
+  const counts = {};
+  localSessionIds().forEach((sessionId) => {
+    const state = sessionStateOf(sessionId);
+    counts[state] = (counts[state] || 0) + 1;
+  });
+  return Object.entries(counts).map(([state, value]) => ({ labels: { state }, value }));
+}
+
+metrics.gauge('wa_sessions', 'WhatsApp sessions by state', sessionStateCounts);
+metrics.gauge('wa_browser_slots_used', 'Browser slots held by sessions', () => admission.stats().running);
+metrics.gauge('wa_browser_slots_max', 'Browser slots available (MAX_BROWSERS)', () => admission.stats().maxBrowsers);
+metrics.gauge('wa_browser_processes', 'Chromium processes running a session profile', () => admission.browserProcesses());
+metrics.gauge('wa_available_memory_bytes', 'Memory available for new browsers', () => admission.stats().availableMemoryMb * 1024 * 1024);
+metrics.gauge('wa_browser_queue_length', 'Sessions waiting for a browser slot', () => admission.stats().queued);
+metrics.gauge('wa_send_queue_length', 'Messages waiting for their turn to send', () => pacer.queueLength());
+metrics.gauge('wa_websocket_connections', 'Open WebSocket connections', () => wss.clients.size);
+
+// One of an account's numbers ({ id, label } entry) with its live state, the
+// linked phone number and the QR to scan while it is waiting for one
+function describeNumber(entry) {
+  const session = activeSessions.get(entry.id);
+  const record = getSessionRecord(entry.id);
+  const queue = admission.queuePosition(entry.id);
+
+  const connection = connectionMonitor.getState(entry.id);
+
+  let state = record?.state || 'disconnected';
+  if (session?.client) state = connection && connection.state !== 'connected' ? connection.state : 'connected';
+  else if (session?.qr) state = 'qr';
+  else if (session?.pairingCode) state = 'pairing-code';
+  else if (queue) state = 'queued';
+  else if (session) state = 'connecting';
+
+  return {
+    ...entry,
+    state,
+    connected: isSessionReady(entry.id),
+    connection: session ? connection : null,
+    phone: record?.phone || null,
+    loginMethod: session?.loginMethod || null,
+    qr: session?.client ? null : session?.qr || null,
+    pairingCode: session?.client ? null : session?.pairingCode || null,
+    queue,
+    lastActivity: session ? new Date(session.lastActivity).toISOString() : null
+  };
+}
+
+// Tells a waiting session's client where it is in line
+function sendQueuePosition(sessionId, { position, queueLength, reason }) {
+  const session = activeSessions.get(sessionId);
+  if (session && session.ws && session.ws.readyState === WebSocket.OPEN) {
+    session.ws.send(JSON.stringify({
+      type: 'queued',
+      position,
+      queueLength,
+      reason,
+      message: `Server is busy - you are number ${position} in line`,
+      sessionId: sessionId
+    }));
+  }
+}
+
 // Serve the HTML file from the same directory
 app.get('/', (req, res) => {
   res.json({ 
@@ -102,7 +496,22 @@ app.get('/', (req, res) => {
     status: 'running',
     endpoints: {
       health: '/health',
-      status: '/status'
+      status: '/status',
+      campaigns: '/sessions/:sessionId/campaigns',
+      pacing: '/sessions/:sessionId/pacing',
+      messages: '/sessions/:sessionId/messages',
+      contacts: '/sessions/:sessionId/contacts',
+      checkNumbers: '/sessions/:sessionId/numbers/check',
+      inbox: '/sessions/:sessionId/inbox',
+      autoReplies: '/sessions/:sessionId/auto-replies',
+      suppression: '/sessions/:sessionId/suppression',
+      webhooks: '/sessions/:sessionId/webhooks',
+      scheduledMessages: '/sessions/:sessionId/scheduled-messages',
+      groups: '/sessions/:sessionId/groups',
+      reports: '/sessions/:sessionId/reports',
+      media: '/media',
+      templatePreview: '/templates/preview',
+      api: '/api/v1'
     }
   });
 });
@@ -119,513 +528,2046 @@ app.get('/health', (req, res) => {
     uptimeSeconds: Math.floor(uptime),
     activeSessions: activeSessions.size,
     initializingSessions: initializingSessions.size,
+    browsers: admission.stats(),
+    storage: { driver: storage.STORAGE_DRIVER, schemaVersion: storage.schemaVersion },
     environment: process.env.NODE_ENV || 'development'
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', metrics.metricsHandler);
+
 // Status endpoint
 app.get('/status', (req, res) => {
-  const sessions = Array.from(activeSessions.entries()).map(([id, session]) => ({
+  // Session IDs are for operators only; anyone else just gets the counts
+  const sessions = adminFromRequest(req) && Array.from(activeSessions.entries()).map(([id, session]) => ({
     id,
     hasClient: !!session.client,
     hasWebSocket: !!session.ws && session.ws.readyState === WebSocket.OPEN,
     lastActivity: new Date(session.lastActivity).toISOString()
   }));
 
+  // Signed-in callers also get each of their workspaces' numbers, with its QR while one is waiting
+  const account = accounts.verifyToken(tokenFromRequest(req));
+
   res.json({
-    activeSessions: sessions,
+    worker: cluster.WORKER_ID,
+    ...(sessions ? { activeSessions: sessions } : {}),
     totalSessions: activeSessions.size,
-    initializingSessions: initializingSessions.size
+    initializingSessions: initializingSessions.size,
+    browsers: admission.stats(),
+    ...(account ? { numbers: workspaces.accessibleSessions(account.id).map(describeNumber) } : {})
   });
 });
 
-// Generate session ID from browser fingerprint
-function generateSessionId(fingerprint) {
-  return crypto
-    .createHash('sha256')
-    .update(fingerprint)
-    .digest('hex')
-    .substring(0, 16);
-}
+// Cluster workers: the gateway moves a session here after its worker died
+app.post('/internal/sessions/:sessionId/adopt', (req, res) => {
+  if (!cluster.WORKER_ID || !cluster.hasClusterSecret(req)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
 
-// Cleanup inactive sessions (Fly.io - 60 minutes timeout)
-setInterval(() => {
-  const now = Date.now();
-  const TIMEOUT = 60 * 60 * 1000; // 60 minutes
+  const { sessionId } = req.params;
+  console.log(`🧩 Adopting session ${sessionId}`);
 
-  activeSessions.forEach(async (session, sessionId) => {
-    if (now - session.lastActivity > TIMEOUT) {
-      console.log(`⏰ Cleaning up inactive session: ${sessionId}`);
-      await cleanupSession(sessionId);
-    }
-  });
-}, 5 * 60 * 1000);
+  // Campaigns, jobs and webhook retries may have changed on the old worker
+  campaignEngine.loadSession(sessionId);
+  scheduler.loadSession(sessionId);
+  webhooks.resumePending((id) => id === sessionId);
 
-// ✅ FIX 2: Clean up stuck initializations
-setInterval(() => {
-  const now = Date.now();
-  const INIT_TIMEOUT = 3 * 60 * 1000; // 3 minutes max for initialization
-  
-  initializingSessions.forEach((timestamp, sessionId) => {
-    if (now - timestamp > INIT_TIMEOUT) {
-      console.log(`⏰ Cleaning up stuck initialization: ${sessionId}`);
-      initializingSessions.delete(sessionId);
-      cleanupSession(sessionId);
-    }
-  });
-}, 60 * 1000); // Check every minute
+  // Reconnect the browser like a restart would (unless restores are turned off)
+  const record = getSessionRecord(sessionId);
+  const restoring = process.env.RESTORE_SESSIONS !== 'false' && !!record && ['connecting', 'connected'].includes(record.state);
+  if (restoring && !activeSessions.has(sessionId) && !initializingSessions.has(sessionId)) {
+    restoreSession(record).catch((error) => {
+      console.log(`🔑 Could not restore adopted session ${sessionId}: ${error.message}`);
+    });
+  }
 
-// Cleanup session
-async function cleanupSession(sessionId) {
-  const session = activeSessions.get(sessionId);
-  if (!session) return;
+  res.status(202).json({ sessionId, restoring });
+});
 
-  try {
-    console.log(`🧹 Cleaning up session: ${sessionId}`);
-    
-    if (session.client) {
-      try {
-        // ✅ Get the actual browser instance and kill it
-        const page = session.client.page;
-        
-        if (page) {
-          const browserInstance = page.browser();
-          
-          if (browserInstance) {
-            console.log(`🔪 Killing browser process for: ${sessionId}`);
-            
-            // Close all pages
-            const pages = await browserInstance.pages();
-            for (const p of pages) {
-              try { await p.close(); } catch (e) {}
-            }
-            
-            // Close browser
-            await browserInstance.close();
-            
-            // If process still alive, force kill it
-            const proc = browserInstance.process();
-            if (proc && !proc.killed) {
-              proc.kill('SIGKILL');
-              console.log(`💀 Force killed browser process: ${sessionId}`);
-            }
-          }
-        }
-        await session.client.close();
-      } catch (error) {
-        console.log(`⚠️ Error closing client: ${error.message}`);
-      }
-    }
+// Account endpoints
+app.post('/auth/register', async (req, res) => {
+  if (process.env.ALLOW_REGISTRATION === 'false') {
+    return res.status(403).json({ error: 'Registration is disabled' });
+  }
 
-    if (session.sessionPath && fs.existsSync(session.sessionPath)) {
   try {
-    // ✅ Also clean browser profile specifically before deleting whole folder
-    const browserProfilePath = path.join(session.sessionPath, 'browser-profile');
-    if (fs.existsSync(browserProfilePath)) {
-      fs.rmSync(browserProfilePath, { recursive: true, force: true });
-      console.log(`🗑️ Browser profile cleaned: ${sessionId}`);
-    }
-    
-    fs.rmSync(session.sessionPath, { recursive: true, force: true });
-    console.log(`🗑️ Session directory cleaned: ${sessionId}`);
+    res.status(201).json(await accounts.register(req.body));
   } catch (error) {
-    console.log(`⚠️ Could not clean session directory: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
   }
-}
+});
 
-    activeSessions.delete(sessionId);
-    initializingSessions.delete(sessionId);
-    console.log(`✅ Session ${sessionId} cleaned up`);
+app.post('/auth/login', async (req, res) => {
+  try {
+    res.json(await accounts.login(req.body));
   } catch (error) {
-    console.error(`❌ Error cleaning up session ${sessionId}:`, error);
+    res.status(error.status || 500).json({ error: error.message });
   }
-}
+});
 
-// Send message to specific session's WebSocket
-function sendToSession(sessionId, data) {
-  const session = activeSessions.get(sessionId);
-  if (session && session.ws && session.ws.readyState === WebSocket.OPEN) {
-    session.ws.send(JSON.stringify(data));
-  }
-}
+app.get('/auth/me', requireAccount, (req, res) => {
+  res.json({ account: req.account });
+});
 
-// Initialize WhatsApp client for a specific session
-async function initializeWhatsAppSession(sessionId, ws) {
-  // ✅ FIX 3: Check if stuck, allow retry after timeout
-  if (initializingSessions.has(sessionId)) {
-    const initStartTime = initializingSessions.get(sessionId);
-    const elapsed = Date.now() - initStartTime;
-    
-    if (elapsed < 120000) { // 2 minutes
-      console.log(`⚠️ Session ${sessionId} is already initializing (${Math.floor(elapsed/1000)}s ago), skipping...`);
-      return null;
-    } else {
-      console.log(`⚠️ Session ${sessionId} initialization timed out, forcing cleanup...`);
-      initializingSessions.delete(sessionId);
-      await cleanupSession(sessionId);
-    }
+// Signs the account out on every device
+app.post('/auth/logout', requireAccount, (req, res) => {
+  accounts.logoutEverywhere(req.account.id);
+  res.json({ success: true });
+});
+
+// WhatsApp numbers of the account's workspaces - connect one with { type: 'init', sessionId }
+app.get('/auth/sessions', requireAccount, (req, res) => {
+  res.json({ sessions: workspaces.accessibleSessions(req.account.id).map(describeNumber) });
+});
+
+// { label, workspaceId } - the number goes into the personal workspace unless
+// another one is given
+app.post('/auth/sessions', requireAccount, (req, res) => {
+  try {
+    res.status(201).json({ session: workspaces.addSession(req.account.id, req.body || {}) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code, details: error.details });
   }
+});
 
-  initializingSessions.set(sessionId, Date.now()); // ✅ Store timestamp instead of add()
+app.delete('/auth/sessions/:sessionId', requireAccount, async (req, res) => {
+  const { sessionId } = req.params;
 
   try {
-    console.log(`🚀 Initializing WhatsApp for session: ${sessionId}`);
-    
-    const sessionPath = path.join(TOKENS_BASE_PATH, sessionId);
-    
-    if (!fs.existsSync(sessionPath)) {
-      fs.mkdirSync(sessionPath, { recursive: true });
+    workspaces.removeSession(req.account.id, sessionId);
+    if (activeSessions.has(sessionId) || getSessionRecord(sessionId)) {
+      await logoutSession(sessionId).catch(() => cleanupSession(sessionId));
     }
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    console.log(`📁 Session directory: ${sessionPath}`);
+// Workspaces the account is a member of, with its role, quotas and usage
+app.get('/workspaces', requireAccount, (req, res) => {
+  res.json({ workspaces: workspaces.listWorkspaces(req.account.id) });
+});
 
-    sendToSession(sessionId, {
-      type: 'status',
-      message: 'Initializing WhatsApp client...',
-      sessionId: sessionId
-    });
+app.post('/workspaces', requireAccount, (req, res) => {
+  try {
+    const workspace = workspaces.createWorkspace(req.account.id, req.body || {});
+    res.status(201).json({ workspace: workspaces.describeWorkspace(workspace, 'owner') });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    const existingSession = activeSessions.get(sessionId);
-    if (existingSession && existingSession.client) {
-      try {
-        console.log(`🧹 Closing existing client for session: ${sessionId}`);
-        await existingSession.client.close();
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      } catch (error) {
-        console.log(`⚠️ Error closing existing client: ${error.message}`);
-      }
-    }
-    // ✅ FIX: Force cleanup browser profile if it exists (prevents "browser already running" error)
-const browserProfilePath = path.join(sessionPath, 'browser-profile');
-if (fs.existsSync(browserProfilePath)) {
+app.get('/workspaces/:workspaceId', requireAccount, (req, res) => {
   try {
-    console.log(`🗑️ Removing existing browser profile: ${sessionId}`);
-    fs.rmSync(browserProfilePath, { recursive: true, force: true });
-    console.log(`✅ Browser profile cleaned for: ${sessionId}`);
+    const role = workspaces.requirePermission(req.params.workspaceId, req.account.id, 'view');
+    res.json({ workspace: workspaces.describeWorkspace(workspaces.getWorkspace(req.params.workspaceId), role) });
   } catch (error) {
-    console.log(`⚠️ Could not clean browser profile: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
   }
-}
+});
 
-    const client = await wppconnect.create({
-      session: sessionId,
-      tokensPath: TOKENS_BASE_PATH,
-      folderNameToken: sessionId,
-      
-      catchQR: (base64Qr, asciiQR) => {
-        console.log(`📱 QR Code generated for session: ${sessionId}`);
-        console.log(`📏 QR length: ${base64Qr?.length || 0}`);
-        
-        const currentSession = activeSessions.get(sessionId);
-        
-        // ✅ FIX 4: Better WebSocket diagnostics and cleanup
-        if (currentSession && currentSession.ws) {
-          const wsState = currentSession.ws.readyState;
-          console.log(`🔌 WebSocket state: ${wsState} (0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED)`);
-          
-          if (wsState === WebSocket.OPEN) {
-            currentSession.ws.send(JSON.stringify({
-              type: 'qr',
-              qr: base64Qr,
-              sessionId: sessionId
-            }));
-            console.log(`✅ QR sent to frontend for session: ${sessionId}`);
-          } else {
-            console.error(`❌ WebSocket not OPEN for session: ${sessionId}`);
-            // Force cleanup if WebSocket is dead
-            if (wsState === WebSocket.CLOSED) {
-              console.log(`🧹 Forcing cleanup due to dead WebSocket`);
-              initializingSessions.delete(sessionId);
-              cleanupSession(sessionId);
-            }
-          }
-        } else {
-          console.error(`❌ No session or WebSocket found for: ${sessionId}`);
-        }
-      },
-      
-      statusFind: (statusSession, session) => {
-        console.log(`📊 Session ${sessionId} status:`, statusSession);
-        sendToSession(sessionId, {
-          type: 'status',
-          message: `Status: ${statusSession}`,
-          sessionId: sessionId
-        });
+app.patch('/workspaces/:workspaceId', requireAccount, (req, res) => {
+  try {
+    const workspace = workspaces.renameWorkspace(req.params.workspaceId, req.account.id, req.body || {});
+    res.json({ workspace: workspaces.describeWorkspace(workspace, 'owner') });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-        if (statusSession === 'inChat' || statusSession === 'qrReadSuccess') {
-          // ✅ FIX 5: Clear initialization flag on successful connection
-          initializingSessions.delete(sessionId);
-          console.log(`✅ Session ${sessionId} connected, removed from initializing set`);
-          
-          sendToSession(sessionId, {
-            type: 'ready',
-            message: 'WhatsApp connected successfully!',
-            sessionId: sessionId
-          });
-        }
-      },
-      
-      headless: true,
-      devtools: false,
-      useChrome: false,
-      debug: false,
-      logQR: false,
-      
-      // ✅ FIX 6: Removed --single-process and --no-zygote (cause crashes)
-      browserArgs: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-web-security',
-        '--disable-features=VizDisplayCompositor',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--disable-software-rasterizer',
-        '--disable-extensions',
-        '--disable-accelerated-2d-canvas',
-        '--disable-background-timer-throttling',
-        '--disable-backgrounding-occluded-windows',
-        '--disable-renderer-backgrounding'
-      ],
-      
-      autoClose: 0,
-      disableWelcome: true,
-      
-      puppeteerOptions: {
-        // ✅ Use Puppeteer's detected Chrome path
-        executablePath: chromePath,
-        userDataDir: path.join(TOKENS_BASE_PATH, sessionId, 'browser-profile'),
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-software-rasterizer',
-          '--disable-extensions'
-        ]
-      }
-    });
+// The workspace's numbers, with their live state
+app.get('/workspaces/:workspaceId/sessions', requireAccount, (req, res) => {
+  try {
+    const role = workspaces.requirePermission(req.params.workspaceId, req.account.id, 'view');
+    const entries = accounts.listWorkspaceSessions(req.params.workspaceId);
+    res.json({ sessions: entries.map((entry) => describeNumber({ ...entry, workspaceId: req.params.workspaceId, role })) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
 
-    console.log(`✅ WhatsApp client created for session: ${sessionId}`);
-    initializingSessions.delete(sessionId);
-    return { client, sessionPath };
+app.get('/workspaces/:workspaceId/members', requireAccount, (req, res) => {
+  try {
+    res.json({ members: workspaces.listMembers(req.params.workspaceId, req.account.id) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
 
+// { email, role } - the email of an existing account
+app.post('/workspaces/:workspaceId/members', requireAccount, (req, res) => {
+  try {
+    res.status(201).json({ member: workspaces.addMember(req.params.workspaceId, req.account.id, req.body || {}) });
   } catch (error) {
-    console.error(`❌ Error initializing session ${sessionId}:`, error);
-    initializingSessions.delete(sessionId);
-    sendToSession(sessionId, {
-      type: 'error',
-      message: `Failed to initialize: ${error.message}`,
-      sessionId: sessionId
-    });
-    throw error;
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
   }
-}
+});
 
-// Send text message
-async function sendMessage(sessionId, phone, message) {
-  const session = activeSessions.get(sessionId);
-  
-  if (!session || !session.client) {
-    throw new Error('Session not found or WhatsApp not connected');
+app.patch('/workspaces/:workspaceId/members/:accountId', requireAccount, (req, res) => {
+  try {
+    res.json({ member: workspaces.updateMember(req.params.workspaceId, req.account.id, req.params.accountId, req.body || {}) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
   }
+});
 
-  session.lastActivity = Date.now();
+app.delete('/workspaces/:workspaceId/members/:accountId', requireAccount, (req, res) => {
+  try {
+    workspaces.removeMember(req.params.workspaceId, req.account.id, req.params.accountId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
 
+// Messages and media per day (?from=YYYY-MM-DD&to=YYYY-MM-DD, default: this month)
+app.get('/workspaces/:workspaceId/usage', requireAccount, (req, res) => {
   try {
-    console.log('==========================================');
-    console.log('📱 SENDING MESSAGE:');
-    console.log('   Phone:', phone);
-    console.log('   Message:', message.substring(0, 50) + '...');
-    
-    const formattedPhone = phone.includes('@c.us') ? phone : `${phone}@c.us`;
-    
-    console.log('   Formatted:', formattedPhone);
-    console.log('==========================================');
-    
-    await session.client.sendText(formattedPhone, message);
-    console.log(`✅ Message sent successfully to ${formattedPhone}`);
-    return { success: true };
+    workspaces.requirePermission(req.params.workspaceId, req.account.id, 'manage');
+    res.json({ usage: usageReport(req.params.workspaceId, req.query) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, code: error.code });
+  }
+});
+
+// Sessions owned by a workspace only answer to its members, as far as their
+// role allows. Unowned (fingerprint) sessions stay reachable only while
+// legacy mode is enabled.
+app.use('/sessions/:sessionId', (req, res, next) => {
+  const ownerId = accounts.getSessionOwner(req.params.sessionId);
+
+  if (!ownerId && LEGACY_FINGERPRINT_SESSIONS) {
+    return next();
+  }
+
+  const account = accounts.verifyToken(tokenFromRequest(req));
+  if (!account) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  const role = workspaces.sessionRole(account.id, req.params.sessionId);
+  if (!role) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+  if (!workspaces.can(role, sessionRoutePermission(req))) {
+    return res.status(403).json({ error: `A ${role} can't do this in the workspace`, code: 'forbidden' });
+  }
+
+  req.account = account;
+  req.workspaceRole = role;
+  next();
+});
+
+// Campaign endpoints
+app.post('/sessions/:sessionId/campaigns', (req, res) => {
+  const { sessionId } = req.params;
+
+  if (!activeSessions.has(sessionId)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    const result = campaignEngine.createCampaign(sessionId, req.body);
+
+    if (result.dryRun) {
+      return res.json({ preview: result });
+    }
+    res.status(201).json({ campaign: result });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+app.get('/sessions/:sessionId/campaigns', (req, res) => {
+  res.json({ campaigns: campaignEngine.listCampaigns(req.params.sessionId) });
+});
+
+app.get('/sessions/:sessionId/campaigns/:campaignId', (req, res) => {
+  try {
+    res.json({ campaign: campaignEngine.getCampaign(req.params.sessionId, req.params.campaignId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+const campaignActions = {
+  pause: campaignEngine.pauseCampaign,
+  resume: campaignEngine.resumeCampaign,
+  cancel: campaignEngine.cancelCampaign
+};
+
+app.post('/sessions/:sessionId/campaigns/:campaignId/:action', (req, res) => {
+  const action = campaignActions[req.params.action];
+
+  if (!action) {
+    return res.status(404).json({ error: `Unknown campaign action: ${req.params.action}` });
+  }
+
+  try {
+    res.json({ campaign: action(req.params.sessionId, req.params.campaignId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Pacing profile endpoints
+app.get('/sessions/:sessionId/pacing', (req, res) => {
+  res.json({
+    profile: pacer.getProfile(req.params.sessionId),
+    presets: PACING_PRESETS
+  });
+});
+
+app.post('/sessions/:sessionId/pacing', (req, res) => {
+  try {
+    res.json({ profile: pacer.setProfile(req.params.sessionId, req.body) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
 
+// Uploaded files stay in MEDIA_PATH, so they count towards the workspace's
+// storage. One that doesn't fit (or that the account may not add) is deleted.
+function storeUpload(workspaceId, file, accountId = null) {
+  try {
+    if (accountId) workspaces.requirePermission(workspaceId, accountId, 'send');
+    workspaces.addStorage(workspaceId, file.size, file.filename);
   } catch (error) {
-    console.error('❌ SEND ERROR:', error.message);
-    console.log('==========================================');
+    fs.rmSync(file.path, { force: true });
     throw error;
   }
+  recordUsage(workspaceId, { uploads: 1, uploadBytes: file.size });
 }
 
-// Logout and clear session
-async function logoutSession(sessionId) {
-  const session = activeSessions.get(sessionId);
-  
-  if (!session) {
-    throw new Error('Session not found');
+// Upload a file once and reference it from messages or campaigns as media.file.
+// It counts towards the storage of the "workspaceId" field's workspace
+// (default: the personal one).
+app.post('/media', requireAccountUnlessLegacy, upload.single('file'), (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded (use the "file" field)' });
   }
 
+  const body = req.body || {};
   try {
-    console.log(`🚪 Logging out session: ${sessionId}`);
-    
-    if (session.client) {
-      await session.client.logout();
-      await session.client.close();
+    const media = prepareUploadedMedia(req.file, body);
+    if (req.account) {
+      storeUpload(body.workspaceId || workspaces.personalWorkspace(req.account.id).id, req.file, req.account.id);
     }
+    res.status(201).json({ media });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, code: error.code, details: error.details });
+  }
+});
 
-    if (session.sessionPath && fs.existsSync(session.sessionPath)) {
-      fs.rmSync(session.sessionPath, { recursive: true, force: true });
-      console.log(`🗑️ Session directory cleaned: ${sessionId}`);
+// Files that unfinished campaigns and scheduled messages will still send
+function mediaInUse() {
+  return new Set([...campaignEngine.referencedMedia(), ...scheduler.referencedMedia()]);
+}
+
+// Deletes an uploaded file and gives its space back to the workspace
+app.delete('/media/:file', requireAccount, (req, res) => {
+  const { file } = req.params;
+
+  try {
+    const workspaceId = workspaces.mediaWorkspaceId(file);
+    if (!workspaceId) {
+      return res.status(404).json({ error: 'Media file not found' });
+    }
+    workspaces.requirePermission(workspaceId, req.account.id, 'send');
+    if (mediaInUse().has(file)) {
+      return res.status(409).json({ error: 'An unfinished campaign or scheduled message still sends this file' });
     }
 
-    activeSessions.delete(sessionId);
-    initializingSessions.delete(sessionId);
-    
-    console.log(`✅ Session ${sessionId} logged out`);
-    return { success: true };
+    deleteMediaFile(file);
+    workspaces.releaseStorage(file);
+    res.json({ success: true });
   } catch (error) {
-    console.error(`❌ Error logging out session ${sessionId}:`, error);
-    throw error;
+    res.status(error.status || 400).json({ error: error.message, code: error.code });
   }
-}
+});
+
+// Send a single message - JSON body, or multipart with a "file" field for media
+app.post('/sessions/:sessionId/messages', upload.single('file'), async (req, res) => {
+  const { sessionId } = req.params;
+  const body = req.body || {};
+  const { phone, message: template = '', timezone } = body;
+
+  if (!phone) {
+    return res.status(400).json({ error: 'Phone number is required' });
+  }
+
+  try {
+    const media = req.file
+      ? prepareUploadedMedia(req.file, body)
+      : body.media ? prepareMedia(body.media, mediaAccess(sessionId)) : null;
+    const workspaceId = workspaces.sessionWorkspaceId(sessionId);
+    if (req.file && workspaceId) {
+      storeUpload(workspaceId, req.file);
+    }
+
+    // Multipart fields arrive as strings, so variables may be JSON-encoded
+    const variables = typeof body.variables === 'string' ? JSON.parse(body.variables) : body.variables;
+    const text = renderTemplate(template, { ...variables, phone });
+
+    const result = await sendMessage(sessionId, phone, text, { timezone, media });
+    res.json({ success: true, to: phone, messageId: result.messageId });
+  } catch (error) {
+    const status = error.code === 'throttled'
+      ? 429
+      : ['suppressed', 'quota-exceeded'].includes(error.code)
+        ? 403
+        : ['media-invalid', 'template-invalid', 'invalid-phone'].includes(error.code) || error instanceof SyntaxError ? 400 : 500;
+
+    res.status(status).json({
+      error: error.message,
+      code: error.code,
+      details: error.details,
+      retryAt: error.retryAt ? new Date(error.retryAt).toISOString() : undefined
+    });
+  }
+});
+
+// Contact list endpoints - import from CSV/XLSX/vCard (multipart "file") or JSON "contacts"
+app.post('/sessions/:sessionId/contacts/import', contactUpload.single('file'), async (req, res) => {
+  const body = req.body || {};
+
+  try {
+    const result = await contacts.importContacts(req.params.sessionId, {
+      name: body.name,
+      buffer: req.file ? req.file.buffer : undefined,
+      filename: req.file ? req.file.originalname : undefined,
+      format: body.format,
+      records: req.file ? undefined : body.contacts,
+      defaultCountryCode: body.defaultCountryCode,
+      mode: body.mode
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message, details: error.details });
+  }
+});
+
+app.get('/sessions/:sessionId/contacts', (req, res) => {
+  res.json({ lists: contacts.listContactLists(req.params.sessionId) });
+});
+
+app.get('/sessions/:sessionId/contacts/:name', (req, res) => {
+  try {
+    res.json({ list: contacts.getContactList(req.params.sessionId, req.params.name) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/sessions/:sessionId/contacts/:name', (req, res) => {
+  try {
+    contacts.deleteContactList(req.params.sessionId, req.params.name);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Check which numbers are on WhatsApp (cached per number)
+app.post('/sessions/:sessionId/numbers/check', async (req, res) => {
+  const { sessionId } = req.params;
+  const { phones, force } = req.body || {};
+
+  if (!activeSessions.get(sessionId)?.client) {
+    return res.status(409).json({ error: 'WhatsApp not connected for this session' });
+  }
+
+  try {
+    res.json(await numberChecker.checkNumbers(sessionId, phones, { force: !!force }));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Delivery status of sent messages
+app.get('/sessions/:sessionId/messages', (req, res) => {
+  res.json({
+    messages: messageTracker.listMessages(req.params.sessionId, { campaignId: req.query.campaignId })
+  });
+});
+
+app.get('/sessions/:sessionId/messages/:messageId', (req, res) => {
+  const record = messageTracker.getMessage(req.params.sessionId, req.params.messageId);
+
+  if (!record) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  res.json({ message: record });
+});
+
+// Inbox and auto-reply rules
+app.get('/sessions/:sessionId/inbox', (req, res) => {
+  res.json({
+    messages: inbox.getInbox(req.params.sessionId, { limit: req.query.limit, from: req.query.from })
+  });
+});
+
+app.get('/sessions/:sessionId/auto-replies', (req, res) => {
+  res.json({ rules: inbox.getRules(req.params.sessionId) });
+});
+
+// Replaces the whole rule set; order matters, the first matching rule replies
+app.post('/sessions/:sessionId/auto-replies', (req, res) => {
+  try {
+    res.json({ rules: inbox.setRules(req.params.sessionId, (req.body || {}).rules) });
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.delete('/sessions/:sessionId/auto-replies/:ruleId', (req, res) => {
+  try {
+    inbox.deleteRule(req.params.sessionId, req.params.ruleId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Suppression (opt-out) list
+app.get('/sessions/:sessionId/suppression', (req, res) => {
+  res.json(suppressionList.listSuppressed(req.params.sessionId));
+});
+
+app.post('/sessions/:sessionId/suppression', (req, res) => {
+  const { phones, reason } = req.body || {};
+
+  if (!Array.isArray(phones) || phones.length === 0) {
+    return res.status(400).json({ error: 'Phones must be a non-empty array' });
+  }
+
+  try {
+    const entries = phones.map((phone) => suppressionList.suppress(req.params.sessionId, phone, { source: 'api', reason }));
+    res.json({ entries });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/sessions/:sessionId/suppression/:phone', (req, res) => {
+  try {
+    const removed = suppressionList.unsuppress(req.params.sessionId, req.params.phone, {
+      source: 'api',
+      reason: req.query.reason
+    });
+    res.status(removed ? 200 : 404).json(removed ? { success: true } : { error: 'Number is not suppressed' });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/sessions/:sessionId/suppression/audit', (req, res) => {
+  res.json({ events: suppressionList.getAudit(req.params.sessionId, { limit: req.query.limit }) });
+});
+
+app.post('/sessions/:sessionId/suppression/keywords', (req, res) => {
+  try {
+    res.json({ keywords: suppressionList.setKeywords(req.params.sessionId, req.body) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Webhook endpoints and their delivery log
+app.get('/sessions/:sessionId/webhooks', (req, res) => {
+  res.json({ webhooks: webhooks.listWebhooks(req.params.sessionId) });
+});
+
+app.post('/sessions/:sessionId/webhooks', async (req, res) => {
+  try {
+    res.status(201).json({ webhook: await webhooks.registerWebhook(req.params.sessionId, req.body) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/sessions/:sessionId/webhooks/:webhookId', (req, res) => {
+  try {
+    webhooks.deleteWebhook(req.params.sessionId, req.params.webhookId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/sessions/:sessionId/webhook-deliveries', (req, res) => {
+  res.json({ deliveries: webhooks.listDeliveries(req.params.sessionId, req.query) });
+});
+
+app.get('/sessions/:sessionId/webhook-deliveries/:deliveryId', (req, res) => {
+  try {
+    res.json({ delivery: webhooks.getDelivery(req.params.sessionId, req.params.deliveryId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/sessions/:sessionId/webhook-deliveries/:deliveryId/replay', (req, res) => {
+  try {
+    res.status(201).json({ delivery: webhooks.replayDelivery(req.params.sessionId, req.params.deliveryId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Scheduled messages
+app.get('/sessions/:sessionId/scheduled-messages', (req, res) => {
+  res.json({ jobs: scheduler.listJobs(req.params.sessionId, { status: req.query.status }) });
+});
+
+app.post('/sessions/:sessionId/scheduled-messages', (req, res) => {
+  try {
+    res.status(201).json({ job: scheduler.createJob(req.params.sessionId, req.body) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+app.get('/sessions/:sessionId/scheduled-messages/:jobId', (req, res) => {
+  try {
+    res.json({ job: scheduler.getJob(req.params.sessionId, req.params.jobId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Edit - only the fields given change
+app.post('/sessions/:sessionId/scheduled-messages/:jobId', (req, res) => {
+  try {
+    res.json({ job: scheduler.updateJob(req.params.sessionId, req.params.jobId, req.body) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+app.delete('/sessions/:sessionId/scheduled-messages/:jobId', (req, res) => {
+  try {
+    res.json({ job: scheduler.cancelJob(req.params.sessionId, req.params.jobId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Group endpoints - messages to a group go through /messages with its "...@g.us" ID
+app.get('/sessions/:sessionId/groups', async (req, res) => {
+  try {
+    res.json({ groups: await groups.listGroups(req.params.sessionId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.post('/sessions/:sessionId/groups', async (req, res) => {
+  try {
+    res.status(201).json(await groups.createGroup(req.params.sessionId, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+app.get('/sessions/:sessionId/groups/:groupId/participants', async (req, res) => {
+  try {
+    res.json({ participants: await groups.getParticipants(req.params.sessionId, req.params.groupId) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Body: { phones: [...] } and/or { listName }
+app.post('/sessions/:sessionId/groups/:groupId/participants', async (req, res) => {
+  try {
+    res.json(await groups.addParticipants(req.params.sessionId, req.params.groupId, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+app.post('/sessions/:sessionId/groups/:groupId/participants/remove', async (req, res) => {
+  try {
+    res.json(await groups.removeParticipants(req.params.sessionId, req.params.groupId, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+// Saves the members as a contact list, ready to be used by a campaign
+app.post('/sessions/:sessionId/groups/:groupId/export', async (req, res) => {
+  try {
+    res.status(201).json(await groups.exportMembers(req.params.sessionId, req.params.groupId, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Reports - ?from=2025-03-01&to=2025-03-07&timezone=Africa/Nairobi (default: last 7 days)
+app.get('/sessions/:sessionId/reports', (req, res) => {
+  try {
+    res.json({ report: reports.rangeReport(req.params.sessionId, req.query) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// ?format=csv (one row per message) or ?format=json
+app.get('/sessions/:sessionId/reports/export', (req, res) => {
+  try {
+    sendExport(res, reports.exportRange(req.params.sessionId, req.query));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/sessions/:sessionId/reports/campaigns/:campaignId', (req, res) => {
+  try {
+    res.json({ report: reports.campaignReport(req.params.sessionId, req.params.campaignId, req.query) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+app.get('/sessions/:sessionId/reports/campaigns/:campaignId/export', (req, res) => {
+  try {
+    sendExport(res, reports.exportCampaign(req.params.sessionId, req.params.campaignId, req.query));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Render a template for a list of recipients without sending anything
+app.post('/templates/preview', (req, res) => {
+  const { message, recipients } = req.body || {};
+
+  if (!Array.isArray(recipients)) {
+    return res.status(400).json({ error: 'Recipients must be an array' });
+  }
+
+  try {
+    res.json({ preview: renderForRecipients(message, recipients) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// A session as operators see it: owner, state, uptime, browser and queued
+// work. usage is admission.browserUsage(), read once when listing many.
+function describeSessionForAdmin(sessionId, usage = admission.browserUsage()) {
+  const session = activeSessions.get(sessionId);
+  const record = getSessionRecord(sessionId);
+  if (!session && !record) return null;
+
+  const { workspaceId, ownerId } = workspaces.sessionOwnership(sessionId);
+  const owner = ownerId ? accounts.getAccount(ownerId) : null;
+  const workspace = workspaceId ? workspaces.getWorkspace(workspaceId) : null;
+
+  return {
+    id: sessionId,
+    owner: owner ? { accountId: owner.id, email: owner.email } : null,
+    workspace: workspace ? { id: workspace.id, name: workspace.name } : null,
+    apiKeyId: session?.apiKeyId || record?.apiKeyId || null,
+    headless: !!(session ? session.headless : record?.headless),
+    state: sessionStateOf(sessionId),
+    connection: session ? connectionMonitor.getState(sessionId) : null,
+    phone: record?.phone || null,
+    startedAt: session ? new Date(session.startedAt).toISOString() : null,
+    uptimeSeconds: session ? Math.floor((Date.now() - session.startedAt) / 1000) : 0,
+    lastActivity: session ? new Date(session.lastActivity).toISOString() : null,
+    lastConnectedAt: record?.lastConnectedAt || null,
+    browser: usage.get(sessionId) || null,
+    sendingPaused: record?.sendingPaused || null,
+    queued: {
+      browserSlot: admission.queuePosition(sessionId),
+      sends: pacer.queueLength(sessionId),
+      runningCampaigns: campaignEngine.listCampaigns(sessionId).filter((campaign) => campaign.status === 'running').length,
+      scheduledMessages: scheduler.listJobs(sessionId, { status: 'scheduled' }).length
+    },
+    recentErrors: getRecentErrors(sessionId).length
+  };
+}
+
+// Operator console and its API (ADMIN_EMAILS accounts, "admin" API keys)
+app.get('/admin', (req, res) => {
+  res.sendFile(path.join(__dirname, 'admin.html'));
+});
+
+app.use('/admin/api', createAdminRouter({
+  listSessions: () => {
+    const usage = admission.browserUsage();
+    return localSessionIds().map((sessionId) => describeSessionForAdmin(sessionId, usage));
+  },
+  describeSession: (sessionId) => describeSessionForAdmin(sessionId),
+  logoutSession,
+  // Closes the browser and starts it again from its profile, in the background
+  restartSession: async (sessionId) => {
+    relaunchSession(sessionId).catch((error) => {
+      console.error(`❌ Restart of ${sessionId} failed:`, error);
+    });
+  },
+  setSendingPaused
+}));
+
+// Versioned REST API for server-to-server integrations (API key auth)
+app.use('/api/v1', createApiRouter({
+  activeSessions,
+  initializingSessions,
+  admission,
+  connectionMonitor,
+  startSession,
+  parseLoginOptions,
+  sendMessage,
+  logoutSession,
+  campaignEngine,
+  campaignActions,
+  messageTracker,
+  webhooks,
+  scheduler,
+  groups,
+  reports
+}));
+
+// Upload errors (e.g. file too large) and malformed JSON bodies end up here
+app.use((error, req, res, next) => {
+  const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : error.status || error.statusCode || 500;
+  res.status(status).json({ error: error.message, code: error.code });
+});
+
+// Express middleware - requires a signed account token
+function requireAccount(req, res, next) {
+  req.account = accounts.verifyToken(tokenFromRequest(req));
+
+  if (!req.account) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// Routes fingerprint clients used before accounts existed stay open in legacy mode
+function requireAccountUnlessLegacy(req, res, next) {
+  if (LEGACY_FINGERPRINT_SESSIONS) return next();
+  requireAccount(req, res, next);
+}
+
+// Changing how a number works (webhooks, auto-replies, pacing, opt-out
+// keywords) is for managers; other changes count as sending. So is taking
+// someone off the opt-out list, while any sender may add to it.
+const MANAGE_ROUTES = /^\/(?:webhooks|webhook-deliveries|auto-replies|pacing|suppression\/keywords)(?:\/|$)/;
+
+// What a workspace role needs for a /sessions/:sessionId request
+function sessionRoutePermission(req) {
+  if (req.method === 'GET' || req.method === 'HEAD') return 'view';
+  if (MANAGE_ROUTES.test(req.path) || (req.method === 'DELETE' && req.path.startsWith('/suppression/'))) return 'manage';
+  return 'send';
+}
+
+// Cleanup inactive sessions (Fly.io - 60 minutes timeout)
+setInterval(() => {
+  const now = Date.now();
+  const TIMEOUT = 60 * 60 * 1000; // 60 minutes
+
+  activeSessions.forEach(async (session, sessionId) => {
+    // Headless (API) sessions have no tab to come back to, so they stay up
+    if (now - session.lastActivity > TIMEOUT && !session.headless && !hasPendingWork(sessionId)) {
+      console.log(`⏰ Cleaning up inactive session: ${sessionId}`);
+      await cleanupSession(sessionId);
+    }
+  });
+}, 5 * 60 * 1000);
+
+// Delete media past MEDIA_RETENTION_DAYS, giving the space back to workspaces
+setInterval(() => {
+  const inUse = mediaInUse();
+  sweepMedia((file) => inUse.has(file)).forEach((file) => workspaces.releaseStorage(file));
+}, 60 * 60 * 1000);
+
+// ✅ FIX 2: Clean up stuck initializations
+setInterval(() => {
+  const now = Date.now();
+  const INIT_TIMEOUT = 3 * 60 * 1000; // 3 minutes max for initialization
+  
+  initializingSessions.forEach((timestamp, sessionId) => {
+    if (now - timestamp > INIT_TIMEOUT) {
+      console.log(`⏰ Cleaning up stuck initialization: ${sessionId}`);
+      initializingSessions.delete(sessionId);
+      cleanupSession(sessionId);
+    }
+  });
+}, 60 * 1000); // Check every minute
+
+// Cleanup session - closes the browser but keeps its profile (the WhatsApp
+// login), so the session can come back without a QR. Only logout deletes it.
+async function cleanupSession(sessionId, { markDisconnected = true } = {}) {
+  // Closing the browser on purpose isn't a crash
+  connectionMonitor.detach(sessionId);
+
+  const session = activeSessions.get(sessionId);
+  if (!session) {
+    admission.release(sessionId);
+    return;
+  }
+
+  try {
+    console.log(`🧹 Cleaning up session: ${sessionId}`);
+    
+    if (session.client) {
+      try {
+        // ✅ Get the actual browser instance and kill it
+        const page = session.client.page;
+        
+        if (page) {
+          const browserInstance = page.browser();
+          
+          if (browserInstance) {
+            console.log(`🔪 Killing browser process for: ${sessionId}`);
+            
+            // Close all pages
+            const pages = await browserInstance.pages();
+            for (const p of pages) {
+              try { await p.close(); } catch (e) {}
+            }
+            
+            // Close browser
+            await browserInstance.close();
+            
+            // If process still alive, force kill it
+            const proc = browserInstance.process();
+            if (proc && !proc.killed) {
+              proc.kill('SIGKILL');
+              console.log(`💀 Force killed browser process: ${sessionId}`);
+            }
+          }
+        }
+        await session.client.close();
+      } catch (error) {
+        console.log(`⚠️ Error closing client: ${error.message}`);
+      }
+    }
+
+    // needs-qr sticks until the user scans again
+    const record = getSessionRecord(sessionId);
+    if (markDisconnected && record && record.state !== 'needs-qr') {
+      saveSessionRecord(sessionId, { state: 'disconnected' });
+    }
+
+    activeSessions.delete(sessionId);
+    initializingSessions.delete(sessionId);
+    console.log(`✅ Session ${sessionId} cleaned up`);
+  } catch (error) {
+    console.error(`❌ Error cleaning up session ${sessionId}:`, error);
+  }
+  admission.release(sessionId);
+}
+
+// What webhooks get of an event: never a pairing code, which (like the QR)
+// lets whoever has it link the number
+function webhookData(data) {
+  if (data.type !== 'pairing-code') return data;
+  const { code, ...rest } = data;
+  return rest;
+}
+
+// Send message to specific session's WebSocket (and to its webhooks)
+function sendToSession(sessionId, data) {
+  webhooks.dispatch(sessionId, data.type, webhookData(data));
+
+  const session = activeSessions.get(sessionId);
+  if (session && session.ws && session.ws.readyState === WebSocket.OPEN) {
+    session.ws.send(JSON.stringify(data));
+  }
+}
+
+// Initialize WhatsApp client for a specific session. restoring is set when
+// reconnecting a saved session on boot, where a QR request means the login is gone.
+// With phoneNumber the login uses a pairing code for that number instead of a QR.
+async function initializeWhatsAppSession(sessionId, ws, { restoring = false, phoneNumber = null } = {}) {
+  // ✅ FIX 3: Check if stuck, allow retry after timeout
+  if (initializingSessions.has(sessionId)) {
+    const initStartTime = initializingSessions.get(sessionId);
+    const elapsed = Date.now() - initStartTime;
+    
+    if (elapsed < 120000) { // 2 minutes
+      console.log(`⚠️ Session ${sessionId} is already initializing (${Math.floor(elapsed/1000)}s ago), skipping...`);
+      return null;
+    } else {
+      console.log(`⚠️ Session ${sessionId} initialization timed out, forcing cleanup...`);
+      initializingSessions.delete(sessionId);
+      await cleanupSession(sessionId);
+    }
+  }
+
+  initializingSessions.set(sessionId, Date.now()); // ✅ Store timestamp instead of add()
+
+  try {
+    console.log(`🚀 Initializing WhatsApp for session: ${sessionId}`);
+    
+    const sessionPath = path.join(TOKENS_BASE_PATH, sessionId);
+    
+    if (!fs.existsSync(sessionPath)) {
+      fs.mkdirSync(sessionPath, { recursive: true });
+    }
+
+    console.log(`📁 Session directory: ${sessionPath}`);
+
+    sendToSession(sessionId, {
+      type: 'status',
+      message: 'Initializing WhatsApp client...',
+      sessionId: sessionId
+    });
+
+    const existingSession = activeSessions.get(sessionId);
+    if (existingSession && existingSession.client) {
+      try {
+        console.log(`🧹 Closing existing client for session: ${sessionId}`);
+        await existingSession.client.close();
+        await new Promise(resolve => setTimeout(resolve, 2000));
+      } catch (error) {
+        console.log(`⚠️ Error closing existing client: ${error.message}`);
+      }
+    }
+    // ✅ FIX: Remove stale Chromium locks (prevents "browser already running" error).
+    // The profile itself stays - it holds the WhatsApp login.
+    const browserProfilePath = path.join(sessionPath, 'browser-profile');
+    ['SingletonLock', 'SingletonSocket', 'SingletonCookie'].forEach((lockFile) => {
+      try {
+        fs.rmSync(path.join(browserProfilePath, lockFile), { force: true });
+      } catch (error) {
+        console.log(`⚠️ Could not remove ${lockFile}: ${error.message}`);
+      }
+    });
+
+    const client = await wppconnect.create({
+      session: sessionId,
+      tokensPath: TOKENS_BASE_PATH,
+      folderNameToken: sessionId,
+      
+      catchQR: (base64Qr, asciiQR) => {
+        console.log(`📱 QR Code generated for session: ${sessionId}`);
+        console.log(`📏 QR length: ${base64Qr?.length || 0}`);
+        
+        const currentSession = activeSessions.get(sessionId);
+
+        // Kept for API clients, which poll for the QR instead of getting it pushed
+        if (currentSession) {
+          currentSession.qr = base64Qr;
+        }
+        // Webhooks only hear that a QR is waiting: whoever has the QR can link the number
+        webhooks.dispatch(sessionId, 'qr', {});
+
+        // Nobody is watching a restore, so flag it instead of showing the QR
+        const hasOpenSocket = currentSession?.ws && currentSession.ws.readyState === WebSocket.OPEN;
+        if (restoring && !hasOpenSocket) {
+          if (getSessionRecord(sessionId)?.state !== 'needs-qr') {
+            console.log(`🔑 Saved login for ${sessionId} is no longer valid, needs a new QR scan`);
+            saveSessionRecord(sessionId, { state: 'needs-qr' });
+            sendToSession(sessionId, {
+              type: 'needs-qr',
+              message: 'WhatsApp needs to be linked again - scan a new QR code',
+              sessionId: sessionId
+            });
+          }
+          return;
+        }
+        
+        // ✅ FIX 4: Better WebSocket diagnostics and cleanup
+        if (currentSession && currentSession.ws) {
+          const wsState = currentSession.ws.readyState;
+          console.log(`🔌 WebSocket state: ${wsState} (0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED)`);
+          
+          if (wsState === WebSocket.OPEN) {
+            currentSession.ws.send(JSON.stringify({
+              type: 'qr',
+              qr: base64Qr,
+              sessionId: sessionId
+            }));
+            console.log(`✅ QR sent to frontend for session: ${sessionId}`);
+          } else {
+            console.error(`❌ WebSocket not OPEN for session: ${sessionId}`);
+            // Force cleanup if WebSocket is dead
+            if (wsState === WebSocket.CLOSED) {
+              console.log(`🧹 Forcing cleanup due to dead WebSocket`);
+              initializingSessions.delete(sessionId);
+              cleanupSession(sessionId);
+            }
+          }
+        } else if (currentSession?.headless) {
+          console.log(`📡 QR ready for API session: ${sessionId}`);
+        } else {
+          console.error(`❌ No session or WebSocket found for: ${sessionId}`);
+        }
+      },
+      
+      // Sent instead of QRs when linking by phone number, renewed just as often
+      catchLinkCode: (code) => {
+        console.log(`🔢 Pairing code generated for session: ${sessionId}`);
+
+        const pairingCode = {
+          code,
+          phoneNumber,
+          expiresAt: new Date(Date.now() + PAIRING_CODE_TTL_MS).toISOString()
+        };
+        const currentSession = activeSessions.get(sessionId);
+        if (currentSession) {
+          currentSession.pairingCode = pairingCode;
+        }
+
+        sendToSession(sessionId, {
+          type: 'pairing-code',
+          ...pairingCode,
+          sessionId: sessionId
+        });
+      },
+      
+      statusFind: (statusSession, session) => {
+        console.log(`📊 Session ${sessionId} status:`, statusSession);
+        // Browser crashes and unlinks after login
+        connectionMonitor.handleStatus(sessionId, statusSession);
+        sendToSession(sessionId, {
+          type: 'status',
+          message: `Status: ${statusSession}`,
+          sessionId: sessionId
+        });
+
+        if (statusSession === 'inChat' || statusSession === 'qrReadSuccess') {
+          // ✅ FIX 5: Clear initialization flag on successful connection
+          initializingSessions.delete(sessionId);
+          console.log(`✅ Session ${sessionId} connected, removed from initializing set`);
+
+          const connectedSession = activeSessions.get(sessionId);
+          if (connectedSession) {
+            connectedSession.qr = null;
+            connectedSession.pairingCode = null;
+            connectedSession.restoring = false;
+          }
+          saveSessionRecord(sessionId, { state: 'connected', lastConnectedAt: new Date().toISOString() });
+          
+          sendToSession(sessionId, {
+            type: 'ready',
+            message: 'WhatsApp connected successfully!',
+            sessionId: sessionId
+          });
+        }
+      },
+      
+      headless: true,
+      devtools: false,
+      useChrome: false,
+      debug: false,
+      logQR: false,
+      
+      // ✅ FIX 6: Removed --single-process and --no-zygote (cause crashes)
+      browserArgs: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-web-security',
+        '--disable-features=VizDisplayCompositor',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-software-rasterizer',
+        '--disable-extensions',
+        '--disable-accelerated-2d-canvas',
+        '--disable-background-timer-throttling',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-renderer-backgrounding'
+      ],
+      
+      autoClose: restoring ? RESTORE_QR_TIMEOUT_MS : 0,
+      disableWelcome: true,
+      ...(phoneNumber ? { phoneNumber } : {}),
+      
+      puppeteerOptions: {
+        // ✅ Use Puppeteer's detected Chrome path
+        executablePath: chromePath,
+        userDataDir: path.join(TOKENS_BASE_PATH, sessionId, 'browser-profile'),
+        headless: true,
+        args: [
+          '--no-sandbox',
+          '--disable-setuid-sandbox',
+          '--disable-web-security',
+          '--disable-features=VizDisplayCompositor',
+          '--disable-dev-shm-usage',
+          '--disable-gpu',
+          '--disable-software-rasterizer',
+          '--disable-extensions'
+        ]
+      }
+    });
+
+    console.log(`✅ WhatsApp client created for session: ${sessionId}`);
+
+    // Track delivery/read receipts for messages sent from this session
+    client.onAck((ack) => messageTracker.handleAck(sessionId, ack));
+
+    // Listen for replies and run auto-responder rules
+    client.onMessage((incoming) => {
+      inbox.handleIncoming(sessionId, incoming).catch((error) => {
+        console.error(`❌ Error handling incoming message for ${sessionId}:`, error);
+      });
+    });
+
+    initializingSessions.delete(sessionId);
+    return { client, sessionPath };
+
+  } catch (error) {
+    console.error(`❌ Error initializing session ${sessionId}:`, error);
+    initializingSessions.delete(sessionId);
+    sendToSession(sessionId, {
+      type: 'error',
+      message: `Failed to initialize: ${error.message}`,
+      sessionId: sessionId
+    });
+    throw error;
+  }
+}
+
+// Register a session and start its WhatsApp client. ws is null for sessions
+// created through the REST API or restored on boot (fields.restoring).
+// Resolves to { client, sessionPath }, or null when it was already initializing.
+async function startSession(sessionId, ws, fields = {}) {
+  // The browser's callbacks inherit this, so their log lines carry the session
+  return runWithContext({ sessionId }, () => launchSession(sessionId, ws, fields));
+}
+
+async function launchSession(sessionId, ws, fields) {
+  cluster.claimSession(sessionId);
+  saveSessionRecord(sessionId, {
+    state: 'connecting',
+    ...workspaces.sessionOwnership(sessionId),
+    startedBy: fields.accountId || null,
+    apiKeyId: fields.apiKeyId || null,
+    headless: !!fields.headless
+  });
+
+  activeSessions.set(sessionId, {
+    client: null,
+    ws,
+    sessionPath: null,
+    qr: null,
+    pairingCode: null,
+    startedAt: Date.now(),
+    lastActivity: Date.now(),
+    ...fields
+  });
+
+  try {
+    // Waits for a free browser slot when the server is full
+    await admission.acquire(sessionId, {
+      onQueued: (queue) => sendQueuePosition(sessionId, queue)
+    });
+
+    const result = await initializeWhatsAppSession(sessionId, ws, {
+      restoring: !!fields.restoring,
+      phoneNumber: fields.phoneNumber || null
+    });
+
+    if (!result) {
+      activeSessions.delete(sessionId);
+      initializingSessions.delete(sessionId);
+      admission.release(sessionId);
+      return null;
+    }
+
+    const existingSession = activeSessions.get(sessionId);
+    if (existingSession) {
+      existingSession.client = result.client;
+      existingSession.sessionPath = result.sessionPath;
+    }
+    connectionMonitor.attach(sessionId, result.client);
+
+    // The linked phone number, so an account's numbers can be told apart
+    result.client.getWid()
+      .then((wid) => {
+        if (wid) saveSessionRecord(sessionId, { phone: String(wid).replace(/@c\.us$/, '') });
+      })
+      .catch(() => {});
+    return result;
+  } catch (error) {
+    activeSessions.delete(sessionId);
+    initializingSessions.delete(sessionId);
+    admission.release(sessionId);
+    // Not getting a slot says nothing about the saved login, nor does a failed
+    // relaunch after a crash (unless WhatsApp asked for a QR on the way)
+    const loginFailed = getSessionRecord(sessionId)?.state === 'needs-qr' ||
+      (fields.restoring && !fields.relaunching && !['queue-full', 'queue-timeout', 'already-queued', 'cancelled'].includes(error.code));
+    saveSessionRecord(sessionId, { state: loginFailed ? 'needs-qr' : 'disconnected' });
+    throw error;
+  }
+}
+
+// Send a message - text, or media/location when options.media is set
+// (use prepareMedia() first; the text then becomes the caption).
+// options.timezone overrides the recipient timezone used for quiet hours,
+// options.campaignId tags the delivery record, options.allowSuppressed lets an
+// opt-out confirmation through. Resolves to { success, messageId }.
+async function sendMessage(sessionId, phone, message, options = {}) {
+  const type = options.media ? options.media.type : 'text';
+
+  return runWithContext({ sessionId }, async () => {
+    try {
+      const result = await deliverMessage(sessionId, phone, message, options, type);
+      messagesSent.inc({ type });
+      meterMessage(sessionId, options.media);
+      return result;
+    } catch (error) {
+      messagesFailed.inc({ reason: failureReason(error) });
+      throw error;
+    }
+  });
+}
+
+// Counts a sent media message towards its workspace's usage; the message
+// itself was counted when deliverMessage() reserved it (unowned sessions
+// aren't metered)
+function meterMessage(sessionId, media) {
+  const workspaceId = workspaces.sessionWorkspaceId(sessionId);
+  if (!workspaceId || !media || media.type === 'location') return;
+
+  recordUsage(workspaceId, { media: 1, mediaBytes: media.size });
+}
+
+// Failure reasons as a small fixed set, fit for a metric label
+function failureReason(error) {
+  if (/^[a-z-]{2,40}$/.test(error.code || '')) return error.code;
+  if (/not connected/i.test(error.message || '')) return 'not-connected';
+  return 'send-error';
+}
+
+async function deliverMessage(sessionId, phone, message, options, type) {
+  const queuedAt = Date.now();
+  const session = activeSessions.get(sessionId);
+  
+  if (!session || !session.client) {
+    throw new Error('Session not found or WhatsApp not connected');
+  }
+  if (getSessionRecord(sessionId)?.sendingPaused) {
+    throw sendingPausedError(sessionId);
+  }
+  const workspaceId = workspaces.sessionWorkspaceId(sessionId);
+  if (workspaceId) {
+    workspaces.checkMessageQuota(workspaceId);
+  }
+
+  session.lastActivity = Date.now();
+
+  const { media } = options;
+
+  // Normalize up front so "+254 712..." or "0712..." reach the right chat
+  const chatId = toChatId(phone);
+
+  // What the send log records for this attempt, whatever the outcome
+  const logFields = {
+    to: chatId.replace('@c.us', ''),
+    campaignId: options.campaignId,
+    text: message || null,
+    mediaType: media ? media.type : null
+  };
+
+  // Opt-outs are per person; group and broadcast chats can't opt out
+  if (!options.allowSuppressed && !isNonUserChatId(chatId) && suppressionList.isSuppressed(sessionId, phone)) {
+    const suppressed = new Error(`${phone} has opted out of messages`);
+    suppressed.code = 'suppressed';
+    messageTracker.trackFailure(sessionId, { ...logFields, error: suppressed });
+    throw suppressed;
+  }
+
+  // Every entry point goes through the pacer, which may delay or refuse the send
+  return pacer.schedule(sessionId, { phone, timezone: options.timezone }, async (attempt) => {
+    let currentSession = activeSessions.get(sessionId);
+
+    if (!currentSession || !currentSession.client) {
+      throw new Error('Session not found or WhatsApp not connected');
+    }
+
+    // The phone is offline or the browser is being relaunched: hold the send
+    // until WhatsApp is back (the client may have been replaced meanwhile)
+    if (!connectionMonitor.isConnected(sessionId)) {
+      await connectionMonitor.waitUntilConnected(sessionId);
+      currentSession = activeSessions.get(sessionId);
+      if (!currentSession || !currentSession.client) {
+        throw new Error('Session not found or WhatsApp not connected');
+      }
+    }
+    // Paused while this message waited its turn
+    if (getSessionRecord(sessionId)?.sendingPaused) {
+      throw sendingPausedError(sessionId);
+    }
+    // Other numbers of the workspace may have used up its quota meanwhile;
+    // the reservation is given back if the send fails
+    const reservedOn = workspaceId ? workspaces.reserveMessage(workspaceId) : null;
+
+    currentSession.lastActivity = Date.now();
+    sendQueueWait.observe({ type }, (Date.now() - queuedAt) / 1000);
+    const endSend = sendDuration.startTimer({ type });
+
+    try {
+      const formattedPhone = chatId;
+      // From here on the send counts towards the pacing caps, even if it fails
+      attempt();
+
+      logger.info('📱 Sending message', {
+        to: formattedPhone,
+        type,
+        text: message || '',
+        campaignId: options.campaignId
+      });
+      
+      let sent;
+      if (!media) {
+        sent = await currentSession.client.sendText(formattedPhone, message);
+      } else if (media.type === 'location') {
+        // Locations can't carry a caption, so any text goes first as its own message
+        if (message) {
+          await currentSession.client.sendText(formattedPhone, message);
+        }
+        sent = await sendMedia(currentSession.client, formattedPhone, media);
+      } else {
+        sent = await sendMedia(currentSession.client, formattedPhone, media, message || media.caption);
+      }
+      endSend({ outcome: 'sent' });
+      console.log(`✅ Message sent successfully to ${formattedPhone}`);
+
+      const record = messageTracker.track(sessionId, sent, logFields);
+      webhooks.dispatch(sessionId, 'message-sent', {
+        to: formattedPhone.replace('@c.us', ''),
+        messageId: record ? record.id : null,
+        campaignId: options.campaignId || null
+      });
+      return { success: true, messageId: record ? record.id : null };
+
+    } catch (error) {
+      endSend({ outcome: 'failed' });
+      if (reservedOn) workspaces.releaseMessage(workspaceId, reservedOn);
+      console.error('❌ SEND ERROR:', error.message);
+      messageTracker.trackFailure(sessionId, { ...logFields, error });
+      webhooks.dispatch(sessionId, 'message-failed', {
+        to: chatId.replace('@c.us', ''),
+        error: error.message,
+        campaignId: options.campaignId || null
+      });
+      throw error;
+    }
+  });
+}
+
+// Logout and clear session
+async function logoutSession(sessionId) {
+  const session = activeSessions.get(sessionId);
+  connectionMonitor.forget(sessionId);
+  clearRecentErrors(sessionId);
+  
+  // A saved session that isn't running only has its tokens left to delete
+  if (!session && getSessionRecord(sessionId)) {
+    fs.rmSync(path.join(TOKENS_BASE_PATH, sessionId), { recursive: true, force: true });
+    removeSessionRecord(sessionId);
+    console.log(`✅ Saved session ${sessionId} removed`);
+    return { success: true };
+  }
+
+  if (!session) {
+    throw new Error('Session not found');
+  }
+
+  try {
+    console.log(`🚪 Logging out session: ${sessionId}`);
+    
+    if (session.client) {
+      await session.client.logout();
+      await session.client.close();
+    }
+
+    if (session.sessionPath && fs.existsSync(session.sessionPath)) {
+      fs.rmSync(session.sessionPath, { recursive: true, force: true });
+      console.log(`🗑️ Session directory cleaned: ${sessionId}`);
+    }
+
+    activeSessions.delete(sessionId);
+    initializingSessions.delete(sessionId);
+    admission.release(sessionId);
+    removeSessionRecord(sessionId);
+
+    webhooks.dispatch(sessionId, 'logged-out', { sessionId });
+    
+    console.log(`✅ Session ${sessionId} logged out`);
+    return { success: true };
+  } catch (error) {
+    console.error(`❌ Error logging out session ${sessionId}:`, error);
+    throw error;
+  }
+}
+
+// What a workspace role needs for each WebSocket message; the rest are sends
+const WS_MESSAGE_PERMISSIONS = {
+  'get-pacing': 'view',
+  'list-scheduled-messages': 'view',
+  'list-groups': 'view',
+  'get-group-participants': 'view',
+  'get-campaign': 'view',
+  'list-campaigns': 'view',
+  'get-message-status': 'view',
+  'get-report': 'view',
+  'get-inbox': 'view',
+  'get-auto-replies': 'view',
+  'get-suppression': 'view',
+  'list-contact-lists': 'view',
+  'get-contact-list': 'view',
+  'set-pacing': 'manage',
+  'set-auto-replies': 'manage',
+  'set-opt-out-keywords': 'manage',
+  'remove-suppression': 'manage',
+  'logout': 'manage'
+};
+
+// WebSocket connection handler
+wss.on('connection', async (ws, req) => {
+  console.log('🔌 New WebSocket connection');
+  
+  let sessionId = null;
+  const accountId = req.account ? req.account.id : null;
+
+  ws.on('message', async (data) => {
+    // Each message is a request of its own in the logs
+    enterContext({ requestId: newRequestId(), ...(sessionId ? { sessionId } : {}) });
+
+    try {
+      const message = JSON.parse(data);
+
+      // Workspace members only do what their role allows (checked per message,
+      // as roles can change while the socket is open)
+      if (message.type !== 'init' && sessionId && accountId) {
+        const role = workspaces.sessionRole(accountId, sessionId);
+        if (!workspaces.can(role, WS_MESSAGE_PERMISSIONS[message.type] || 'send')) {
+          ws.send(JSON.stringify({
+            type: 'error',
+            code: 'forbidden',
+            message: role ? `A ${role} can't do this in the workspace` : 'Session not found',
+            sessionId: sessionId
+          }));
+          return;
+        }
+      }
+
+      if (message.type === 'init') {
+        const fingerprint = message.fingerprint;
+        let login;
+
+        try {
+          sessionId = resolveInitSession(accountId, message);
+          addContext({ sessionId });
+          login = parseLoginOptions(message);
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: error.message
+          }));
+          return;
+        }
+
+        console.log(`🆔 Session ID: ${sessionId}`);
+
+        let session = activeSessions.get(sessionId);
+        
+        // ✅ FIX 8: Verify client is actually alive before restoring
+        if (session && session.client) {
+          console.log(`♻️ Checking existing session: ${sessionId}`);
+          
+          try {
+            const isConnected = await session.client.isConnected();
+            
+            if (isConnected) {
+              console.log(`✅ Session ${sessionId} is still valid`);
+              
+              if (session.ws && session.ws !== ws && session.ws.readyState === WebSocket.OPEN) {
+                console.log(`🔄 Closing old WebSocket connection`);
+                session.ws.close();
+              }
+              
+              session.ws = ws;
+              session.lastActivity = Date.now();
+              
+              ws.send(JSON.stringify({ 
+                type: 'session-restored',
+                sessionId: sessionId,
+                message: 'Session restored - WhatsApp already connected'
+              }));
+
+              ws.send(JSON.stringify({ 
+                type: 'ready',
+                sessionId: sessionId,
+                message: 'WhatsApp is already connected' 
+              }));
+              
+              return;
+            } else {
+              console.log(`⚠️ Session ${sessionId} client is dead, cleaning up...`);
+              await cleanupSession(sessionId);
+              // Fall through to create new session
+            }
+          } catch (error) {
+            console.log(`⚠️ Cannot verify session ${sessionId}, cleaning up:`, error.message);
+            await cleanupSession(sessionId);
+            // Fall through to create new session
+          }
+        }
+
+        // Still waiting for a browser slot: this tab takes over the place in line
+        const queued = admission.queuePosition(sessionId);
+        if (queued && session) {
+          if (session.ws && session.ws !== ws && session.ws.readyState === WebSocket.OPEN) {
+            session.ws.close();
+          }
+          session.ws = ws;
+          session.lastActivity = Date.now();
+          sendQueuePosition(sessionId, queued);
+          return;
+        }
+
+        // A browser already linking one way can't switch to the other
+        const linkingWith = session && !session.client && (session.phoneNumber || null);
+        if (session && !session.client && (message.loginMethod || message.phoneNumber) && linkingWith !== login.phoneNumber) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            sessionId: sessionId,
+            message: linkingWith
+              ? `This session is already linking with a pairing code for ${linkingWith}. Log out to start over.`
+              : 'This session is already linking with a QR code. Log out to start over.'
+          }));
+          return;
+        }
+
+        if (initializingSessions.has(sessionId)) {
+          const existingSession = activeSessions.get(sessionId);
+          
+          if (existingSession && existingSession.ws !== ws) {
+            console.log(`🔄 Reconnecting existing session: ${sessionId}`);
+            
+            if (existingSession.ws && existingSession.ws.readyState === WebSocket.OPEN) {
+              existingSession.ws.close();
+            }
+            
+            existingSession.ws = ws;
+            existingSession.lastActivity = Date.now();
+            initializingSessions.delete(sessionId);
+            
+            ws.send(JSON.stringify({ 
+              type: 'status',
+              sessionId: sessionId,
+              message: 'Reconnected to existing session'
+            }));
+
+            // The code on screen in the old tab, until WhatsApp renews it
+            if (existingSession.pairingCode) {
+              ws.send(JSON.stringify({ 
+                type: 'pairing-code',
+                ...existingSession.pairingCode,
+                sessionId: sessionId
+              }));
+            }
+            
+            return;
+          } else {
+            console.log(`⚠️ Session ${sessionId} already initializing`);
+            ws.send(JSON.stringify({ 
+              type: 'error',
+              sessionId: sessionId,
+              message: 'This session is already being initialized. Please wait.'
+            }));
+            return;
+          }
+        }
+        
+        console.log(`✨ Creating new session: ${sessionId}`);
+        
+        try {
+          const result = await startSession(sessionId, ws, {
+            ...(accountId ? { accountId } : { fingerprint }),
+            ...login
+          });
+          
+          if (result) {
+            ws.send(JSON.stringify({
+              type: 'session-created',
+              sessionId: sessionId,
+              message: 'New session created'
+            }));
+          }
+        } catch (error) {
+          console.error(`❌ Failed to initialize session ${sessionId}:`, error);
+          
+          ws.send(JSON.stringify({
+            type: 'error',
+            sessionId: sessionId,
+            message: `Initialization failed: ${error.message}`
+          }));
+        }
+      }
+
+      else if (message.type === 'send-message') {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
+        const { phone, message: template = '', variables, timezone, dryRun } = message;
+        
+        try {
+          // Missing variables and bad media throw here, before anything reaches WhatsApp
+          const text = renderTemplate(template, { ...variables, phone });
+          const media = message.media ? prepareMedia(message.media, mediaAccess(sessionId)) : null;
+
+          if (dryRun) {
+            ws.send(JSON.stringify({ 
+              type: 'message-preview',
+              to: phone,
+              message: text,
+              mediaType: media ? media.type : null,
+              sessionId: sessionId
+            }));
+            return;
+          }
+
+          const result = await sendMessage(sessionId, phone, text, { timezone, media });
+          ws.send(JSON.stringify({ 
+            type: 'message-sent',
+            to: phone,
+            messageId: result.messageId,
+            sessionId: sessionId
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'message-error',
+            error: error.message,
+            code: error.code,
+            details: error.details,
+            retryAt: error.retryAt ? new Date(error.retryAt).toISOString() : undefined,
+            to: phone,
+            sessionId: sessionId
+          }));
+        }
+      }
+
+      else if (message.type === 'get-pacing' || message.type === 'set-pacing') {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
+        try {
+          const profile = message.type === 'set-pacing'
+            ? pacer.setProfile(sessionId, message.profile)
+            : pacer.getProfile(sessionId);
+
+          ws.send(JSON.stringify({ 
+            type: 'pacing-profile',
+            profile,
+            presets: PACING_PRESETS,
+            sessionId: sessionId
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'pacing-error',
+            error: error.message,
+            sessionId: sessionId
+          }));
+        }
+      }
+
+      else if (['schedule-message', 'update-scheduled-message', 'cancel-scheduled-message', 'list-scheduled-messages'].includes(message.type)) {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
+        try {
+          if (message.type === 'list-scheduled-messages') {
+            ws.send(JSON.stringify({ 
+              type: 'scheduled-messages',
+              jobs: scheduler.listJobs(sessionId, { status: message.status }),
+              sessionId: sessionId
+            }));
+            return;
+          }
+
+          let job;
+          if (message.type === 'schedule-message') {
+            job = scheduler.createJob(sessionId, message);
+          } else if (message.type === 'update-scheduled-message') {
+            job = scheduler.updateJob(sessionId, message.jobId, message.changes || {});
+          } else {
+            job = scheduler.cancelJob(sessionId, message.jobId);
+          }
+
+          ws.send(JSON.stringify({ 
+            type: 'scheduled-message',
+            job,
+            sessionId: sessionId
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'scheduled-message-error',
+            error: error.message,
+            details: error.details,
+            jobId: message.jobId,
+            sessionId: sessionId
+          }));
+        }
+      }
+
+      else if (['list-groups', 'get-group-participants', 'export-group-members', 'create-group', 'add-group-participants', 'remove-group-participants'].includes(message.type)) {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
+        try {
+          let reply;
+          if (message.type === 'list-groups') {
+            reply = { type: 'groups', groups: await groups.listGroups(sessionId) };
+          } else if (message.type === 'get-group-participants') {
+            reply = {
+              type: 'group-participants',
+              groupId: message.groupId,
+              participants: await groups.getParticipants(sessionId, message.groupId)
+            };
+          } else if (message.type === 'export-group-members') {
+            reply = {
+              type: 'group-members-exported',
+              groupId: message.groupId,
+              ...(await groups.exportMembers(sessionId, message.groupId, message))
+            };
+          } else if (message.type === 'create-group') {
+            reply = { type: 'group-created', ...(await groups.createGroup(sessionId, message)) };
+          } else if (message.type === 'add-group-participants') {
+            reply = { type: 'group-participants-updated', action: 'add', ...(await groups.addParticipants(sessionId, message.groupId, message)) };
+          } else {
+            reply = { type: 'group-participants-updated', action: 'remove', ...(await groups.removeParticipants(sessionId, message.groupId, message)) };
+          }
+
+          ws.send(JSON.stringify({ 
+            ...reply,
+            sessionId: sessionId
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'group-error',
+            request: message.type,
+            error: error.message,
+            details: error.details,
+            groupId: message.groupId,
+            sessionId: sessionId
+          }));
+        }
+      }
+
+      else if (message.type === 'send-campaign') {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
+        try {
+          const result = campaignEngine.createCampaign(sessionId, message);
+
+          if (result.dryRun) {
+            ws.send(JSON.stringify({ 
+              type: 'campaign-preview',
+              preview: result,
+              sessionId: sessionId
+            }));
+            return;
+          }
+
+          ws.send(JSON.stringify({ 
+            type: 'campaign-created',
+            campaign: result,
+            sessionId: sessionId
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'campaign-error',
+            error: error.message,
+            details: error.details,
+            sessionId: sessionId
+          }));
+        }
+      }
+
+      else if (['pause-campaign', 'resume-campaign', 'cancel-campaign', 'get-campaign', 'list-campaigns'].includes(message.type)) {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
 
-// WebSocket connection handler
-wss.on('connection', async (ws) => {
-  console.log('🔌 New WebSocket connection');
-  
-  let sessionId = null;
+        try {
+          if (message.type === 'list-campaigns') {
+            ws.send(JSON.stringify({ 
+              type: 'campaign-list',
+              campaigns: campaignEngine.listCampaigns(sessionId),
+              sessionId: sessionId
+            }));
+          } else if (message.type === 'get-campaign') {
+            ws.send(JSON.stringify({ 
+              type: 'campaign-details',
+              campaign: campaignEngine.getCampaign(sessionId, message.campaignId),
+              sessionId: sessionId
+            }));
+          } else {
+            // pause/resume/cancel broadcast the new state as 'campaign-status'
+            const action = campaignActions[message.type.replace('-campaign', '')];
+            action(sessionId, message.campaignId);
+          }
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'campaign-error',
+            error: error.message,
+            campaignId: message.campaignId,
+            sessionId: sessionId
+          }));
+        }
+      }
 
-  ws.on('message', async (data) => {
-    try {
-      const message = JSON.parse(data);
+      else if (message.type === 'get-message-status') {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
 
-      if (message.type === 'init') {
-        const fingerprint = message.fingerprint;
-        sessionId = generateSessionId(fingerprint);
+        const record = messageTracker.getMessage(sessionId, message.messageId);
+        ws.send(JSON.stringify({ 
+          type: record ? 'message-status' : 'message-status-error',
+          message: record || undefined,
+          error: record ? undefined : 'Message not found',
+          messageId: message.messageId,
+          sessionId: sessionId
+        }));
+      }
 
-        console.log(`🆔 Session ID: ${sessionId}`);
+      // { campaignId } for one campaign, otherwise { from, to, timezone } (default: last 7 days)
+      else if (message.type === 'get-report') {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
 
-        let session = activeSessions.get(sessionId);
-        
-        // ✅ FIX 8: Verify client is actually alive before restoring
-        if (session && session.client) {
-          console.log(`♻️ Checking existing session: ${sessionId}`);
-          
-          try {
-            const isConnected = await session.client.isConnected();
-            
-            if (isConnected) {
-              console.log(`✅ Session ${sessionId} is still valid`);
-              
-              if (session.ws && session.ws !== ws && session.ws.readyState === WebSocket.OPEN) {
-                console.log(`🔄 Closing old WebSocket connection`);
-                session.ws.close();
-              }
-              
-              session.ws = ws;
-              session.lastActivity = Date.now();
-              
-              ws.send(JSON.stringify({ 
-                type: 'session-restored',
-                sessionId: sessionId,
-                message: 'Session restored - WhatsApp already connected'
-              }));
+        try {
+          const report = message.campaignId
+            ? reports.campaignReport(sessionId, message.campaignId, { timezone: message.timezone })
+            : reports.rangeReport(sessionId, message);
+          ws.send(JSON.stringify({ 
+            type: 'report',
+            report,
+            campaignId: message.campaignId || null,
+            sessionId: sessionId
+          }));
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'report-error',
+            error: error.message,
+            campaignId: message.campaignId || null,
+            sessionId: sessionId
+          }));
+        }
+      }
 
-              ws.send(JSON.stringify({ 
-                type: 'ready',
-                sessionId: sessionId,
-                message: 'WhatsApp is already connected' 
-              }));
-              
-              return;
-            } else {
-              console.log(`⚠️ Session ${sessionId} client is dead, cleaning up...`);
-              await cleanupSession(sessionId);
-              // Fall through to create new session
-            }
-          } catch (error) {
-            console.log(`⚠️ Cannot verify session ${sessionId}, cleaning up:`, error.message);
-            await cleanupSession(sessionId);
-            // Fall through to create new session
-          }
+      else if (['get-inbox', 'get-auto-replies', 'set-auto-replies'].includes(message.type)) {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
         }
 
-        if (initializingSessions.has(sessionId)) {
-          const existingSession = activeSessions.get(sessionId);
-          
-          if (existingSession && existingSession.ws !== ws) {
-            console.log(`🔄 Reconnecting existing session: ${sessionId}`);
-            
-            if (existingSession.ws && existingSession.ws.readyState === WebSocket.OPEN) {
-              existingSession.ws.close();
-            }
-            
-            existingSession.ws = ws;
-            existingSession.lastActivity = Date.now();
-            initializingSessions.delete(sessionId);
-            
+        try {
+          if (message.type === 'get-inbox') {
             ws.send(JSON.stringify({ 
-              type: 'status',
-              sessionId: sessionId,
-              message: 'Reconnected to existing session'
+              type: 'inbox',
+              messages: inbox.getInbox(sessionId, { limit: message.limit, from: message.from }),
+              sessionId: sessionId
             }));
-            
-            return;
           } else {
-            console.log(`⚠️ Session ${sessionId} already initializing`);
+            const rules = message.type === 'set-auto-replies'
+              ? inbox.setRules(sessionId, message.rules)
+              : inbox.getRules(sessionId);
+
             ws.send(JSON.stringify({ 
-              type: 'error',
-              sessionId: sessionId,
-              message: 'This session is already being initialized. Please wait.'
+              type: 'auto-replies',
+              rules,
+              sessionId: sessionId
             }));
-            return;
           }
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'auto-replies-error',
+            error: error.message,
+            sessionId: sessionId
+          }));
         }
-        
-        console.log(`✨ Creating new session: ${sessionId}`);
-        
-        activeSessions.set(sessionId, {
-          client: null,
-          ws,
-          sessionPath: null,
-          lastActivity: Date.now(),
-          fingerprint
-        });
-        
+      }
+
+      else if (['get-suppression', 'add-suppression', 'remove-suppression', 'set-opt-out-keywords'].includes(message.type)) {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
         try {
-          const result = await initializeWhatsAppSession(sessionId, ws);
-          
-          if (result) {
-            const { client, sessionPath } = result;
-            
-            const existingSession = activeSessions.get(sessionId);
-            if (existingSession) {
-              existingSession.client = client;
-              existingSession.sessionPath = sessionPath;
-            }
+          const phones = Array.isArray(message.phones) ? message.phones : [message.phone].filter(Boolean);
 
-            ws.send(JSON.stringify({
-              type: 'session-created',
-              sessionId: sessionId,
-              message: 'New session created'
-            }));
-          } else {
-            activeSessions.delete(sessionId);
-            initializingSessions.delete(sessionId);
+          if (message.type === 'add-suppression') {
+            phones.forEach((phone) => suppressionList.suppress(sessionId, phone, { source: 'api', reason: message.reason }));
+          } else if (message.type === 'remove-suppression') {
+            phones.forEach((phone) => suppressionList.unsuppress(sessionId, phone, { source: 'api', reason: message.reason }));
+          } else if (message.type === 'set-opt-out-keywords') {
+            suppressionList.setKeywords(sessionId, message.keywords);
           }
+
+          ws.send(JSON.stringify({ 
+            type: 'suppression-list',
+            ...suppressionList.listSuppressed(sessionId),
+            sessionId: sessionId
+          }));
         } catch (error) {
-          console.error(`❌ Failed to initialize session ${sessionId}:`, error);
-          activeSessions.delete(sessionId);
-          initializingSessions.delete(sessionId);
-          
-          ws.send(JSON.stringify({
-            type: 'error',
-            sessionId: sessionId,
-            message: `Initialization failed: ${error.message}`
+          ws.send(JSON.stringify({ 
+            type: 'suppression-error',
+            error: error.message,
+            sessionId: sessionId
           }));
         }
       }
 
-      else if (message.type === 'send-message') {
+      else if (message.type === 'check-numbers') {
         if (!sessionId) {
           ws.send(JSON.stringify({ 
             type: 'error',
@@ -634,20 +2576,84 @@ wss.on('connection', async (ws) => {
           return;
         }
 
-        const { phone, message: text } = message;
-        
         try {
-          await sendMessage(sessionId, phone, text);
+          const result = await numberChecker.checkNumbers(sessionId, message.phones, {
+            force: !!message.force,
+            onResult: (check, done, total) => {
+              sendToSession(sessionId, {
+                type: 'number-check-progress',
+                result: check,
+                done,
+                total,
+                sessionId: sessionId
+              });
+            }
+          });
           ws.send(JSON.stringify({ 
-            type: 'message-sent',
-            to: phone,
+            type: 'number-check-result',
+            ...result,
             sessionId: sessionId
           }));
         } catch (error) {
           ws.send(JSON.stringify({ 
-            type: 'message-error',
+            type: 'number-check-error',
             error: error.message,
-            to: phone,
+            sessionId: sessionId
+          }));
+        }
+      }
+
+      else if (['import-contacts', 'list-contact-lists', 'get-contact-list', 'delete-contact-list'].includes(message.type)) {
+        if (!sessionId) {
+          ws.send(JSON.stringify({ 
+            type: 'error',
+            message: 'Session not initialized'
+          }));
+          return;
+        }
+
+        try {
+          if (message.type === 'import-contacts') {
+            // File uploads arrive base64-encoded; rows can also be sent directly as "contacts"
+            const result = await contacts.importContacts(sessionId, {
+              name: message.name,
+              buffer: message.base64 ? Buffer.from(message.base64.replace(/^data:[^,]*,/, ''), 'base64') : undefined,
+              filename: message.filename,
+              format: message.format,
+              records: message.base64 ? undefined : message.contacts,
+              defaultCountryCode: message.defaultCountryCode,
+              mode: message.mode
+            });
+            ws.send(JSON.stringify({ 
+              type: 'contacts-imported',
+              ...result,
+              sessionId: sessionId
+            }));
+          } else if (message.type === 'list-contact-lists') {
+            ws.send(JSON.stringify({ 
+              type: 'contact-lists',
+              lists: contacts.listContactLists(sessionId),
+              sessionId: sessionId
+            }));
+          } else if (message.type === 'get-contact-list') {
+            ws.send(JSON.stringify({ 
+              type: 'contact-list',
+              list: contacts.getContactList(sessionId, message.name),
+              sessionId: sessionId
+            }));
+          } else {
+            contacts.deleteContactList(sessionId, message.name);
+            ws.send(JSON.stringify({ 
+              type: 'contact-list-deleted',
+              name: message.name,
+              sessionId: sessionId
+            }));
+          }
+        } catch (error) {
+          ws.send(JSON.stringify({ 
+            type: 'contacts-error',
+            error: error.message,
+            details: error.details,
             sessionId: sessionId
           }));
         }
@@ -709,16 +2715,24 @@ wss.on('connection', async (ws) => {
             console.log(`✅ Session ${sessionId} reconnected (browser refresh)`);
             return;
           }
+
+          // Campaigns and scheduled messages keep the WhatsApp client alive without the tab
+          if (hasPendingWork(sessionId)) {
+            console.log(`📣 Tab closed, keeping session ${sessionId} for its campaigns and scheduled messages`);
+            return;
+          }
           
           // Otherwise, it was a tab close - clean up everything
           console.log(`🧹 Tab closed, cleaning up session: ${sessionId}`);
           await cleanupSession(sessionId);
         }, 10000); // 10 second window for refresh
         
-      } else {
-        // No client exists, just remove from tracking
+      } else if (!session || session.ws === ws) {
+        // No client exists, just remove from tracking (and from the queue) -
+        // unless another tab has taken the session over
         initializingSessions.delete(sessionId);
         activeSessions.delete(sessionId);
+        admission.release(sessionId);
       }
     }
   });
@@ -728,6 +2742,77 @@ wss.on('connection', async (ws) => {
   });
 });
 
+// Reconnects one saved session from its browser profile; without a profile
+// there's nothing to restore and the user has to scan again
+async function restoreSession(record) {
+  if (!fs.existsSync(path.join(TOKENS_BASE_PATH, record.id, 'browser-profile'))) {
+    saveSessionRecord(record.id, { state: 'needs-qr' });
+    return null;
+  }
+
+  const result = await startSession(record.id, null, {
+    accountId: record.startedBy,
+    apiKeyId: record.apiKeyId,
+    headless: record.headless,
+    restoring: true
+  });
+  console.log(result ? `✅ Restored session ${record.id}` : `⚠️ Session ${record.id} was already starting`);
+  return result;
+}
+
+// Starts a crashed session's browser again from its profile, keeping the
+// tab (if any) that was watching it
+async function relaunchSession(sessionId) {
+  const record = getSessionRecord(sessionId);
+  if (!record) {
+    throw Object.assign(new Error('The session was removed'), { code: 'relaunch-cancelled' });
+  }
+
+  const session = activeSessions.get(sessionId);
+  const ws = session ? session.ws : null;
+  await cleanupSession(sessionId, { markDisconnected: false });
+
+  try {
+    return await startSession(sessionId, ws, {
+      accountId: record.startedBy,
+      headless: record.headless,
+      fingerprint: session ? session.fingerprint : undefined,
+      apiKeyId: session ? session.apiKeyId : record.apiKeyId,
+      restoring: true,
+      relaunching: true
+    });
+  } catch (error) {
+    if (getSessionRecord(sessionId)?.state === 'needs-qr') {
+      throw Object.assign(new Error('The saved login is no longer valid'), { code: 'relaunch-cancelled' });
+    }
+    throw error;
+  }
+}
+
+// Reconnect sessions that were connected when the server stopped, one at a
+// time so a restart doesn't launch every browser at once. A cluster worker
+// only restores the sessions assigned to it.
+async function restoreSessions() {
+  if (process.env.RESTORE_SESSIONS === 'false') return;
+
+  const records = listSessionRecords()
+    .filter((record) => record.state === 'connected' && cluster.ownsSession(record.id));
+  if (records.length === 0) return;
+
+  console.log(`♻️ Restoring ${records.length} saved session(s)...`);
+
+  for (const record of records) {
+    // The user may have reconnected on their own while earlier restores ran
+    if (activeSessions.has(record.id)) continue;
+
+    try {
+      await restoreSession(record);
+    } catch (error) {
+      console.log(`🔑 Could not restore session ${record.id}: ${error.message}`);
+    }
+  }
+}
+
 // Start server
 async function startServer() {
   try {
@@ -740,6 +2825,7 @@ async function startServer() {
       console.log('✅ SERVER STARTED');
       console.log(`🌐 Server: http://localhost:${PORT}`);
       console.log(`📁 Sessions folder: ${TOKENS_BASE_PATH}`);
+      console.log(`🗄️ Storage: ${storage.STORAGE_DRIVER}${storage.schemaVersion ? ` (schema v${storage.schemaVersion})` : ''}`);
       console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
       
       if (process.env.FLY_APP_NAME) {
@@ -750,6 +2836,36 @@ async function startServer() {
       
       // Start keep-alive service
       keepAlive();
+
+      if (cluster.WORKER_ID) {
+        cluster.startHeartbeat({
+          url: process.env.WORKER_URL || `http://127.0.0.1:${PORT}`,
+          listSessions: () => Array.from(new Set([...activeSessions.keys(), ...initializingSessions.keys()])),
+          onSessionLost: (sessionId, workerId) => {
+            console.log(`🧩 Session ${sessionId} now belongs to ${workerId}, closing it here`);
+            const session = activeSessions.get(sessionId);
+            if (session && session.ws) session.ws.close(1012, 'Session moved to another worker');
+            cleanupSession(sessionId, { markDisconnected: false });
+          }
+        });
+      }
+
+      // Campaigns wait for their session to reconnect before sending again
+      campaignEngine.resumeInterrupted(cluster.ownsSession);
+
+      // Retry webhook deliveries that were waiting when the server stopped
+      webhooks.resumePending(cluster.ownsSession);
+
+      // Fire scheduled messages (missed runs follow each job's missedPolicy)
+      scheduler.start();
+
+      // Browser limits, and Chromium left behind by a previous crash
+      admission.start();
+
+      // Bring back sessions from before the restart, without a QR where possible
+      restoreSessions().catch((error) => {
+        console.error('❌ Error restoring sessions:', error);
+      });
     });
 
   } catch (error) {
@@ -764,11 +2880,17 @@ process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down gracefully...');
   
   console.log(`📊 Closing ${activeSessions.size} active sessions...`);
+  // Sessions keep their "connected" state so they are restored on the next start
   for (const [sessionId] of activeSessions) {
-    await cleanupSession(sessionId);
+    await cleanupSession(sessionId, { markDisconnected: false });
   }
   
+  if (cluster.WORKER_ID) {
+    cluster.markWorkerStopped(cluster.WORKER_ID);
+  }
+
   server.close(() => {
+    storage.close();
     console.log('✅ Server closed');
     process.exit(0);
   });
@@ -0,0 +1,63 @@
+// session-registry.js - Persisted list of known WhatsApp sessions
+// Survives restarts so the server can reconnect sessions on boot from their
+// saved browser profile, without a new QR scan.
+//
+// States:
+//   connecting    client is starting (first login or restore)
+//   connected     WhatsApp is logged in
+//   disconnected  client was closed (idle, tab closed, shutdown) - tokens kept
+//   needs-qr      a restore found no valid login; the user must scan again
+const storage = require('./storage');
+
+const SESSION_STATES = ['connecting', 'connected', 'disconnected', 'needs-qr'];
+
+const registryStore = storage.collection('sessions');
+
+function getSessionRecord(sessionId) {
+  return registryStore.get(sessionId);
+}
+
+// Creates or updates the record; fields are merged into what's stored
+function saveSessionRecord(sessionId, fields = {}) {
+  if (fields.state && !SESSION_STATES.includes(fields.state)) {
+    throw new Error(`Unknown session state: ${fields.state}`);
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    id: sessionId,
+    // The owning workspace and its owner account; startedBy is the member
+    // who last started the number
+    workspaceId: null,
+    ownerId: null,
+    startedBy: null,
+    apiKeyId: null,
+    headless: false,
+    state: 'connecting',
+    lastConnectedAt: null,
+    createdAt: now,
+    ...registryStore.get(sessionId),
+    ...fields,
+    updatedAt: now
+  };
+
+  registryStore.set(sessionId, record);
+  return record;
+}
+
+function listSessionRecords() {
+  return registryStore.list();
+}
+
+// Only on explicit logout - the session's tokens are gone after that
+function removeSessionRecord(sessionId) {
+  registryStore.delete(sessionId);
+}
+
+module.exports = {
+  SESSION_STATES,
+  getSessionRecord,
+  saveSessionRecord,
+  listSessionRecords,
+  removeSessionRecord
+};
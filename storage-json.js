@@ -0,0 +1,93 @@
+// storage-json.js - File storage driver (STORAGE_DRIVER=json)
+// Each collection is a folder under DATA_PATH and each document is one JSON file,
+// so a campaign with thousands of recipients doesn't rewrite every other record.
+// This was the only store before SQLite; it's kept for setups that want plain files.
+const fs = require('fs');
+const path = require('path');
+const { matchesFilter } = require('./storage-memory');
+
+// A lock older than this was left by a crashed process
+const LOCK_TIMEOUT_MS = 5000;
+
+function fileNameFor(id) {
+  return `${encodeURIComponent(String(id))}.json`;
+}
+
+function createJsonStore({ dataPath }) {
+  function collection(name) {
+    const dir = path.join(dataPath, name);
+
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    function get(id) {
+      const file = path.join(dir, fileNameFor(id));
+      if (!fs.existsSync(file)) return null;
+
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        console.error(`❌ Could not read ${name}/${id}: ${error.message}`);
+        return null;
+      }
+    }
+
+    function set(id, doc) {
+      const file = path.join(dir, fileNameFor(id));
+      const tmpFile = `${file}.${process.pid}.tmp`;
+
+      // Write then rename so a crash mid-write never leaves a truncated file
+      fs.writeFileSync(tmpFile, JSON.stringify(doc));
+      fs.renameSync(tmpFile, file);
+      return doc;
+    }
+
+    function remove(id) {
+      const file = path.join(dir, fileNameFor(id));
+      if (fs.existsSync(file)) {
+        fs.rmSync(file, { force: true });
+      }
+    }
+
+    // Cluster workers can share the folder, so an update holds a lock file
+    // (created exclusively) while it reads and writes the document
+    function update(id, change) {
+      const lockFile = path.join(dir, `${fileNameFor(id)}.lock`);
+      const deadline = Date.now() + LOCK_TIMEOUT_MS;
+      let fd;
+      while (fd === undefined) {
+        try {
+          fd = fs.openSync(lockFile, 'wx');
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+          if (Date.now() > deadline) {
+            fs.rmSync(lockFile, { force: true });
+          } else {
+            Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, 10);
+          }
+        }
+      }
+
+      try {
+        return set(id, change(get(id)));
+      } finally {
+        fs.closeSync(fd);
+        fs.rmSync(lockFile, { force: true });
+      }
+    }
+
+    function list(filter) {
+      return fs.readdirSync(dir)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => get(decodeURIComponent(file.slice(0, -'.json'.length))))
+        .filter((doc) => doc && matchesFilter(doc, filter));
+    }
+
+    return { get, set, delete: remove, list, update };
+  }
+
+  return { driver: 'json', collection, close() {} };
+}
+
+module.exports = { createJsonStore };
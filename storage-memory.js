@@ -0,0 +1,48 @@
+// storage-memory.js - In-memory storage driver (STORAGE_DRIVER=memory)
+// Same interface as the SQLite and file drivers, for tests and throwaway
+// runs. Documents are copied in and out, so callers can't change stored data
+// by mutating an object they got back - the same as with the other drivers.
+
+// Equality match on top-level fields; null also matches a missing field
+function matchesFilter(doc, filter) {
+  if (!filter) return true;
+  return Object.keys(filter).every((field) => (doc[field] ?? null) === (filter[field] ?? null));
+}
+
+function copy(doc) {
+  return JSON.parse(JSON.stringify(doc));
+}
+
+function createMemoryStore() {
+  const collections = new Map();
+
+  function collection(name) {
+    if (!collections.has(name)) {
+      collections.set(name, new Map());
+    }
+    const docs = collections.get(name);
+
+    return {
+      get: (id) => (docs.has(String(id)) ? copy(docs.get(String(id))) : null),
+      set: (id, doc) => {
+        docs.set(String(id), copy(doc));
+        return doc;
+      },
+      delete: (id) => {
+        docs.delete(String(id));
+      },
+      update: (id, change) => {
+        const doc = change(docs.has(String(id)) ? copy(docs.get(String(id))) : null);
+        docs.set(String(id), copy(doc));
+        return doc;
+      },
+      list: (filter) => Array.from(docs.values())
+        .filter((doc) => matchesFilter(doc, filter))
+        .map(copy)
+    };
+  }
+
+  return { driver: 'memory', collection, close: () => collections.clear() };
+}
+
+module.exports = { createMemoryStore, matchesFilter };
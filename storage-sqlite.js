@@ -0,0 +1,105 @@
+// storage-sqlite.js - SQLite storage driver (the default)
+// Documents are JSON rows in a single "documents" table keyed by
+// (collection, id); the schema is managed by migrations.js. better-sqlite3 is
+// synchronous, so the collection interface stays the same as the other drivers.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations } = require('./migrations');
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+
+// SQLite has no booleans; json_extract() reads true/false as 1/0
+function toSqlValue(value) {
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value === undefined ? null : value;
+}
+
+function createSqliteStore({ filename, dataPath }) {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+  const db = new Database(filename);
+  // WAL lets several processes read while one writes
+  db.pragma('journal_mode = WAL');
+  db.pragma('synchronous = NORMAL');
+  db.pragma('busy_timeout = 5000');
+
+  const schemaVersion = runMigrations(db, { dataPath });
+
+  const statements = {
+    get: db.prepare('SELECT data FROM documents WHERE collection = ? AND id = ?'),
+    set: db.prepare(`
+      INSERT INTO documents (collection, id, data, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `),
+    delete: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+    list: db.prepare('SELECT data FROM documents WHERE collection = ?')
+  };
+  // IMMEDIATE takes the write lock before reading, so no other process can
+  // change the document between the read and the write
+  const update = db.transaction((name, id, change) => {
+    const row = statements.get.get(name, id);
+    const doc = change(row ? parse(name, row) : null);
+    statements.set.run(name, id, JSON.stringify(doc), new Date().toISOString());
+    return doc;
+  });
+  // Filtered list statements, one per combination of fields
+  const filtered = new Map();
+
+  function listStatement(fields) {
+    const key = fields.join(',');
+    if (!filtered.has(key)) {
+      fields.forEach((field) => {
+        if (!FIELD_PATTERN.test(field)) throw new Error(`Invalid filter field: ${field}`);
+      });
+      // Same expression as the documents_session index, so sessionId filters use it
+      const where = fields.map((field) => `json_extract(data, '$.${field}') IS ?`).join(' AND ');
+      filtered.set(key, db.prepare(`SELECT data FROM documents WHERE collection = ? AND ${where}`));
+    }
+    return filtered.get(key);
+  }
+
+  function parse(name, row) {
+    try {
+      return JSON.parse(row.data);
+    } catch (error) {
+      console.error(`❌ Could not read a ${name} document: ${error.message}`);
+      return null;
+    }
+  }
+
+  function collection(name) {
+    return {
+      get(id) {
+        const row = statements.get.get(name, String(id));
+        return row ? parse(name, row) : null;
+      },
+      set(id, doc) {
+        statements.set.run(name, String(id), JSON.stringify(doc), new Date().toISOString());
+        return doc;
+      },
+      delete(id) {
+        statements.delete.run(name, String(id));
+      },
+      update(id, change) {
+        return update.immediate(name, String(id), change);
+      },
+      list(filter) {
+        const fields = filter ? Object.keys(filter) : [];
+        const rows = fields.length === 0
+          ? statements.list.all(name)
+          : listStatement(fields).all(name, ...fields.map((field) => toSqlValue(filter[field])));
+        return rows.map((row) => parse(name, row)).filter(Boolean);
+      }
+    };
+  }
+
+  return {
+    driver: 'sqlite',
+    schemaVersion,
+    collection,
+    close: () => db.close()
+  };
+}
+
+module.exports = { createSqliteStore };
@@ -0,0 +1,55 @@
+// storage.js - Storage layer for all server state
+// Modules ask for a named collection and get back the same small, synchronous
+// interface whichever driver is in use:
+//   get(id) -> doc | null, set(id, doc), delete(id), list(filter?) -> docs,
+//   update(id, change) -> doc
+// where filter is an optional equality match on top-level fields
+// (e.g. { sessionId }), and update() stores change(current doc or null) as
+// one atomic step - for counters that several worker processes bump. change
+// may throw to leave the document as it was.
+//
+// STORAGE_DRIVER picks the implementation:
+//   sqlite  embedded database at SQLITE_PATH (default DATA_PATH/whatsapp.db)
+//   memory  nothing is persisted - for tests
+//   json    one JSON file per document under DATA_PATH (the original store)
+const path = require('path');
+
+const DATA_PATH = process.env.DATA_PATH || path.join(__dirname, 'data');
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'sqlite';
+
+function createStore() {
+  if (STORAGE_DRIVER === 'sqlite') {
+    const { createSqliteStore } = require('./storage-sqlite');
+    return createSqliteStore({
+      filename: process.env.SQLITE_PATH || path.join(DATA_PATH, 'whatsapp.db'),
+      dataPath: DATA_PATH
+    });
+  }
+  if (STORAGE_DRIVER === 'memory') {
+    const { createMemoryStore } = require('./storage-memory');
+    return createMemoryStore();
+  }
+  if (STORAGE_DRIVER === 'json') {
+    const { createJsonStore } = require('./storage-json');
+    return createJsonStore({ dataPath: DATA_PATH });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (use sqlite, memory or json)`);
+}
+
+const store = createStore();
+
+function collection(name) {
+  return store.collection(name);
+}
+
+function close() {
+  store.close();
+}
+
+module.exports = {
+  collection,
+  close,
+  DATA_PATH,
+  STORAGE_DRIVER,
+  schemaVersion: store.schemaVersion || null
+};
@@ -0,0 +1,208 @@
+// suppression.js - Opt-out / unsubscribe handling
+// Each workspace has a persistent suppression list, shared by all its numbers
+// (a campaign rotates over them, so a STOP sent to one must hold for all).
+// Numbers outside any workspace (API and legacy sessions) have a list of their
+// own. Numbers get on it when they reply with an opt-out keyword (STOP,
+// UNSUBSCRIBE, ACHA...) or through the API, and come off it with an opt-in
+// keyword or an API call. Every change is appended to an audit trail.
+const storage = require('./storage');
+const accounts = require('./accounts');
+const workspaces = require('./workspaces');
+const { normalizePhone } = require('./phone');
+
+const AUDIT_LIMIT = 10000;
+
+const DEFAULT_KEYWORDS = {
+  optOut: ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPT OUT', 'OPTOUT', 'ACHA', 'SITISHA', 'ONDOA', 'ARRET', 'ARRÊT', 'BAJA'],
+  optIn: ['START', 'UNSTOP', 'SUBSCRIBE', 'OPT IN', 'OPTIN', 'ANZA', 'RUDISHA'],
+  optOutReply: 'You have been unsubscribed and will not receive further messages. Reply START to subscribe again.',
+  optInReply: 'You have been subscribed again. Reply STOP to unsubscribe.'
+};
+
+function suppressionError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// The list a session's opt-outs go to: its workspace's, or its own
+function listIdOf(sessionId) {
+  return workspaces.sessionWorkspaceId(sessionId) || sessionId;
+}
+
+// "Stop." / " stop! " -> "STOP"
+function normalizeKeyword(text) {
+  return String(text || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[^\p{L}\p{N} ]+/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function createSuppressionList() {
+  const listStore = storage.collection('suppression');
+  const auditStore = storage.collection('suppression-audit');
+  // One-off data moves that already ran: { id, appliedAt }
+  const migrationStore = storage.collection('suppression-migrations');
+
+  function emptyList() {
+    return { entries: {}, keywords: { ...DEFAULT_KEYWORDS } };
+  }
+
+  function load(listId) {
+    return listStore.get(listId) || emptyList();
+  }
+
+  function audit(listId, action, phone, source, reason) {
+    const log = auditStore.get(listId) || { events: [] };
+    log.events.push({ action, phone, source, reason: reason || null, at: new Date().toISOString() });
+    if (log.events.length > AUDIT_LIMIT) {
+      log.events = log.events.slice(-AUDIT_LIMIT);
+    }
+    auditStore.set(listId, log);
+  }
+
+  // Lists used to belong to the account that added a number. Each one is
+  // merged once into the lists of the workspaces that account's numbers are
+  // in; the account's personal workspace has the account's ID, so that list
+  // is already in place.
+  function moveAccountLists() {
+    if (migrationStore.get('workspace-lists')) return;
+
+    accounts.listSessionOwners()
+      .filter((owner) => owner.workspaceId && owner.workspaceId !== owner.accountId)
+      .forEach(({ accountId, workspaceId }) => {
+        const source = listStore.get(accountId);
+        if (!source) return;
+
+        const added = [];
+        listStore.update(workspaceId, (stored) => {
+          const list = stored || { ...emptyList(), keywords: source.keywords };
+          Object.values(source.entries)
+            .filter((entry) => !list.entries[entry.phone])
+            .forEach((entry) => {
+              list.entries[entry.phone] = entry;
+              added.push(entry.phone);
+            });
+          return list;
+        });
+        added.forEach((phone) => audit(workspaceId, 'suppressed', phone, 'migration', `Moved from the list of account ${accountId}`));
+        if (added.length > 0) {
+          console.log(`🚫 Moved ${added.length} opt-out(s) of account ${accountId} to workspace ${workspaceId}`);
+        }
+      });
+
+    migrationStore.set('workspace-lists', { id: 'workspace-lists', appliedAt: new Date().toISOString() });
+  }
+
+  function isSuppressed(sessionId, phone) {
+    const { digits } = normalizePhone(phone);
+    return !!(digits && load(listIdOf(sessionId)).entries[digits]);
+  }
+
+  function suppress(sessionId, phone, { source = 'api', reason } = {}) {
+    const { digits, error } = normalizePhone(phone);
+    if (error) throw suppressionError(`Invalid phone number "${phone}": ${error}`);
+
+    const listId = listIdOf(sessionId);
+    const list = load(listId);
+    if (list.entries[digits]) return list.entries[digits];
+
+    const entry = { phone: digits, source, reason: reason || null, addedAt: new Date().toISOString() };
+    list.entries[digits] = entry;
+    listStore.set(listId, list);
+    audit(listId, 'suppressed', digits, source, reason);
+    console.log(`🚫 ${digits} added to suppression list of ${listId} (${source})`);
+    return entry;
+  }
+
+  function unsuppress(sessionId, phone, { source = 'api', reason } = {}) {
+    const { digits, error } = normalizePhone(phone);
+    if (error) throw suppressionError(`Invalid phone number "${phone}": ${error}`);
+
+    const listId = listIdOf(sessionId);
+    const list = load(listId);
+    if (!list.entries[digits]) return false;
+
+    delete list.entries[digits];
+    listStore.set(listId, list);
+    audit(listId, 'unsuppressed', digits, source, reason);
+    console.log(`✅ ${digits} removed from suppression list of ${listId} (${source})`);
+    return true;
+  }
+
+  function listSuppressed(sessionId) {
+    const list = load(listIdOf(sessionId));
+    return { entries: Object.values(list.entries), keywords: list.keywords };
+  }
+
+  function getAudit(sessionId, { limit = 200 } = {}) {
+    const { events } = auditStore.get(listIdOf(sessionId)) || { events: [] };
+    return events.slice(-Math.min(Number(limit) || 200, AUDIT_LIMIT)).reverse();
+  }
+
+  function setKeywords(sessionId, input = {}) {
+    const listId = listIdOf(sessionId);
+    const list = load(listId);
+    const keywords = { ...list.keywords };
+
+    ['optOut', 'optIn'].forEach((field) => {
+      if (input[field] === undefined) return;
+      if (!Array.isArray(input[field])) {
+        throw suppressionError(`${field} keywords must be an array`);
+      }
+      keywords[field] = input[field].map(normalizeKeyword).filter(Boolean);
+    });
+
+    ['optOutReply', 'optInReply'].forEach((field) => {
+      if (input[field] === undefined) return;
+      if (input[field] !== null && typeof input[field] !== 'string') {
+        throw suppressionError(`${field} must be a string or null`);
+      }
+      keywords[field] = input[field];
+    });
+
+    if (keywords.optOut.some((keyword) => keywords.optIn.includes(keyword))) {
+      throw suppressionError('A keyword cannot be both an opt-out and an opt-in keyword');
+    }
+
+    list.keywords = keywords;
+    listStore.set(listId, list);
+    return keywords;
+  }
+
+  // Checks an inbound message for opt-out/opt-in keywords. Returns
+  // { action, reply } when it was a keyword message, otherwise null.
+  function handleInbound(sessionId, phone, body) {
+    const { keywords } = load(listIdOf(sessionId));
+    const text = normalizeKeyword(body);
+    if (!text) return null;
+
+    if (keywords.optOut.map(normalizeKeyword).includes(text)) {
+      suppress(sessionId, phone, { source: 'keyword', reason: `Replied "${text}"` });
+      return { action: 'opted-out', reply: keywords.optOutReply };
+    }
+
+    if (keywords.optIn.map(normalizeKeyword).includes(text) && isSuppressed(sessionId, phone)) {
+      unsuppress(sessionId, phone, { source: 'keyword', reason: `Replied "${text}"` });
+      return { action: 'opted-in', reply: keywords.optInReply };
+    }
+
+    return null;
+  }
+
+  moveAccountLists();
+
+  return {
+    isSuppressed,
+    suppress,
+    unsuppress,
+    listSuppressed,
+    getAudit,
+    setKeywords,
+    handleInbound
+  };
+}
+
+module.exports = { createSuppressionList, DEFAULT_KEYWORDS };
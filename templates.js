@@ -0,0 +1,264 @@
+// templates.js - Message templating with per-recipient variables and spintax
+//
+// Supported syntax:
+//   {{name}}                       value of the recipient's "name" field
+//   {{name|friend}}                same, falling back to "friend" when missing
+//   {{#if company}}...{{else}}...{{/if}}   conditional sections ({{#unless}} too)
+//   {Hi|Hello|Hey}                 spintax - one option picked per recipient
+//   \{ \} \|                       literal characters
+//
+// A spintax group without a "|" is left as plain text, so "{ok}" stays "{ok}",
+// and a "{" with no matching "}" is treated as a literal brace.
+
+function templateError(message, details) {
+  const error = new Error(message);
+  error.code = 'template-invalid';
+  error.details = details;
+  return error;
+}
+
+function parseTag(body, position) {
+  const tag = body.trim();
+
+  const block = /^#(if|unless)\s+([\w.]+)$/.exec(tag);
+  if (block) {
+    return { type: 'block', negate: block[1] === 'unless', name: block[2], then: [], otherwise: [] };
+  }
+  if (tag === 'else') return { type: 'else' };
+  if (tag === '/if' || tag === '/unless') return { type: 'close', keyword: tag.slice(1) };
+
+  const variable = /^([\w.]+)\s*(?:\|([\s\S]*))?$/.exec(tag);
+  if (!variable) {
+    throw templateError(`Invalid placeholder "{{${body}}}" at position ${position}`);
+  }
+
+  return {
+    type: 'var',
+    name: variable[1],
+    fallback: variable[2] === undefined ? null : variable[2].trim()
+  };
+}
+
+// Finds the "}" closing the spintax group opened at `start`, or -1
+function findSpinEnd(template, start) {
+  let depth = 0;
+
+  for (let i = start; i < template.length; i++) {
+    if (template[i] === '\\') {
+      i += 1;
+    } else if (template.startsWith('{{', i)) {
+      const end = template.indexOf('}}', i + 2);
+      if (end === -1) return -1;
+      i = end + 1;
+    } else if (template[i] === '{') {
+      depth += 1;
+    } else if (template[i] === '}') {
+      depth -= 1;
+      if (depth === 0) return i;
+    }
+  }
+
+  return -1;
+}
+
+// Builds a tree of text / var / block / spin nodes
+function parseTemplate(template) {
+  if (typeof template !== 'string') {
+    throw templateError('Template must be a string');
+  }
+
+  const root = { nodes: [] };
+  // Each frame is the node list being filled plus what closes it
+  const stack = [{ kind: 'root', nodes: root.nodes }];
+  let text = '';
+
+  const current = () => stack[stack.length - 1];
+  const flushText = () => {
+    if (text) {
+      current().nodes.push({ type: 'text', value: text });
+      text = '';
+    }
+  };
+
+  for (let i = 0; i < template.length; i++) {
+    const char = template[i];
+
+    if (char === '\\' && i + 1 < template.length && '{}|\\'.includes(template[i + 1])) {
+      text += template[i + 1];
+      i += 1;
+      continue;
+    }
+
+    if (template.startsWith('{{', i)) {
+      const end = template.indexOf('}}', i + 2);
+      if (end === -1) {
+        throw templateError(`Unclosed "{{" at position ${i}`);
+      }
+
+      flushText();
+      const tag = parseTag(template.slice(i + 2, end), i);
+      i = end + 1;
+
+      if (tag.type === 'var') {
+        current().nodes.push(tag);
+      } else if (tag.type === 'block') {
+        current().nodes.push(tag);
+        stack.push({ kind: 'block', block: tag, nodes: tag.then });
+      } else {
+        const frame = current();
+        if (frame.kind !== 'block') {
+          throw templateError(`Unexpected "{{${tag.type === 'else' ? 'else' : '/' + tag.keyword}}}" at position ${i}`);
+        }
+        if (tag.type === 'else') {
+          frame.nodes = frame.block.otherwise;
+        } else {
+          const opened = frame.block.negate ? 'unless' : 'if';
+          if (tag.keyword !== opened) {
+            throw templateError(`"{{/${tag.keyword}}}" at position ${i} closes a "{{#${opened}}}"`);
+          }
+          stack.pop();
+        }
+      }
+      continue;
+    }
+
+    if (char === '{' && findSpinEnd(template, i) !== -1) {
+      flushText();
+      const spin = { type: 'spin', options: [[]] };
+      current().nodes.push(spin);
+      stack.push({ kind: 'spin', spin, nodes: spin.options[0] });
+      continue;
+    }
+
+    if (char === '|' && current().kind === 'spin') {
+      flushText();
+      const { spin } = current();
+      spin.options.push([]);
+      current().nodes = spin.options[spin.options.length - 1];
+      continue;
+    }
+
+    if (char === '}' && current().kind === 'spin') {
+      flushText();
+      stack.pop();
+      continue;
+    }
+
+    text += char;
+  }
+
+  flushText();
+
+  const unclosed = stack.slice(1).pop();
+  if (unclosed) {
+    throw templateError(unclosed.kind === 'spin'
+      ? 'Unclosed spintax group "{"'
+      : `Unclosed "{{#if ${unclosed.block.name}}}" section`);
+  }
+
+  return root.nodes;
+}
+
+function lookup(variables, name) {
+  return name.split('.').reduce((value, key) => (value == null ? undefined : value[key]), variables);
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+function renderNodes(nodes, variables, missing, random) {
+  return nodes.map((node) => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'var': {
+        const value = lookup(variables, node.name);
+        if (isPresent(value)) return String(value);
+        if (node.fallback !== null) return node.fallback;
+        missing.add(node.name);
+        return '';
+      }
+
+      case 'block': {
+        const truthy = isPresent(lookup(variables, node.name));
+        const branch = truthy !== node.negate ? node.then : node.otherwise;
+        return renderNodes(branch, variables, missing, random);
+      }
+
+      case 'spin': {
+        // Single-option groups aren't spintax, put the braces back
+        if (node.options.length === 1) {
+          return `{${renderNodes(node.options[0], variables, missing, random)}}`;
+        }
+        // Any option may be picked for a real send, so all of them must be valid
+        node.options.forEach((option) => renderNodes(option, variables, missing, random));
+        const choice = node.options[Math.floor(random() * node.options.length)];
+        return renderNodes(choice, variables, missing, random);
+      }
+
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function collectVariables(nodes, names = new Set()) {
+  nodes.forEach((node) => {
+    if (node.type === 'var') names.add(node.name);
+    if (node.type === 'block') {
+      names.add(node.name);
+      collectVariables(node.then, names);
+      collectVariables(node.otherwise, names);
+    }
+    if (node.type === 'spin') node.options.forEach((option) => collectVariables(option, names));
+  });
+  return names;
+}
+
+function compileTemplate(template) {
+  const nodes = parseTemplate(template);
+
+  return {
+    variables: Array.from(collectVariables(nodes)),
+    render(variables = {}, { random = Math.random } = {}) {
+      const missing = new Set();
+      const text = renderNodes(nodes, variables, missing, random);
+      return { text, missing: Array.from(missing) };
+    }
+  };
+}
+
+// Renders a single message, throwing if any variable is missing
+function renderTemplate(template, variables) {
+  const { text, missing } = compileTemplate(template).render(variables);
+
+  if (missing.length > 0) {
+    throw templateError(`Missing template variables: ${missing.join(', ')}`, { missing });
+  }
+
+  return text;
+}
+
+// Renders one message per recipient ({ phone, ...fields }) and collects
+// validation errors instead of stopping at the first one
+function renderForRecipients(template, recipients) {
+  const compiled = compileTemplate(template);
+  const messages = [];
+  const errors = [];
+
+  recipients.forEach((recipient, index) => {
+    const { text, missing } = compiled.render(recipient);
+
+    if (missing.length > 0) {
+      errors.push({ index, phone: recipient.phone, missing });
+    } else {
+      messages.push({ index, phone: recipient.phone, text });
+    }
+  });
+
+  return { variables: compiled.variables, messages, errors };
+}
+
+module.exports = { compileTemplate, renderTemplate, renderForRecipients };
@@ -0,0 +1,103 @@
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const accounts = require('../accounts');
+const workspaces = require('../workspaces');
+const apiKeys = require('../api-keys');
+const { saveSessionRecord } = require('../session-registry');
+
+const ADMIN = { id: 'admin', name: 'API_ADMIN_KEY', scopes: ['*', 'admin'], sessionIds: null, workspaceId: null };
+
+const tenants = {};
+
+before(async () => {
+  for (const name of ['acme', 'globex']) {
+    const { account } = await accounts.register({ email: `owner@${name}.example`, password: 'correct horse' });
+    const workspace = workspaces.createWorkspace(account.id, { name });
+    tenants[name] = { workspace, number: workspaces.addSession(account.id, { workspaceId: workspace.id }).id };
+  }
+});
+
+function createKey(fields, creator = ADMIN) {
+  return apiKeys.createApiKey({ name: 'test', scopes: ['*'], ...fields }, creator).apiKey;
+}
+
+test('a workspace key only reaches the numbers of its workspace', () => {
+  const key = createKey({ workspaceId: tenants.acme.workspace.id });
+
+  assert.equal(apiKeys.canAccessSession(key, tenants.acme.number), true);
+  assert.equal(apiKeys.canAccessSession(key, tenants.globex.number), false);
+});
+
+test('a key outside any workspace only reaches the sessions it started', () => {
+  const key = createKey({});
+  saveSessionRecord('headless-own', { apiKeyId: key.id });
+  saveSessionRecord('headless-other', { apiKeyId: 'someone-else' });
+
+  assert.equal(apiKeys.canAccessSession(key, 'headless-own'), true);
+  assert.equal(apiKeys.canAccessSession(key, 'headless-other'), false);
+  assert.equal(apiKeys.canAccessSession(key, tenants.acme.number), false);
+});
+
+test('admin keys reach every tenant', () => {
+  assert.equal(apiKeys.canAccessSession(ADMIN, tenants.acme.number), true);
+  assert.equal(apiKeys.canAccessSession(ADMIN, tenants.globex.number), true);
+});
+
+test('keys create keys in their own workspace only', () => {
+  const acmeKey = createKey({ workspaceId: tenants.acme.workspace.id });
+
+  assert.equal(createKey({}, acmeKey).workspaceId, tenants.acme.workspace.id);
+  assert.throws(() => createKey({ workspaceId: tenants.globex.workspace.id }, acmeKey), { status: 403 });
+  assert.throws(() => createKey({ workspaceId: tenants.acme.workspace.id }, createKey({})), { status: 403 });
+  assert.throws(() => createKey({ workspaceId: 'missing' }), { status: 404 });
+  assert.throws(() => createKey({ scopes: ['admin'], workspaceId: tenants.acme.workspace.id }), { status: 400 });
+});
+
+test('keys only list and revoke the keys of their workspace', () => {
+  const acmeKey = createKey({ workspaceId: tenants.acme.workspace.id });
+  const globexKey = createKey({ workspaceId: tenants.globex.workspace.id });
+
+  assert.ok(apiKeys.listApiKeys(acmeKey).every((key) => key.workspaceId === tenants.acme.workspace.id));
+  assert.throws(() => apiKeys.revokeApiKey(globexKey.id, acmeKey), { status: 404 });
+  assert.ok(apiKeys.revokeApiKey(globexKey.id, ADMIN).revokedAt);
+});
+
+test('"*" grants every scope but admin', () => {
+  const key = createKey({ scopes: ['*'] });
+
+  assert.equal(apiKeys.hasScope(key, 'messages:send'), true);
+  assert.equal(apiKeys.hasScope(key, 'keys:manage'), true);
+  assert.equal(apiKeys.hasScope(key, 'admin'), false);
+  assert.equal(apiKeys.hasScope(createKey({ scopes: ['messages:read'] }), 'messages:send'), false);
+  assert.throws(() => createKey({ scopes: ['messages:fly'] }), { status: 400, message: 'Unknown scope(s): messages:fly' });
+});
+
+test('a key never creates a key wider than itself', () => {
+  const sender = createKey({ scopes: ['messages:send', 'keys:manage'], sessionIds: ['one', 'two'] });
+
+  assert.deepEqual(createKey({ scopes: ['messages:send'], sessionIds: ['one'] }, sender).sessionIds, ['one']);
+  assert.throws(() => createKey({ scopes: ['*'], sessionIds: ['one'] }, sender), { status: 403 });
+  assert.throws(() => createKey({ scopes: ['campaigns:write'], sessionIds: ['one'] }, sender), { status: 403 });
+  assert.throws(() => createKey({ scopes: ['admin'] }, createKey({ scopes: ['*'] })), { status: 403 });
+  assert.throws(() => createKey({ scopes: ['messages:send'], sessionIds: ['three'] }, sender), { status: 403 });
+  assert.throws(() => createKey({ scopes: ['messages:send'] }, sender), { status: 403 });
+});
+
+test('a key limited to sessions reaches no others', () => {
+  const key = createKey({ workspaceId: tenants.acme.workspace.id, sessionIds: ['elsewhere'] });
+
+  assert.equal(apiKeys.allowsSessionId(key, 'elsewhere'), true);
+  assert.equal(apiKeys.canAccessSession(key, tenants.acme.number), false);
+});
+
+test('a key works until it is revoked and is only stored hashed', () => {
+  const { key, apiKey } = apiKeys.createApiKey({ name: 'rotating', scopes: ['messages:read'] }, ADMIN);
+
+  assert.equal(apiKey.hash, undefined);
+  assert.equal(apiKeys.verifyApiKey(key).id, apiKey.id);
+  assert.equal(apiKeys.verifyApiKey(`${key}x`), null);
+  assert.equal(apiKeys.verifyApiKey(`wbm_${apiKey.id}_guess`), null);
+
+  apiKeys.revokeApiKey(apiKey.id, ADMIN);
+  assert.equal(apiKeys.verifyApiKey(key), null);
+});
@@ -0,0 +1,106 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loading the engine creates MEDIA_PATH; keep it out of the working tree
+process.env.MEDIA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'campaigns-test-'));
+const { createCampaignEngine } = require('../campaigns');
+
+after(() => {
+  fs.rmSync(process.env.MEDIA_PATH, { recursive: true, force: true });
+});
+
+// An engine whose senders are all connected and send through send(sender, phone)
+function createTestEngine(send, options = {}) {
+  const sent = [];
+  const events = [];
+  const engine = createCampaignEngine({
+    sendMessage: async (sender, phone) => {
+      await send(sender, phone);
+      sent.push({ sender, phone });
+      return { messageId: `${sender}-${phone}` };
+    },
+    sendToSession: (sessionId, event) => events.push(event),
+    isSessionReady: () => true,
+    checkNumber: async () => ({ status: 'registered' }),
+    canUseSender: () => true,
+    ...options
+  });
+  return { engine, sent, events };
+}
+
+function recipients(count) {
+  return Array.from({ length: count }, (_, index) => `2547123456${String(index).padStart(2, '0')}`);
+}
+
+async function finished(engine, sessionId, campaignId) {
+  for (let attempt = 0; attempt < 500; attempt += 1) {
+    const campaign = engine.getCampaign(sessionId, campaignId);
+    if (campaign.status !== 'running') return campaign;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Campaign ${campaignId} did not finish`);
+}
+
+test('rotates round-robin over its senders', async () => {
+  const { engine, sent } = createTestEngine(async () => {});
+  const { id } = engine.createCampaign('owner', { message: 'Hi', recipients: recipients(6), senders: ['a', 'b', 'c'] });
+
+  const campaign = await finished(engine, 'owner', id);
+  assert.equal(campaign.status, 'completed');
+  assert.deepEqual(sent.map((entry) => entry.sender), ['a', 'b', 'c', 'a', 'b', 'c']);
+  assert.deepEqual(campaign.senders.map((sender) => sender.sent), [2, 2, 2]);
+});
+
+test('interleaves weighted senders by their share', async () => {
+  const { engine, sent } = createTestEngine(async () => {});
+  const { id } = engine.createCampaign('owner', {
+    message: 'Hi',
+    recipients: recipients(6),
+    senders: [{ sessionId: 'a', weight: 2 }, { sessionId: 'b', weight: 1 }],
+    distribution: 'weighted'
+  });
+
+  await finished(engine, 'owner', id);
+  assert.deepEqual(sent.map((entry) => entry.sender), ['a', 'b', 'a', 'a', 'b', 'a']);
+});
+
+test('retries a failed recipient on another sender and rests a sender that keeps failing', async () => {
+  const { engine, sent, events } = createTestEngine(async (sender) => {
+    if (sender === 'a') throw new Error('browser crashed');
+  });
+  const { id } = engine.createCampaign('owner', { message: 'Hi', recipients: recipients(9), senders: ['a', 'b', 'c'] });
+
+  const campaign = await finished(engine, 'owner', id);
+  assert.equal(campaign.sent, 9);
+  assert.equal(campaign.failed, 0);
+  assert.ok(sent.every((entry) => entry.sender !== 'a'));
+  assert.ok(campaign.recipients.some((recipient) => recipient.retriedFrom === 'a'));
+
+  const failing = events.filter((event) => event.type === 'campaign-sender-failing');
+  assert.equal(failing.length, 1);
+  assert.equal(failing[0].sender, 'a');
+});
+
+test('fails a recipient whose retry fails too', async () => {
+  const { engine } = createTestEngine(async () => {
+    throw new Error('not delivered');
+  });
+  const { id } = engine.createCampaign('owner', { message: 'Hi', recipients: recipients(1), senders: ['a', 'b'] });
+
+  const campaign = await finished(engine, 'owner', id);
+  assert.equal(campaign.failed, 1);
+  assert.equal(campaign.recipients[0].retriedFrom, 'a');
+  assert.equal(campaign.recipients[0].sentBy, 'b');
+});
+
+test('refuses senders that run on another worker', () => {
+  const { engine } = createTestEngine(async () => {}, { runsElsewhere: (sessionId) => sessionId === 'b' });
+
+  assert.throws(
+    () => engine.createCampaign('owner', { message: 'Hi', recipients: recipients(1), senders: ['a', 'b'] }),
+    { status: 409, details: { senders: ['b'] } }
+  );
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const accounts = require('../accounts');
+const workspaces = require('../workspaces');
+const contacts = require('../contacts');
+
+async function createWorkspaceWithNumbers(name) {
+  const { account } = await accounts.register({ email: `owner@${name}.example`, password: 'correct horse' });
+  const workspace = workspaces.createWorkspace(account.id, { name });
+  return [1, 2].map(() => workspaces.addSession(account.id, { workspaceId: workspace.id }).id);
+}
+
+test('a list imported on one workspace number is there for the others', async () => {
+  const [first, second] = await createWorkspaceWithNumbers('lists');
+  const [outsider] = await createWorkspaceWithNumbers('elsewhere');
+
+  await contacts.importContacts(first, { name: 'customers', records: [{ phone: '+254712345678', name: 'Ann' }] });
+
+  assert.equal(contacts.getContactList(second, 'customers').contacts[0].phone, '254712345678');
+  assert.deepEqual(contacts.listContactLists(second).map((list) => list.name), ['customers']);
+  assert.throws(() => contacts.getContactList(outsider, 'customers'), { status: 404 });
+});
+
+test('moves lists saved per session into the workspace', async () => {
+  const [first, second] = await createWorkspaceWithNumbers('legacy');
+  const legacy = { name: 'vip', contacts: [{ phone: '254712345678' }], createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z' };
+  storage.collection('contact-lists').set(`${first}:vip`, { sessionId: first, ...legacy });
+  storage.collection('contact-lists').set(`${second}:vip`, { sessionId: second, ...legacy });
+
+  assert.deepEqual(contacts.listContactLists(first).map((list) => list.name), ['vip']);
+  assert.deepEqual(contacts.listContactLists(second).map((list) => list.name).sort(), ['vip', `vip (${second})`]);
+});
+
+test('a session outside any workspace keeps its own lists', async () => {
+  contacts.saveContactList('api-session', 'mine', [{ phone: '254712345678' }]);
+
+  assert.equal(contacts.getContactList('api-session', 'mine').contacts.length, 1);
+  assert.throws(() => contacts.getContactList('other-api-session', 'mine'), { status: 404 });
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronRun, parseDateTime } = require('../cron');
+
+function next(expression, timezone, after) {
+  return nextCronRun(expression, timezone, new Date(after)).toISOString();
+}
+
+test('rejects malformed expressions', () => {
+  ['', '* * * *', '60 * * * *', '* 24 * * *', '5-1 * * * *', '*/0 * * * *'].forEach((expression) => {
+    assert.throws(() => parseCron(expression), `${expression} should be rejected`);
+  });
+});
+
+test('runs in the given timezone', () => {
+  assert.equal(next('0 9 * * *', 'Africa/Nairobi', '2026-07-01T00:00:00Z'), '2026-07-01T06:00:00.000Z');
+});
+
+test('fires on a day matching either restricted day field', () => {
+  // The 15th, or any Monday
+  assert.equal(next('0 0 15 * mon', 'UTC', '2026-06-01T00:00:00Z'), '2026-06-08T00:00:00.000Z');
+  assert.equal(next('0 0 15 * mon', 'UTC', '2026-06-09T00:00:00Z'), '2026-06-15T00:00:00.000Z');
+});
+
+test('finds Feb 29 in the next leap year', () => {
+  assert.equal(next('0 0 29 2 *', 'UTC', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+});
+
+test('keeps local time across a DST change', () => {
+  assert.equal(next('0 9 * * 1', 'America/New_York', '2026-03-06T00:00:00Z'), '2026-03-09T13:00:00.000Z');
+  assert.equal(next('0 9 * * 1', 'America/New_York', '2026-03-09T14:00:00Z'), '2026-03-16T13:00:00.000Z');
+});
+
+test('skips a time the clocks jump over', () => {
+  // 02:30 doesn't exist in Berlin on 29 March 2026
+  assert.equal(next('30 2 * * *', 'Europe/Berlin', '2026-03-28T12:00:00Z'), '2026-03-30T00:30:00.000Z');
+});
+
+test('runs a fixed-time job once when the clocks go back', () => {
+  // 02:30 happens twice in Berlin on 25 October 2026
+  assert.equal(next('30 2 * * *', 'Europe/Berlin', '2026-10-24T12:00:00Z'), '2026-10-25T00:30:00.000Z');
+  assert.equal(next('30 2 * * *', 'Europe/Berlin', '2026-10-25T00:30:00Z'), '2026-10-26T01:30:00.000Z');
+});
+
+test('runs an hourly job in both passes of a repeated hour', () => {
+  assert.equal(next('30 * * * *', 'Europe/Berlin', '2026-10-25T00:30:00Z'), '2026-10-25T01:30:00.000Z');
+});
+
+test('parses local date-times, moving times in a DST gap forward', () => {
+  assert.equal(parseDateTime('2026-07-01T09:00', 'Africa/Nairobi').toISOString(), '2026-07-01T06:00:00.000Z');
+  assert.equal(parseDateTime('2026-03-29T02:30', 'Europe/Berlin').toISOString(), '2026-03-29T01:30:00.000Z');
+  assert.equal(parseDateTime('not a date', 'UTC'), null);
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const { createInbox } = require('../inbox');
+
+function createTestInbox() {
+  const replies = [];
+  const inbox = createInbox({
+    onIncoming: () => {},
+    sendReply: async (sessionId, phone, text) => {
+      replies.push({ sessionId, phone, text });
+    },
+    handleKeywords: async () => false
+  });
+  return { inbox, replies };
+}
+
+function inbound(from, body, t) {
+  return { id: `false_${from}@c.us_${t}`, from: `${from}@c.us`, body, type: 'chat', t };
+}
+
+test('stores each inbound message on its own and keeps the newest', async () => {
+  const { inbox } = createTestInbox();
+
+  for (let t = 1; t <= 2100; t++) {
+    await inbox.handleIncoming('busy', inbound('254712345678', `message ${t}`, t));
+  }
+  await inbox.handleIncoming('busy', inbound('447700900123', 'hello', 2101));
+
+  assert.equal(storage.collection('inbox-messages').list({ sessionId: 'busy' }).length, 2001);
+  const latest = inbox.getInbox('busy', { limit: 3 });
+  assert.deepEqual(latest.map((entry) => entry.body), ['hello', 'message 2100', 'message 2099']);
+  assert.equal(latest[0].sessionId, undefined);
+  assert.deepEqual(inbox.getInbox('busy', { from: '447700900123' }).map((entry) => entry.body), ['hello']);
+});
+
+test('splits an inbox saved as one document per session', async () => {
+  const { inbox, replies } = createTestInbox();
+  inbox.setRules('legacy', [{ type: 'first-contact', reply: 'Welcome!' }]);
+  storage.collection('inbox').set('legacy', {
+    messages: [{ id: 'old-1', chatId: '254712345678@c.us', from: '254712345678', body: 'hi', receivedAt: '2026-01-01T00:00:00.000Z' }]
+  });
+  storage.collection('inbox-contacts').set('legacy', {
+    contacts: { '254712345678@c.us': { firstSeenAt: '2026-01-01T00:00:00.000Z', lastReplies: {} } }
+  });
+
+  assert.deepEqual(inbox.getInbox('legacy').map((entry) => entry.id), ['old-1']);
+  assert.equal(storage.collection('inbox').get('legacy'), null);
+
+  // A number seen before the move is not a first contact
+  await inbox.handleIncoming('legacy', inbound('254712345678', 'again', 1800000000));
+  await inbox.handleIncoming('legacy', inbound('447700900123', 'new here', 1800000001));
+  assert.deepEqual(replies.map((reply) => reply.phone), ['447700900123']);
+  assert.equal(inbox.getInbox('legacy').length, 3);
+});
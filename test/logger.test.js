@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// logger.js keeps the console.log it found when loaded, so collect its lines
+const lines = [];
+const consoleLog = console.log;
+console.log = (line) => lines.push(line);
+const { logger, maskPhone, redactText, runWithContext, getRecentErrors } = require('../logger');
+console.log = consoleLog;
+
+function lastEntry() {
+  return JSON.parse(lines[lines.length - 1]);
+}
+
+test('masks phone numbers but keeps chat and message IDs readable', () => {
+  assert.equal(maskPhone('254712345678'), '254*******78');
+  assert.equal(maskPhone('+447700900123'), '+447*******23');
+
+  assert.equal(redactText('Sent to 254712345678 and +447700900123'), 'Sent to 254*******78 and +447*******23');
+  assert.equal(redactText('Chat 254712345678@c.us failed'), 'Chat 254*******78@c.us failed');
+  assert.equal(redactText('Message true_254712345678@c.us_3EB0ABC'), 'Message true_254712345678@c.us_3EB0ABC');
+  assert.equal(redactText('Listening on http://10.0.0.1:3000/12345678'), 'Listening on http://10.0.0.1:3000/12345678');
+});
+
+test('replaces message text with its length in log fields', () => {
+  logger.info('📱 Sending message', { to: 254712345678, text: 'Your code is 4821', caption: 'Photo', campaignId: 'c-1' });
+
+  const entry = lastEntry();
+  assert.equal(entry.level, 'info');
+  assert.equal(entry.to, '254*******78');
+  assert.equal(entry.text, '[17 chars]');
+  assert.equal(entry.caption, '[5 chars]');
+  assert.equal(entry.campaignId, 'c-1');
+});
+
+test('remembers a session\'s warnings with their numbers masked', () => {
+  runWithContext({ sessionId: 'logged' }, () => {
+    logger.warn('⚠️ Could not reach 254712345678');
+  });
+
+  assert.equal(getRecentErrors('logged')[0].msg, '⚠️ Could not reach 254*******78');
+});
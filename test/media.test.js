@@ -0,0 +1,72 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Loading media.js creates MEDIA_PATH; keep it out of the working tree
+process.env.MEDIA_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+const accounts = require('../accounts');
+const workspaces = require('../workspaces');
+const { prepareMedia, saveMediaFile } = require('../media');
+
+after(() => {
+  fs.rmSync(process.env.MEDIA_PATH, { recursive: true, force: true });
+});
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+async function createWorkspaceNumber(name) {
+  const { account } = await accounts.register({ email: `owner@${name}.example`, password: 'correct horse' });
+  const workspace = workspaces.createWorkspace(account.id, { name });
+  return { workspace, sessionId: workspaces.addSession(account.id, { workspaceId: workspace.id }).id };
+}
+
+// Sends from sessionId may only reference files its workspace stored
+function asSession(sessionId) {
+  return { canUseFile: (file) => workspaces.canUseMedia(sessionId, file) };
+}
+
+test('only sends an uploaded file from numbers of the workspace that stored it', async () => {
+  const own = await createWorkspaceNumber('uploader');
+  const other = await createWorkspaceNumber('neighbour');
+  const file = saveMediaFile(PNG, 'image/png', (bytes, name) => workspaces.addStorage(own.workspace.id, bytes, name));
+
+  assert.equal(prepareMedia({ file }, asSession(own.sessionId)).mimetype, 'image/png');
+  assert.throws(() => prepareMedia({ file }, asSession(other.sessionId)), {
+    code: 'media-invalid',
+    message: `Media file not found: ${file}`
+  });
+});
+
+test('keeps files no workspace stored away from workspace numbers', async () => {
+  const { sessionId } = await createWorkspaceNumber('stray');
+  const file = saveMediaFile(PNG, 'image/png');
+
+  assert.throws(() => prepareMedia({ file }, asSession(sessionId)), { message: `Media file not found: ${file}` });
+  assert.equal(workspaces.canUseMedia('unowned-session', file), true);
+});
+
+test('refuses a file whose contents do not match its MIME type', () => {
+  const pdf = Buffer.from('%PDF-1.7\n');
+  assert.equal(prepareMedia({ base64: `data:application/pdf;base64,${pdf.toString('base64')}` }).type, 'document');
+
+  assert.throws(() => prepareMedia({ base64: `data:image/png;base64,${pdf.toString('base64')}` }), {
+    code: 'media-invalid',
+    message: "The file's contents are not image/png"
+  });
+  assert.throws(() => prepareMedia({ base64: Buffer.from('plain\0text').toString('base64'), mimetype: 'text/plain' }), {
+    message: "The file's contents are not text/plain"
+  });
+  assert.throws(() => prepareMedia({ base64: PNG.toString('base64'), mimetype: 'application/x-msdownload' }), /Unsupported media type/);
+});
+
+test('only accepts bare file names inside MEDIA_PATH', () => {
+  const file = saveMediaFile(PNG, 'image/png');
+  assert.equal(prepareMedia({ file }).filename, file);
+
+  for (const reference of ['../media.js', '/etc/passwd', 'nested/file.png', '.hidden']) {
+    assert.throws(() => prepareMedia({ file: reference }), { message: 'Invalid media file reference' });
+  }
+  assert.throws(() => prepareMedia({ file: 'missing.png' }), { message: 'Media file not found: missing.png' });
+});
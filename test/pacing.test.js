@@ -0,0 +1,98 @@
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPacer, PACING_PRESETS } = require('../pacing');
+
+// No gaps between sends, so the tests don't wait
+const NO_DELAY = { preset: 'aggressive', minDelayMs: 0, maxDelayMs: 0, burstCooldownMs: 0 };
+
+function createTestPacer() {
+  const throttled = [];
+  const pacer = createPacer({ onThrottled: (sessionId, details) => throttled.push({ sessionId, ...details }) });
+  return { pacer, throttled };
+}
+
+function sendSeveral(pacer, sessionId, count, recipient = { phone: '254712345678' }) {
+  return Promise.allSettled(Array.from({ length: count }, (_, index) => pacer.schedule(sessionId, recipient, async (attempt) => {
+    attempt();
+    return index;
+  })));
+}
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('applies a preset with overrides and rejects bad values', () => {
+  const { pacer } = createTestPacer();
+
+  const profile = pacer.setProfile('presets', { preset: 'safe', hourlyCap: 5 });
+  assert.equal(profile.hourlyCap, 5);
+  assert.equal(profile.dailyCap, PACING_PRESETS.safe.dailyCap);
+
+  assert.throws(() => pacer.setProfile('presets', 'reckless'), /Unknown pacing preset/);
+  assert.throws(() => pacer.setProfile('presets', { minDelayMs: -1 }), /non-negative/);
+  assert.throws(() => pacer.setProfile('presets', { minDelayMs: 10, maxDelayMs: 5 }), /greater than maxDelayMs/);
+  assert.throws(() => pacer.setProfile('presets', { quietHours: { start: '25:00', end: '08:00' } }), /HH:MM/);
+  assert.throws(() => pacer.setProfile('presets', { timezone: 'Mars/Olympus' }), /Unknown timezone/);
+});
+
+test('stops at the hourly cap', async () => {
+  const { pacer, throttled } = createTestPacer();
+  pacer.setProfile('hourly', { ...NO_DELAY, hourlyCap: 2 });
+
+  const results = await sendSeveral(pacer, 'hourly', 3);
+  assert.deepEqual(results.map((result) => result.status), ['fulfilled', 'fulfilled', 'rejected']);
+  assert.equal(results[2].reason.code, 'throttled');
+  assert.equal(results[2].reason.reason, 'hourly-cap');
+  assert.equal(throttled.length, 1);
+  assert.equal(throttled[0].reason, 'hourly-cap');
+});
+
+test('stops at the daily cap', async () => {
+  const { pacer } = createTestPacer();
+  pacer.setProfile('daily', { ...NO_DELAY, dailyCap: 1 });
+
+  const results = await sendSeveral(pacer, 'daily', 2);
+  assert.equal(results[1].reason.reason, 'daily-cap');
+});
+
+test('counts a failed send towards the caps', async () => {
+  const { pacer } = createTestPacer();
+  pacer.setProfile('failed', { ...NO_DELAY, hourlyCap: 1 });
+
+  await assert.rejects(pacer.schedule('failed', { phone: '254712345678' }, async (attempt) => {
+    attempt();
+    throw new Error('send failed');
+  }), /send failed/);
+  await assert.rejects(pacer.schedule('failed', { phone: '254712345678' }, async () => 'sent'), { reason: 'hourly-cap' });
+});
+
+test('does not count a send refused before it reached WhatsApp', async () => {
+  const { pacer } = createTestPacer();
+  pacer.setProfile('refused', { ...NO_DELAY, hourlyCap: 1 });
+
+  await assert.rejects(pacer.schedule('refused', { phone: '254712345678' }, async () => {
+    throw new Error('Session not found or WhatsApp not connected');
+  }), /not connected/);
+  const sent = await pacer.schedule('refused', { phone: '254712345678' }, async (attempt) => {
+    attempt();
+    return 'sent';
+  });
+  assert.equal(sent, 'sent');
+});
+
+test('keeps quiet hours in the recipient timezone', async () => {
+  // 22:00 in Nairobi, 20:00 in London
+  mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 9, 19, 19, 0) });
+  const { pacer } = createTestPacer();
+  pacer.setProfile('quiet', { ...NO_DELAY, quietHours: { start: '21:00', end: '07:00' } });
+
+  await assert.rejects(pacer.schedule('quiet', { phone: '254712345678' }, async () => 'sent'), (error) => {
+    assert.equal(error.reason, 'quiet-hours');
+    assert.equal(error.retryAt, Date.UTC(2026, 9, 20, 4, 0));
+    return true;
+  });
+  assert.equal(await pacer.schedule('quiet', { phone: '447700900123' }, async () => 'sent'), 'sent');
+  // An explicit timezone wins over the calling code
+  assert.equal(await pacer.schedule('quiet', { phone: '254712345678', timezone: 'Europe/London' }, async () => 'sent'), 'sent');
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createReports } = require('../reports');
+
+// Reports over a fixed send log, with no campaigns
+function createTestReports(records) {
+  return createReports({
+    messageTracker: { queryMessages: () => records },
+    campaignEngine: { listCampaigns: () => [] }
+  });
+}
+
+function sentRecord(id, text) {
+  const at = new Date(Date.now() - 60 * 1000).toISOString();
+  return { id, sessionId: 'reports', to: '254712345678', status: 'sent', text, attemptedAt: at, sentAt: at };
+}
+
+test('keeps spreadsheet formulas in CSV exports from running', () => {
+  const reports = createTestReports([
+    sentRecord('formula', '=HYPERLINK("http://evil.example","Click")'),
+    sentRecord('plus', '+254 is our code'),
+    sentRecord('minus', '-10% today'),
+    sentRecord('at', '@SUM(A1:A2)'),
+    sentRecord('tab', '\tindented'),
+    sentRecord('plain', 'Hello, "friend"')
+  ]);
+
+  const { body, filename, contentType } = reports.exportRange('reports', { format: 'csv' });
+  assert.match(filename, /^report-\d{4}-\d{2}-\d{2}-to-\d{4}-\d{2}-\d{2}\.csv$/);
+  assert.equal(contentType, 'text/csv; charset=utf-8');
+
+  const lines = body.trimEnd().split('\r\n');
+  assert.ok(lines[0].startsWith('attemptedAt,campaignId,campaignName,to,outcome'));
+  assert.ok(lines[1].includes(`,"'=HYPERLINK(""http://evil.example"",""Click"")",`));
+  assert.ok(lines[2].includes(",'+254 is our code,"));
+  assert.ok(lines[3].includes(",'-10% today,"));
+  assert.ok(lines[4].includes(",'@SUM(A1:A2),"));
+  assert.ok(lines[5].includes(",'\tindented,"));
+  assert.ok(lines[6].includes(',"Hello, ""friend""",'));
+});
+
+test('refuses an unknown export format', () => {
+  assert.throws(() => createTestReports([]).exportRange('reports', { format: 'xlsx' }), { status: 400 });
+});
@@ -0,0 +1,83 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSqliteStore } = require('../storage-sqlite');
+const { createMemoryStore } = require('../storage-memory');
+const { createJsonStore } = require('../storage-json');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+const stores = {
+  sqlite: createSqliteStore({ filename: path.join(tmpDir, 'sqlite', 'whatsapp.db'), dataPath: path.join(tmpDir, 'sqlite') }),
+  memory: createMemoryStore(),
+  json: createJsonStore({ dataPath: path.join(tmpDir, 'json') })
+};
+
+const DOCS = {
+  a: { sessionId: 's1', done: true, position: 1 },
+  b: { sessionId: 's1', done: false, position: 2 },
+  c: { sessionId: 's2', position: '1' },
+  d: { sessionId: null, done: true },
+  e: { sessionId: 's1', tags: ['x'] }
+};
+
+Object.values(stores).forEach((store) => {
+  const docs = store.collection('parity');
+  Object.entries(DOCS).forEach(([id, doc]) => docs.set(id, doc));
+});
+
+after(() => {
+  Object.values(stores).forEach((store) => store.close());
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function idsMatching(store, filter) {
+  const byValue = new Map(Object.entries(DOCS).map(([id, doc]) => [JSON.stringify(doc), id]));
+  return store.collection('parity').list(filter).map((doc) => byValue.get(JSON.stringify(doc))).sort();
+}
+
+[
+  [undefined, ['a', 'b', 'c', 'd', 'e']],
+  [{ sessionId: 's1' }, ['a', 'b', 'e']],
+  [{ done: true }, ['a', 'd']],
+  [{ done: false }, ['b']],
+  [{ done: null }, ['c', 'e']],
+  [{ sessionId: null }, ['d']],
+  [{ sessionId: 's1', done: false }, ['b']],
+  [{ position: 1 }, ['a']],
+  [{ position: '1' }, ['c']],
+  [{ sessionId: 'nobody' }, []]
+].forEach(([filter, expected]) => {
+  test(`every driver lists the same documents for ${JSON.stringify(filter)}`, () => {
+    Object.entries(stores).forEach(([driver, store]) => {
+      assert.deepEqual(idsMatching(store, filter), expected, driver);
+    });
+  });
+});
+
+test('every driver gets, deletes and updates the same way', () => {
+  Object.entries(stores).forEach(([driver, store]) => {
+    const docs = store.collection('crud');
+    assert.equal(docs.get('missing'), null, driver);
+
+    docs.set(42, { count: 1 });
+    assert.deepEqual(docs.get('42'), { count: 1 }, driver);
+
+    docs.update('42', (doc) => ({ count: doc.count + 1 }));
+    docs.update('new', (doc) => ({ count: doc ? doc.count + 1 : 10 }));
+    assert.deepEqual(docs.get('42'), { count: 2 }, driver);
+    assert.deepEqual(docs.get('new'), { count: 10 }, driver);
+
+    docs.delete('42');
+    assert.equal(docs.get('42'), null, driver);
+  });
+});
+
+test('changing a returned document does not change the stored one', () => {
+  Object.entries(stores).forEach(([driver, store]) => {
+    const doc = store.collection('parity').get('e');
+    doc.tags.push('y');
+    assert.deepEqual(store.collection('parity').get('e'), DOCS.e, driver);
+  });
+});
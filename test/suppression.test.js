@@ -0,0 +1,109 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const storage = require('../storage');
+const accounts = require('../accounts');
+const workspaces = require('../workspaces');
+const { createSuppressionList } = require('../suppression');
+
+const PHONE = '254712345678';
+
+async function register(email) {
+  return (await accounts.register({ email, password: 'correct horse' })).account;
+}
+
+// A shop workspace with one number added by its owner and one by a manager
+async function createShop(name) {
+  const owner = await register(`owner@${name}.example`);
+  const manager = await register(`manager@${name}.example`);
+  const workspace = workspaces.createWorkspace(owner.id, { name });
+  workspaces.addMember(workspace.id, owner.id, { email: manager.email, role: 'manager' });
+
+  return {
+    workspace,
+    owner,
+    manager,
+    ownerNumber: workspaces.addSession(owner.id, { workspaceId: workspace.id }).id,
+    managerNumber: workspaces.addSession(manager.id, { workspaceId: workspace.id }).id
+  };
+}
+
+test('moves lists kept per account into the workspaces of their numbers', async () => {
+  const shop = await createShop('legacy');
+  storage.collection('suppression').set(shop.manager.id, {
+    entries: { [PHONE]: { phone: PHONE, source: 'keyword', reason: 'Replied "STOP"', addedAt: new Date().toISOString() } },
+    keywords: { optOut: ['STOP'], optIn: ['START'], optOutReply: null, optInReply: null }
+  });
+
+  const suppressionList = createSuppressionList();
+
+  assert.equal(suppressionList.isSuppressed(shop.ownerNumber, PHONE), true);
+  assert.equal(suppressionList.getAudit(shop.ownerNumber)[0].source, 'migration');
+});
+
+test('an opt-out on one workspace number holds for the others', async () => {
+  const shop = await createShop('shop');
+  const other = await createShop('other');
+  const suppressionList = createSuppressionList();
+
+  assert.equal(suppressionList.handleInbound(shop.managerNumber, PHONE, 'Stop!').action, 'opted-out');
+
+  assert.equal(suppressionList.isSuppressed(shop.ownerNumber, PHONE), true);
+  assert.equal(suppressionList.isSuppressed(other.ownerNumber, PHONE), false);
+
+  suppressionList.handleInbound(shop.ownerNumber, PHONE, 'START');
+  assert.equal(suppressionList.isSuppressed(shop.managerNumber, PHONE), false);
+});
+
+test('a session outside any workspace has a list of its own', () => {
+  const suppressionList = createSuppressionList();
+
+  suppressionList.suppress('api-session', PHONE);
+  assert.equal(suppressionList.isSuppressed('api-session', PHONE), true);
+  assert.equal(suppressionList.isSuppressed('other-api-session', PHONE), false);
+});
+
+test('reads opt-out and opt-in keywords however they are typed', () => {
+  const suppressionList = createSuppressionList();
+
+  assert.equal(suppressionList.handleInbound('keywords', PHONE, 'Hello, what is the price?'), null);
+  // Opting in is only a keyword for numbers that opted out
+  assert.equal(suppressionList.handleInbound('keywords', PHONE, 'start'), null);
+
+  assert.deepEqual(suppressionList.handleInbound('keywords', PHONE, '  opt-out!! '), {
+    action: 'opted-out',
+    reply: 'You have been unsubscribed and will not receive further messages. Reply START to subscribe again.'
+  });
+  assert.equal(suppressionList.isSuppressed('keywords', '0712 345 678'), true);
+  assert.equal(suppressionList.isSuppressed('keywords', '+254 712-345-678'), true);
+
+  assert.equal(suppressionList.handleInbound('keywords', PHONE, 'Anza.').action, 'opted-in');
+  assert.equal(suppressionList.isSuppressed('keywords', PHONE), false);
+});
+
+test('uses custom keywords and refuses one that both opts out and in', () => {
+  const suppressionList = createSuppressionList();
+
+  const keywords = suppressionList.setKeywords('custom', { optOut: ['Basi tena!'], optOutReply: null });
+  assert.deepEqual(keywords.optOut, ['BASI TENA']);
+  assert.equal(suppressionList.handleInbound('custom', PHONE, 'STOP'), null);
+  assert.deepEqual(suppressionList.handleInbound('custom', PHONE, 'basi  tena'), { action: 'opted-out', reply: null });
+
+  assert.throws(() => suppressionList.setKeywords('custom', { optIn: ['basi tena'] }), { status: 400 });
+  assert.throws(() => suppressionList.setKeywords('custom', { optOut: 'STOP' }), /must be an array/);
+});
+
+test('records every change in the audit trail, newest first', () => {
+  const suppressionList = createSuppressionList();
+
+  assert.throws(() => suppressionList.suppress('audited', 'not a number'), { status: 400 });
+  suppressionList.suppress('audited', '0712345678', { reason: 'Asked by phone' });
+  suppressionList.suppress('audited', PHONE);
+  suppressionList.handleInbound('audited', PHONE, 'START');
+  assert.equal(suppressionList.unsuppress('audited', PHONE), false);
+
+  const events = suppressionList.getAudit('audited');
+  assert.deepEqual(events.map((event) => [event.action, event.source]), [['unsuppressed', 'keyword'], ['suppressed', 'api']]);
+  assert.equal(events[1].phone, PHONE);
+  assert.equal(events[1].reason, 'Asked by phone');
+  assert.equal(events[0].reason, 'Replied "START"');
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { compileTemplate, renderTemplate, renderForRecipients } = require('../templates');
+
+test('fills in variables and their fallbacks', () => {
+  assert.equal(renderTemplate('Hi {{name}}, see you in {{city|town}}', { name: 'Ann' }), 'Hi Ann, see you in town');
+});
+
+test('renders #if, #unless and else sections', () => {
+  const template = 'Hi {{name}}{{#if city}} from {{city}}{{else}} there{{/if}}{{#unless vip}}!{{/unless}}';
+  assert.equal(renderTemplate(template, { name: 'Ann', city: 'Nairobi' }), 'Hi Ann from Nairobi!');
+  assert.equal(renderTemplate(template, { name: 'Ann', vip: true }), 'Hi Ann there');
+});
+
+test('picks one spintax option and leaves braces without options alone', () => {
+  const compiled = compileTemplate('{Hi|Hello|Hey} {ok}');
+  assert.equal(compiled.render({}, { random: () => 0 }).text, 'Hi {ok}');
+  assert.equal(compiled.render({}, { random: () => 0.99 }).text, 'Hey {ok}');
+});
+
+test('keeps escaped characters literal', () => {
+  assert.equal(renderTemplate('\\{a\\|b\\}', {}), '{a|b}');
+});
+
+test('lists the variables a template uses', () => {
+  assert.deepEqual(compileTemplate('{{name}} {{#if city}}{{city}}{{/if}}').variables.sort(), ['city', 'name']);
+});
+
+test('throws on missing variables', () => {
+  assert.throws(() => renderTemplate('Hi {{name}}', {}), { code: 'template-invalid', details: { missing: ['name'] } });
+});
+
+test('rejects a block closed with the other keyword', () => {
+  assert.throws(() => compileTemplate('{{#if a}}x{{/unless}}'), { code: 'template-invalid', message: /closes a "\{\{#if\}\}"/ });
+});
+
+test('reports every recipient with missing variables', () => {
+  const result = renderForRecipients('Hi {{name}}', [{ phone: '1', name: 'A' }, { phone: '2' }, { phone: '3', name: 'C' }]);
+  assert.deepEqual(result.messages.map((message) => message.text), ['Hi A', 'Hi C']);
+  assert.deepEqual(result.errors, [{ index: 1, phone: '2', missing: ['name'] }]);
+});
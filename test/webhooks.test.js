@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createWebhooks } = require('../webhooks');
+
+const webhooks = createWebhooks();
+
+test('refuses webhooks to this machine and private networks', async () => {
+  const blocked = [
+    'http://127.0.0.1/hook',
+    'http://localhost:3000/hook',
+    'http://10.1.2.3/hook',
+    'http://172.16.0.1/hook',
+    'http://192.168.1.10/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://100.64.0.1/hook',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[::ffff:169.254.169.254]/hook'
+  ];
+
+  for (const url of blocked) {
+    await assert.rejects(webhooks.registerWebhook('ssrf', { url }), { status: 400, message: /is not a public address/ }, url);
+  }
+});
+
+test('accepts a public address and refuses other protocols', async () => {
+  const webhook = await webhooks.registerWebhook('public', { url: 'https://93.184.216.34/hook', events: ['message-sent'] });
+  assert.equal(webhook.url, 'https://93.184.216.34/hook');
+
+  await assert.rejects(webhooks.registerWebhook('public', { url: 'file:///etc/passwd' }), /must use http or https/);
+  await assert.rejects(webhooks.registerWebhook('public', { url: 'gopher://93.184.216.34/' }), /must use http or https/);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const accounts = require('../accounts');
+const workspaces = require('../workspaces');
+const { usageOn } = require('../usage');
+
+async function createWorkspace(name) {
+  const { account } = await accounts.register({ email: `owner@${name}.example`, password: 'correct horse' });
+  return { owner: account, workspace: workspaces.createWorkspace(account.id, { name }) };
+}
+
+test('reserves messages up to the daily quota and gives failed ones back', async () => {
+  const { workspace } = await createWorkspace('quota');
+  workspaces.setQuotas(workspace.id, { messagesPerDay: 2 });
+
+  const day = workspaces.reserveMessage(workspace.id);
+  workspaces.reserveMessage(workspace.id);
+  assert.throws(() => workspaces.reserveMessage(workspace.id), { code: 'throttled', reason: 'workspace-quota' });
+  assert.throws(() => workspaces.checkMessageQuota(workspace.id), { reason: 'workspace-quota' });
+
+  workspaces.releaseMessage(workspace.id, day);
+  assert.equal(usageOn(workspace.id).messages, 1);
+  assert.doesNotThrow(() => workspaces.reserveMessage(workspace.id));
+});
+
+async function addMember(workspace, owner, email, role) {
+  const { account } = await accounts.register({ email, password: 'correct horse' });
+  workspaces.addMember(workspace.id, owner.id, { email, role });
+  return account;
+}
+
+test('lets each role do only what it allows', async () => {
+  const { owner, workspace } = await createWorkspace('roles');
+  const manager = await addMember(workspace, owner, 'manager@roles.example', 'manager');
+  const sender = await addMember(workspace, owner, 'sender@roles.example', 'sender');
+  const viewer = await addMember(workspace, owner, 'viewer@roles.example', 'viewer');
+
+  assert.equal(workspaces.requirePermission(workspace.id, viewer.id, 'view'), 'viewer');
+  assert.throws(() => workspaces.requirePermission(workspace.id, viewer.id, 'send'), { status: 403, code: 'forbidden' });
+  assert.equal(workspaces.requirePermission(workspace.id, sender.id, 'send'), 'sender');
+  assert.throws(() => workspaces.addSession(sender.id, { workspaceId: workspace.id }), { status: 403 });
+
+  const { id: sessionId } = workspaces.addSession(manager.id, { workspaceId: workspace.id });
+  assert.equal(workspaces.sessionRole(sender.id, sessionId), 'sender');
+  assert.throws(() => workspaces.renameWorkspace(workspace.id, manager.id, { name: 'Mine now' }), { status: 403 });
+  assert.throws(() => workspaces.addMember(workspace.id, manager.id, { email: 'viewer@roles.example', role: 'owner' }), { status: 403 });
+
+  // The number belongs to the workspace, not to the manager who added it
+  assert.deepEqual(workspaces.sessionOwnership(sessionId), { workspaceId: workspace.id, ownerId: owner.id });
+});
+
+test('hides a workspace from accounts outside it', async () => {
+  const { workspace } = await createWorkspace('private');
+  const { owner: stranger } = await createWorkspace('stranger');
+
+  assert.throws(() => workspaces.listMembers(workspace.id, stranger.id), { status: 404, code: 'workspace-not-found' });
+  assert.throws(() => workspaces.addSession(stranger.id, { workspaceId: workspace.id }), { status: 404 });
+  assert.throws(() => workspaces.requirePermission('no-such-workspace', stranger.id, 'view'), { status: 404 });
+});
+
+test('always keeps an owner', async () => {
+  const { owner, workspace } = await createWorkspace('owners');
+  const partner = await addMember(workspace, owner, 'partner@owners.example', 'manager');
+
+  assert.throws(() => workspaces.removeMember(workspace.id, owner.id, owner.id), { status: 409, code: 'last-owner' });
+  assert.throws(() => workspaces.updateMember(workspace.id, owner.id, owner.id, { role: 'viewer' }), { code: 'last-owner' });
+
+  workspaces.updateMember(workspace.id, owner.id, partner.id, { role: 'owner' });
+  workspaces.removeMember(workspace.id, owner.id, owner.id);
+  assert.equal(workspaces.sessionOwnership(workspaces.addSession(partner.id, { workspaceId: workspace.id }).id).ownerId, partner.id);
+});
+
+test('caps numbers and stored media and gives deleted files back', async () => {
+  const { owner, workspace } = await createWorkspace('storage');
+  workspaces.setQuotas(workspace.id, { numbers: 1, storageMb: 1 });
+  assert.throws(() => workspaces.setQuotas(workspace.id, { storageMb: -1 }), { code: 'invalid-quota' });
+
+  workspaces.addSession(owner.id, { workspaceId: workspace.id });
+  assert.throws(() => workspaces.addSession(owner.id, { workspaceId: workspace.id }), {
+    status: 403,
+    code: 'quota-exceeded',
+    details: { quota: 'numbers', limit: 1, used: 1 }
+  });
+
+  workspaces.addStorage(workspace.id, 800 * 1024, 'first.png');
+  assert.throws(() => workspaces.addStorage(workspace.id, 300 * 1024, 'second.png'), { code: 'quota-exceeded' });
+  assert.equal(workspaces.mediaWorkspaceId('second.png'), null);
+
+  workspaces.releaseStorage('first.png');
+  workspaces.addStorage(workspace.id, 300 * 1024, 'second.png');
+  assert.equal(workspaces.getWorkspace(workspace.id).storageBytes, 300 * 1024);
+});
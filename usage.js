@@ -0,0 +1,129 @@
+// usage.js - What each workspace used, per UTC day, for quotas and billing
+// One document per workspace and day counts the messages sent (media messages
+// also as media, with their bytes) and the media uploaded. Only successful
+// sends are counted.
+const storage = require('./storage');
+
+const MAX_RANGE_DAYS = 366;
+const COUNTERS = ['messages', 'media', 'mediaBytes', 'uploads', 'uploadBytes'];
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const usageStore = storage.collection('usage');
+
+function usageError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = 'invalid-range';
+  return error;
+}
+
+// "2026-10-19" for the UTC day of a Date (or timestamp)
+function utcDay(date = new Date()) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Start of the next UTC day, as a timestamp
+function nextUtcDay(now = Date.now()) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+function emptyDay(workspaceId, day) {
+  return { workspaceId, day, ...Object.fromEntries(COUNTERS.map((counter) => [counter, 0])) };
+}
+
+// amounts: { messages, media, mediaBytes, uploads, uploadBytes }, any subset
+// (negative to give back a reservation). Atomic, so workers sending for the
+// same workspace don't lose counts.
+function recordUsage(workspaceId, amounts, day = utcDay()) {
+  return usageStore.update(`${workspaceId}:${day}`, (stored) => {
+    const entry = stored || emptyDay(workspaceId, day);
+    COUNTERS.forEach((counter) => {
+      entry[counter] += amounts[counter] || 0;
+    });
+    return entry;
+  });
+}
+
+// Adds amount to one of today's counters unless that takes it past limit
+// (null = no limit). Checked and counted in one step, so workers sending for
+// the same workspace at once can't overshoot it together. Returns { day,
+// used, reserved }, used being the count before.
+function reserveUsage(workspaceId, counter, amount, limit) {
+  const day = utcDay();
+  let used = 0;
+  let reserved = false;
+
+  usageStore.update(`${workspaceId}:${day}`, (stored) => {
+    const entry = stored || emptyDay(workspaceId, day);
+    used = entry[counter];
+    reserved = limit === null || used + amount <= limit;
+    if (reserved) entry[counter] += amount;
+    return entry;
+  });
+  return { day, used, reserved };
+}
+
+function usageOn(workspaceId, day = utcDay()) {
+  return usageStore.get(`${workspaceId}:${day}`) || emptyDay(workspaceId, day);
+}
+
+// from/to are YYYY-MM-DD (inclusive); the default is the current month so far
+function parseRange({ from, to } = {}) {
+  const today = utcDay();
+  const range = { from: from || `${today.slice(0, 8)}01`, to: to || today };
+
+  if (!DAY_PATTERN.test(range.from) || !DAY_PATTERN.test(range.to) || Number.isNaN(Date.parse(range.from)) || Number.isNaN(Date.parse(range.to))) {
+    throw usageError('from and to must be dates like 2026-01-31');
+  }
+  if (range.from > range.to) {
+    throw usageError('from must not be after to');
+  }
+  if ((Date.parse(range.to) - Date.parse(range.from)) / (24 * 60 * 60 * 1000) >= MAX_RANGE_DAYS) {
+    throw usageError(`A usage report can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+  return range;
+}
+
+function sumDays(days) {
+  return Object.fromEntries(COUNTERS.map((counter) => [counter, days.reduce((sum, day) => sum + day[counter], 0)]));
+}
+
+// A workspace's days with any usage in the range, oldest first, and their totals
+function usageReport(workspaceId, range) {
+  const { from, to } = parseRange(range);
+  const days = usageStore.list({ workspaceId })
+    .filter((entry) => entry.day >= from && entry.day <= to)
+    .sort((a, b) => a.day.localeCompare(b.day))
+    .map(({ workspaceId: _workspaceId, ...entry }) => entry);
+
+  return { workspaceId, from, to, days, totals: sumDays(days) };
+}
+
+// Totals of every workspace that used anything in the range
+function usageByWorkspace(range) {
+  const { from, to } = parseRange(range);
+  const byWorkspace = new Map();
+
+  usageStore.list()
+    .filter((entry) => entry.day >= from && entry.day <= to)
+    .forEach((entry) => {
+      byWorkspace.set(entry.workspaceId, [...(byWorkspace.get(entry.workspaceId) || []), entry]);
+    });
+
+  return {
+    from,
+    to,
+    workspaces: Array.from(byWorkspace.entries()).map(([workspaceId, days]) => ({ workspaceId, totals: sumDays(days) }))
+  };
+}
+
+module.exports = {
+  recordUsage,
+  reserveUsage,
+  usageOn,
+  usageReport,
+  usageByWorkspace,
+  utcDay,
+  nextUtcDay
+};
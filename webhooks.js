@@ -0,0 +1,363 @@
+// webhooks.js - Signed outbound webhooks for session, message and campaign events
+// Each session can register endpoints that receive JSON events:
+//   { id, event, sessionId, timestamp, data }
+// Requests carry X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+// X-Webhook-Signature = "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`).
+//
+// Failed deliveries are retried with exponential backoff. A 3xx or 4xx answer
+// (other than 408/429) is treated as permanent and not retried; redirects are
+// never followed. Every delivery is kept for DELIVERY_RETENTION_DAYS and can
+// be replayed.
+//
+// Webhooks only reach public addresses: URLs whose host is (or resolves to)
+// this machine, a private or link-local network (cloud metadata included) are
+// refused when registered, and checked again on every delivery, when the
+// connection is made, so a DNS answer that changes later can't sneak past.
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const storage = require('./storage');
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 10 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const MAX_WEBHOOKS_PER_SESSION = 10;
+const DELIVERY_RETENTION_DAYS = 7;
+const LIST_LIMIT = 500;
+
+// Loopback, private (RFC 1918, unique-local), link-local, carrier-grade NAT,
+// unspecified, multicast and reserved ranges (IPv4-mapped IPv6 addresses are
+// checked against the IPv4 ranges)
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+function webhookError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function isBlockedAddress(address) {
+  return blockedAddresses.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// "[::1]" -> "::1"
+function hostOf(url) {
+  return url.hostname.replace(/^\[|\]$/g, '');
+}
+
+function blockedError(host) {
+  return webhookError(`Webhook host ${host} is not a public address`);
+}
+
+// dns.lookup() that refuses blocked addresses, for http.request({ lookup }):
+// the connection goes to exactly the address that was checked
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+async function assertPublicHost(url) {
+  const host = hostOf(url);
+  if (net.isIP(host)) {
+    if (isBlockedAddress(host)) throw blockedError(host);
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw webhookError(`Webhook host ${host} could not be resolved`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw blockedError(host);
+  }
+}
+
+// POSTs without following redirects; resolves with the status code
+function post(url, headers, body) {
+  const parsed = new URL(url);
+  const host = hostOf(parsed);
+  // IP literals skip the lookup, so they're checked here
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(blockedError(host));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = (parsed.protocol === 'https:' ? https : http).request(parsed, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      timeout: REQUEST_TIMEOUT_MS
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => {
+      request.destroy(Object.assign(new Error('Request timed out'), { name: 'TimeoutError' }));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// 10s, 20s, 40s ... with +-20% jitter so retries from many events spread out
+function retryDelay(attempt) {
+  const delay = BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function isPermanentFailure(statusCode) {
+  return statusCode >= 300 && statusCode < 500 && statusCode !== 408 && statusCode !== 429;
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// The stored webhook with its secret hidden
+function publicWebhook(webhook) {
+  return { ...webhook, secret: `${webhook.secret.slice(0, 6)}...` };
+}
+
+function createWebhooks() {
+  const webhookStore = storage.collection('webhooks');
+  const deliveryStore = storage.collection('webhook-deliveries');
+  const retryTimers = new Map();
+
+  function listWebhooks(sessionId) {
+    return webhookStore.list({ sessionId });
+  }
+
+  function getWebhook(sessionId, webhookId) {
+    const webhook = webhookStore.get(webhookId);
+    if (!webhook || webhook.sessionId !== sessionId) {
+      throw webhookError('Webhook not found', 404);
+    }
+    return webhook;
+  }
+
+  async function registerWebhook(sessionId, { url, events = ['*'], secret, description } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw webhookError('A valid webhook URL is required');
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw webhookError('Webhook URL must use http or https');
+    }
+    if (!Array.isArray(events) || events.length === 0 || !events.every((event) => typeof event === 'string')) {
+      throw webhookError('Events must be a non-empty array of event names, or ["*"]');
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw webhookError('Webhook secret must be at least 16 characters');
+    }
+    if (listWebhooks(sessionId).length >= MAX_WEBHOOKS_PER_SESSION) {
+      throw webhookError(`At most ${MAX_WEBHOOKS_PER_SESSION} webhooks are allowed per session`);
+    }
+    await assertPublicHost(parsed);
+
+    const webhook = {
+      id: uuidv4(),
+      sessionId,
+      url: parsed.toString(),
+      events: [...new Set(events)],
+      secret: secret || crypto.randomBytes(32).toString('hex'),
+      description: description || null,
+      enabled: true,
+      createdAt: new Date().toISOString()
+    };
+
+    webhookStore.set(webhook.id, webhook);
+    console.log(`🪝 Webhook registered for ${sessionId}: ${webhook.url}`);
+
+    // The full secret is only returned here, when the webhook is created
+    return webhook;
+  }
+
+  function deleteWebhook(sessionId, webhookId) {
+    getWebhook(sessionId, webhookId);
+    webhookStore.delete(webhookId);
+  }
+
+  async function attempt(deliveryId) {
+    retryTimers.delete(deliveryId);
+
+    const delivery = deliveryStore.get(deliveryId);
+    if (!delivery || delivery.status !== 'pending') return;
+
+    const webhook = webhookStore.get(delivery.webhookId);
+    if (!webhook) {
+      delivery.status = 'failed';
+      delivery.error = 'Webhook was deleted';
+      delivery.nextAttemptAt = null;
+      deliveryStore.set(deliveryId, delivery);
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const started = Date.now();
+    const result = { at: new Date(started).toISOString(), statusCode: null, error: null, durationMs: 0 };
+
+    try {
+      result.statusCode = await post(webhook.url, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'whatsapp-bulk-messenger-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+      }, body);
+      if (result.statusCode < 200 || result.statusCode >= 300) {
+        result.error = `HTTP ${result.statusCode}`;
+      }
+    } catch (error) {
+      result.error = error.name === 'TimeoutError' ? 'Request timed out' : error.message;
+    }
+    result.durationMs = Date.now() - started;
+
+    delivery.attempts.push(result);
+    delivery.updatedAt = result.at;
+
+    if (!result.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+    } else if (isPermanentFailure(result.statusCode) || delivery.attempts.length >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.error = result.error;
+      delivery.nextAttemptAt = null;
+      console.log(`⚠️ Webhook delivery ${delivery.id} (${delivery.event}) failed for good: ${result.error}`);
+    } else {
+      const delay = retryDelay(delivery.attempts.length);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      scheduleAttempt(delivery.id, delay);
+    }
+
+    deliveryStore.set(delivery.id, delivery);
+  }
+
+  function scheduleAttempt(deliveryId, delay) {
+    clearTimeout(retryTimers.get(deliveryId));
+    const timer = setTimeout(() => {
+      attempt(deliveryId).catch((error) => {
+        console.error(`❌ Webhook delivery ${deliveryId} crashed:`, error);
+      });
+    }, delay);
+    timer.unref();
+    retryTimers.set(deliveryId, timer);
+  }
+
+  function createDelivery(webhook, payload, replayOf = null) {
+    const now = new Date().toISOString();
+    const delivery = {
+      id: uuidv4(),
+      webhookId: webhook.id,
+      sessionId: webhook.sessionId,
+      event: payload.event,
+      payload,
+      status: 'pending',
+      attempts: [],
+      error: null,
+      replayOf,
+      nextAttemptAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    deliveryStore.set(delivery.id, delivery);
+    scheduleAttempt(delivery.id, 0);
+    return delivery;
+  }
+
+  // Fans an event out to every enabled webhook of the session that wants it
+  function dispatch(sessionId, event, data = {}) {
+    const webhooks = listWebhooks(sessionId)
+      .filter((webhook) => webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event)));
+    if (webhooks.length === 0) return;
+
+    const payload = {
+      id: uuidv4(),
+      event,
+      sessionId,
+      timestamp: new Date().toISOString(),
+      data
+    };
+
+    webhooks.forEach((webhook) => createDelivery(webhook, payload));
+  }
+
+  function listDeliveries(sessionId, { webhookId, status, event, limit = 100 } = {}) {
+    return deliveryStore.list({ sessionId })
+      .filter((delivery) => !webhookId || delivery.webhookId === webhookId)
+      .filter((delivery) => !status || delivery.status === status)
+      .filter((delivery) => !event || delivery.event === event)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, Math.min(Number(limit) || 100, LIST_LIMIT));
+  }
+
+  function getDelivery(sessionId, deliveryId) {
+    const delivery = deliveryStore.get(deliveryId);
+    if (!delivery || delivery.sessionId !== sessionId) {
+      throw webhookError('Delivery not found', 404);
+    }
+    return delivery;
+  }
+
+  // Sends the same payload again as a new delivery, keeping the original's log intact
+  function replayDelivery(sessionId, deliveryId) {
+    const original = getDelivery(sessionId, deliveryId);
+    const webhook = getWebhook(sessionId, original.webhookId);
+    return createDelivery(webhook, original.payload, original.id);
+  }
+
+  // Picks up deliveries that were still waiting for a retry when the server
+  // stopped (in a cluster, only those of the sessions this worker owns)
+  function resumePending(shouldResume = () => true) {
+    const pending = deliveryStore.list({ status: 'pending' }).filter((delivery) => shouldResume(delivery.sessionId));
+    pending.forEach((delivery) => {
+      const wait = Math.max(0, Date.parse(delivery.nextAttemptAt || 0) - Date.now());
+      scheduleAttempt(delivery.id, wait);
+    });
+    if (pending.length > 0) {
+      console.log(`🪝 Resuming ${pending.length} pending webhook deliveries`);
+    }
+  }
+
+  setInterval(() => {
+    const cutoff = Date.now() - DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    deliveryStore.list()
+      .filter((delivery) => delivery.status !== 'pending' && Date.parse(delivery.createdAt) < cutoff)
+      .forEach((delivery) => deliveryStore.delete(delivery.id));
+  }, 60 * 60 * 1000).unref();
+
+  return {
+    registerWebhook,
+    listWebhooks: (sessionId) => listWebhooks(sessionId).map(publicWebhook),
+    deleteWebhook,
+    dispatch,
+    listDeliveries,
+    getDelivery,
+    replayDelivery,
+    resumePending
+  };
+}
+
+module.exports = { createWebhooks };
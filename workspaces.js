@@ -0,0 +1,486 @@
+// workspaces.js - Workspaces: the client organisations sharing this server
+// A workspace owns WhatsApp numbers (sessions), the contact lists and the
+// opt-out list they share, and through the numbers their campaigns and
+// scheduled messages (which stay with the number that created them; a
+// campaign can send from any number of the workspace). Accounts are members
+// with a role:
+//   owner   - everything, including members and the workspace's name
+//   manager - adds and removes numbers, sets webhooks, auto-replies and pacing
+//   sender  - sends messages and campaigns, imports contacts
+//   viewer  - only looks
+// Every account has a personal workspace (with the account's ID), created on
+// first use; numbers added before workspaces existed move into it.
+//
+// Quotas cap a workspace's numbers, the messages it sends per UTC day and the
+// media it stores. Operators set them per workspace through the admin API;
+// WORKSPACE_MAX_NUMBERS (default 10), WORKSPACE_MESSAGES_PER_DAY and
+// WORKSPACE_STORAGE_MB set the defaults (unset = unlimited). Stored media is
+// tracked per file, so deleting a file gives its space back.
+const crypto = require('crypto');
+const storage = require('./storage');
+const accounts = require('./accounts');
+const { usageOn, recordUsage, reserveUsage, nextUtcDay } = require('./usage');
+
+const ROLES = ['owner', 'manager', 'sender', 'viewer'];
+const ROLE_PERMISSIONS = {
+  owner: ['view', 'send', 'manage', 'own'],
+  manager: ['view', 'send', 'manage'],
+  sender: ['view', 'send'],
+  viewer: ['view']
+};
+const QUOTA_NAMES = ['numbers', 'messagesPerDay', 'storageMb'];
+const MAX_NAME_LENGTH = 100;
+const MB = 1024 * 1024;
+
+function quotaFromEnv(name, fallback = null) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+// null means unlimited
+const DEFAULT_QUOTAS = {
+  numbers: quotaFromEnv('WORKSPACE_MAX_NUMBERS', 10),
+  messagesPerDay: quotaFromEnv('WORKSPACE_MESSAGES_PER_DAY'),
+  storageMb: quotaFromEnv('WORKSPACE_STORAGE_MB')
+};
+
+const workspaceStore = storage.collection('workspaces');
+// "<workspaceId>:<accountId>" -> { workspaceId, accountId, role, addedAt }
+const memberStore = storage.collection('workspace-members');
+// file name in MEDIA_PATH -> { file, workspaceId, size, storedAt }
+const mediaStore = storage.collection('workspace-media');
+
+function workspaceError(message, status = 400, code = undefined) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+function quotaError(message, details) {
+  const error = workspaceError(message, 403, 'quota-exceeded');
+  error.details = details;
+  return error;
+}
+
+function memberKey(workspaceId, accountId) {
+  return `${workspaceId}:${accountId}`;
+}
+
+function saveMember(workspaceId, accountId, role) {
+  const existing = memberStore.get(memberKey(workspaceId, accountId));
+  const member = { workspaceId, accountId, role, addedAt: existing ? existing.addedAt : new Date().toISOString() };
+  memberStore.set(memberKey(workspaceId, accountId), member);
+  return member;
+}
+
+function validName(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw workspaceError('Workspace name is required', 400, 'invalid-name');
+  }
+  return name.trim().substring(0, MAX_NAME_LENGTH);
+}
+
+function validRole(role) {
+  if (!ROLES.includes(role)) {
+    throw workspaceError(`role must be one of: ${ROLES.join(', ')}`, 400, 'invalid-role');
+  }
+  return role;
+}
+
+function insertWorkspace(id, name, accountId, fields = {}) {
+  const workspace = {
+    id,
+    name,
+    personal: false,
+    quotas: {},
+    storageBytes: 0,
+    createdBy: accountId,
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+  workspaceStore.set(id, workspace);
+  saveMember(id, accountId, 'owner');
+  return workspace;
+}
+
+function getWorkspace(workspaceId) {
+  return workspaceStore.get(workspaceId) || null;
+}
+
+function createWorkspace(accountId, { name } = {}) {
+  const workspace = insertWorkspace(crypto.randomBytes(8).toString('hex'), validName(name), accountId);
+  console.log(`🏢 Workspace created: ${workspace.name} (${workspace.id})`);
+  return workspace;
+}
+
+// The account's personal workspace, created on first use
+function personalWorkspace(accountId) {
+  const existing = getWorkspace(accountId);
+  if (existing) return existing;
+
+  const account = accounts.getAccount(accountId);
+  if (!account) throw workspaceError('Account not found', 404);
+
+  const workspace = insertWorkspace(accountId, account.name || account.email, accountId, { personal: true });
+  account.sessions
+    .filter((entry) => !accounts.getSessionWorkspace(entry.id))
+    .forEach((entry) => accounts.setSessionWorkspace(entry.id, accountId));
+  return workspace;
+}
+
+// Workspace ID of an owned session, or null for unowned (legacy/API) sessions
+function sessionWorkspaceId(sessionId) {
+  const workspaceId = accounts.getSessionWorkspace(sessionId);
+  if (workspaceId) return workspaceId;
+
+  const ownerId = accounts.getSessionOwner(sessionId);
+  if (!ownerId) return null;
+
+  // Added before workspaces existed
+  personalWorkspace(ownerId);
+  accounts.setSessionWorkspace(sessionId, ownerId);
+  return ownerId;
+}
+
+function roleOf(workspaceId, accountId) {
+  const member = memberStore.get(memberKey(workspaceId, accountId));
+  return member ? member.role : null;
+}
+
+// The account a workspace answers to: its creator while still an owner,
+// otherwise the owner who joined first
+function workspaceOwnerId(workspaceId) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace) return null;
+  if (roleOf(workspaceId, workspace.createdBy) === 'owner') return workspace.createdBy;
+
+  const [first] = memberStore.list({ workspaceId, role: 'owner' }).sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+  return first ? first.accountId : null;
+}
+
+// Who a session belongs to: { workspaceId, ownerId }, both null outside a
+// workspace. Whoever added or started the number doesn't matter.
+function sessionOwnership(sessionId) {
+  const workspaceId = sessionWorkspaceId(sessionId);
+  return { workspaceId, ownerId: workspaceId ? workspaceOwnerId(workspaceId) : null };
+}
+
+function can(role, permission) {
+  return !!role && ROLE_PERMISSIONS[role].includes(permission);
+}
+
+// The account's role, if it allows permission. Non-members get a 404 so
+// workspace IDs can't be probed.
+function requirePermission(workspaceId, accountId, permission) {
+  const role = roleOf(workspaceId, accountId);
+  if (!role || !getWorkspace(workspaceId)) {
+    throw workspaceError('Workspace not found', 404, 'workspace-not-found');
+  }
+  if (!can(role, permission)) {
+    throw workspaceError(`A ${role} can't do this in the workspace`, 403, 'forbidden');
+  }
+  return role;
+}
+
+// The account's role in the workspace that owns the session, or null
+function sessionRole(accountId, sessionId) {
+  const workspaceId = sessionWorkspaceId(sessionId);
+  return workspaceId ? roleOf(workspaceId, accountId) : null;
+}
+
+// Whether two sessions belong to the same workspace
+function sameWorkspace(sessionId, otherSessionId) {
+  const workspaceId = sessionWorkspaceId(sessionId);
+  return !!workspaceId && workspaceId === sessionWorkspaceId(otherSessionId);
+}
+
+function quotasOf(workspace) {
+  return { ...DEFAULT_QUOTAS, ...workspace.quotas };
+}
+
+// A workspace with its quotas and what it uses of them (role: the caller's)
+function describeWorkspace(workspace, role = undefined) {
+  return {
+    id: workspace.id,
+    name: workspace.name,
+    personal: workspace.personal,
+    ...(role ? { role } : {}),
+    createdAt: workspace.createdAt,
+    quotas: quotasOf(workspace),
+    used: {
+      numbers: accounts.listWorkspaceSessions(workspace.id).length,
+      messagesToday: usageOn(workspace.id).messages,
+      storageMb: Math.round((workspace.storageBytes || 0) / MB * 100) / 100
+    }
+  };
+}
+
+// The account's workspaces with its role in each, personal one first
+function listWorkspaces(accountId) {
+  personalWorkspace(accountId);
+
+  return memberStore.list({ accountId })
+    .map((member) => ({ workspace: getWorkspace(member.workspaceId), role: member.role }))
+    .filter(({ workspace }) => workspace)
+    .sort((a, b) => (b.workspace.id === accountId) - (a.workspace.id === accountId) || a.workspace.createdAt.localeCompare(b.workspace.createdAt))
+    .map(({ workspace, role }) => describeWorkspace(workspace, role));
+}
+
+// Every workspace, for operators
+function listAllWorkspaces() {
+  return workspaceStore.list()
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map((workspace) => describeWorkspace(workspace));
+}
+
+function renameWorkspace(workspaceId, actorId, { name } = {}) {
+  requirePermission(workspaceId, actorId, 'own');
+  const validated = validName(name);
+  return workspaceStore.update(workspaceId, (workspace) => ({ ...workspace, name: validated }));
+}
+
+// Session entries of the workspaces an account belongs to, each with its
+// workspaceId and the account's role there
+function accessibleSessions(accountId) {
+  return listWorkspaces(accountId).flatMap((workspace) => accounts.listWorkspaceSessions(workspace.id)
+    .map((entry) => ({ ...entry, workspaceId: workspace.id, role: workspace.role })));
+}
+
+// Adds a number to a workspace (default: the account's personal one)
+function addSession(accountId, { workspaceId, label } = {}) {
+  const targetId = workspaceId || personalWorkspace(accountId).id;
+  requirePermission(targetId, accountId, 'manage');
+
+  const { numbers } = quotasOf(getWorkspace(targetId));
+  const used = accounts.listWorkspaceSessions(targetId).length;
+  if (numbers !== null && used >= numbers) {
+    throw quotaError(`This workspace can have at most ${numbers} WhatsApp numbers`, { quota: 'numbers', limit: numbers, used });
+  }
+
+  return { ...accounts.addSession(accountId, { label, workspaceId: targetId }), workspaceId: targetId };
+}
+
+// Takes a number out of its workspace; logging it out is up to the caller
+function removeSession(accountId, sessionId) {
+  const workspaceId = sessionWorkspaceId(sessionId);
+  if (!workspaceId || !roleOf(workspaceId, accountId)) {
+    throw workspaceError('Session not found', 404);
+  }
+  requirePermission(workspaceId, accountId, 'manage');
+  accounts.removeSession(accounts.getSessionOwner(sessionId), sessionId);
+}
+
+function describeMember(member) {
+  const account = accounts.getAccount(member.accountId);
+  return {
+    accountId: member.accountId,
+    email: account ? account.email : null,
+    name: account ? account.name : null,
+    role: member.role,
+    addedAt: member.addedAt
+  };
+}
+
+function listMembers(workspaceId, actorId) {
+  requirePermission(workspaceId, actorId, 'view');
+  return memberStore.list({ workspaceId }).map(describeMember);
+}
+
+// Members join by the email of an existing account
+function addMember(workspaceId, actorId, { email, role } = {}) {
+  requirePermission(workspaceId, actorId, 'own');
+  validRole(role);
+
+  const account = accounts.findAccountByEmail(email);
+  if (!account) {
+    throw workspaceError('No account is registered with this email', 404, 'account-not-found');
+  }
+  if (roleOf(workspaceId, account.id)) {
+    throw workspaceError('This account is already a member', 409, 'already-member');
+  }
+
+  console.log(`🏢 ${account.email} joined workspace ${workspaceId} as ${role}`);
+  return describeMember(saveMember(workspaceId, account.id, role));
+}
+
+// A workspace always keeps at least one owner
+function ensureOtherOwner(workspaceId, accountId) {
+  const owners = memberStore.list({ workspaceId, role: 'owner' });
+  if (owners.every((member) => member.accountId === accountId)) {
+    throw workspaceError('A workspace needs at least one owner', 409, 'last-owner');
+  }
+}
+
+function updateMember(workspaceId, actorId, accountId, { role } = {}) {
+  requirePermission(workspaceId, actorId, 'own');
+  validRole(role);
+
+  const current = roleOf(workspaceId, accountId);
+  if (!current) {
+    throw workspaceError('Member not found', 404, 'member-not-found');
+  }
+  if (current === 'owner' && role !== 'owner') {
+    ensureOtherOwner(workspaceId, accountId);
+  }
+  return describeMember(saveMember(workspaceId, accountId, role));
+}
+
+// Owners remove anyone; every member can leave
+function removeMember(workspaceId, actorId, accountId) {
+  if (actorId !== accountId) {
+    requirePermission(workspaceId, actorId, 'own');
+  }
+
+  const current = roleOf(workspaceId, accountId);
+  if (!current) {
+    throw workspaceError('Member not found', 404, 'member-not-found');
+  }
+  if (current === 'owner') {
+    ensureOtherOwner(workspaceId, accountId);
+  }
+  memberStore.delete(memberKey(workspaceId, accountId));
+}
+
+// Operators only. Each quota is a whole number, or null for unlimited;
+// quotas left out keep their current value.
+function setQuotas(workspaceId, quotas = {}) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace) {
+    throw workspaceError('Workspace not found', 404, 'workspace-not-found');
+  }
+
+  Object.entries(quotas).forEach(([name, value]) => {
+    if (!QUOTA_NAMES.includes(name)) {
+      throw workspaceError(`Unknown quota ${name} (quotas are ${QUOTA_NAMES.join(', ')})`, 400, 'invalid-quota');
+    }
+    if (value !== null && !(Number.isInteger(value) && value >= 0)) {
+      throw workspaceError(`${name} must be a whole number, or null for unlimited`, 400, 'invalid-quota');
+    }
+  });
+
+  const updated = workspaceStore.update(workspaceId, (stored) => ({ ...stored, quotas: { ...stored.quotas, ...quotas } }));
+  return describeWorkspace(updated);
+}
+
+// A "throttled" error like the pacer's daily cap, so campaigns and scheduled
+// messages hold until midnight (UTC) instead of failing
+function messageQuotaError(limit, used) {
+  const error = new Error(`This workspace has sent its ${limit} messages for today`);
+  error.code = 'throttled';
+  error.reason = 'workspace-quota';
+  error.retryAt = nextUtcDay();
+  error.details = { quota: 'messagesPerDay', limit, used };
+  return error;
+}
+
+// Refuses a send once the workspace sent its messages for the day, before it
+// queues. reserveMessage() is what holds the quota.
+function checkMessageQuota(workspaceId) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace) return;
+
+  const { messagesPerDay } = quotasOf(workspace);
+  const { messages } = usageOn(workspaceId);
+  if (messagesPerDay !== null && messages >= messagesPerDay) {
+    throw messageQuotaError(messagesPerDay, messages);
+  }
+}
+
+// Counts a message against the daily quota right before it goes to WhatsApp,
+// refusing it when the quota is used up. Checked and counted in one step, so
+// numbers sending at once can't exceed it together. Returns the day it was
+// counted on, for releaseMessage() if the send fails.
+function reserveMessage(workspaceId) {
+  const workspace = getWorkspace(workspaceId);
+  if (!workspace) return null;
+
+  const { messagesPerDay } = quotasOf(workspace);
+  const { day, used, reserved } = reserveUsage(workspaceId, 'messages', 1, messagesPerDay);
+  if (!reserved) throw messageQuotaError(messagesPerDay, used);
+  return day;
+}
+
+function releaseMessage(workspaceId, day) {
+  recordUsage(workspaceId, { messages: -1 }, day);
+}
+
+// Counts a file stored in MEDIA_PATH against the workspace's storage quota,
+// refusing what doesn't fit. Checked and counted in one step, so uploads on
+// several workers can't overfill the quota together.
+function addStorage(workspaceId, bytes, file) {
+  if (!getWorkspace(workspaceId)) {
+    throw workspaceError('Workspace not found', 404, 'workspace-not-found');
+  }
+
+  workspaceStore.update(workspaceId, (workspace) => {
+    const { storageMb } = quotasOf(workspace);
+    const used = workspace.storageBytes || 0;
+    if (storageMb !== null && used + bytes > storageMb * MB) {
+      throw quotaError(`This workspace's ${storageMb} MB of media storage is full`, { quota: 'storageMb', limit: storageMb, usedBytes: used });
+    }
+    return { ...workspace, storageBytes: used + bytes };
+  });
+  mediaStore.set(file, { file, workspaceId, size: bytes, storedAt: new Date().toISOString() });
+}
+
+// The workspace a file in MEDIA_PATH counts towards, or null
+function mediaWorkspaceId(file) {
+  const entry = mediaStore.get(file);
+  return entry ? entry.workspaceId : null;
+}
+
+// Whether a session may send a file from MEDIA_PATH: a file stored for a
+// workspace only from that workspace's numbers, one no workspace stored only
+// from sessions outside any workspace
+function canUseMedia(sessionId, file) {
+  const ownerId = mediaWorkspaceId(file);
+  const workspaceId = sessionWorkspaceId(sessionId);
+  return ownerId ? ownerId === workspaceId : !workspaceId;
+}
+
+// Gives a deleted file's space back to the workspace that stored it
+function releaseStorage(file) {
+  const entry = mediaStore.get(file);
+  if (!entry) return;
+
+  mediaStore.delete(file);
+  if (!getWorkspace(entry.workspaceId)) return;
+  workspaceStore.update(entry.workspaceId, (workspace) => ({
+    ...workspace,
+    storageBytes: Math.max(0, (workspace.storageBytes || 0) - entry.size)
+  }));
+}
+
+module.exports = {
+  ROLES,
+  createWorkspace,
+  getWorkspace,
+  personalWorkspace,
+  describeWorkspace,
+  listWorkspaces,
+  listAllWorkspaces,
+  renameWorkspace,
+  sessionWorkspaceId,
+  workspaceOwnerId,
+  sessionOwnership,
+  sessionRole,
+  sameWorkspace,
+  can,
+  requirePermission,
+  accessibleSessions,
+  addSession,
+  removeSession,
+  listMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  setQuotas,
+  checkMessageQuota,
+  reserveMessage,
+  releaseMessage,
+  addStorage,
+  mediaWorkspaceId,
+  canUseMedia,
+  releaseStorage
+};